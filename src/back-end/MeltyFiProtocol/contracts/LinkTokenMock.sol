@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.9;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@chainlink/contracts/src/v0.8/interfaces/ERC677ReceiverInterface.sol";
+
+/// Minimal ERC677 LINK token used on local networks, where the real LINK token is not deployed
+contract LinkTokenMock is ERC20 {
+    constructor() ERC20("ChainLink Token", "LINK") {
+        _mint(msg.sender, 1000000 * 10 ** decimals());
+    }
+
+    function transferAndCall(address to, uint256 value, bytes calldata data) external returns (bool success) {
+        _transfer(msg.sender, to, value);
+        if (to.code.length > 0) {
+            ERC677ReceiverInterface(to).onTokenTransfer(msg.sender, value, data);
+        }
+        return true;
+    }
+}
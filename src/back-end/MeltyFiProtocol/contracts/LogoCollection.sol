@@ -5,22 +5,216 @@ import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
 import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Burnable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
 
+/**
+ * @notice LogoCollection is the collection of the MeltyFi logo, ID 0, and of the achievement badges of the protocol.
+ *         Its owner, MeltyFiNFT, records the actions of the users, and a badge is minted to a user the first time
+ *         their count of an action reaches the milestone of the badge. Badges cannot be minted in any other way.
+ *         The metadata of every badge is rendered on chain, with a generated SVG image.
+ */
 contract LogoCollection is ERC1155, ERC1155Burnable, Ownable, ERC1155Supply {
+
+    /// Using Strings for uint256 type
+    using Strings for uint256;
+
+    /// The actions of the users counted for the badges
+    enum Action {
+        LOTTERY_CREATED,
+        LOAN_REPAID,
+        LOTTERY_WON,
+        WONKABARS_BOUGHT
+    }
+
+    /// The ID of the MeltyFi logo
+    uint256 public constant LOGO = 0;
+    /// The IDs of the badges, awarded for creating the first lottery, repaying the first loan,
+    /// winning the first lottery and buying 10, 100 and 1000 WonkaBars
+    uint256 public constant FIRST_LOTTERY_CREATED = 1;
+    uint256 public constant FIRST_LOAN_REPAID = 2;
+    uint256 public constant FIRST_LOTTERY_WON = 3;
+    uint256 public constant WONKABARS_BOUGHT_10 = 4;
+    uint256 public constant WONKABARS_BOUGHT_100 = 5;
+    uint256 public constant WONKABARS_BOUGHT_1000 = 6;
+    /// The number of badges, whose IDs go from 1 to TOTAL_BADGES
+    uint256 public constant TOTAL_BADGES = 6;
+
+    /// Mapping from the address of a user to the number of times they performed each action
+    mapping(address => mapping(Action => uint256)) internal _actionCounts;
+
+    /// Emitted when a badge is minted to a user
+    event BadgeAwarded(address indexed account, uint256 indexed badgeId);
+
     constructor() ERC1155("https://ipfs.io/ipfs/QmW7sq2pgiNMry7Syp3DEHSScSFKsfwVsGbQk394iuUQzF") {}
 
-    function mint(address account, uint256 id, uint256 amount, bytes memory data)
-        public
-        onlyOwner
+    /**
+     * @notice Records that a user performed an action a number of times, and mints them the badges
+     *         whose milestone they reach. Each badge is minted to a user only once.
+     *
+     * @dev Only the owner, MeltyFiNFT, can call this function.
+     *      Contracts that do not declare through ERC165 that they receive ERC1155 tokens have their actions counted
+     *      but get no badge, so that the badges never make the actions of the protocol revert.
+     *
+     * @param account The user who performed the action.
+     * @param action The action performed.
+     * @param amount The number of times the action was performed.
+     */
+    function recordAction(
+        address account,
+        Action action,
+        uint256 amount
+    ) external onlyOwner
+    {
+        uint256 previousCount = _actionCounts[account][action];
+        uint256 count = previousCount + amount;
+        _actionCounts[account][action] = count;
+        if (
+            account.code.length > 0
+            &&
+            !ERC165Checker.supportsInterface(account, type(IERC1155Receiver).interfaceId)
+        ) {
+            return;
+        }
+        for (uint256 badgeId = 1; badgeId <= TOTAL_BADGES; badgeId++) {
+            (Action badgeAction, uint256 milestone) = _milestone(badgeId);
+            /// the badge is awarded when the count crosses its milestone, which happens only once
+            if (badgeAction == action && previousCount < milestone && count >= milestone) {
+                _mint(account, badgeId, 1, "");
+                emit BadgeAwarded(account, badgeId);
+            }
+        }
+    }
+
+    /**
+     * @notice Returns the number of times a user performed an action.
+     *
+     * @param account The user.
+     * @param action The action.
+     *
+     * @return The number of times the action was performed.
+     */
+    function actionCount(
+        address account,
+        Action action
+    ) external view returns (uint256)
+    {
+        return _actionCounts[account][action];
+    }
+
+    /**
+     * @notice Returns the details of a badge.
+     *
+     * @dev Raises error if the badge does not exist.
+     *
+     * @param badgeId The ID of the badge.
+     *
+     * @return action The action counted for the badge.
+     * @return milestone The number of times the action must be performed to get the badge.
+     * @return name The name of the badge.
+     * @return description The description of the badge.
+     */
+    function badge(
+        uint256 badgeId
+    ) public pure returns (Action action, uint256 milestone, string memory name, string memory description)
+    {
+        (action, milestone) = _milestone(badgeId);
+        if (badgeId == FIRST_LOTTERY_CREATED) {
+            return (action, milestone, "Lottery Maker", "Created a first lottery on MeltyFi.");
+        }
+        if (badgeId == FIRST_LOAN_REPAID) {
+            return (action, milestone, "Debt Free", "Repaid a first loan on MeltyFi.");
+        }
+        if (badgeId == FIRST_LOTTERY_WON) {
+            return (action, milestone, "Golden Ticket", "Won a first lottery on MeltyFi.");
+        }
+        if (badgeId == WONKABARS_BOUGHT_10) {
+            return (action, milestone, "Chocolate Taster", "Bought 10 WonkaBars on MeltyFi.");
+        }
+        if (badgeId == WONKABARS_BOUGHT_100) {
+            return (action, milestone, "Chocolate Lover", "Bought 100 WonkaBars on MeltyFi.");
+        }
+        return (action, milestone, "Chocolate Factory", "Bought 1000 WonkaBars on MeltyFi.");
+    }
+
+    /**
+     * @notice Returns the metadata URI of a token: the IPFS metadata for the logo, or a base64 JSON data URI
+     *         with a generated SVG image for a badge.
+     *
+     * @dev Raises error if the token is neither the logo nor a badge.
+     *
+     * @param id The ID of the token.
+     *
+     * @return The metadata URI.
+     */
+    function uri(
+        uint256 id
+    ) public view override returns (string memory)
+    {
+        if (id == LOGO) {
+            return super.uri(id);
+        }
+        (Action action, uint256 milestone, string memory name, string memory description) = badge(id);
+        bytes memory svg = abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 350" font-family="monospace" fill="#fff8dc" text-anchor="middle">',
+            '<rect width="350" height="350" fill="#3b1f0e"/><circle cx="175" cy="160" r="110" fill="#b8860b" stroke="#fff8dc" stroke-width="6"/>',
+            '<text x="175" y="175" font-size="48">#', id.toString(), '</text>',
+            '<text x="175" y="315" font-size="24">', name, '</text></svg>'
+        );
+        bytes memory json = abi.encodePacked(
+            '{"name":"MeltyFi badge: ', name,
+            '","description":"', description,
+            '","image":"data:image/svg+xml;base64,', Base64.encode(svg),
+            '","attributes":[{"trait_type":"Action","value":"', _actionName(action),
+            '"},{"trait_type":"Milestone","value":', milestone.toString(), '}]}'
+        );
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    /**
+     * @dev A private function that returns the action and the milestone of a badge.
+     *      Raises error if the badge does not exist.
+     */
+    function _milestone(
+        uint256 badgeId
+    ) private pure returns (Action, uint256)
     {
-        _mint(account, id, amount, data);
+        /// The badge must exist
+        require(
+            badgeId >= 1 && badgeId <= TOTAL_BADGES,
+            "MeltyFi: The badge does not exist"
+        );
+        if (badgeId == FIRST_LOTTERY_CREATED) {
+            return (Action.LOTTERY_CREATED, 1);
+        }
+        if (badgeId == FIRST_LOAN_REPAID) {
+            return (Action.LOAN_REPAID, 1);
+        }
+        if (badgeId == FIRST_LOTTERY_WON) {
+            return (Action.LOTTERY_WON, 1);
+        }
+        /// the remaining badges are for buying 10, 100 and 1000 WonkaBars
+        return (Action.WONKABARS_BOUGHT, 10 ** (badgeId - WONKABARS_BOUGHT_10 + 1));
     }
 
-    function mintBatch(address to, uint256[] memory ids, uint256[] memory amounts, bytes memory data)
-        public
-        onlyOwner
+    /**
+     * @dev A private function that returns the name of an action shown in the metadata of the badges.
+     */
+    function _actionName(
+        Action action
+    ) private pure returns (string memory)
     {
-        _mintBatch(to, ids, amounts, data);
+        if (action == Action.LOTTERY_CREATED) {
+            return "Lottery created";
+        }
+        if (action == Action.LOAN_REPAID) {
+            return "Loan repaid";
+        }
+        if (action == Action.LOTTERY_WON) {
+            return "Lottery won";
+        }
+        return "WonkaBars bought";
     }
 
     // The following functions are overrides required by Solidity.
@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.9;
+
+/// IERC20.sol is an interface that defines the required methods for an ERC20 contract
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+/// SafeERC20 library provides ERC20 transfers that revert on failure, also for tokens that do not return a boolean
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+/// Address library provides utilities for working with addresses
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @notice LotteryPayments is the library that moves the currency of the MeltyFi lotteries, which is either
+ *         Ether or an ERC20 token accepted by the MeltyFiDAO.
+ *         Payments are collected by this contract and credited to withdrawable balances, so that an address
+ *         that cannot receive them does not block the lotteries it takes part in.
+ *         Its functions are external and run with delegatecall in the context of MeltyFiNFT, which keeps
+ *         the bytecode of MeltyFiNFT under the contract size limit.
+ */
+library LotteryPayments {
+
+    /// Using SafeERC20 for IERC20 type
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice Collects a payment in the currency of a lottery, kept by this contract.
+     *         Ether is sent along with the transaction, and the part exceeding the payment is credited back to the payer.
+     *         ERC20 tokens are transferred from the payer.
+     *
+     * @dev The payer must have approved this contract to spend the amount of an ERC20 token.
+     *      Raises error if the Ether sent is not enough to cover the payment.
+     *      Raises error if Ether is sent to a lottery paid in an ERC20 token.
+     *
+     * @param balances The withdrawable balances, by payment token and by address.
+     * @param paymentToken The ERC20 token in which the lottery is paid, or the zero address for Ether.
+     * @param from The address paying the amount.
+     * @param amount The amount, in wei or in the smallest unit of the payment token.
+     * @param value The Ether sent along with the transaction.
+     */
+    function collect(
+        mapping(IERC20 => mapping(address => uint256)) storage balances,
+        IERC20 paymentToken,
+        address from,
+        uint256 amount,
+        uint256 value
+    ) external
+    {
+        if (address(paymentToken) == address(0)) {
+            /// The payer must sent anough amount of Ether to cover the payment
+            require(
+                value >= amount,
+                "MeltyFi: The value sent is not enough to cover the payment"
+            );
+            if (value > amount) {
+                balances[paymentToken][from] += value - amount;
+            }
+        } else {
+            /// The payer must not send Ether to a lottery paid in an ERC20 token
+            require(
+                value == 0,
+                "MeltyFi: Ether sent to a lottery paid in an ERC20 token"
+            );
+            paymentToken.safeTransferFrom(from, address(this), amount);
+        }
+    }
+
+    /**
+     * @notice Sends the whole withdrawable balance of an address in a payment token to the address, and resets it.
+     *
+     * @dev The balance is reset before it is sent.
+     *      Raises error if the balance is 0.
+     *
+     * @param balances The withdrawable balances, by payment token and by address.
+     * @param paymentToken The ERC20 payment token, or the zero address for Ether.
+     * @param account The address whose balance is withdrawn.
+     *
+     * @return amount The amount withdrawn, in wei or in the smallest unit of the payment token.
+     */
+    function withdraw(
+        mapping(IERC20 => mapping(address => uint256)) storage balances,
+        IERC20 paymentToken,
+        address account
+    ) external returns (uint256 amount)
+    {
+        amount = balances[paymentToken][account];
+        /// The balance must not be 0
+        require(
+            amount > 0,
+            "MeltyFi: There is nothing to withdraw"
+        );
+        balances[paymentToken][account] = 0;
+        if (address(paymentToken) == address(0)) {
+            Address.sendValue(payable(account), amount);
+        } else {
+            paymentToken.safeTransfer(account, amount);
+        }
+    }
+}
@@ -0,0 +1,135 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.9;
+
+/// IERC721.sol is an interface that defines the required methods for an ERC721 contract
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+/// IERC1155.sol is an interface that defines the required methods for an ERC1155 contract
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+/// ERC165Checker library provides utilities to query the interfaces supported by a contract
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+
+/**
+ * @notice LotteryPrizes is the library that moves the prizes of the MeltyFi lotteries. The prize of a lottery
+ *         is a bundle of tokens, possibly from different collections, each one being an ERC721 token or
+ *         an amount of an ERC1155 token.
+ *         Its functions are external and run with delegatecall in the context of MeltyFiNFT, which keeps
+ *         the bytecode of MeltyFiNFT under the contract size limit.
+ */
+library LotteryPrizes {
+
+    /// Token standards of the prizes
+    enum Standard {
+        ERC721,
+        ERC1155
+    }
+
+    /// Struct for storing a token of the prize bundle of a lottery
+    struct Prize {
+        /// Contract of the token
+        address prizeContract;
+        /// ID of the token
+        uint256 prizeTokenId;
+        /// Amount of tokens, always 1 for ERC721 tokens
+        uint256 prizeAmount;
+        /// Token standard of the contract
+        Standard prizeStandard;
+    }
+
+    /// Maximum number of tokens in the prize bundle of a lottery, so that it can always be transferred in one transaction
+    uint256 internal constant MAX_BUNDLE_SIZE = 20;
+
+    /**
+     * @notice Transfers a bundle of tokens from its owner to this contract and stores it.
+     *
+     * @dev Contracts that support the ERC1155 interface are treated as ERC1155, any other contract as ERC721.
+     *      Raises error if the bundle is empty or has more than `MAX_BUNDLE_SIZE` tokens.
+     *      Raises error if the arrays describing the bundle have different lengths.
+     *      Raises error if the amount of an ERC721 token is not 1.
+     *      Raises error if the amount of an ERC1155 token is 0.
+     *
+     * @param prizes The empty storage array in which the bundle is stored.
+     * @param prizeContracts The contracts of the tokens.
+     * @param prizeTokenIds The IDs of the tokens.
+     * @param prizeAmounts The amounts of the tokens.
+     * @param from The owner of the tokens.
+     */
+    function escrow(
+        Prize[] storage prizes,
+        address[] calldata prizeContracts,
+        uint256[] calldata prizeTokenIds,
+        uint256[] calldata prizeAmounts,
+        address from
+    ) external
+    {
+        /// The bundle must have at least one and at most MAX_BUNDLE_SIZE tokens
+        require(
+            prizeContracts.length > 0,
+            "MeltyFi: The prize bundle is empty"
+        );
+        require(
+            prizeContracts.length <= MAX_BUNDLE_SIZE,
+            "MeltyFi: The prize bundle has too many tokens"
+        );
+        /// The arrays describing the bundle must have the same length
+        require(
+            prizeTokenIds.length == prizeContracts.length && prizeAmounts.length == prizeContracts.length,
+            "MeltyFi: The prize arrays have different lengths"
+        );
+        for (uint256 i = 0; i < prizeContracts.length; i++) {
+            Standard prizeStandard = _escrow(prizeContracts[i], prizeTokenIds[i], prizeAmounts[i], from);
+            prizes.push(Prize(prizeContracts[i], prizeTokenIds[i], prizeAmounts[i], prizeStandard));
+        }
+    }
+
+    /**
+     * @notice Transfers a bundle of tokens from this contract to a given address.
+     *
+     * @param prizes The bundle, as stored by `escrow`.
+     * @param to The address receiving the bundle.
+     */
+    function release(
+        Prize[] storage prizes,
+        address to
+    ) external
+    {
+        for (uint256 i = 0; i < prizes.length; i++) {
+            Prize storage prize = prizes[i];
+            if (prize.prizeStandard == Standard.ERC1155) {
+                IERC1155(prize.prizeContract).safeTransferFrom(address(this), to, prize.prizeTokenId, prize.prizeAmount, "");
+            } else {
+                IERC721(prize.prizeContract).safeTransferFrom(address(this), to, prize.prizeTokenId);
+            }
+        }
+    }
+
+    /**
+     * @dev Transfers a token of a bundle from its owner to this contract.
+     *
+     * @return The token standard of the contract.
+     */
+    function _escrow(
+        address prizeContract,
+        uint256 prizeTokenId,
+        uint256 prizeAmount,
+        address from
+    ) private returns (Standard)
+    {
+        if (ERC165Checker.supportsInterface(prizeContract, type(IERC1155).interfaceId)) {
+            /// The amount of an ERC1155 token must be greater than 0
+            require(
+                prizeAmount > 0,
+                "MeltyFi: The amount of an ERC1155 prize is 0"
+            );
+            IERC1155(prizeContract).safeTransferFrom(from, address(this), prizeTokenId, prizeAmount, "");
+            return Standard.ERC1155;
+        }
+        /// The amount of an ERC721 token must be 1
+        require(
+            prizeAmount == 1,
+            "MeltyFi: The amount of an ERC721 prize is not 1"
+        );
+        IERC721(prizeContract).safeTransferFrom(from, address(this), prizeTokenId);
+        return Standard.ERC721;
+    }
+}
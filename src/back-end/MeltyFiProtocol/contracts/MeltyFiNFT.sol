@@ -4,26 +4,36 @@ pragma solidity ^0.8.9;
 
 /// ChocoChip.sol is the governance token of the MeltyFi protocol
 import "./ChocoChip.sol";
-/// LogoCollection.sol is the meme token of the MeltyFi protocol
+/// LogoCollection.sol is the collection of the logo and of the achievement badges of the MeltyFi protocol
 import "./LogoCollection.sol";
 /// MeltyFiDAO.sol is the governance contract of the MeltyFi protocol
 import "./MeltyFiDAO.sol";
 /// VRFv2DirectFundingConsumer.sol is a contract that generates random number
 import "./VRFv2DirectFundingConsumer.sol";
+/// LotteryPrizes.sol is the library that transfers the bundles of ERC721 and ERC1155 prizes of the lotteries
+import "./LotteryPrizes.sol";
+/// LotteryPayments.sol is the library that collects and withdraws the Ether and the ERC20 tokens paid in the lotteries
+import "./LotteryPayments.sol";
+/// WonkaBarMetadata.sol is the contract that renders the metadata of the WonkaBars
+import "./WonkaBarMetadata.sol";
 /// AutomationBase.sol is a contract that provides basic functionality for integration with Chainlink, a platform for creating connections between smart contracts and external services
 import "@chainlink/contracts/src/v0.8/AutomationBase.sol";
 /// AutomationCompatibleInterface.sol is an interface that defines the required methods for being compatible with the Chainlink platform and using its automation functionality
 import "@chainlink/contracts/src/v0.8/interfaces/AutomationCompatibleInterface.sol";
 ///Ownable.sol is a contract that provides a basic access control mechanism
 import "@openzeppelin/contracts/access/Ownable.sol";
+/// ReentrancyGuard.sol is a contract that prevents nested calls to the functions that move tokens
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 /// ERC1155Supply.sol is a contract that extends the ERC1155 contract and provides functionality for managing the supply of ERC1155 tokens
 import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
-/// IERC721.sol is an interface that defines the required methods for an ERC721 contract
-import "@openzeppelin/contracts/token/ERC721/IERC721.sol"; 
+/// IERC20.sol is an interface that defines the required methods for an ERC20 contract
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+/// draft-IERC20Permit.sol is an interface that defines the EIP-2612 permit method of an ERC20 contract
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
+/// IERC1155Receiver.sol is an interface that defines methods for receiving ERC1155 tokens
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
 /// IERC721Receiver.sol is an interface that defines methods for receiving ERC721 tokens
 import"@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
-/// Address library provides utilities for working with addresses
-import "@openzeppelin/contracts/utils/Address.sol"; 
 /// EnumerableSet library provides a data structure for storing and iterating over sets of values
 import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol"; 
 
@@ -31,25 +41,33 @@ import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
  * @notice MeltyFiNFT is the contract that that runs the core functionality of the MeltyFi protocol.
  *         It manages the creation, cancellation and conclusion of lotteries, as well as the
  *         sale and refund of WonkaBars for each lottery, and also reward good users with ChocoChips.
- *         The contract allows users to create a lottery by choosing their NFT to put as lottery prize,
- *         setting an expiration date and defining a price in Ether for each WonkaBar sold.
+ *         The contract allows users to create a lottery by choosing their NFTs to put as lottery prize,
+ *         a bundle of ERC721 tokens and amounts of ERC1155 tokens, possibly from different collections,
+ *         setting an expiration date and defining a price for each WonkaBar sold, either in Ether or
+ *         in an ERC20 token accepted by the MeltyFiDAO.
  *         When a lottery is created, the contract will be able to mint a fixed amount of WonkaBars
  *         (setted by lottery owner) for the lottery. These WonkaBars are sold to users interested
- *         in participating in the lottery and money raised are sent to the lottery owner (less some fees).
- *         Once the expiration date is reached, the contract selects a random WonkaBar
+ *         in participating in the lottery and money raised are credited to the lottery owner (less some fees).
+ *         Once the expiration date is reached, the contract requests a random number to the
+ *         VRFv2DirectFundingConsumer and, when the request is fulfilled, selects a random WonkaBar
  *         holder as the winner, who receives the prize NFT. Plus every wonkabar holder is rewarded
  *         with ChocoCips. If the lottery is cancelled by the owner beafore the expiration date,
  *         the contract refunds WonkaBars holders with Ether of the lottery owners. Plus every
  *         wonkabar holder is rewarded with ChocoCips.
+ *         Payments are never pushed: the lottery owners, the MeltyFiDAO and the refunded holders are credited
+ *         a withdrawable balance, see `withdraw`.
+ *         The lotteries created, the loans repaid, the lotteries won and the WonkaBars bought by every user are recorded
+ *         in the LogoCollection contract, which mints the achievement badges of the milestones reached.
  */
-contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase, AutomationCompatibleInterface {
+contract MeltyFiNFT is Ownable, IERC721Receiver, IERC1155Receiver, IRandomWordsReceiver, ERC1155Supply, AutomationBase, AutomationCompatibleInterface, ReentrancyGuard {
 
     /// Data type representing the possible states of a lottery
     enum lotteryState {
         ACTIVE,
         CANCELLED,
         CONCLUDED,
-        TRASHED
+        TRASHED,
+        AWAITING_RANDOMNESS
     }
 
     /// Struct for storing the information of a lottery
@@ -60,24 +78,137 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
         uint256 id;
         /// Owner of the lottery
         address owner;
-        /// Prize NFT contract of the lottery
-        IERC721 prizeContract;
-        /// Prize NFT token ID of the lottery
-        uint256 prizeTokenId;
         /// State of the lottery
         lotteryState state;
         /// Winner of the lottery
         address winner;
+        /// Whether the winner of the lottery has already received the prize bundle
+        bool prizeClaimed;
         /// Number of WonkaBars sold for the lottery
         uint256 wonkaBarsSold;
         /// Maximum supply of WonkaBars for the lottery
         uint256 wonkaBarsMaxSupply;
-        /// Price of each WonkaBar for the lottery, in wei
+        /// Price of each WonkaBar for the lottery, in wei or in the smallest unit of the payment token
         uint256 wonkaBarPrice;
+        /// ERC20 token in which the lottery is paid, or the zero address if it is paid in Ether
+        IERC20 paymentToken;
+        /// Amount already repaid by the owner for each WonkaBar, refunded to its holder when it is melted.
+        /// Once the loan is repaid, it is the whole price of the WonkaBar plus its share of the interest
+        uint256 refundPerWonkaBar;
+        /// Total time by which the owner extended the lottery, in seconds
+        uint256 extension;
+        /// Yearly interest percentage on the loan, set when the lottery is created
+        uint256 interestPercentage;
+        /// Sum of the timestamps from which the WonkaBars sold accrue interest on the part of their price not repaid yet:
+        /// their purchase, or the last partial repayment, which changed that part
+        uint256 wonkaBarsPurchaseTimes;
+        /// Interest accrued by all the WonkaBars sold until the last partial repayment
+        uint256 accruedInterest;
     }
 
-    /// Using Address for address type
-    using Address for address;
+    /// Emitted when a new lottery is created
+    event LotteryCreated(
+        uint256 indexed lotteryId,
+        address indexed owner,
+        uint256 expirationDate,
+        uint256 wonkaBarPrice,
+        uint256 wonkaBarsMaxSupply,
+        IERC20 paymentToken
+    );
+    /// Emitted for every token of the prize bundle of a new lottery, right after `LotteryCreated`
+    event PrizeEscrowed(
+        uint256 indexed lotteryId,
+        address indexed prizeContract,
+        uint256 prizeTokenId,
+        uint256 prizeAmount
+    );
+    /// Emitted when WonkaBars of a lottery are bought
+    event WonkaBarsBought(
+        uint256 indexed lotteryId,
+        address indexed buyer,
+        uint256 amount,
+        uint256 totalSpending
+    );
+    /// Emitted when the owner of a lottery repays the loan and the lottery is cancelled
+    event LoanRepaid(
+        uint256 indexed lotteryId,
+        address indexed owner,
+        uint256 amount
+    );
+    /// Emitted when the owner of a lottery repays part of the loan, crediting `refundPerWonkaBar` to every WonkaBar
+    event LoanPartiallyRepaid(
+        uint256 indexed lotteryId,
+        address indexed owner,
+        uint256 amount,
+        uint256 refundPerWonkaBar
+    );
+    /// Emitted when the owner of a lottery pays a fee to the MeltyFiDAO to postpone its expiration date
+    event LotteryExtended(
+        uint256 indexed lotteryId,
+        uint256 expirationDate,
+        uint256 fee
+    );
+    /// Emitted when random words are requested to draw the winner of a lottery
+    event DrawRequested(
+        uint256 indexed lotteryId,
+        uint256 indexed requestId
+    );
+    /// Emitted when the winner of a lottery is chosen and the lottery is concluded
+    event WinnerChosen(
+        uint256 indexed lotteryId,
+        address indexed winner
+    );
+    /// Emitted when WonkaBars of a lottery are melted, with the refund, the ChocoChips and whether the prize was claimed
+    event WonkaBarsMelted(
+        uint256 indexed lotteryId,
+        address indexed holder,
+        uint256 amount,
+        uint256 refund,
+        uint256 amountChocoChip,
+        bool prizeClaimed
+    );
+    /// Emitted when a lottery is trashed
+    event LotteryTrashed(
+        uint256 indexed lotteryId
+    );
+    /// Emitted when the balance of an address in a payment token is withdrawn
+    event Withdrawn(
+        IERC20 indexed paymentToken,
+        address indexed account,
+        uint256 amount
+    );
+    /// Emitted when the owner changes the amount of ChocoChips per Ether
+    event AmountChocoChipPerEtherChanged(
+        uint256 oldValue,
+        uint256 newValue
+    );
+    /// Emitted when the owner changes the amount of ChocoChips per unit of an ERC20 payment token
+    event AmountChocoChipPerTokenChanged(
+        IERC20 indexed token,
+        uint256 oldValue,
+        uint256 newValue
+    );
+    /// Emitted when the owner changes the percentage of royalties paid to the MeltyFiDAO
+    event RoyaltyDAOPercentageChanged(
+        uint256 oldValue,
+        uint256 newValue
+    );
+    /// Emitted when the owner changes the yearly interest percentage of the lotteries
+    event InterestPercentageChanged(
+        uint256 oldValue,
+        uint256 newValue
+    );
+    /// Emitted when the owner changes the upper limit wonkabar balance percentage for a single address
+    event UpperLimitBalanceOfPercentageChanged(
+        uint256 oldValue,
+        uint256 newValue
+    );
+    /// Emitted when the owner changes the upper limit wonkabar supply for a single lottery
+    event UpperLimitMaxSupplyChanged(
+        uint256 oldValue,
+        uint256 newValue
+    );
+
     /// Using EnumerableSet for EnumerableSet.AddressSet type
     using EnumerableSet for EnumerableSet.AddressSet;
     /// Using EnumerableSet for EnumerableSet.UintSet type
@@ -91,15 +222,37 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
     MeltyFiDAO internal immutable _contractMeltyFiDAO;
     /// Instance of the VRFv2DirectFundingConsumer contract
     VRFv2DirectFundingConsumer internal immutable _contractVRFv2DirectFundingConsumer;
+    /// Instance of the WonkaBarMetadata contract
+    WonkaBarMetadata internal immutable _contractWonkaBarMetadata;
+
+    /// Bounds within which the owner can set the protocol parameters
+    uint256 internal constant _MAX_AMOUNT_CHOCOCHIP_PER_ETHER = 1000000;
+    uint256 internal constant _MAX_AMOUNT_CHOCOCHIP_PER_TOKEN = 1000000 * 1e18;
+    uint256 internal constant _MAX_ROYALTY_DAO_PERCENTAGE = 20;
+    uint256 internal constant _MAX_UPPER_LIMIT_MAX_SUPPLY = 10000;
+    uint256 internal constant _MAX_INTEREST_PERCENTAGE = 100;
+
+    /// Maximum total time by which the owner of a lottery can extend it
+    uint256 internal constant _MAX_EXTENSION = 30 days;
+    /// Percentage of the outstanding balance of a loan paid to the MeltyFiDAO for the longest extension,
+    /// shorter extensions pay proportionally less
+    uint256 internal constant _EXTENSION_FEE_PERCENTAGE = 5;
 
     /// Amount of ChocoChips per Ether
-    uint256 internal immutable _amountChocoChipPerEther;
+    uint256 internal _amountChocoChipPerEther;
+    /// maps an ERC20 payment token to the amount of ChocoChips per unit of the token, both in their smallest units.
+    /// Lotteries can only be created with the tokens that have an amount set.
+    mapping(
+        IERC20 => uint256
+    ) internal _amountChocoChipPerToken;
     /// Percentage of royalties to be paid to the MeltyFiDAO
-    uint256 internal immutable _royaltyDAOPercentage;
+    uint256 internal _royaltyDAOPercentage;
+    /// Yearly interest percentage on the loans of the lotteries created from now on
+    uint256 internal _interestPercentage;
     /// Upper limit wonkabar balance percentage for a single address for a single lottery
-    uint256 internal immutable _upperLimitBalanceOfPercentage;
+    uint256 internal _upperLimitBalanceOfPercentage;
     /// Upper limit wonkabar supply for a single lottery
-    uint256 internal immutable _upperLimitMaxSupply;
+    uint256 internal _upperLimitMaxSupply;
 
     /// Total number of lotteries created.
     uint256 internal _totalLotteriesCreated;
@@ -109,6 +262,16 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
         uint256 => Lottery
     ) internal _lotteryIdToLottery;
 
+    /// maps a payment token, or the zero address for Ether, to the amount of it that each address can withdraw
+    mapping(
+        IERC20 => mapping(address => uint256)
+    ) internal _withdrawableBalances;
+
+    /// maps a unique lottery ID to the bundle of tokens that make up its prize
+    mapping(
+        uint256 => LotteryPrizes.Prize[]
+    ) internal _lotteryIdToPrizes;
+
     /// maps the address of a lottery owner to a set of lottery IDs that they own
     mapping(
         address => EnumerableSet.UintSet
@@ -127,6 +290,19 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
     /// set that stores the IDs of all active lotteries
     EnumerableSet.UintSet internal _activeLotteryIds;
 
+    /// set that stores the IDs of all lotteries waiting for the random number that draws their winner
+    EnumerableSet.UintSet internal _awaitingRandomnessLotteryIds;
+
+    /// maps a lottery ID to the ID of the VRF request that draws its winner
+    mapping(
+        uint256 => uint256
+    ) internal _lotteryIdToRequestId;
+
+    /// maps the ID of a VRF request to the ID of the lottery whose winner it draws
+    mapping(
+        uint256 => uint256
+    ) internal _requestIdToLotteryId;
+
     /**
      * @notice Creates a new instance of the MeltyFiNFT contract.
      *
@@ -138,13 +314,16 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
      * @param contractChocoChip instance of the ChocoChip contract.
      * @param contractLogoCollection instance of the LogoCollection contract.
      * @param contractMeltyFiDAO instance of the MeltyFiDAO contract.
+     * @param contractVRFv2DirectFundingConsumer instance of the VRFv2DirectFundingConsumer contract.
+     * @param contractWonkaBarMetadata instance of the WonkaBarMetadata contract, which renders the metadata of the WonkaBars.
      */
     constructor(
         ChocoChip contractChocoChip,
         LogoCollection contractLogoCollection,
         MeltyFiDAO contractMeltyFiDAO,
-        VRFv2DirectFundingConsumer contractVRFv2DirectFundingConsumer
-    ) ERC1155("https://ipfs.io/ipfs/QmTiQsRBGcKyyipnRGVTu8dPfykM89QHn81KHX488cTtxa")
+        VRFv2DirectFundingConsumer contractVRFv2DirectFundingConsumer,
+        WonkaBarMetadata contractWonkaBarMetadata
+    ) ERC1155("")
     {
         /// The ChocoChip contract and the MeltyFiDAO token must be the same contract
         require(
@@ -171,6 +350,8 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
         _contractLogoCollection = contractLogoCollection;
         _contractMeltyFiDAO = contractMeltyFiDAO;
         _contractVRFv2DirectFundingConsumer = contractVRFv2DirectFundingConsumer;
+        _contractWonkaBarMetadata = contractWonkaBarMetadata;
+        /// Initializing the protocol parameters, which the owner can change later
         _amountChocoChipPerEther = 1000;
         _royaltyDAOPercentage = 5;
         _upperLimitBalanceOfPercentage = 25;
@@ -206,6 +387,122 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
         return IERC721Receiver.onERC721Received.selector;
     }
 
+    /**
+     * @notice A function that is called when an ERC1155 token is received by this contract.
+     *
+     * @param operator The address of the operator that is transferring the tokens.
+     * @param from The address of the token owner.
+     * @param id The identifier of the token being transferred.
+     * @param value The amount of tokens being transferred.
+     * @param data Additional data associated with the token transfer.
+     *
+     * @return The four-byte selector of the `onERC1155Received` function.
+     */
+    function onERC1155Received(
+        address operator,
+        address from,
+        uint256 id,
+        uint256 value,
+        bytes calldata data
+    ) external pure returns (bytes4) {
+        return IERC1155Receiver.onERC1155Received.selector;
+    }
+
+    /**
+     * @notice A function that is called when a batch of ERC1155 tokens is received by this contract.
+     *
+     * @param operator The address of the operator that is transferring the tokens.
+     * @param from The address of the token owner.
+     * @param ids The identifiers of the tokens being transferred.
+     * @param values The amounts of tokens being transferred.
+     * @param data Additional data associated with the token transfer.
+     *
+     * @return The four-byte selector of the `onERC1155BatchReceived` function.
+     */
+    function onERC1155BatchReceived(
+        address operator,
+        address from,
+        uint256[] calldata ids,
+        uint256[] calldata values,
+        bytes calldata data
+    ) external pure returns (bytes4) {
+        return IERC1155Receiver.onERC1155BatchReceived.selector;
+    }
+
+    /**
+     * @notice Returns whether this contract implements an interface, including the ERC721 and ERC1155 receivers.
+     *
+     * @param interfaceId The ERC165 identifier of the interface.
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view override(ERC1155, IERC165) returns (bool) {
+        return 
+            interfaceId == type(IERC721Receiver).interfaceId
+            ||
+            interfaceId == type(IERC1155Receiver).interfaceId
+            ||
+            super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @notice Returns the metadata of the WonkaBars of a lottery, rendered by the WonkaBarMetadata contract
+     *         as a base64 JSON data URI with the prize, the expiration date, the price, the state, the winner
+     *         and an SVG image of the lottery.
+     *
+     * @dev Raises error if the lottery does not exist.
+     *
+     * @param lotteryId The ID of the lottery, which is also the ID of its WonkaBars.
+     */
+    function uri(
+        uint256 lotteryId
+    ) public view override returns (string memory)
+    {
+        return _contractWonkaBarMetadata.uri(lotteryId);
+    }
+
+    /**
+     * @notice A function that is called by the VRFv2DirectFundingConsumer contract when a request for random words is fulfilled.
+     *
+     * @dev Raises error if the caller is not the VRFv2DirectFundingConsumer contract.
+     *      If the request draws the winner of a lottery that is still awaiting randomness, the winner is set right away.
+     *      Otherwise nothing happens, and `settleWinner` can still be called later.
+     *
+     * @param requestId The ID of the fulfilled request.
+     */
+    function onRandomWordsFulfilled(
+        uint256 requestId
+    ) external
+    {
+        /// The caller must be the VRFv2DirectFundingConsumer contract
+        require(
+            _msgSender() == _addressVRFv2DirectFundingConsumer(),
+            "MeltyFi: The caller is not the VRFv2DirectFundingConsumer contract"
+        );
+        /// retrieve the lottery drawn by the given request
+        uint256 lotteryId = _requestIdToLotteryId[requestId];
+        /// set the winner only if the lottery is still waiting for this request
+        if (
+            _lotteryIdToLottery[lotteryId].state == lotteryState.AWAITING_RANDOMNESS
+            &&
+            _lotteryIdToRequestId[lotteryId] == requestId
+        ) {
+            _settleWinner(lotteryId);
+        }
+    }
+
+    /**
+     * @notice Accepts the ownership of the VRFv2DirectFundingConsumer contract.
+     *
+     * @dev The ownership of the VRFv2DirectFundingConsumer contract is transferred in two steps,
+     *      so it must be accepted by this contract before it can request random words.
+     */
+    function acceptOwnershipVRFv2DirectFundingConsumer() external onlyOwner
+    {
+        /// call the acceptOwnership function of VRFv2DirectFundingConsumer contract
+        _contractVRFv2DirectFundingConsumer.acceptOwnership();
+    }
+
     /**
      * @notice This function allows the owner of the contract to take a snapshot of the choco chip balance
      */
@@ -215,6 +512,136 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
         _contractChocoChip.snapshot();
     }
 
+    /**
+     * @notice Sets the amount of ChocoChips minted per Ether repaid or refunded.
+     *
+     * @dev Once the ownership is handed to the TimelockController, it can only be changed by a MeltyFiDAO proposal.
+     *      Raises error if the amount is 0 or greater than `_MAX_AMOUNT_CHOCOCHIP_PER_ETHER`.
+     *
+     * @param amountChocoChipPerEther The new amount of ChocoChips per Ether.
+     */
+    function setAmountChocoChipPerEther(
+        uint256 amountChocoChipPerEther
+    ) external onlyOwner
+    {
+        /// The amount must be within its bounds
+        require(
+            amountChocoChipPerEther > 0 && amountChocoChipPerEther <= _MAX_AMOUNT_CHOCOCHIP_PER_ETHER,
+            "MeltyFi: amountChocoChipPerEther out of bounds"
+        );
+        emit AmountChocoChipPerEtherChanged(_amountChocoChipPerEther, amountChocoChipPerEther);
+        _amountChocoChipPerEther = amountChocoChipPerEther;
+    }
+
+    /**
+     * @notice Sets the amount of ChocoChips minted per unit of an ERC20 payment token repaid or refunded,
+     *         which also makes the token accepted as payment token of new lotteries.
+     *
+     * @dev Both amounts are in their smallest units, so the amount must account for the decimals of the token.
+     *      Setting the amount to 0 stops accepting the token for new lotteries, while its current lotteries go on
+     *      without rewarding ChocoChips. Tokens that charge fees on transfer must not be accepted, since the
+     *      refunds would not be covered.
+     *      Raises error if the amount is greater than `_MAX_AMOUNT_CHOCOCHIP_PER_TOKEN`.
+     *
+     * @param token The ERC20 payment token.
+     * @param amountChocoChipPerToken The new amount of ChocoChips per unit of the token.
+     */
+    function setAmountChocoChipPerToken(
+        IERC20 token,
+        uint256 amountChocoChipPerToken
+    ) external onlyOwner
+    {
+        /// The amount must be within its bounds
+        require(
+            amountChocoChipPerToken <= _MAX_AMOUNT_CHOCOCHIP_PER_TOKEN,
+            "MeltyFi: amountChocoChipPerToken out of bounds"
+        );
+        emit AmountChocoChipPerTokenChanged(token, _amountChocoChipPerToken[token], amountChocoChipPerToken);
+        _amountChocoChipPerToken[token] = amountChocoChipPerToken;
+    }
+
+    /**
+     * @notice Sets the percentage of each WonkaBar purchase paid to the MeltyFiDAO as royalties.
+     *
+     * @dev Raises error if the percentage is greater than `_MAX_ROYALTY_DAO_PERCENTAGE`.
+     *
+     * @param royaltyDAOPercentage The new percentage of royalties.
+     */
+    function setRoyaltyDAOPercentage(
+        uint256 royaltyDAOPercentage
+    ) external onlyOwner
+    {
+        /// The percentage must be within its bounds
+        require(
+            royaltyDAOPercentage <= _MAX_ROYALTY_DAO_PERCENTAGE,
+            "MeltyFi: royaltyDAOPercentage out of bounds"
+        );
+        emit RoyaltyDAOPercentageChanged(_royaltyDAOPercentage, royaltyDAOPercentage);
+        _royaltyDAOPercentage = royaltyDAOPercentage;
+    }
+
+    /**
+     * @notice Sets the yearly interest percentage that the owners of the lotteries created from now on pay
+     *         to the WonkaBar holders when they repay the loan.
+     *
+     * @dev Raises error if the percentage is greater than `_MAX_INTEREST_PERCENTAGE`.
+     *
+     * @param interestPercentage The new yearly interest percentage.
+     */
+    function setInterestPercentage(
+        uint256 interestPercentage
+    ) external onlyOwner
+    {
+        /// The percentage must be within its bounds
+        require(
+            interestPercentage <= _MAX_INTEREST_PERCENTAGE,
+            "MeltyFi: interestPercentage out of bounds"
+        );
+        emit InterestPercentageChanged(_interestPercentage, interestPercentage);
+        _interestPercentage = interestPercentage;
+    }
+
+    /**
+     * @notice Sets the maximum percentage of the WonkaBars of a lottery that a single address can hold.
+     *
+     * @dev It also applies to the lotteries already created, for the WonkaBars bought from now on.
+     *      Raises error if the percentage is 0 or greater than 100.
+     *
+     * @param upperLimitBalanceOfPercentage The new upper limit balance percentage.
+     */
+    function setUpperLimitBalanceOfPercentage(
+        uint256 upperLimitBalanceOfPercentage
+    ) external onlyOwner
+    {
+        /// The percentage must be within its bounds
+        require(
+            upperLimitBalanceOfPercentage > 0 && upperLimitBalanceOfPercentage <= 100,
+            "MeltyFi: upperLimitBalanceOfPercentage out of bounds"
+        );
+        emit UpperLimitBalanceOfPercentageChanged(_upperLimitBalanceOfPercentage, upperLimitBalanceOfPercentage);
+        _upperLimitBalanceOfPercentage = upperLimitBalanceOfPercentage;
+    }
+
+    /**
+     * @notice Sets the maximum supply of WonkaBars of the lotteries created from now on.
+     *
+     * @dev Raises error if the supply is 0 or greater than `_MAX_UPPER_LIMIT_MAX_SUPPLY`.
+     *
+     * @param upperLimitMaxSupply The new upper limit supply.
+     */
+    function setUpperLimitMaxSupply(
+        uint256 upperLimitMaxSupply
+    ) external onlyOwner
+    {
+        /// The supply must be within its bounds
+        require(
+            upperLimitMaxSupply > 0 && upperLimitMaxSupply <= _MAX_UPPER_LIMIT_MAX_SUPPLY,
+            "MeltyFi: upperLimitMaxSupply out of bounds"
+        );
+        emit UpperLimitMaxSupplyChanged(_upperLimitMaxSupply, upperLimitMaxSupply);
+        _upperLimitMaxSupply = upperLimitMaxSupply;
+    }
+
     /**
      * @notice An internal function that is called before a token transfer occurs.
      *
@@ -242,6 +669,11 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
     {
         /// update _wonkaBarHolderToLotteryIds and _lotteryIdToWonkaBarHolders
         for (uint256 i=0; i<ids.length; i++) {
+            /// WonkaBars must not change hands while the winner is being drawn
+            require(
+                _lotteryIdToLottery[ids[i]].state != lotteryState.AWAITING_RANDOMNESS,
+                "MeltyFi: WonkaBars cannot be transferred while the lottery is awaiting randomness"
+            );
             if (amounts[i] != 0 && to != address(0)) {
                 _wonkaBarHolderToLotteryIds[to].add(ids[i]);
                 _lotteryIdToWonkaBarHolders[ids[i]].add(to);
@@ -332,25 +764,57 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
     }
 
     /**
-     * @dev An internal function that calculates the amount to refund to a given address for a given lottery.
-     *      This function is called only if the lottery is cancelled. 
+     * @dev An internal function that returns the address of the WonkaBarMetadata contract.
+     *
+     * @return The address of the WonkaBarMetadata contract.
+     */
+    function _addressWonkaBarMetadata() internal view returns (address) 
+    {
+        /// return the address of the WonkaBarMetadata contract
+        return address(_contractWonkaBarMetadata);
+    }
+
+    /**
+     * @dev An internal function that calculates the ChocoChips rewarded for an amount paid in a given lottery.
+     *
+     * @param lottery The lottery in which the amount is paid.
+     * @param amount The amount, in wei or in the smallest unit of the payment token of the lottery.
+     *
+     * @return The amount of ChocoChips to mint.
+     */
+    function _amountChocoChip(
+        Lottery storage lottery,
+        uint256 amount
+    ) internal view returns (uint256)
+    {
+        /// lotteries paid in Ether use the amount per Ether, the others the amount per unit of their token
+        if (address(lottery.paymentToken) == address(0)) {
+            return amount * _amountChocoChipPerEther;
+        }
+        return amount * _amountChocoChipPerToken[lottery.paymentToken];
+    }
+
+    /**
+     * @dev An internal function that calculates the amount to refund for an amount of WonkaBars of a given lottery.
+     *      WonkaBars of a cancelled lottery are refunded their whole price plus the interest, the others the part
+     *      of it already repaid by the owner.
      *
      * @param lottery The lottery for which to calculate the refund amount.
-     * @param addressToRefund The address to which the refund will be made.
+     * @param amount The amount of WonkaBars.
      *
-     * @return The amount to refund to the given address for the given lottery.
+     * @return The amount to refund for the WonkaBars.
      */
     function _amountToRefund(
-        Lottery memory lottery, 
-        address addressToRefund
+        Lottery storage lottery, 
+        uint256 amount
     ) internal view returns (uint256)
     {
-        /// return the WonkaBar balance of the address in the given lottery multiplied by the price of WonkaBars in the lottery
-        return balanceOf(addressToRefund, lottery.id) * lottery.wonkaBarPrice;
+        /// return the amount of WonkaBars multiplied by the refund of each WonkaBar
+        return amount * lottery.refundPerWonkaBar;
     }
 
     /**
-     * @dev An internal function that calculates the amount to repay for a given lottery.
+     * @dev An internal function that calculates the outstanding balance of the loan of a given lottery.
      *      This function is called only if the lottery is active. 
      *
      * @param lottery The lottery for which to calculate the amount to repay.
@@ -358,41 +822,403 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
      * @return The amount to repay for the given lottery.
      */
     function _amountToRepay(
-        Lottery memory lottery
-    ) internal pure returns (uint256)  
+        Lottery storage lottery
+    ) internal view returns (uint256)  
+    {
+        /// return the number of WonkaBars sold in the lottery multiplied by the part of their price not repaid yet, plus the interest
+        return lottery.wonkaBarsSold * (lottery.wonkaBarPrice - lottery.refundPerWonkaBar + _interestPerWonkaBar(lottery));
+    }
+
+    /**
+     * @dev An internal function that buys Wonka Bars of a lottery for the caller, see `buyWonkaBars`.
+     *
+     * @param lotteryId The ID of the lottery for which the Wonka Bars are being purchased.
+     * @param amount The number of Wonka Bars to be purchased.
+     */
+    function _buyWonkaBars(
+        uint256 lotteryId,
+        uint256 amount
+    ) internal
+    {
+        /// retrieve the lottery with the given ID
+        Lottery storage lottery = _lotteryIdToLottery[lotteryId];
+        /// calculate the total spending for the Wonka Bars
+        uint256 totalSpending = amount * lottery.wonkaBarPrice;
+        /// The lottery must be really active
+        require(
+            block.timestamp < lottery.expirationDate,
+            "MeltyFiNFT: The lottery is not really active"
+        );
+        /// The owner must not have started repaying the loan, so that every WonkaBar is credited the same refund
+        require(
+            lottery.refundPerWonkaBar == 0,
+            "MeltyFi: The loan of the lottery is being repaid"
+        );
+        /// After this purchease the total supply of WonkaBars must not exceed the maximum supply allowed.
+        require(
+            lottery.wonkaBarsSold + amount <= lottery.wonkaBarsMaxSupply,
+            "MeltyFi: After this purchease the total supply of WonkaBars will exceed the maximum supply allowed"
+        );
+        /// The caller's balance of Wonka Bars for this lottery, after the purchase, must not exceed the _upperLimitBalanceOfPercentage
+        require(
+            (
+                ((balanceOf(_msgSender(), lotteryId) + amount + 1) * 100)
+                / 
+                lottery.wonkaBarsMaxSupply
+            )
+            <=
+            _upperLimitBalanceOfPercentage,
+            "MeltyFi: The caller's balance of Wonka Bars for this lottery, after the purchase, will exceed the _upperLimitBalanceOfPercentage"
+        );
+        /// split the total spending between the MeltyFiDAO, which gets _royaltyDAOPercentage of it, and the owner of the lottery
+        uint256 valueToDAO = (totalSpending / 100) * _royaltyDAOPercentage;
+        uint256 valueToLotteryOwner = totalSpending - valueToDAO;
+        /// The caller must sent anough amount of Ether to cover the cost of the Wonka Bars
+        require(
+            address(lottery.paymentToken) != address(0) || msg.value >= totalSpending,
+            "MeltyFiNFT: The value sent is not enough to cover the cost of the Wonka Bars"
+        );
+        /// collect the payment and credit it to the MeltyFiDAO and to the owner of the lottery, who withdraw it later
+        _collectPayment(lottery, totalSpending);
+        _credit(lottery, _addressMeltyFiDAO(), valueToDAO);
+        _credit(lottery, lottery.owner, valueToLotteryOwner);
+        /// update the total number of Wonka Bars sold for the lottery, and the time from which they accrue interest
+        lottery.wonkaBarsSold += amount;
+        lottery.wonkaBarsPurchaseTimes += amount * block.timestamp;
+        /// mint the Wonka Bars for the caller
+        _mint(_msgSender(), lotteryId, amount, "");
+        emit WonkaBarsBought(lotteryId, _msgSender(), amount, totalSpending);
+        _recordAction(LogoCollection.Action.WONKABARS_BOUGHT, amount);
+    }
+
+    /**
+     * @dev An internal function that checks that the caller can manage the loan of a lottery, see `repayLoan`.
+     *      Raises error if the caller is not the owner of the lottery.
+     *      Raises error if the lottery is not more active.
+     *
+     * @param lottery The lottery whose loan is managed.
+     */
+    function _checkLoanOwner(
+        Lottery storage lottery
+    ) internal view
+    {
+        /// The caller must be the owner of the lottery
+        require(
+            lottery.owner == _msgSender(),
+            "MeltyFi: The caller is not the owner of the lottery"
+        );
+        /// The lottery must be active
+        require(
+            block.timestamp < lottery.expirationDate,
+            "MeltyFiNFT: The lottery is not more active"
+        );
+    }
+
+    /**
+     * @dev An internal function that collects a payment of the caller in the currency of a lottery, kept by this contract.
+     *      Ether is sent along with the transaction, and the part exceeding the payment is credited back to the caller.
+     *      ERC20 tokens are transferred from the caller.
+     *
+     * @param lottery The lottery whose currency is collected.
+     * @param amount The amount, in wei or in the smallest unit of the payment token of the lottery.
+     */
+    function _collectPayment(
+        Lottery storage lottery,
+        uint256 amount
+    ) internal
+    {
+        LotteryPayments.collect(_withdrawableBalances, lottery.paymentToken, _msgSender(), amount, msg.value);
+    }
+
+    /**
+     * @dev An internal function that credits an amount of the currency of a lottery to the withdrawable balance of an address.
+     *
+     * @param lottery The lottery whose currency is credited.
+     * @param account The address credited.
+     * @param amount The amount, in wei or in the smallest unit of the payment token of the lottery.
+     */
+    function _credit(
+        Lottery storage lottery,
+        address account,
+        uint256 amount
+    ) internal
+    {
+        _withdrawableBalances[lottery.paymentToken][account] += amount;
+    }
+
+    /**
+     * @dev An internal function that calculates the fee to extend a given lottery.
+     *
+     * @param lottery The lottery to extend.
+     * @param extension The time by which the lottery is extended, in seconds.
+     *
+     * @return The fee, in wei or in the smallest unit of the payment token of the lottery.
+     */
+    function _extensionFee(
+        Lottery storage lottery,
+        uint256 extension
+    ) internal view returns (uint256)
+    {
+        /// the longest extension costs _EXTENSION_FEE_PERCENTAGE of the outstanding balance
+        return (_amountToRepay(lottery) * _EXTENSION_FEE_PERCENTAGE * extension) / (100 * _MAX_EXTENSION);
+    }
+
+    /**
+     * @dev An internal function that accrues the interest of a given lottery until now, before the part of the price
+     *      of its WonkaBars not repaid yet changes, so that the change does not apply to the time before it.
+     *
+     * @param lottery The lottery whose interest is accrued.
+     */
+    function _accrueInterest(
+        Lottery storage lottery
+    ) internal
+    {
+        lottery.accruedInterest += _pendingInterest(lottery);
+        lottery.wonkaBarsPurchaseTimes = lottery.wonkaBarsSold * block.timestamp;
+    }
+
+    /**
+     * @dev An internal function that calculates the interest accrued by each WonkaBar of a given lottery until now.
+     *      It is shared equally among the WonkaBars sold.
+     *
+     * @param lottery The lottery for which to calculate the interest.
+     *
+     * @return The interest of each WonkaBar, in wei or in the smallest unit of the payment token.
+     */
+    function _interestPerWonkaBar(
+        Lottery storage lottery
+    ) internal view returns (uint256)
+    {
+        if (lottery.wonkaBarsSold == 0) {
+            return 0;
+        }
+        return (lottery.accruedInterest + _pendingInterest(lottery)) / lottery.wonkaBarsSold;
+    }
+
+    /**
+     * @dev An internal function that calculates the interest accrued by all the WonkaBars of a given lottery since
+     *      the last partial repayment, or since their purchase. It accrues on the part of the price not repaid yet.
+     *
+     * @param lottery The lottery for which to calculate the interest.
+     *
+     * @return The interest, in wei or in the smallest unit of the payment token.
+     */
+    function _pendingInterest(
+        Lottery storage lottery
+    ) internal view returns (uint256)
+    {
+        /// total time for which the WonkaBars sold have been lent since the last change of the principal, in seconds
+        uint256 lendingTime = lottery.wonkaBarsSold * block.timestamp - lottery.wonkaBarsPurchaseTimes;
+        return (lottery.wonkaBarPrice - lottery.refundPerWonkaBar) * lottery.interestPercentage * lendingTime
+            / (100 * 365 days);
+    }
+
+    /**
+     * @dev An internal function that melts WonkaBars of a lottery for the caller, see `meltWonkaBars`.
+     *
+     * @param lotteryId The ID of the lottery from which the WonkaBars will be melted.
+     * @param amount The amount of WonkaBars to be melted.
+     *
+     * @return amountChocoChip The amount of ChocoChips minted to the caller.
+     * @return prizeClaimed Whether the prize bundle was transferred to the caller.
+     */
+    function _meltWonkaBars(
+        uint256 lotteryId,
+        uint256 amount
+    ) internal returns (uint256 amountChocoChip, bool prizeClaimed)
+    {
+        /// retrieve the lottery with the given ID
+        Lottery storage lottery = _lotteryIdToLottery[lotteryId];
+        /// calculate the total refound for the melted Wonka Bars only, not for the whole balance of the caller
+        uint256 totalRefunding = amount * lottery.wonkaBarPrice;
+        /// the user must have enough WonkaBar balance to melt the given amount
+        require(
+            balanceOf(_msgSender(), lotteryId) >= amount,
+            "MeltyFi: The user does not have enough WonkaBar balance to melt the given amount"
+        );
+        /// the lottery must not be trashed
+        require(
+            lottery.state != lotteryState.TRASHED,
+            "MeltyFi: The lottery is trashed"
+        );
+        /// lottery must not be really active or waiting to be concluded by the oracle
+        if (lottery.state == lotteryState.ACTIVE) {
+            if (block.timestamp < lottery.expirationDate) {
+                revert("MeltyFi: The lottery is still active");
+            } else {
+                revert("MeltyFi: The lottery is waiting to be concluded by the oracle");
+            }
+        }
+        /// lottery must not be waiting for the random number that draws the winner
+        require(
+            lottery.state != lotteryState.AWAITING_RANDOMNESS,
+            "MeltyFi: The lottery is awaiting randomness"
+        );
+        /// Burn the Wonka Bars for the caller
+        _burn(_msgSender(), lotteryId, amount);
+        /// Mint Choco Chips to the caller
+        amountChocoChip = _mintChocoChip(lottery, totalRefunding);
+        /// refound the caller, with the whole price and the interest if lottery state is cancelled or with the partial repayments of the owner
+        uint256 refund = _amountToRefund(lottery, amount);
+        if (refund > 0) {
+            _credit(lottery, _msgSender(), refund);
+        }
+        /// if the caller is the winner and he does not already receive the price
+        if (
+            lottery.state == lotteryState.CONCLUDED 
+            && 
+            _msgSender() == lottery.winner
+            &&
+            !lottery.prizeClaimed
+        ) {
+            /// transfer the prize bundle to the caller (the winner)
+            _lotteryIdToLottery[lotteryId].prizeClaimed = true;
+            _releasePrizes(lottery, _msgSender());
+            prizeClaimed = true;
+            _recordAction(LogoCollection.Action.LOTTERY_WON, 1);
+        }
+        emit WonkaBarsMelted(
+            lotteryId,
+            _msgSender(),
+            amount,
+            refund,
+            amountChocoChip,
+            prizeClaimed
+        );
+        /// if all lottery's WonkaBars are melted, trash the lottery
+        if (totalSupply(lotteryId) == 0) {
+            _lotteryIdToLottery[lotteryId].state = lotteryState.TRASHED;
+            emit LotteryTrashed(lotteryId);
+        }
+    }
+
+    /**
+     * @dev An internal function that mints to the caller the ChocoChips rewarded for an amount paid in a given lottery.
+     *
+     * @param lottery The lottery in which the amount is paid.
+     * @param amount The amount, in wei or in the smallest unit of the payment token of the lottery.
+     *
+     * @return amountChocoChip The amount of ChocoChips minted.
+     */
+    function _mintChocoChip(
+        Lottery storage lottery,
+        uint256 amount
+    ) internal returns (uint256 amountChocoChip)
     {
-        /// return the number of WonkaBars sold in the lottery multiplied by the price of WonkaBars in the lottery
-        return lottery.wonkaBarsSold * lottery.wonkaBarPrice;
+        amountChocoChip = _amountChocoChip(lottery, amount);
+        _contractChocoChip.mint(_msgSender(), amountChocoChip);
     }
 
     /**
-     * @dev An internal function that mints a logo token to a given address.
+     * @dev An internal function that records an action of the caller in the LogoCollection contract,
+     *      which mints the caller the badges whose milestone is reached.
      *
-     * @param to The address to which the logo token will be minted.
+     * @param action The action performed by the caller.
+     * @param amount The number of times the action was performed.
      */
-    function _mintLogo(
+    function _recordAction(
+        LogoCollection.Action action,
+        uint256 amount
+    ) internal
+    {
+        _contractLogoCollection.recordAction(_msgSender(), action, amount);
+    }
+
+    /**
+     * @dev An internal function that transfers the whole prize bundle of a lottery from this contract.
+     *
+     * @param lottery The lottery whose prize bundle is transferred.
+     * @param to The address receiving the prize bundle.
+     */
+    function _releasePrizes(
+        Lottery storage lottery,
         address to
     ) internal
     {
-        /// call the `mint()` function of the LogoCollection contract to mint a logo token to the given address
-        _contractLogoCollection.mint(to, 0, 1, "");
-    }   
+        LotteryPrizes.release(_lotteryIdToPrizes[lottery.id], to);
+    }
+
+    /**
+     * @dev An internal function that returns a page of the values of a set of IDs.
+     *      The order of the values is the one of the set, which can change when values are removed.
+     *
+     * @param set The set of IDs to paginate.
+     * @param offset The index of the first value of the page.
+     * @param limit The maximum number of values of the page.
+     *
+     * @return ids The values of the page. Empty if the offset is not lower than the size of the set.
+     * @return total The size of the set.
+     */
+    function _paginate(
+        EnumerableSet.UintSet storage set,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory ids, uint256 total)
+    {
+        total = set.length();
+        /// the page ends at the end of the set at the latest
+        uint256 size = offset < total ? total - offset : 0;
+        if (limit < size) {
+            size = limit;
+        }
+        ids = new uint256[](size);
+        for (uint256 i = 0; i < ids.length; i++) {
+            ids[i] = set.at(offset + i);
+        }
+    }
+
+    /**
+     * @dev An internal function that selects the winner of a lottery with the random words of its fulfilled VRF request.
+     *      Every WonkaBar is a ticket: the winner is the holder of the WonkaBar selected by the first random word.
+     *      This function is called only if the lottery is awaiting randomness and its request is fulfilled.
+     *
+     * @param lotteryId The ID of the lottery for which to select the winner.
+     */
+    function _settleWinner(
+        uint256 lotteryId
+    ) internal
+    {
+        /// retrieve the random words of the request
+        (, , uint256[] memory randomWords) = _contractVRFv2DirectFundingConsumer.getRequestStatus(_lotteryIdToRequestId[lotteryId]);
+        /// select the WonkaBar that wins the prize and find its holder
+        EnumerableSet.AddressSet storage wonkaBarHolders = _lotteryIdToWonkaBarHolders[lotteryId];
+        uint256 numberOfWonkaBarHolders = wonkaBarHolders.length();
+        uint256 winnerIndex = (randomWords[0]%totalSupply(lotteryId))+1;
+        uint256 totalizer = 0; 
+        address winner;
+        for (uint256 i=0; i<numberOfWonkaBarHolders; i++) {
+            address holder = wonkaBarHolders.at(i);
+            totalizer += balanceOf(holder, lotteryId);
+            if (winnerIndex <= totalizer) {
+                winner = holder;
+                break;
+            }
+        }
+        /// update internal state
+        _awaitingRandomnessLotteryIds.remove(lotteryId);
+        _lotteryIdToLottery[lotteryId].winner = winner;
+        _lotteryIdToLottery[lotteryId].state = lotteryState.CONCLUDED;
+        emit WinnerChosen(lotteryId, winner);
+    }
 
     /**
-     * @notice Returns an array of the IDs of all active lotteries.
+     * @notice Returns a page of the IDs of the active lotteries.
      *
-     * @dev An active lottery is one that has not yet been cancelled or colcluded
-     *      and is still selling tickets. This function returns an array of the 
-     *      IDs of all such lotteries.
+     * @param offset The index of the first ID of the page.
+     * @param limit The maximum number of IDs of the page.
      *
-     * @return An array of the IDs of all active lotteries.
+     * @return ids The IDs of the active lotteries in the page.
+     * @return total The number of active lotteries.
      */
-    function activeLotteryIds() external view returns(uint256[] memory)
+    function activeLotteryIdsPaginated(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total)
     {
-        // return the values of _activeLotteryIds
-        return _activeLotteryIds.values();
+        /// return the requested page of _activeLotteryIds
+        return _paginate(_activeLotteryIds, offset, limit);
     }
-    
+
     /**
      * @notice Returns the address of the ChocoChip contract.
      *
@@ -437,27 +1263,33 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
         return _addressVRFv2DirectFundingConsumer();
     }
 
+    /**
+     * @notice Returns the address of the WonkaBarMetadata contract.
+     *
+     * @return The address of the WonkaBarMetadata contract.
+     */
+    function addressWonkaBarMetadata() external view returns (address) 
+    {
+        /// call the internal function to return the address of the WonkaBarMetadata contract
+        return _addressWonkaBarMetadata();
+    }
+
     /**
      * @notice Returns the amount to refund to a given address for a given lottery.
      *
      * @param lotteryId The ID of the lottery for which to calculate the refund amount.
      * @param addressToRefund The address to which the refund will be made.
      *
-     * @return The amount to refund to the given address for the given lottery. Returns 0 if the lottery is not cancelled.
+     * @return The amount to refund to the given address for the given lottery: the whole price of its WonkaBars
+     *         plus their interest if the lottery is cancelled, otherwise the part of it already repaid by the owner.
      */
     function amountToRefund(
         uint256 lotteryId, 
         address addressToRefund
     ) external view returns (uint256)
     {
-        /// retrieve the lottery with the given ID
-        Lottery memory lottery = _lotteryIdToLottery[lotteryId];
-        /// if the lottery is not cancelled, return 0
-        if (lottery.state != lotteryState.CANCELLED) {
-            return 0;
-        }
-        /// otherwise, return the amount to refund calculated by the internal function
-        return _amountToRefund(lottery, addressToRefund);
+        /// return the amount to refund for the WonkaBars of the address calculated by the internal function
+        return _amountToRefund(_lotteryIdToLottery[lotteryId], balanceOf(addressToRefund, lotteryId));
     }
     
     /**
@@ -465,14 +1297,15 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
      *
      * @param lotteryId The ID of the lottery for which to calculate the amount to repay.
      *
-     * @return The amount to repay for the given lottery. Returns 0 if the lottery is not active.
+     * @return The outstanding balance of the loan of the given lottery, including the interest accrued until now.
+     *         Returns 0 if the lottery is not active.
      */
     function amountToRepay(
         uint256 lotteryId
     ) external view returns (uint256)
     {
         /// retrieve the lottery with the given ID
-        Lottery memory lottery = _lotteryIdToLottery[lotteryId];
+        Lottery storage lottery = _lotteryIdToLottery[lotteryId];
         /// if the lottery is not active, return 0
         if (lottery.state != lotteryState.ACTIVE) {
             return 0;
@@ -481,6 +1314,37 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
         return _amountToRepay(lottery);
     }
 
+    /**
+     * @notice Returns an array of the IDs of all lotteries awaiting randomness.
+     *
+     * @dev A lottery awaits randomness from the moment `drawWinner` requests random words
+     *      until its winner is set, either by the VRF callback or by `settleWinner`.
+     *
+     * @return An array of the IDs of all lotteries awaiting randomness.
+     */
+    function awaitingRandomnessLotteryIds() external view returns(uint256[] memory)
+    {
+        /// return the values of _awaitingRandomnessLotteryIds
+        return _awaitingRandomnessLotteryIds.values();
+    }
+
+    /**
+     * @notice Returns the fee to pay to the MeltyFiDAO to extend a given lottery.
+     *
+     * @param lotteryId The ID of the lottery to extend.
+     * @param extension The time by which the lottery is extended, in seconds.
+     *
+     * @return The fee, in wei or in the smallest unit of the payment token of the lottery.
+     */
+    function extensionFee(
+        uint256 lotteryId,
+        uint256 extension
+    ) external view returns (uint256)
+    {
+        /// return the fee calculated by the internal function
+        return _extensionFee(_lotteryIdToLottery[lotteryId], extension);
+    }
+
     /**
      * @notice Returns the amount of ChocoChips per Ether.
      *
@@ -491,6 +1355,21 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
         /// return amount of ChocoChips per Ether
         return _amountChocoChipPerEther;
     }
+
+    /**
+     * @notice Returns the amount of ChocoChips per unit of an ERC20 payment token, both in their smallest units.
+     *
+     * @param token The ERC20 payment token.
+     *
+     * @return The amount of ChocoChips per unit of the token, 0 if the token is not accepted.
+     */
+    function getAmountChocoChipPerToken(
+        IERC20 token
+    ) external view returns(uint256)
+    {
+        /// return amount of ChocoChips per unit of the token
+        return _amountChocoChipPerToken[token];
+    }
     
     /**
      * @notice Returns the struct of given lottery.
@@ -506,6 +1385,66 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
         return _lotteryIdToLottery[lotteryId];
     }
 
+    /**
+     * @notice Returns the structs and the prize bundles of many lotteries at once.
+     *
+     * @param lotteryIds The IDs of the lotteries for which to retrieve the structs.
+     *
+     * @return lotteries The structs of the given lotteries, in the same order as the IDs.
+     * @return prizes The prize bundles of the given lotteries, in the same order as the IDs.
+     */
+    function getLotteries(
+        uint256[] calldata lotteryIds
+    ) external view returns (Lottery[] memory lotteries, LotteryPrizes.Prize[][] memory prizes)
+    {
+        lotteries = new Lottery[](lotteryIds.length);
+        prizes = new LotteryPrizes.Prize[][](lotteryIds.length);
+        for (uint256 i = 0; i < lotteryIds.length; i++) {
+            lotteries[i] = _lotteryIdToLottery[lotteryIds[i]];
+            prizes[i] = _lotteryIdToPrizes[lotteryIds[i]];
+        }
+    }
+
+    /**
+     * @notice Returns the bundle of tokens that make up the prize of a given lottery.
+     *
+     * @param lotteryId The ID of the lottery.
+     *
+     * @return The tokens of the prize bundle, in the order they were given to `createLottery`.
+     */
+    function getLotteryPrizes(
+        uint256 lotteryId
+    ) external view returns (LotteryPrizes.Prize[] memory)
+    {
+        return _lotteryIdToPrizes[lotteryId];
+    }
+
+    /**
+     * @notice Returns the ID of the VRF request that draws the winner of a given lottery.
+     *
+     * @param lotteryId The ID of the lottery.
+     *
+     * @return The ID of the VRF request. Returns 0 if no request was made for the lottery.
+     */
+    function getLotteryRequestId(
+        uint256 lotteryId
+    ) external view returns (uint256)
+    {
+        /// return the request ID of the lottery
+        return _lotteryIdToRequestId[lotteryId];
+    }
+
+    /**
+     * @notice Returns the maximum total time by which the owner of a lottery can extend it.
+     *
+     * @return The maximum extension, in seconds.
+     */
+    function getMaxExtension() external pure returns(uint256)
+    {
+        /// return the maximum extension
+        return _MAX_EXTENSION;
+    }
+
     /**
      * @notice Returns the percentage of royalties to be paid to the MeltyFiDAO.
      *
@@ -517,6 +1456,17 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
         return _royaltyDAOPercentage;
     }
 
+    /**
+     * @notice Returns the yearly interest percentage on the loans of the lotteries created from now on.
+     *
+     * @return The yearly interest percentage.
+     */
+    function getInterestPercentage() external view returns(uint256)
+    {
+        /// return the yearly interest percentage
+        return _interestPercentage;
+    }
+
     /**
      * @notice Returns the total number of lotteries created.
      *
@@ -551,78 +1501,116 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
     }
 
     /**
-     * @notice Returns an array of the IDs of all lotteries in which a given address holds WonkaBars.
+     * @notice Returns a page of the IDs of the lotteries in which a given address holds WonkaBars.
      *
      * @param holder The address of the WonkaBar holder.
+     * @param offset The index of the first ID of the page.
+     * @param limit The maximum number of IDs of the page.
      *
-     * @return An array of the IDs of all lotteries in which the given address holds WonkaBars.
+     * @return ids The IDs of the lotteries in the page.
+     * @return total The number of lotteries in which the given address holds WonkaBars.
      */
-    function holderInLotteryIds(
-        address holder
-    ) external view returns(uint256[] memory )
+    function holderInLotteryIdsPaginated(
+        address holder,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total)
     {
-        /// return the values of _wonkaBarHolderToLotteryIds[holder]
-        return _wonkaBarHolderToLotteryIds[holder].values();
+        /// return the requested page of _wonkaBarHolderToLotteryIds[holder]
+        return _paginate(_wonkaBarHolderToLotteryIds[holder], offset, limit);
     }
 
     /**
-     * @notice Mints a logo token and sends it to the given address.
+     * @notice Returns a page of the IDs of the lotteries owned by a given address.
      *
-     * @param to The address to which the logo token should be sent.
+     * @param owner The address of the lottery owner.
+     * @param offset The index of the first ID of the page.
+     * @param limit The maximum number of IDs of the page.
+     *
+     * @return ids The IDs of the lotteries in the page.
+     * @return total The number of lotteries owned by the given address.
      */
-    function mintLogo(
-        address to
-    ) external 
+    function ownedLotteryIdsPaginated(
+        address owner,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total)
     {
-        /// call the internal function to mint a logo token and send it to the given address
-        _mintLogo(to);
+        /// return the requested page of _lotteryOwnerToLotteryIds[owner]
+        return _paginate(_lotteryOwnerToLotteryIds[owner], offset, limit);
     }
 
     /**
-     * @notice Returns an array of the IDs of all lotteries owned by a given address.
+     * @notice Returns the balance of an address in a payment token, credited by the lotteries and not withdrawn yet.
      *
-     * @param owner The address of the lottery owner.
+     * @param paymentToken The ERC20 payment token, or the zero address for Ether.
+     * @param account The address whose balance is returned.
      *
-     * @return An array of the IDs of all lotteries owned by the given address.
+     * @return The withdrawable balance, in wei or in the smallest unit of the payment token.
      */
-    function ownedLotteryIds(
-        address owner
-    ) external view returns(uint256[] memory )
+    function withdrawableBalance(
+        IERC20 paymentToken,
+        address account
+    ) external view returns (uint256)
+    {
+        /// return the balance credited to the address
+        return _withdrawableBalances[paymentToken][account];
+    }
+
+    /**
+     * @notice Returns the holders of the WonkaBars of a given lottery, with the WonkaBars each of them holds.
+     *
+     * @dev The holders are removed once their WonkaBars are melted or transferred away,
+     *      so after the lottery ends only the holders who did not melt yet are returned.
+     *
+     * @param lotteryId The ID of the lottery.
+     *
+     * @return holders The addresses holding WonkaBars of the lottery.
+     * @return balances The WonkaBars held by each address, in the same order as the holders.
+     */
+    function wonkaBarHolders(
+        uint256 lotteryId
+    ) external view returns (address[] memory holders, uint256[] memory balances)
     {
-        /// return the values of _lotteryOwnerToLotteryIds[owner]
-        return _lotteryOwnerToLotteryIds[owner].values();
+        /// return the values of _lotteryIdToWonkaBarHolders[lotteryId] and their balances
+        holders = _lotteryIdToWonkaBarHolders[lotteryId].values();
+        balances = new uint256[](holders.length);
+        for (uint256 i = 0; i < holders.length; i++) {
+            balances[i] = balanceOf(holders[i], lotteryId);
+        }
     }
 
     /**
-     * @notice Creates a new lottery.
+     * @notice Creates a new lottery, whose prize is a bundle of tokens transferred to this contract.
+     *         The i-th token of the bundle is described by the i-th element of each prize array.
      *
-     * @dev Raises error if the caller is not the owner of the prize.
+     * @dev Raises error if the caller is not the owner of the prizes.
+     *      Raises error if the bundle is empty, has too many tokens or its arrays have different lengths.
+     *      Raises error if the amount of an ERC721 prize is not 1, or if the amount of an ERC1155 prize is 0.
      *      Raises error if the maximum number of Wonka Bars for sale is greater that the upper bound.
      *      Raises error if the maximum number of Wonka Bars for sale is lower than the lower bound.
+     *      Raises error if the payment token is not accepted by the MeltyFiDAO.
      *
      * @param duration The duration of the lottery, in seconds.
-     * @param prizeContract The contract that holds the prize for this lottery.
-     * @param prizeTokenId The token ID of the prize for this lottery.
-     * @param wonkaBarPrice The price of a Wonka Bar in this lottery.
+     * @param prizeContracts The contracts of the tokens of the prize bundle.
+     * @param prizeTokenIds The token IDs of the tokens of the prize bundle.
+     * @param prizeAmounts The amounts of the tokens of the prize bundle, 1 for the ERC721 ones.
+     * @param paymentToken The ERC20 token in which this lottery is paid, or the zero address to be paid in Ether.
+     * @param wonkaBarPrice The price of a Wonka Bar in this lottery, in wei or in the smallest unit of the payment token.
      * @param wonkaBarsMaxSupply The maximum number of Wonka Bars that can be sold in this lottery.
      *
      * @return The ID of the new lottery.
      */
     function createLottery(
         uint256 duration,
-        IERC721 prizeContract,
-        uint256 prizeTokenId,
+        address[] calldata prizeContracts,
+        uint256[] calldata prizeTokenIds,
+        uint256[] calldata prizeAmounts,
+        IERC20 paymentToken,
         uint256 wonkaBarPrice,
         uint256 wonkaBarsMaxSupply
-    ) public returns (uint256) 
+    ) public nonReentrant returns (uint256)
     {
-        /*
-        /// The caller must be the owner of the prize
-        require(
-            prizeContract.ownerOf(prizeTokenId) == _msgSender(), 
-            "MeltyFi: The caller is not the owner of the prize"
-        );
-        */
         /// The maximum number of Wonka Bars for sale must not be greater than the upper bound
         require(
             wonkaBarsMaxSupply <= _upperLimitMaxSupply,
@@ -633,44 +1621,62 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
             (wonkaBarsMaxSupply * _upperLimitBalanceOfPercentage) / 100 >= 1, 
             "MeltyFi: The maximum number of Wonka Bars for sale is lower than the lower bound"
         );
-        /// transfer the prize to this contract
-        prizeContract.safeTransferFrom(
-            _msgSender(),
-            address(this),
-            prizeTokenId
+        /// The payment token must be Ether or an ERC20 token accepted by the MeltyFiDAO
+        require(
+            address(paymentToken) == address(0) || _amountChocoChipPerToken[paymentToken] > 0,
+            "MeltyFi: The payment token is not accepted"
         );
-        /// create a new lottery
         uint256 lotteryId = _totalLotteriesCreated;
-        _lotteryIdToLottery[lotteryId] = Lottery(
-            block.timestamp+duration, /// expiration date
-            lotteryId, /// ID
-            _msgSender(), /// owner
-            prizeContract, /// prize contract
-            prizeTokenId, /// prize token ID
-            lotteryState.ACTIVE, /// state
-            address(0), /// winner
-            0, /// number of Wonka Bars sold
-            wonkaBarsMaxSupply, /// maximum number of Wonka Bars for sale
-            wonkaBarPrice /// price of a Wonka Bar
+        /// transfer the prize bundle to this contract
+        LotteryPrizes.escrow(
+            _lotteryIdToPrizes[lotteryId],
+            prizeContracts,
+            prizeTokenIds,
+            prizeAmounts,
+            _msgSender()
         );
+        /// create a new lottery, field by field since the whole struct does not fit in the stack.
+        /// The other fields keep their zero values: active state, no winner and no Wonka Bar sold
+        Lottery storage lottery = _lotteryIdToLottery[lotteryId];
+        lottery.expirationDate = block.timestamp+duration;
+        lottery.id = lotteryId;
+        lottery.owner = _msgSender();
+        lottery.wonkaBarsMaxSupply = wonkaBarsMaxSupply;
+        lottery.wonkaBarPrice = wonkaBarPrice;
+        lottery.paymentToken = paymentToken;
+        lottery.interestPercentage = _interestPercentage;
         /// update internal state
         _totalLotteriesCreated += 1;
         _lotteryOwnerToLotteryIds[_msgSender()].add(lotteryId);
         _activeLotteryIds.add(lotteryId);
+        emit LotteryCreated(
+            lotteryId,
+            _msgSender(),
+            block.timestamp+duration,
+            wonkaBarPrice,
+            wonkaBarsMaxSupply,
+            paymentToken
+        );
+        for (uint256 i = 0; i < prizeContracts.length; i++) {
+            emit PrizeEscrowed(lotteryId, prizeContracts[i], prizeTokenIds[i], prizeAmounts[i]);
+        }
+        _recordAction(LogoCollection.Action.LOTTERY_CREATED, 1);
         /// return the ID of the new lottery
         return lotteryId;
     }
 
     /**
      * @notice Allows a user to buy a specified amount of Wonka Bars for a lottery. The caller must send the correct amount of Ether 
-     *         along with the transaction. A percentage of the total spending will be transferred to the MeltyFiDAO contract and the rest 
-     *         will be transferred to the owner of the lottery. The caller's balance of Wonka Bars for the specified lottery will also be 
+     *         along with the transaction, or approve this contract to spend the payment token of the lottery. A percentage of the total spending is credited to the MeltyFiDAO contract and the rest 
+     *         to the owner of the lottery, who withdraw it later. Ether sent in excess is credited back to the caller. The caller's balance of Wonka Bars for the specified lottery will also be 
      *         updated.
      *
      * @dev Raises error if the lottery is not really active.
      *      Raises error if after this purchease the total supply of WonkaBars will exceed the maximum supply allowed.
      *      Raises error if the caller's balance of Wonka Bars for this lottery, after the purchase, will exceed the `_upperLimitBalanceOfPercentage`.
      *      Raises error if the value sent is not enough to cover the cost of the Wonka Bars.
+     *      Raises error if Ether is sent to a lottery paid in an ERC20 token.
+     *      Raises error if the owner started repaying the loan of the lottery.
      *
      * @param lotteryId The ID of the lottery for which the Wonka Bars are being purchased.
      * @param amount The number of Wonka Bars to be purchased.
@@ -678,120 +1684,203 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
     function buyWonkaBars(
         uint256 lotteryId, 
         uint256 amount
-    ) public payable
+    ) external payable nonReentrant
     {
-        /// retrieve the lottery with the given ID
-        Lottery memory lottery = _lotteryIdToLottery[lotteryId];
-        /// calculate the total spending for the Wonka Bars
-        uint256 totalSpending = amount * lottery.wonkaBarPrice;
-        /// The lottery must be really active
-        require(
-            block.timestamp < lottery.expirationDate,
-            "MeltyFiNFT: The lottery is not really active"
-        );
-        /// After this purchease the total supply of WonkaBars must not exceed the maximum supply allowed.
-        require(
-            lottery.wonkaBarsSold + amount <= lottery.wonkaBarsMaxSupply,
-            "MeltyFi: After this purchease the total supply of WonkaBars will exceed the maximum supply allowed"
-        );
-        /// The caller's balance of Wonka Bars for this lottery, after the purchase, must not exceed the _upperLimitBalanceOfPercentage
+        /// call the internal function to buy the Wonka Bars
+        _buyWonkaBars(lotteryId, amount);
+    }
+
+    /**
+     * @notice Buys Wonka Bars of a lottery paid in an ERC20 token in a single transaction, approving the payment
+     *         with an EIP-2612 permit signed by the caller instead of a separate `approve` transaction.
+     *
+     * @dev The permit must allow this contract to spend at least the total spending until the deadline.
+     *      Raises the same errors of `buyWonkaBars`.
+     *      Raises error if the lottery is paid in Ether.
+     *
+     * @param lotteryId The ID of the lottery for which the Wonka Bars are being purchased.
+     * @param amount The number of Wonka Bars to be purchased.
+     * @param deadline The deadline of the permit.
+     * @param v The v component of the permit signature.
+     * @param r The r component of the permit signature.
+     * @param s The s component of the permit signature.
+     */
+    function buyWonkaBarsWithPermit(
+        uint256 lotteryId,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant
+    {
+        /// retrieve the payment token of the lottery with the given ID
+        IERC20 paymentToken = _lotteryIdToLottery[lotteryId].paymentToken;
+        /// The lottery must be paid in an ERC20 token
         require(
-            (
-                ((balanceOf(_msgSender(), lotteryId) + amount + 1) * 100)
-                / 
-                lottery.wonkaBarsMaxSupply
-            )
-            <=
-            _upperLimitBalanceOfPercentage,
-            "MeltyFi: The caller's balance of Wonka Bars for this lottery, after the purchase, will exceed the _upperLimitBalanceOfPercentage"
+            address(paymentToken) != address(0),
+            "MeltyFi: The lottery is paid in Ether"
         );
-        /// The caller must sent anough amount of Ether to cover the cost of the Wonka Bars
-        require(
-            msg.value >= totalSpending, 
-            "MeltyFiNFT: The value sent is not enough to cover the cost of the Wonka Bars"
+        /// approve this contract to spend the total spending with the permit of the caller
+        IERC20Permit(address(paymentToken)).permit(
+            _msgSender(),
+            address(this),
+            amount * _lotteryIdToLottery[lotteryId].wonkaBarPrice,
+            deadline,
+            v,
+            r,
+            s
         );
-        /// transfer _royaltyDAOPercentage of the total spending to the MeltyFiDAO contract
-        uint256 valueToDAO = (totalSpending / 100) * _royaltyDAOPercentage;
-        Address.sendValue(payable(_addressMeltyFiDAO()), valueToDAO);
-        /// transfer the rest of the total spending to the owner of the lottery
-        uint256 valueToLotteryOwner = totalSpending - valueToDAO;
-        Address.sendValue(payable(lottery.owner), valueToLotteryOwner);
-        /// mint the Wonka Bars for the caller
-        _mint(_msgSender(), lotteryId, amount, "");
-        /// update the total number of Wonka Bars sold for the lottery
-        _lotteryIdToLottery[lotteryId].wonkaBarsSold += amount;
+        /// buy the Wonka Bars
+        _buyWonkaBars(lotteryId, amount);
     }
 
     /**
-     * @notice Repays the loan for the given lotteryId. The caller of the function must be the owner of the lottery.
+     * @notice Repays the outstanding balance of the loan for the given lotteryId, with the interest accrued until now.
+     *         The caller of the function must be the owner of the lottery.
+     *         Lotteries paid in an ERC20 token are repaid with the token, which this contract must be approved to spend.
      *
      * @dev Raises error if the caller is not the owner of the lottery.
      *      Raises error if the value sent is not enough to repay the loan.
+     *      Raises error if Ether is sent to a lottery paid in an ERC20 token.
      *      Raises error if the lottery is not more active.
      *
      * @param lotteryId The id of the lottery to repay the loan for.
      */
     function repayLoan(
         uint256 lotteryId
-    ) public payable 
+    ) public payable nonReentrant
     {
         /// retrieve the lottery with the given ID
-        Lottery memory lottery = _lotteryIdToLottery[lotteryId];
+        Lottery storage lottery = _lotteryIdToLottery[lotteryId];
         /// Calculate the total amount to be repaid
         uint256 totalPaying = _amountToRepay(lottery);
-        /// The caller must be the owner of the lottery
-        require(
-            lottery.owner == _msgSender(),
-            "MeltyFi: The caller is not the owner of the lottery"
-        );
+        /// The caller must be the owner of the lottery, which must be active
+        _checkLoanOwner(lottery);
         /// The caller must sent anough amount of Ether to repay the loan
         require(
-            msg.value >= totalPaying, 
+            address(lottery.paymentToken) != address(0) || msg.value >= totalPaying,
             "MeltyFi: The value sent is not enough to repay the loan"
         );
-        /// The lottery must be active
-        require(
-            block.timestamp < lottery.expirationDate,
-            "MeltyFiNFT: The lottery is not more active"
-        );
+        /// collect the Ether or the tokens that refund the WonkaBar holders
+        _collectPayment(lottery, totalPaying);
         /// Mint Choco Chips to the owner of the lottery
-        _contractChocoChip.mint(
-            _msgSender(),
-            totalPaying * _amountChocoChipPerEther
-        );
-        /// Transfer the prize to the owner of the lottery
-        lottery.prizeContract.safeTransferFrom(
-            address(this),
-            _msgSender(),
-            lottery.prizeTokenId
-        );
+        _mintChocoChip(lottery, totalPaying);
+        /// every WonkaBar is now refunded its whole price plus its share of the interest
+        lottery.refundPerWonkaBar = lottery.wonkaBarPrice + _interestPerWonkaBar(lottery);
+        /// Transfer the prize bundle to the owner of the lottery
+        _releasePrizes(lottery, _msgSender());
         /// Remove the lottery from the active lotteries
         _activeLotteryIds.remove(lotteryId);
         /// set the expiration date to the current block timestamp
         _lotteryIdToLottery[lotteryId].expirationDate = block.timestamp;
+        emit LoanRepaid(lotteryId, _msgSender(), totalPaying);
+        _recordAction(LogoCollection.Action.LOAN_REPAID, 1);
         /// If the total supply of WonkaBars is 0, set the state to TRASHED, otherwise set it to CANCELLED
         if (totalSupply(lotteryId) == 0) {
             _lotteryIdToLottery[lotteryId].state = lotteryState.TRASHED;
+            emit LotteryTrashed(lotteryId);
         } else {
             _lotteryIdToLottery[lotteryId].state = lotteryState.CANCELLED;
         }
     }
 
     /**
-     * @notice Draws the winner of a lottery.
+     * @notice Repays part of the loan for the given lotteryId, crediting the same refund to every WonkaBar sold.
+     *         The refund is paid to the holder of the WonkaBar when it is melted, even if the lottery is concluded
+     *         because the owner did not repay the whole loan. The caller of the function must be the owner of the lottery.
+     *
+     * @dev The amount is rounded down to a multiple of the WonkaBars sold, and no WonkaBar is sold afterwards.
+     *      Raises error if the caller is not the owner of the lottery.
+     *      Raises error if the lottery is not more active.
+     *      Raises error if the amount is not enough to credit every WonkaBar sold, or if it repays the whole loan.
+     *      Raises error if the value sent is not enough to cover the payment.
+     *      Raises error if Ether is sent to a lottery paid in an ERC20 token.
+     *
+     * @param lotteryId The id of the lottery to repay part of the loan for.
+     * @param amount The amount to repay, in wei or in the smallest unit of the payment token.
+     */
+    function repayLoanPartially(
+        uint256 lotteryId,
+        uint256 amount
+    ) external payable nonReentrant
+    {
+        /// retrieve the lottery with the given ID
+        Lottery storage lottery = _lotteryIdToLottery[lotteryId];
+        /// The caller must be the owner of the lottery, which must be active
+        _checkLoanOwner(lottery);
+        /// The amount must credit something to every WonkaBar sold, without repaying the whole loan
+        uint256 refundPerWonkaBar = lottery.wonkaBarsSold == 0 ? 0 : amount / lottery.wonkaBarsSold;
+        require(
+            refundPerWonkaBar > 0 && lottery.refundPerWonkaBar + refundPerWonkaBar < lottery.wonkaBarPrice,
+            "MeltyFi: The amount is not a partial repayment"
+        );
+        uint256 totalPaying = refundPerWonkaBar * lottery.wonkaBarsSold;
+        /// collect the amount that refunds the WonkaBar holders
+        _collectPayment(lottery, totalPaying);
+        /// the interest accrued so far keeps the principal it accrued on
+        _accrueInterest(lottery);
+        lottery.refundPerWonkaBar += refundPerWonkaBar;
+        /// Mint Choco Chips to the owner of the lottery
+        _mintChocoChip(lottery, totalPaying);
+        emit LoanPartiallyRepaid(lotteryId, _msgSender(), totalPaying, lottery.refundPerWonkaBar);
+    }
+
+    /**
+     * @notice Postpones the expiration date of a lottery, paying a fee to the MeltyFiDAO proportional to the
+     *         outstanding balance of the loan and to the extension. The caller of the function must be the owner of the lottery.
+     *
+     * @dev A lottery can be extended many times, as long as the total extension does not exceed `getMaxExtension`.
+     *      Raises error if the caller is not the owner of the lottery.
+     *      Raises error if the lottery is not more active.
+     *      Raises error if the total extension of the lottery exceeds the maximum extension.
+     *      Raises error if the value sent is not enough to cover the payment.
+     *      Raises error if Ether is sent to a lottery paid in an ERC20 token.
+     *
+     * @param lotteryId The id of the lottery to extend.
+     * @param extension The time by which the lottery is extended, in seconds.
+     */
+    function extendLottery(
+        uint256 lotteryId,
+        uint256 extension
+    ) external payable nonReentrant
+    {
+        /// retrieve the lottery with the given ID
+        Lottery storage lottery = _lotteryIdToLottery[lotteryId];
+        /// The caller must be the owner of the lottery, which must be active
+        _checkLoanOwner(lottery);
+        /// The total extension of the lottery must not exceed the maximum extension
+        require(
+            lottery.extension + extension <= _MAX_EXTENSION,
+            "MeltyFi: The total extension of the lottery exceeds the maximum extension"
+        );
+        /// pay the fee to the MeltyFiDAO
+        uint256 fee = _extensionFee(lottery, extension);
+        _collectPayment(lottery, fee);
+        _credit(lottery, _addressMeltyFiDAO(), fee);
+        /// postpone the expiration date
+        lottery.expirationDate += extension;
+        lottery.extension += extension;
+        emit LotteryExtended(lotteryId, lottery.expirationDate, fee);
+    }
+
+    /**
+     * @notice Starts drawing the winner of a lottery.
      *
-     * @dev Raises error if the lottery state is not active.
+     * @dev If no WonkaBar was sold, the prize is returned to the owner and the lottery is trashed.
+     *      Otherwise random words are requested to the VRFv2DirectFundingConsumer contract and the lottery
+     *      awaits randomness until the request is fulfilled, see `onRandomWordsFulfilled` and `settleWinner`.
+     *      Raises error if the lottery state is not active.
      *      Raises error if the lottery expiration date is not passed.
-     *      Raises error if the VRF request for random words is not fulfilled.
      *
      * @param lotteryId The ID of the lottery.
      */
     function drawWinner(
         uint256 lotteryId
-    ) public 
+    ) public nonReentrant
     {
         /// retrieve the lottery with the given ID
-        Lottery memory lottery = _lotteryIdToLottery[lotteryId];
+        Lottery storage lottery = _lotteryIdToLottery[lotteryId];
         /// The lottery state must be active
         require(
             lottery.state == lotteryState.ACTIVE,
@@ -804,51 +1893,64 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
         );
         /// remove lottery from _activeLotteryIds
         _activeLotteryIds.remove(lotteryId);
-        /// if there are no WonkaBar sold transfer prize to the owner, otherwise set lottery winner
-        uint256 numberOfWonkaBars = totalSupply(lotteryId);
-        if (numberOfWonkaBars == 0) {
-            /// transfer prize to the owner if no tokens were sold
-            lottery.prizeContract.safeTransferFrom(
-                address(this),
-                lottery.owner,
-                lottery.prizeTokenId
-            );
+        /// if there are no WonkaBar sold transfer prize to the owner, otherwise request random words to draw the winner
+        if (totalSupply(lotteryId) == 0) {
+            /// transfer the prize bundle to the owner if no tokens were sold
+            _releasePrizes(lottery, lottery.owner);
             /// set lottery state to trashed
             _lotteryIdToLottery[lotteryId].state = lotteryState.TRASHED;
+            emit LotteryTrashed(lotteryId);
         } else {
-            /// set lottery winner
-            EnumerableSet.AddressSet storage wonkaBarHolders = _lotteryIdToWonkaBarHolders[lotteryId];
-            uint256 numberOfWonkaBarHolders = wonkaBarHolders.length();
+            /// set lottery state to awaiting randomness
+            _lotteryIdToLottery[lotteryId].state = lotteryState.AWAITING_RANDOMNESS;
+            _awaitingRandomnessLotteryIds.add(lotteryId);
+            /// request random words and link the request to the lottery
             uint256 requestId = _contractVRFv2DirectFundingConsumer.requestRandomWords();
-            (uint256 paid, bool fulfilled, uint256[] memory randomWords) = _contractVRFv2DirectFundingConsumer.getRequestStatus(requestId);
-            /// The VRF request for random words must be fulfilled
-            require(
-                fulfilled, 
-                "MeltyFi: The VRF request for random words is not fulfilled"
-            );
-            uint256 winnerIndex = (randomWords[0]%numberOfWonkaBars)+1;
-            uint256 totalizer = 0; 
-            address winner;
-            for (uint256 i=0; i<numberOfWonkaBarHolders; i++) {
-                address holder = wonkaBarHolders.at(i);
-                totalizer += balanceOf(holder, lotteryId);
-                if (winnerIndex <= totalizer) {
-                    winner = holder;
-                    break;
-                }
-            }
-            _lotteryIdToLottery[lotteryId].winner = winner;
-            _lotteryIdToLottery[lotteryId].state = lotteryState.CONCLUDED;
+            _lotteryIdToRequestId[lotteryId] = requestId;
+            _requestIdToLotteryId[requestId] = lotteryId;
+            emit DrawRequested(lotteryId, requestId);
         }
     }
 
     /**
-     * @notice Allows a user to melt their WonkaBars of a specific lottery and receive a refund in return.
+     * @notice Sets the winner of a lottery whose request for random words has been fulfilled.
+     *
+     * @dev The VRF callback normally sets the winner, this function is the fallback when the callback
+     *      could not do it (e.g. because it ran out of gas).
+     *      Raises error if the lottery state is not awaiting randomness.
+     *      Raises error if the VRF request for random words is not fulfilled.
+     *
+     * @param lotteryId The ID of the lottery.
+     */
+    function settleWinner(
+        uint256 lotteryId
+    ) public nonReentrant
+    {
+        /// The lottery state must be awaiting randomness
+        require(
+            _lotteryIdToLottery[lotteryId].state == lotteryState.AWAITING_RANDOMNESS,
+            "MeltyFi: The lottery state is not awaiting randomness"
+        );
+        /// The VRF request for random words must be fulfilled
+        (, bool fulfilled, ) = _contractVRFv2DirectFundingConsumer.getRequestStatus(_lotteryIdToRequestId[lotteryId]);
+        require(
+            fulfilled, 
+            "MeltyFi: The VRF request for random words is not fulfilled"
+        );
+        /// set lottery winner
+        _settleWinner(lotteryId);
+    }
+
+    /**
+     * @notice Allows a user to melt their WonkaBars of a specific lottery and be credited a refund in return:
+     *         the whole price of the WonkaBars plus their interest if the lottery is cancelled, otherwise the part of it
+     *         already repaid by the owner. The refund is withdrawn with `withdraw`.
      *
      * @dev Raises error if the user does not have enough WonkaBar balance to melt the given amount.
      *      Raises error if the lottery is trashed.
      *      Raises error if lottery is really active.
      *      Raises error if lottery is waiting to be concluded by the oracle.
+     *      Raises error if lottery is awaiting randomness.
      *
      * @param lotteryId The ID of the lottery from which the WonkaBars will be melted.
      * @param amount The amount of WonkaBars to be melted.
@@ -856,69 +1958,75 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
     function meltWonkaBars(
         uint256 lotteryId, 
         uint256 amount
-    ) public 
+    ) public nonReentrant
     {
-        /// retrieve the lottery with the given ID
-        Lottery memory lottery = _lotteryIdToLottery[lotteryId];
-        /// calculate the total refound for the Wonka Bars
-        uint256 totalRefunding = _amountToRefund(lottery, _msgSender());
-        /// the user must have enough WonkaBar balance to melt the given amount
-        require(
-            balanceOf(_msgSender(), lotteryId) >= amount,
-            "MeltyFi: The user does not have enough WonkaBar balance to melt the given amount"
-        );
-        /// the lottery must not be trashed
-        require(
-            lottery.state != lotteryState.TRASHED,
-            "MeltyFi: The lottery is trashed"
-        );
-        /// lottery must not be really active or waiting to be concluded by the oracle
-        if (lottery.state == lotteryState.ACTIVE) {
-            if (block.timestamp < lottery.expirationDate) {
-                revert("MeltyFi: The lottery is still active");
-            } else {
-                revert("MeltyFi: The lottery is waiting to be concluded by the oracle");
+        /// call the internal function to melt the Wonka Bars
+        _meltWonkaBars(lotteryId, amount);
+    }
+
+    /**
+     * @notice Allows a user to melt all their WonkaBars of many lotteries in a single transaction, see `meltWonkaBars`.
+     *         The lotteries in which the user holds no WonkaBars, and the ones that are active or awaiting
+     *         randomness, are skipped.
+     *
+     * @param lotteryIds The IDs of the lotteries from which the WonkaBars will be melted.
+     *
+     * @return lotteriesMelted The number of lotteries whose WonkaBars were melted.
+     * @return wonkaBarsMelted The total amount of WonkaBars melted.
+     * @return amountChocoChip The total amount of ChocoChips minted to the user.
+     * @return prizesClaimed The number of prize bundles transferred to the user.
+     */
+    function meltWonkaBarsBatch(
+        uint256[] calldata lotteryIds
+    ) external nonReentrant returns (uint256 lotteriesMelted, uint256 wonkaBarsMelted, uint256 amountChocoChip, uint256 prizesClaimed)
+    {
+        for (uint256 i = 0; i < lotteryIds.length; i++) {
+            uint256 amount = balanceOf(_msgSender(), lotteryIds[i]);
+            lotteryState state = _lotteryIdToLottery[lotteryIds[i]].state;
+            /// skip the lotteries that cannot be melted yet, a repeated ID has no WonkaBars left the second time
+            if (amount == 0 || state == lotteryState.ACTIVE || state == lotteryState.AWAITING_RANDOMNESS) {
+                continue;
+            }
+            (uint256 melted, bool prizeClaimed) = _meltWonkaBars(lotteryIds[i], amount);
+            lotteriesMelted++;
+            wonkaBarsMelted += amount;
+            amountChocoChip += melted;
+            if (prizeClaimed) {
+                prizesClaimed++;
             }
         }
-        /// Burn the Wonka Bars for the caller
-        _burn(_msgSender(), lotteryId, amount);
-        /// Mint Choco Chips to the caller
-        _contractChocoChip.mint(
-            _msgSender(),
-            totalRefunding * _amountChocoChipPerEther
-        );
-        /// if lottery state is cancelled, also refound the caller
-        if (lottery.state == lotteryState.CANCELLED) {
-            Address.sendValue(payable(_msgSender()), totalRefunding);
-        }
-        /// if the caller is the winner and he does not already receive the price
-        if (
-            lottery.state == lotteryState.CONCLUDED 
-            && 
-            _msgSender() == lottery.winner
-            &&
-            IERC721(lottery.prizeContract).ownerOf(lottery.prizeTokenId) == address(this)
-        ) {
-            /// transfer prize to the caller (the winner)
-            IERC721(lottery.prizeContract).safeTransferFrom(
-                address(this), 
-                _msgSender(), 
-                lottery.prizeTokenId
-            );
-        }
-        /// if all lottery's WonkaBars are melted, trash the lottery
-        if (totalSupply(lotteryId) == 0) {
-            _lotteryIdToLottery[lotteryId].state = lotteryState.TRASHED;
-        }
     }
 
     /**
-     * @notice Checks if any active lotteries need to be concluded.
+     * @notice Withdraws the whole balance of an address in a payment token: the purchases of the WonkaBars credited
+     *         to the lottery owners, the royalties and the fees credited to the MeltyFiDAO, the refunds credited
+     *         to the WonkaBar holders and the Ether sent in excess.
+     *
+     * @dev Anyone can withdraw the balance of any address, which is always sent to the address itself,
+     *      so that for example the balance of the MeltyFiDAO can be withdrawn without a proposal.
+     *      Raises error if the balance is 0.
+     *
+     * @param paymentToken The ERC20 payment token, or the zero address for Ether.
+     * @param account The address whose balance is withdrawn.
+     */
+    function withdraw(
+        IERC20 paymentToken,
+        address account
+    ) external nonReentrant
+    {
+        /// send the balance to the address and reset it
+        uint256 amount = LotteryPayments.withdraw(_withdrawableBalances, paymentToken, account);
+        emit Withdrawn(paymentToken, account, amount);
+    }
+
+    /**
+     * @notice Checks if any lotteries need to be concluded.
      *
      * @dev This function is designed to be called by an external contract using
      *      the `call` function. It is expected to be called periodically to check
      *      if any active lotteries need to be concluded (e.g. because the expiration
-     *      date has passed).
+     *      date has passed) or if any lotteries awaiting randomness have their
+     *      request fulfilled but no winner yet.
      *
      * @param checkData Unused input data.
      *
@@ -938,17 +2046,27 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
                 return (true, abi.encode(lotteryId));
             }
         }
-        /// If it does not find any expired lotteries, it returns `false` and an empty string in `performData`
+        uint256 numberOfAwaitingLottery = _awaitingRandomnessLotteryIds.length();
+        /// iterates through the set of lotteries awaiting randomness and checks the status of each request
+        for (uint256 i=0; i<numberOfAwaitingLottery; i++) {
+            uint256 lotteryId = _awaitingRandomnessLotteryIds.at(i);
+            (, bool fulfilled, ) = _contractVRFv2DirectFundingConsumer.getRequestStatus(_lotteryIdToRequestId[lotteryId]);
+            /// If it finds a fulfilled request, it returns `true` and the ID of the lottery in `performData`
+            if (fulfilled) {
+                return (true, abi.encode(lotteryId));
+            }
+        }
+        /// If it does not find any lotteries to conclude, it returns `false` and an empty string in `performData`
         return (false, "");
     }
 
     /**
-     * @notice Concludes an active lottery.
+     * @notice Concludes a lottery.
      *
      * @dev This function is intended to be called by an external contract in response to the `checkUpkeep`
      *      function returning `true`. It decodes the `performData` input to retrieve the ID of the lottery
-     *      to be concluded and calls the `drawWinner` function to draw the winner and update the state of the
-     *      lottery.
+     *      to be concluded and calls the `drawWinner` function if the lottery is active, or the `settleWinner`
+     *      function if it is awaiting randomness.
      *
      * @param performData The ID of the lottery to be concluded.
      */
@@ -957,7 +2075,12 @@ contract MeltyFiNFT is Ownable, IERC721Receiver, ERC1155Supply, AutomationBase,
     ) external
     {
         uint256 lotteryId = abi.decode(performData, (uint256));
-        /// call the drawWinner function to draw the winner and update the state of the lottery
-        drawWinner(lotteryId);
+        if (_lotteryIdToLottery[lotteryId].state == lotteryState.AWAITING_RANDOMNESS) {
+            /// call the settleWinner function to set the winner with the fulfilled random words
+            settleWinner(lotteryId);
+        } else {
+            /// call the drawWinner function to draw the winner and update the state of the lottery
+            drawWinner(lotteryId);
+        }
     }
 }
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.9;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
+
+/// ERC20 token with permit and 6 decimals, like most stablecoins, used to pay lotteries on test networks
+contract TestToken is ERC20, ERC20Permit {
+    constructor() ERC20("MeltyFi Test Dollar", "MTD") ERC20Permit("MeltyFi Test Dollar") {}
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function mint(address to, uint256 amount) public {
+        _mint(to, amount);
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.9;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/// Smart contract wallet that rejects Ether and can make a call of its choice when it receives ERC1155 tokens,
+/// used to test lotteries whose owners or WonkaBar holders are contracts
+contract TestWallet is IERC721Receiver, ERC1155Holder {
+    address internal _callbackTarget;
+    bytes internal _callbackData;
+
+    function execute(address target, bytes calldata data) public payable returns (bytes memory) {
+        return Address.functionCallWithValue(target, data, msg.value);
+    }
+
+    /// Sets the call made when the wallet receives ERC1155 tokens, none if `target` is the zero address
+    function setCallback(address target, bytes calldata data) public {
+        _callbackTarget = target;
+        _callbackData = data;
+    }
+
+    function onERC721Received(address, address, uint256, bytes calldata) public pure override returns (bytes4) {
+        return this.onERC721Received.selector;
+    }
+
+    function onERC1155Received(address, address, uint256, uint256, bytes memory) public override returns (bytes4) {
+        if (_callbackTarget != address(0)) {
+            Address.functionCall(_callbackTarget, _callbackData);
+        }
+        return this.onERC1155Received.selector;
+    }
+
+    receive() external payable {
+        revert("TestWallet: Ether is rejected");
+    }
+}
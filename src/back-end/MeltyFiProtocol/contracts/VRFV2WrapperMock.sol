@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.9;
+
+import "@chainlink/contracts/src/v0.8/interfaces/VRFV2WrapperInterface.sol";
+import "@chainlink/contracts/src/v0.8/VRFV2WrapperConsumerBase.sol";
+
+/// Minimal VRF V2 wrapper used on local networks. Requests are paid in LinkTokenMock
+/// and stay pending until someone calls fulfillRandomWords, which stands in for the Chainlink oracle.
+contract VRFV2WrapperMock is VRFV2WrapperInterface {
+    event RandomWordsRequested(uint256 indexed requestId, address indexed consumer, uint32 callbackGasLimit, uint32 numWords);
+    event RandomWordsFulfilled(uint256 indexed requestId, address indexed consumer, bool success);
+
+    struct Request {
+        address consumer;
+        uint32 callbackGasLimit;
+        uint32 numWords;
+    }
+
+    address public immutable link;
+    uint256 public requestPrice = 0.25 ether;
+    uint256 public lastRequestId;
+
+    mapping(uint256 => Request) public requests;
+    uint256[] internal _pendingRequestIds;
+
+    constructor(address _link) {
+        link = _link;
+    }
+
+    function calculateRequestPrice(uint32) external view returns (uint256) {
+        return requestPrice;
+    }
+
+    function estimateRequestPrice(uint32, uint256) external view returns (uint256) {
+        return requestPrice;
+    }
+
+    function onTokenTransfer(address sender, uint256 amount, bytes calldata data) external {
+        require(msg.sender == link, "only callable from LINK");
+        require(amount >= requestPrice, "fee too low");
+        (uint32 callbackGasLimit, , uint32 numWords) = abi.decode(data, (uint32, uint16, uint32));
+        uint256 requestId = uint256(keccak256(abi.encode(address(this), sender, lastRequestId)));
+        requests[requestId] = Request(sender, callbackGasLimit, numWords);
+        _pendingRequestIds.push(requestId);
+        lastRequestId = requestId;
+        emit RandomWordsRequested(requestId, sender, callbackGasLimit, numWords);
+    }
+
+    function pendingRequestIds() external view returns (uint256[] memory) {
+        return _pendingRequestIds;
+    }
+
+    /// Fulfils a pending request with pseudo-random words derived from the request ID and the current block
+    function fulfillRandomWords(uint256 requestId) external {
+        uint256[] memory randomWords = new uint256[](requests[requestId].numWords);
+        for (uint256 i = 0; i < randomWords.length; i++) {
+            randomWords[i] = uint256(keccak256(abi.encode(requestId, i, blockhash(block.number - 1))));
+        }
+        fulfillRandomWordsWithOverride(requestId, randomWords);
+    }
+
+    /// Fulfils a pending request with the given words, so that tests can choose the outcome
+    function fulfillRandomWordsWithOverride(uint256 requestId, uint256[] memory randomWords) public {
+        Request memory request = requests[requestId];
+        require(request.consumer != address(0), "request not found");
+        require(randomWords.length == request.numWords, "wrong number of words");
+        delete requests[requestId];
+        for (uint256 i = 0; i < _pendingRequestIds.length; i++) {
+            if (_pendingRequestIds[i] == requestId) {
+                _pendingRequestIds[i] = _pendingRequestIds[_pendingRequestIds.length - 1];
+                _pendingRequestIds.pop();
+                break;
+            }
+        }
+        (bool success, ) = request.consumer.call{gas: request.callbackGasLimit}(
+            abi.encodeWithSelector(VRFV2WrapperConsumerBase.rawFulfillRandomWords.selector, requestId, randomWords)
+        );
+        emit RandomWordsFulfilled(requestId, request.consumer, success);
+    }
+}
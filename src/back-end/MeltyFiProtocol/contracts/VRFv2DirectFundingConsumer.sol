@@ -5,6 +5,11 @@ pragma solidity ^0.8.7;
 import "@chainlink/contracts/src/v0.8/ConfirmedOwner.sol";
 import "@chainlink/contracts/src/v0.8/VRFV2WrapperConsumerBase.sol";
 
+/// Implemented by the owner of the consumer to be notified when a request is fulfilled
+interface IRandomWordsReceiver {
+    function onRandomWordsFulfilled(uint256 requestId) external;
+}
+
 contract VRFv2DirectFundingConsumer is
     VRFV2WrapperConsumerBase,
     ConfirmedOwner
@@ -32,8 +37,9 @@ contract VRFv2DirectFundingConsumer is
     // fulfillRandomWords() function. Test and adjust
     // this limit based on the network that you select, the size of the request,
     // and the processing of the callback request in the fulfillRandomWords()
-    // function.
-    uint32 callbackGasLimit = 100000;
+    // function. It also covers the notification of the owner, which draws the
+    // winner of a lottery when it has few enough WonkaBar holders.
+    uint32 callbackGasLimit = 300000;
 
     // The default is 3, but you can set this higher.
     uint16 requestConfirmations = 3;
@@ -42,16 +48,22 @@ contract VRFv2DirectFundingConsumer is
     // Cannot exceed VRFV2Wrapper.getConfig().maxNumWords.
     uint32 numWords = 1;
 
-    // Address LINK - hardcoded for Goerli
-    address linkAddress = 0x326C977E6efc84E512bB9C30f76E30c160eD06FB;
+    // Address LINK - set at deploy time (Goerli token or LinkTokenMock)
+    address linkAddress;
 
-    // address WRAPPER - hardcoded for Goerli
-    address wrapperAddress = 0x708701a1DfF4f478de54383E49a627eD4852C816;
+    // address WRAPPER - set at deploy time (Goerli wrapper or VRFV2WrapperMock)
+    address wrapperAddress;
 
-    constructor()
+    constructor(
+        address _linkAddress,
+        address _wrapperAddress
+    )
         ConfirmedOwner(msg.sender)
-        VRFV2WrapperConsumerBase(linkAddress, wrapperAddress)
-    {}
+        VRFV2WrapperConsumerBase(_linkAddress, _wrapperAddress)
+    {
+        linkAddress = _linkAddress;
+        wrapperAddress = _wrapperAddress;
+    }
 
     function requestRandomWords()
         external
@@ -86,6 +98,12 @@ contract VRFv2DirectFundingConsumer is
             _randomWords,
             s_requests[_requestId].paid
         );
+        // Notify the owner, if it is a contract. A failure must not revert the
+        // fulfillment: the random words are stored and can be consumed later.
+        address receiver = owner();
+        if (receiver.code.length > 0) {
+            try IRandomWordsReceiver(receiver).onRandomWordsFulfilled(_requestId) {} catch {}
+        }
     }
 
     function getRequestStatus(
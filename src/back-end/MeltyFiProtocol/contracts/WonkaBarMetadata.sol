@@ -0,0 +1,312 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.9;
+
+/// MeltyFiNFT.sol is the contract whose lotteries are rendered
+import "./MeltyFiNFT.sol";
+/// LotteryPrizes.sol is the library that defines the prizes of the lotteries
+import "./LotteryPrizes.sol";
+/// IERC20Metadata.sol is an interface that defines the optional name, symbol and decimals methods of an ERC20 contract
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+/// Base64 library provides the base64 encoding of the data URIs
+import "@openzeppelin/contracts/utils/Base64.sol";
+/// Strings library provides the decimal and hexadecimal representations of numbers and addresses
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @notice WonkaBarMetadata is the contract that renders the ERC1155 metadata of the WonkaBars of the MeltyFi lotteries,
+ *         so that wallets and marketplaces show which lottery a WonkaBar belongs to.
+ *         The metadata is a base64 JSON data URI with the prize, the expiration date, the price, the state and the winner
+ *         of the lottery, plus a generated SVG image.
+ *         It holds no state and reads the lotteries from MeltyFiNFT, which keeps the bytecode of MeltyFiNFT under
+ *         the contract size limit.
+ */
+contract WonkaBarMetadata {
+
+    /// Using Strings for uint256 type
+    using Strings for uint256;
+    /// Using Strings for address type
+    using Strings for address;
+
+    /**
+     * @notice Returns the metadata of the WonkaBars of a lottery of the MeltyFiNFT contract calling this function.
+     *
+     * @dev Called by `uri` of MeltyFiNFT, see `render`.
+     *
+     * @param lotteryId The ID of the lottery, which is also the ID of its WonkaBars.
+     *
+     * @return The metadata, as a base64 JSON data URI.
+     */
+    function uri(
+        uint256 lotteryId
+    ) external view returns (string memory)
+    {
+        return render(MeltyFiNFT(payable(msg.sender)), lotteryId);
+    }
+
+    /**
+     * @notice Returns the metadata of the WonkaBars of a lottery.
+     *
+     * @dev Raises error if the lottery does not exist.
+     *
+     * @param meltyFiNFT The MeltyFiNFT contract of the lottery.
+     * @param lotteryId The ID of the lottery, which is also the ID of its WonkaBars.
+     *
+     * @return The metadata, as a base64 JSON data URI.
+     */
+    function render(
+        MeltyFiNFT meltyFiNFT,
+        uint256 lotteryId
+    ) public view returns (string memory)
+    {
+        /// The lottery must exist
+        require(
+            lotteryId < meltyFiNFT.getTotalLotteriesCreated(),
+            "MeltyFi: The lottery does not exist"
+        );
+        MeltyFiNFT.Lottery memory lottery = meltyFiNFT.getLottery(lotteryId);
+        LotteryPrizes.Prize[] memory prizes = meltyFiNFT.getLotteryPrizes(lotteryId);
+        /// the attributes shown both in the JSON and in the image
+        string[7] memory values = [
+            lotteryId.toString(),
+            prizes[0].prizeContract.toHexString(),
+            prizes[0].prizeTokenId.toString(),
+            _formatPrice(lottery.wonkaBarPrice, lottery.paymentToken),
+            _formatDate(lottery.expirationDate),
+            _stateName(lottery),
+            lottery.winner == address(0) ? "None" : lottery.winner.toHexString()
+        ];
+        bytes memory json = abi.encodePacked(
+            '{"name":"WonkaBar of MeltyFi lottery #', values[0],
+            '","description":"Ticket of MeltyFi lottery #', values[0],
+            '. Melt it once the lottery is over to get the refund, the ChocoChips and, if it wins, the prize.","image":"data:image/svg+xml;base64,',
+            Base64.encode(_image(lottery, prizes.length, values)),
+            '","attributes":[',
+            _attribute("Prize collection", values[1], true),
+            _attribute("Prize token ID", values[2], true),
+            _attribute("Prize tokens", prizes.length.toString(), false),
+            '{"display_type":"date","trait_type":"Expiration date","value":', lottery.expirationDate.toString(), '},'
+        );
+        json = abi.encodePacked(
+            json,
+            _attribute("Price", values[3], true),
+            _attribute("State", values[5], true),
+            _attribute("Winner", values[6], true),
+            _attribute("WonkaBars sold", lottery.wonkaBarsSold.toString(), false),
+            '{"trait_type":"WonkaBars max supply","value":', lottery.wonkaBarsMaxSupply.toString(), '}]}'
+        );
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    /**
+     * @dev A private function that returns a JSON attribute followed by a comma.
+     *
+     * @param traitType The name of the attribute.
+     * @param value The value of the attribute, which must not need escaping.
+     * @param quoted Whether the value is a string rather than a number.
+     */
+    function _attribute(
+        string memory traitType,
+        string memory value,
+        bool quoted
+    ) private pure returns (bytes memory)
+    {
+        string memory quote = quoted ? '"' : "";
+        return abi.encodePacked('{"trait_type":"', traitType, '","value":', quote, value, quote, '},');
+    }
+
+    /**
+     * @dev A private function that generates the SVG image of the WonkaBars of a lottery, a chocolate bar
+     *      whose wrapper lists the attributes of the lottery and whose color depends on its state.
+     *
+     * @param lottery The lottery.
+     * @param numberOfPrizes The number of tokens in the prize bundle of the lottery.
+     * @param values The ID, prize collection, prize token ID, price, expiration date, state and winner of the lottery.
+     */
+    function _image(
+        MeltyFiNFT.Lottery memory lottery,
+        uint256 numberOfPrizes,
+        string[7] memory values
+    ) private pure returns (bytes memory)
+    {
+        string memory wrapper = "#8b4513";
+        if (lottery.state == MeltyFiNFT.lotteryState.CONCLUDED) {
+            wrapper = "#b8860b";
+        } else if (lottery.state == MeltyFiNFT.lotteryState.CANCELLED || lottery.state == MeltyFiNFT.lotteryState.TRASHED) {
+            wrapper = "#696969";
+        }
+        bytes memory svg = abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 350" font-family="monospace" fill="#fff8dc">',
+            '<rect width="350" height="350" fill="#3b1f0e"/><rect x="25" y="25" width="300" height="300" rx="20" fill="', wrapper, '"/>',
+            '<text x="50" y="75" font-size="28">WonkaBar #', values[0], '</text>',
+            '<text x="50" y="120" font-size="12">Prize: ', _shortAddress(values[1]), " #", values[2],
+            numberOfPrizes > 1 ? string(abi.encodePacked(" +", (numberOfPrizes - 1).toString())) : "", '</text>'
+        );
+        svg = abi.encodePacked(
+            svg,
+            '<text x="50" y="150" font-size="12">Price: ', values[3], '</text>',
+            '<text x="50" y="180" font-size="12">Expires: ', values[4], '</text>',
+            '<text x="50" y="210" font-size="12">Sold: ', lottery.wonkaBarsSold.toString(), "/", lottery.wonkaBarsMaxSupply.toString(), '</text>',
+            '<text x="50" y="240" font-size="12">State: ', values[5], '</text>',
+            '<text x="50" y="270" font-size="12">Winner: ', lottery.winner == address(0) ? values[6] : _shortAddress(values[6]), '</text></svg>'
+        );
+        return svg;
+    }
+
+    /**
+     * @dev A private function that returns the name of the state of a lottery, telling apart the active lotteries
+     *      whose expiration date is passed.
+     */
+    function _stateName(
+        MeltyFiNFT.Lottery memory lottery
+    ) private view returns (string memory)
+    {
+        if (lottery.state == MeltyFiNFT.lotteryState.ACTIVE) {
+            return block.timestamp < lottery.expirationDate ? "Active" : "Expired";
+        }
+        if (lottery.state == MeltyFiNFT.lotteryState.CANCELLED) {
+            return "Cancelled";
+        }
+        if (lottery.state == MeltyFiNFT.lotteryState.CONCLUDED) {
+            return "Concluded";
+        }
+        if (lottery.state == MeltyFiNFT.lotteryState.TRASHED) {
+            return "Trashed";
+        }
+        return "Drawing the winner";
+    }
+
+    /**
+     * @dev A private function that formats the price of a WonkaBar with the decimals and the symbol of its currency,
+     *      e.g. "0.01 ETH". Tokens that do not implement the optional metadata methods are shown in their smallest unit.
+     *
+     * @param price The price, in wei or in the smallest unit of the payment token.
+     * @param paymentToken The ERC20 payment token, or the zero address for Ether.
+     */
+    function _formatPrice(
+        uint256 price,
+        IERC20 paymentToken
+    ) private view returns (string memory)
+    {
+        if (address(paymentToken) == address(0)) {
+            return string(abi.encodePacked(_formatUnits(price, 18), " ETH"));
+        }
+        uint8 decimals = 0;
+        string memory symbol = "units";
+        try IERC20Metadata(address(paymentToken)).decimals() returns (uint8 tokenDecimals) {
+            /// with larger decimals the fraction padded by `_formatUnits`, up to twice the unit, does not fit in a uint256
+            if (tokenDecimals <= 76) {
+                decimals = tokenDecimals;
+            }
+        } catch {}
+        try IERC20Metadata(address(paymentToken)).symbol() returns (string memory tokenSymbol) {
+            /// the symbol is chosen by the token, so it is shown only if it cannot break the JSON or the SVG
+            if (_isAlphanumeric(tokenSymbol)) {
+                symbol = tokenSymbol;
+            }
+        } catch {}
+        return string(abi.encodePacked(_formatUnits(price, decimals), " ", symbol));
+    }
+
+    /**
+     * @dev A private function that formats an amount in the smallest unit of a currency as a decimal number
+     *      of whole units, without trailing zeros.
+     */
+    function _formatUnits(
+        uint256 amount,
+        uint8 decimals
+    ) private pure returns (string memory)
+    {
+        uint256 unit = 10 ** decimals;
+        uint256 fraction = amount % unit;
+        if (fraction == 0) {
+            return (amount / unit).toString();
+        }
+        /// the fraction is left padded with zeros to the decimals, then its trailing zeros are removed
+        bytes memory digits = bytes((fraction + unit).toString());
+        uint256 length = digits.length;
+        while (digits[length - 1] == "0") {
+            length--;
+        }
+        bytes memory decimalPart = new bytes(length - 1);
+        for (uint256 i = 1; i < length; i++) {
+            decimalPart[i - 1] = digits[i];
+        }
+        return string(abi.encodePacked((amount / unit).toString(), ".", decimalPart));
+    }
+
+    /**
+     * @dev A private function that formats a timestamp as a UTC date and time, e.g. "2023-01-31 23:59 UTC".
+     *      The conversion from days to a date is the one of the proleptic Gregorian calendar.
+     */
+    function _formatDate(
+        uint256 timestamp
+    ) private pure returns (string memory)
+    {
+        uint256 z = timestamp / 1 days + 719468;
+        uint256 dayOfEra = z % 146097;
+        uint256 yearOfEra = (dayOfEra - dayOfEra / 1460 + dayOfEra / 36524 - dayOfEra / 146096) / 365;
+        uint256 dayOfYear = dayOfEra - (365 * yearOfEra + yearOfEra / 4 - yearOfEra / 100);
+        uint256 shiftedMonth = (5 * dayOfYear + 2) / 153;
+        uint256 day = dayOfYear - (153 * shiftedMonth + 2) / 5 + 1;
+        uint256 month = shiftedMonth < 10 ? shiftedMonth + 3 : shiftedMonth - 9;
+        uint256 year = yearOfEra + (z / 146097) * 400 + (month <= 2 ? 1 : 0);
+        return string(abi.encodePacked(
+            year.toString(), "-", _twoDigits(month), "-", _twoDigits(day), " ",
+            _twoDigits((timestamp % 1 days) / 1 hours), ":", _twoDigits((timestamp % 1 hours) / 1 minutes), " UTC"
+        ));
+    }
+
+    /**
+     * @dev A private function that formats a number lower than 100 with two digits.
+     */
+    function _twoDigits(
+        uint256 value
+    ) private pure returns (string memory)
+    {
+        return value < 10 ? string(abi.encodePacked("0", value.toString())) : value.toString();
+    }
+
+    /**
+     * @dev A private function that shortens the hexadecimal representation of an address, e.g. "0x1234...abcd".
+     */
+    function _shortAddress(
+        string memory hexAddress
+    ) private pure returns (string memory)
+    {
+        bytes memory full = bytes(hexAddress);
+        return string(abi.encodePacked(_slice(full, 0, 6), "...", _slice(full, full.length - 4, full.length)));
+    }
+
+    /**
+     * @dev A private function that returns the bytes of a string between two indexes, the end excluded.
+     */
+    function _slice(
+        bytes memory data,
+        uint256 start,
+        uint256 end
+    ) private pure returns (bytes memory slice)
+    {
+        slice = new bytes(end - start);
+        for (uint256 i = 0; i < slice.length; i++) {
+            slice[i] = data[start + i];
+        }
+    }
+
+    /**
+     * @dev A private function that returns whether a string is non empty and made only of ASCII letters and digits.
+     */
+    function _isAlphanumeric(
+        string memory value
+    ) private pure returns (bool)
+    {
+        bytes memory characters = bytes(value);
+        for (uint256 i = 0; i < characters.length; i++) {
+            bytes1 c = characters[i];
+            if (!((c >= "0" && c <= "9") || (c >= "A" && c <= "Z") || (c >= "a" && c <= "z"))) {
+                return false;
+            }
+        }
+        return characters.length > 0;
+    }
+}
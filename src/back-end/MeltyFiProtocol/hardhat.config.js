@@ -6,16 +6,19 @@ module.exports = {
 	solidity: {
 		version: "0.8.17",
 		settings: {
+			/// optimized for size rather than for the gas of repeated calls, for the same reason as the IR pipeline
 			optimizer: {
 				enabled: true,
-				runs: 200
-			}
+				runs: 1
+			},
+			/// the IR pipeline keeps the bytecode of MeltyFiNFT under the contract size limit
+			viaIR: true
 		}
 	},
 	networks: {
 		goerli: {
 			url: `https://eth-goerli.alchemyapi.io/v2/${process.env.ALCHEMY_API_KEY}`,
-			accounts: [process.env.GOERLI_PRIVATE_KEY]
+			accounts: process.env.GOERLI_PRIVATE_KEY ? [process.env.GOERLI_PRIVATE_KEY] : []
 		},
 		localhost: {
 			url: "http://127.0.0.1:7545"
@@ -0,0 +1,338 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { getMeta } = require('./db.js');
+const { LOTTERY_STATES } = require('./indexer.js');
+
+/// Maximum number of lotteries returned by a single request
+const MAX_PAGE_SIZE = 100;
+
+/// Orders of `GET /lotteries`, the most recent lotteries first among equals
+const LOTTERY_SORTS = {
+	recent: 'id DESC',
+	expiry: 'expiration_date, id DESC',
+	/// prices are decimal strings without leading zeros, so the shorter one is the lower
+	priceAsc: 'LENGTH(wonkabar_price), wonkabar_price, id DESC',
+	priceDesc: 'LENGTH(wonkabar_price) DESC, wonkabar_price DESC, id DESC',
+	popularity: 'wonkabars_sold DESC, id DESC',
+	fill: 'wonkabars_sold * 1.0 / wonkabars_max_supply DESC, id DESC'
+};
+
+function toLottery(row, prizes) {
+	return {
+		id: row.id,
+		owner: row.owner,
+		prizes,
+		expirationDate: row.expiration_date,
+		wonkaBarPrice: row.wonkabar_price,
+		paymentToken: row.payment_token,
+		wonkaBarsMaxSupply: row.wonkabars_max_supply,
+		wonkaBarsSold: row.wonkabars_sold,
+		refundPerWonkaBar: row.refund_per_wonkabar,
+		state: row.state,
+		winner: row.winner,
+		createdBlock: row.created_block,
+		createdTx: row.created_tx,
+		closedBlock: row.closed_block
+	};
+}
+
+function toPrize(row) {
+	return {
+		prizeContract: row.prize_contract,
+		prizeTokenId: row.prize_token_id,
+		prizeAmount: row.prize_amount
+	};
+}
+
+function toPurchase(row) {
+	return {
+		lotteryId: row.lottery_id,
+		buyer: row.buyer,
+		amount: row.amount,
+		totalSpending: row.total_spending,
+		blockNumber: row.block_number,
+		txHash: row.tx_hash
+	};
+}
+
+function toPartialRepayment(row) {
+	return {
+		lotteryId: row.lottery_id,
+		amount: row.amount,
+		refundPerWonkaBar: row.refund_per_wonkabar,
+		blockNumber: row.block_number,
+		txHash: row.tx_hash
+	};
+}
+
+function toMelt(row) {
+	return {
+		lotteryId: row.lottery_id,
+		holder: row.holder,
+		amount: row.amount,
+		refund: row.refund,
+		amountChocoChip: row.amount_choco_chip,
+		prizeClaimed: row.prize_claimed === 1,
+		blockNumber: row.block_number,
+		txHash: row.tx_hash
+	};
+}
+
+/// Sums decimal strings of wei, or of the smallest unit of a token, without losing precision
+function sumWei(values) {
+	return values.reduce((total, value) => total + BigInt(value), 0n).toString();
+}
+
+/// Parses an address parameter, throwing an error with status 400 if it is not a valid address
+function parseAddress(value) {
+	try {
+		return ethers.utils.getAddress(value);
+	} catch (error) {
+		throw Object.assign(new Error(`Invalid address: ${value}`), { status: 400 });
+	}
+}
+
+/// Parses a non-negative integer parameter, throwing an error with status 400 if it is not valid
+function parseInteger(value, defaultValue, name) {
+	if (value === undefined) {
+		return defaultValue;
+	}
+	if (!/^\d+$/.test(value)) {
+		throw Object.assign(new Error(`Invalid ${name}: ${value}`), { status: 400 });
+	}
+	return Number(value);
+}
+
+/// Parses a non-negative decimal number parameter, throwing an error with status 400 if it is not valid
+function parseNumber(value, name) {
+	if (!/^\d+(\.\d+)?$/.test(value)) {
+		throw Object.assign(new Error(`Invalid ${name}: ${value}`), { status: 400 });
+	}
+	return Number(value);
+}
+
+/// Parses an amount of wei, or of the smallest unit of a token, keeping it as a decimal string without leading zeros
+function parseAmount(value, name) {
+	if (!/^\d+$/.test(value)) {
+		throw Object.assign(new Error(`Invalid ${name}: ${value}`), { status: 400 });
+	}
+	return BigInt(value).toString();
+}
+
+/// Compares two decimal strings without leading zeros, which SQLite would otherwise compare as text
+function compareAmounts(column, operator, param) {
+	return `(LENGTH(${column}) ${operator} LENGTH(${param}) OR (LENGTH(${column}) = LENGTH(${param}) AND ${column} ${operator}= ${param}))`;
+}
+
+/// Escapes the wildcards of a LIKE pattern
+function escapeLike(value) {
+	return value.replace(/[\\%_]/g, (character) => `\\${character}`);
+}
+
+/**
+ * Creates the REST API serving the data of the indexer database.
+ *
+ * Routes:
+ * - `GET /status`: the last indexed block.
+ * - `GET /lotteries`: lotteries filtered by `state`, `owner`, `prizeContract` and `paymentToken`, paginated with `offset` and `limit`.
+ *   A lottery matches `prizeContract` if any token of its prize bundle belongs to that contract. `state` may list several
+ *   states separated by commas. Lotteries can also be searched by ID and collection name with `search`, filtered by
+ *   `minPrice` and `maxPrice` in the smallest unit of the payment token, by `minFill` and `maxFill` percentages of
+ *   WonkaBars sold and by `expiresBefore` in seconds, and ordered with `sort`, one of the keys of `LOTTERY_SORTS`.
+ * - `GET /lotteries/:id`: a lottery with its prize bundle, purchases, partial repayments, repayment, extensions, draw,
+ *   melts and current holders.
+ * - `GET /users/:address/history`: the lotteries created and the actions taken by an address, most recent first.
+ * - `GET /stats`: protocol statistics, with the volume in Ether and the volume of each ERC20 payment token,
+ *   and the payment tokens of the lotteries.
+ *
+ * @param {import('better-sqlite3').Database} db - The indexer database.
+ * @return {import('express').Express} The express application.
+ */
+function createApi(db) {
+	const app = express();
+	/// the prize bundle of a lottery, in the order in which it was escrowed
+	const selectPrizes = db.prepare('SELECT * FROM prizes WHERE lottery_id = ? ORDER BY log_index');
+	const withPrizes = (row) => toLottery(row, selectPrizes.all(row.id).map(toPrize));
+
+	app.use((req, res, next) => {
+		/// the front end is served from another origin
+		res.set('Access-Control-Allow-Origin', '*');
+		next();
+	});
+
+	app.get('/status', (req, res) => {
+		res.json({ lastIndexedBlock: Number(getMeta(db, 'lastIndexedBlock', -1)) });
+	});
+
+	app.get('/lotteries', (req, res) => {
+		const conditions = [];
+		const params = {};
+		if (req.query.state !== undefined) {
+			const states = req.query.state.split(',');
+			states.forEach((state, i) => {
+				if (!LOTTERY_STATES.includes(state)) {
+					throw Object.assign(new Error(`Invalid state: ${state}`), { status: 400 });
+				}
+				params[`state${i}`] = state;
+			});
+			conditions.push(`state IN (${states.map((state, i) => `@state${i}`).join(', ')})`);
+		}
+		if (req.query.owner !== undefined) {
+			conditions.push('owner = @owner');
+			params.owner = parseAddress(req.query.owner);
+		}
+		if (req.query.prizeContract !== undefined) {
+			conditions.push('id IN (SELECT lottery_id FROM prizes WHERE prize_contract = @prizeContract)');
+			params.prizeContract = parseAddress(req.query.prizeContract);
+		}
+		if (req.query.paymentToken !== undefined) {
+			conditions.push('payment_token = @paymentToken');
+			params.paymentToken = parseAddress(req.query.paymentToken);
+		}
+		/// every word of the search is found in the ID of the lottery, as "#ID", or in the name of a prize collection
+		(req.query.search || '').split(/\s+/).filter((word) => word !== '').forEach((word, i) => {
+			conditions.push(`('#' || id LIKE @search${i} ESCAPE '\\' OR id IN (
+				SELECT prizes.lottery_id FROM prizes JOIN collections ON collections.address = prizes.prize_contract
+				WHERE collections.name LIKE @search${i} ESCAPE '\\'
+			))`);
+			params[`search${i}`] = `%${escapeLike(word)}%`;
+		});
+		if (req.query.minPrice !== undefined) {
+			conditions.push(compareAmounts('wonkabar_price', '>', '@minPrice'));
+			params.minPrice = parseAmount(req.query.minPrice, 'minPrice');
+		}
+		if (req.query.maxPrice !== undefined) {
+			conditions.push(compareAmounts('wonkabar_price', '<', '@maxPrice'));
+			params.maxPrice = parseAmount(req.query.maxPrice, 'maxPrice');
+		}
+		/// the percentage of the WonkaBars sold
+		if (req.query.minFill !== undefined) {
+			conditions.push('wonkabars_sold * 100.0 >= @minFill * wonkabars_max_supply');
+			params.minFill = parseNumber(req.query.minFill, 'minFill');
+		}
+		if (req.query.maxFill !== undefined) {
+			conditions.push('wonkabars_sold * 100.0 <= @maxFill * wonkabars_max_supply');
+			params.maxFill = parseNumber(req.query.maxFill, 'maxFill');
+		}
+		if (req.query.expiresBefore !== undefined) {
+			conditions.push('expiration_date <= @expiresBefore');
+			params.expiresBefore = parseInteger(req.query.expiresBefore, undefined, 'expiresBefore');
+		}
+		const sort = req.query.sort || 'recent';
+		if (LOTTERY_SORTS[sort] === undefined) {
+			throw Object.assign(new Error(`Invalid sort: ${sort}`), { status: 400 });
+		}
+		const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+		const offset = parseInteger(req.query.offset, 0, 'offset');
+		const limit = Math.min(parseInteger(req.query.limit, MAX_PAGE_SIZE, 'limit'), MAX_PAGE_SIZE);
+		const total = db.prepare(`SELECT COUNT(*) AS total FROM lotteries ${where}`).get(params).total;
+		const rows = db.prepare(`SELECT * FROM lotteries ${where} ORDER BY ${LOTTERY_SORTS[sort]} LIMIT @limit OFFSET @offset`)
+			.all({ ...params, limit, offset });
+		res.json({ total, lotteries: rows.map(withPrizes) });
+	});
+
+	app.get('/lotteries/:id', (req, res) => {
+		const id = parseInteger(req.params.id, undefined, 'lottery id');
+		const row = db.prepare('SELECT * FROM lotteries WHERE id = ?').get(id);
+		if (row === undefined) {
+			return res.status(404).json({ error: `Lottery ${id} not found` });
+		}
+		const repayment = db.prepare('SELECT * FROM repayments WHERE lottery_id = ?').get(id);
+		const draw = db.prepare('SELECT * FROM draws WHERE lottery_id = ?').get(id);
+		res.json({
+			...withPrizes(row),
+			purchases: db.prepare('SELECT * FROM purchases WHERE lottery_id = ? ORDER BY block_number, log_index')
+				.all(id).map(toPurchase),
+			partialRepayments: db.prepare('SELECT * FROM partial_repayments WHERE lottery_id = ? ORDER BY block_number, log_index')
+				.all(id).map(toPartialRepayment),
+			extensions: db.prepare('SELECT * FROM extensions WHERE lottery_id = ? ORDER BY block_number, log_index')
+				.all(id).map((extension) => ({
+					expirationDate: extension.expiration_date,
+					fee: extension.fee,
+					blockNumber: extension.block_number,
+					txHash: extension.tx_hash
+				})),
+			repayment: repayment === undefined ? null : {
+				amount: repayment.amount,
+				blockNumber: repayment.block_number,
+				txHash: repayment.tx_hash
+			},
+			draw: draw === undefined ? null : {
+				requestId: draw.request_id,
+				requestedBlock: draw.requested_block,
+				requestedTx: draw.requested_tx,
+				winner: draw.winner,
+				settledBlock: draw.settled_block,
+				settledTx: draw.settled_tx
+			},
+			melts: db.prepare('SELECT * FROM melts WHERE lottery_id = ? ORDER BY block_number, log_index')
+				.all(id).map(toMelt),
+			holders: db.prepare('SELECT holder, balance FROM holders WHERE lottery_id = ? ORDER BY balance DESC, holder')
+				.all(id)
+		});
+	});
+
+	app.get('/users/:address/history', (req, res) => {
+		const address = parseAddress(req.params.address);
+		const history = [
+			...db.prepare('SELECT * FROM lotteries WHERE owner = ?').all(address).map((row) => ({
+				type: 'LotteryCreated', lotteryId: row.id, blockNumber: row.created_block, txHash: row.created_tx
+			})),
+			...db.prepare('SELECT * FROM purchases WHERE buyer = ?').all(address).map((row) => ({
+				type: 'WonkaBarsBought', ...toPurchase(row)
+			})),
+			...db.prepare('SELECT * FROM partial_repayments WHERE owner = ?').all(address).map((row) => ({
+				type: 'LoanPartiallyRepaid', ...toPartialRepayment(row)
+			})),
+			...db.prepare('SELECT * FROM repayments WHERE owner = ?').all(address).map((row) => ({
+				type: 'LoanRepaid', lotteryId: row.lottery_id, amount: row.amount, blockNumber: row.block_number,
+				txHash: row.tx_hash
+			})),
+			...db.prepare('SELECT * FROM draws WHERE winner = ?').all(address).map((row) => ({
+				type: 'WinnerChosen', lotteryId: row.lottery_id, blockNumber: row.settled_block, txHash: row.settled_tx
+			})),
+			...db.prepare('SELECT * FROM melts WHERE holder = ?').all(address).map((row) => ({
+				type: 'WonkaBarsMelted', ...toMelt(row)
+			}))
+		].sort((a, b) => b.blockNumber - a.blockNumber);
+		res.json({ address, history });
+	});
+
+	app.get('/stats', (req, res) => {
+		const lotteriesByState = Object.fromEntries(LOTTERY_STATES.map((state) => [state, 0]));
+		for (const row of db.prepare('SELECT state, COUNT(*) AS count FROM lotteries GROUP BY state').all()) {
+			lotteriesByState[row.state] = row.count;
+		}
+		const purchases = db.prepare(`
+			SELECT purchases.total_spending, lotteries.payment_token FROM purchases
+			JOIN lotteries ON lotteries.id = purchases.lottery_id
+		`).all();
+		/// amounts of different tokens cannot be summed together, the zero address stands for Ether
+		const spendingsByToken = {};
+		for (const row of purchases) {
+			(spendingsByToken[row.payment_token] = spendingsByToken[row.payment_token] || []).push(row.total_spending);
+		}
+		const etherSpendings = spendingsByToken[ethers.constants.AddressZero] || [];
+		delete spendingsByToken[ethers.constants.AddressZero];
+		res.json({
+			lotteries: db.prepare('SELECT COUNT(*) AS count FROM lotteries').get().count,
+			lotteriesByState,
+			loansRepaid: db.prepare('SELECT COUNT(*) AS count FROM repayments').get().count,
+			/// a loan defaults when the lottery expires without being repaid, and its prize is drawn
+			loansDefaulted: db.prepare('SELECT COUNT(*) AS count FROM draws').get().count,
+			wonkaBarsSold: db.prepare('SELECT COALESCE(SUM(amount), 0) AS total FROM purchases').get().total,
+			volume: sumWei(etherSpendings),
+			tokenVolumes: Object.fromEntries(Object.entries(spendingsByToken).map(([token, spendings]) => [token, sumWei(spendings)])),
+			buyers: db.prepare('SELECT COUNT(DISTINCT buyer) AS count FROM purchases').get().count,
+			paymentTokens: db.prepare('SELECT DISTINCT payment_token FROM lotteries ORDER BY payment_token').pluck().all()
+		});
+	});
+
+	app.use((error, req, res, next) => {
+		res.status(error.status || 500).json({ error: error.message });
+	});
+
+	return app;
+}
+
+module.exports = { createApi };
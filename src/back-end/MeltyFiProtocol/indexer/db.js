@@ -0,0 +1,141 @@
+const Database = require('better-sqlite3');
+
+/// Tables of the indexer. Amounts of wei are stored as decimal strings, since they do not fit in SQLite integers
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS meta (
+		key TEXT PRIMARY KEY,
+		value TEXT NOT NULL
+	);
+	CREATE TABLE IF NOT EXISTS lotteries (
+		id INTEGER PRIMARY KEY,
+		owner TEXT NOT NULL,
+		expiration_date INTEGER NOT NULL,
+		wonkabar_price TEXT NOT NULL,
+		payment_token TEXT NOT NULL,
+		wonkabars_max_supply INTEGER NOT NULL,
+		wonkabars_sold INTEGER NOT NULL DEFAULT 0,
+		refund_per_wonkabar TEXT NOT NULL DEFAULT '0',
+		state TEXT NOT NULL,
+		winner TEXT,
+		created_block INTEGER NOT NULL,
+		created_tx TEXT NOT NULL,
+		closed_block INTEGER
+	);
+	CREATE INDEX IF NOT EXISTS lotteries_owner ON lotteries (owner);
+	CREATE INDEX IF NOT EXISTS lotteries_state ON lotteries (state);
+	CREATE TABLE IF NOT EXISTS prizes (
+		lottery_id INTEGER NOT NULL,
+		prize_contract TEXT NOT NULL,
+		prize_token_id TEXT NOT NULL,
+		prize_amount TEXT NOT NULL,
+		tx_hash TEXT NOT NULL,
+		log_index INTEGER NOT NULL,
+		PRIMARY KEY (tx_hash, log_index)
+	);
+	CREATE INDEX IF NOT EXISTS prizes_lottery ON prizes (lottery_id);
+	CREATE INDEX IF NOT EXISTS prizes_contract ON prizes (prize_contract);
+	CREATE TABLE IF NOT EXISTS collections (
+		address TEXT PRIMARY KEY,
+		name TEXT
+	);
+	CREATE TABLE IF NOT EXISTS purchases (
+		lottery_id INTEGER NOT NULL,
+		buyer TEXT NOT NULL,
+		amount INTEGER NOT NULL,
+		total_spending TEXT NOT NULL,
+		block_number INTEGER NOT NULL,
+		tx_hash TEXT NOT NULL,
+		log_index INTEGER NOT NULL,
+		PRIMARY KEY (tx_hash, log_index)
+	);
+	CREATE INDEX IF NOT EXISTS purchases_lottery ON purchases (lottery_id);
+	CREATE INDEX IF NOT EXISTS purchases_buyer ON purchases (buyer);
+	CREATE TABLE IF NOT EXISTS repayments (
+		lottery_id INTEGER PRIMARY KEY,
+		owner TEXT NOT NULL,
+		amount TEXT NOT NULL,
+		block_number INTEGER NOT NULL,
+		tx_hash TEXT NOT NULL
+	);
+	CREATE TABLE IF NOT EXISTS partial_repayments (
+		lottery_id INTEGER NOT NULL,
+		owner TEXT NOT NULL,
+		amount TEXT NOT NULL,
+		refund_per_wonkabar TEXT NOT NULL,
+		block_number INTEGER NOT NULL,
+		tx_hash TEXT NOT NULL,
+		log_index INTEGER NOT NULL,
+		PRIMARY KEY (tx_hash, log_index)
+	);
+	CREATE INDEX IF NOT EXISTS partial_repayments_lottery ON partial_repayments (lottery_id);
+	CREATE TABLE IF NOT EXISTS extensions (
+		lottery_id INTEGER NOT NULL,
+		expiration_date INTEGER NOT NULL,
+		fee TEXT NOT NULL,
+		block_number INTEGER NOT NULL,
+		tx_hash TEXT NOT NULL,
+		log_index INTEGER NOT NULL,
+		PRIMARY KEY (tx_hash, log_index)
+	);
+	CREATE INDEX IF NOT EXISTS extensions_lottery ON extensions (lottery_id);
+	CREATE TABLE IF NOT EXISTS draws (
+		lottery_id INTEGER PRIMARY KEY,
+		request_id TEXT NOT NULL,
+		requested_block INTEGER NOT NULL,
+		requested_tx TEXT NOT NULL,
+		winner TEXT,
+		settled_block INTEGER,
+		settled_tx TEXT
+	);
+	CREATE TABLE IF NOT EXISTS melts (
+		lottery_id INTEGER NOT NULL,
+		holder TEXT NOT NULL,
+		amount INTEGER NOT NULL,
+		refund TEXT NOT NULL,
+		amount_choco_chip TEXT NOT NULL,
+		prize_claimed INTEGER NOT NULL,
+		block_number INTEGER NOT NULL,
+		tx_hash TEXT NOT NULL,
+		log_index INTEGER NOT NULL,
+		PRIMARY KEY (tx_hash, log_index)
+	);
+	CREATE INDEX IF NOT EXISTS melts_lottery ON melts (lottery_id);
+	CREATE INDEX IF NOT EXISTS melts_holder ON melts (holder);
+	CREATE TABLE IF NOT EXISTS holders (
+		lottery_id INTEGER NOT NULL,
+		holder TEXT NOT NULL,
+		balance INTEGER NOT NULL,
+		PRIMARY KEY (lottery_id, holder)
+	);
+`;
+
+/**
+ * Opens the indexer database, creating its tables if they do not exist.
+ *
+ * @param {string} filename - The path of the SQLite file, or ':memory:' for an in-memory database.
+ * @return {import('better-sqlite3').Database} The database.
+ */
+function openDatabase(filename) {
+	const db = new Database(filename);
+	db.pragma('journal_mode = WAL');
+	db.exec(SCHEMA);
+	return db;
+}
+
+/**
+ * Returns a value of the meta table, or a default value if it is not set.
+ */
+function getMeta(db, key, defaultValue) {
+	const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+	return row === undefined ? defaultValue : row.value;
+}
+
+/**
+ * Sets a value of the meta table.
+ */
+function setMeta(db, key, value) {
+	db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+		.run(key, String(value));
+}
+
+module.exports = { openDatabase, getMeta, setMeta };
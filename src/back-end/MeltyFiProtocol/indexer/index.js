@@ -0,0 +1,45 @@
+require('dotenv').config();
+const path = require('path');
+const { ethers } = require('ethers');
+const { openDatabase } = require('./db.js');
+const { createIndexer } = require('./indexer.js');
+const { createApi } = require('./api.js');
+const { readDeployedAddress } = require('../scripts/results.js');
+
+/// Configuration of the indexer, read from the environment. Defaults follow the local network of `hardhat.config.js`
+const RPC_URL = process.env.INDEXER_RPC_URL || 'http://127.0.0.1:7545';
+const RESULT_FILE = process.env.INDEXER_RESULT_FILE || 'result.localhost.txt';
+const DATABASE_FILE = process.env.INDEXER_DATABASE || 'indexer.sqlite';
+const PORT = Number(process.env.INDEXER_PORT || 4000);
+const START_BLOCK = Number(process.env.INDEXER_START_BLOCK || 0);
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+
+/**
+ * Follows the MeltyFiNFT deployment at MELTYFI_NFT_ADDRESS, or the one recorded in the result file,
+ * and serves the indexed data over HTTP.
+ */
+async function main() {
+	const address = process.env.MELTYFI_NFT_ADDRESS || readDeployedAddress(RESULT_FILE, 'MeltyFiNFT');
+	if (address === undefined) {
+		throw new Error(`MeltyFiNFT address not found in ${RESULT_FILE}, set MELTYFI_NFT_ADDRESS`);
+	}
+	const { abi } = require(path.join(__dirname, '../artifacts/contracts/MeltyFiNFT.sol/MeltyFiNFT.json'));
+	const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+	const contractMeltyFiNFT = new ethers.Contract(address, abi, provider);
+
+	const db = openDatabase(DATABASE_FILE);
+	const indexer = createIndexer({ db, contractMeltyFiNFT, startBlock: START_BLOCK, confirmations: CONFIRMATIONS });
+	console.log(`indexing MeltyFiNFT ${address} from ${RPC_URL} into ${DATABASE_FILE}`);
+	indexer.start();
+
+	createApi(db).listen(PORT, () => {
+		console.log(`API listening on http://localhost:${PORT}`);
+	});
+}
+
+if (require.main === module) {
+	main().catch((error) => {
+		console.error(error);
+		process.exit(1);
+	});
+}
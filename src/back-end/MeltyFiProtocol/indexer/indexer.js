@@ -0,0 +1,251 @@
+const { ethers } = require('ethers');
+const { getMeta, setMeta } = require('./db.js');
+
+/// Names of the states of a lottery, in the order of the `lotteryState` enum of MeltyFiNFT
+const LOTTERY_STATES = ['ACTIVE', 'CANCELLED', 'CONCLUDED', 'TRASHED', 'AWAITING_RANDOMNESS'];
+const COLLECTION_ABI = ['function name() view returns (string)'];
+
+/**
+ * Reads the names of the prize collections escrowed by the events that are not stored yet, so that lotteries can be
+ * searched by collection. Collections without a name, like most ERC1155 ones, are stored with a null name.
+ *
+ * @return {Promise<Array<{address: string, name: ?string}>>} The new collections.
+ */
+async function readNewCollections(db, provider, events) {
+	const selectCollection = db.prepare('SELECT address FROM collections WHERE address = ?');
+	const addresses = [...new Set(events
+		.filter((event) => event.event === 'PrizeEscrowed')
+		.map((event) => event.args.prizeContract))]
+		.filter((address) => selectCollection.get(address) === undefined);
+	return await Promise.all(addresses.map(async (address) => ({
+		address,
+		name: await new ethers.Contract(address, COLLECTION_ABI, provider).name().catch(() => null)
+	})));
+}
+
+/**
+ * Builds the function that writes a MeltyFiNFT event to the database.
+ *
+ * @param {import('better-sqlite3').Database} db - The indexer database.
+ * @return {function(Object): void} A function that takes an ethers event and updates the tables accordingly.
+ */
+function eventWriter(db) {
+	const insertLottery = db.prepare(`
+		INSERT OR IGNORE INTO lotteries (id, owner, expiration_date, wonkabar_price, payment_token, wonkabars_max_supply,
+			state, created_block, created_tx)
+		VALUES (@id, @owner, @expirationDate, @wonkaBarPrice, @paymentToken, @wonkaBarsMaxSupply,
+			'ACTIVE', @blockNumber, @txHash)
+	`);
+	const insertPrize = db.prepare(`
+		INSERT OR IGNORE INTO prizes (lottery_id, prize_contract, prize_token_id, prize_amount, tx_hash, log_index)
+		VALUES (?, ?, ?, ?, ?, ?)
+	`);
+	const setState = db.prepare('UPDATE lotteries SET state = ? WHERE id = ?');
+	const closeLottery = db.prepare('UPDATE lotteries SET state = ?, closed_block = ? WHERE id = ?');
+	const insertPurchase = db.prepare(`
+		INSERT OR IGNORE INTO purchases (lottery_id, buyer, amount, total_spending, block_number, tx_hash, log_index)
+		VALUES (?, ?, ?, ?, ?, ?, ?)
+	`);
+	const addSold = db.prepare('UPDATE lotteries SET wonkabars_sold = wonkabars_sold + ? WHERE id = ?');
+	const insertRepayment = db.prepare(`
+		INSERT OR IGNORE INTO repayments (lottery_id, owner, amount, block_number, tx_hash) VALUES (?, ?, ?, ?, ?)
+	`);
+	const insertPartialRepayment = db.prepare(`
+		INSERT OR IGNORE INTO partial_repayments (lottery_id, owner, amount, refund_per_wonkabar, block_number, tx_hash, log_index)
+		VALUES (?, ?, ?, ?, ?, ?, ?)
+	`);
+	const setRefundPerWonkaBar = db.prepare('UPDATE lotteries SET refund_per_wonkabar = ? WHERE id = ?');
+	const selectRefund = db.prepare('SELECT refund_per_wonkabar, wonkabars_sold FROM lotteries WHERE id = ?');
+	const insertExtension = db.prepare(`
+		INSERT OR IGNORE INTO extensions (lottery_id, expiration_date, fee, block_number, tx_hash, log_index) VALUES (?, ?, ?, ?, ?, ?)
+	`);
+	const setExpirationDate = db.prepare('UPDATE lotteries SET expiration_date = ? WHERE id = ?');
+	const insertDraw = db.prepare(`
+		INSERT OR IGNORE INTO draws (lottery_id, request_id, requested_block, requested_tx) VALUES (?, ?, ?, ?)
+	`);
+	const settleDraw = db.prepare('UPDATE draws SET winner = ?, settled_block = ?, settled_tx = ? WHERE lottery_id = ?');
+	const setWinner = db.prepare('UPDATE lotteries SET state = ?, winner = ?, closed_block = ? WHERE id = ?');
+	const insertMelt = db.prepare(`
+		INSERT OR IGNORE INTO melts (lottery_id, holder, amount, refund, amount_choco_chip, prize_claimed, block_number,
+			tx_hash, log_index)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+	`);
+	const addBalance = db.prepare(`
+		INSERT INTO holders (lottery_id, holder, balance) VALUES (?, ?, ?)
+		ON CONFLICT (lottery_id, holder) DO UPDATE SET balance = balance + excluded.balance
+	`);
+	const removeEmptyBalances = db.prepare('DELETE FROM holders WHERE lottery_id = ? AND balance = 0');
+
+	const moveWonkaBars = (lotteryId, from, to, amount) => {
+		if (from !== ethers.constants.AddressZero) {
+			addBalance.run(lotteryId, from, -amount);
+		}
+		if (to !== ethers.constants.AddressZero) {
+			addBalance.run(lotteryId, to, amount);
+		}
+		removeEmptyBalances.run(lotteryId);
+	};
+
+	return (event) => {
+		const args = event.args;
+		switch (event.event) {
+			case 'LotteryCreated':
+				insertLottery.run({
+					id: args.lotteryId.toNumber(),
+					owner: args.owner,
+					expirationDate: args.expirationDate.toNumber(),
+					wonkaBarPrice: args.wonkaBarPrice.toString(),
+					paymentToken: args.paymentToken,
+					wonkaBarsMaxSupply: args.wonkaBarsMaxSupply.toNumber(),
+					blockNumber: event.blockNumber,
+					txHash: event.transactionHash
+				});
+				break;
+			case 'PrizeEscrowed':
+				insertPrize.run(args.lotteryId.toNumber(), args.prizeContract, args.prizeTokenId.toString(),
+					args.prizeAmount.toString(), event.transactionHash, event.logIndex);
+				break;
+			case 'WonkaBarsBought': {
+				const inserted = insertPurchase.run(args.lotteryId.toNumber(), args.buyer, args.amount.toNumber(),
+					args.totalSpending.toString(), event.blockNumber, event.transactionHash, event.logIndex);
+				/// events already indexed are skipped, so that a range can be indexed twice
+				if (inserted.changes > 0) {
+					addSold.run(args.amount.toNumber(), args.lotteryId.toNumber());
+				}
+				break;
+			}
+			case 'LoanRepaid': {
+				const inserted = insertRepayment.run(args.lotteryId.toNumber(), args.owner, args.amount.toString(),
+					event.blockNumber, event.transactionHash);
+				closeLottery.run('CANCELLED', event.blockNumber, args.lotteryId.toNumber());
+				/// every WonkaBar is now refunded the amount repaid for it, interest included
+				const lottery = selectRefund.get(args.lotteryId.toNumber());
+				if (inserted.changes > 0 && lottery.wonkabars_sold > 0) {
+					const refundPerWonkaBar = BigInt(lottery.refund_per_wonkabar) + args.amount.toBigInt() / BigInt(lottery.wonkabars_sold);
+					setRefundPerWonkaBar.run(refundPerWonkaBar.toString(), args.lotteryId.toNumber());
+				}
+				break;
+			}
+			case 'LoanPartiallyRepaid':
+				insertPartialRepayment.run(args.lotteryId.toNumber(), args.owner, args.amount.toString(),
+					args.refundPerWonkaBar.toString(), event.blockNumber, event.transactionHash, event.logIndex);
+				/// the event carries the refund credited so far, not the increment
+				setRefundPerWonkaBar.run(args.refundPerWonkaBar.toString(), args.lotteryId.toNumber());
+				break;
+			case 'LotteryExtended':
+				insertExtension.run(args.lotteryId.toNumber(), args.expirationDate.toNumber(), args.fee.toString(),
+					event.blockNumber, event.transactionHash, event.logIndex);
+				setExpirationDate.run(args.expirationDate.toNumber(), args.lotteryId.toNumber());
+				break;
+			case 'DrawRequested':
+				insertDraw.run(args.lotteryId.toNumber(), args.requestId.toString(), event.blockNumber, event.transactionHash);
+				setState.run('AWAITING_RANDOMNESS', args.lotteryId.toNumber());
+				break;
+			case 'WinnerChosen':
+				settleDraw.run(args.winner, event.blockNumber, event.transactionHash, args.lotteryId.toNumber());
+				setWinner.run('CONCLUDED', args.winner, event.blockNumber, args.lotteryId.toNumber());
+				break;
+			case 'WonkaBarsMelted':
+				insertMelt.run(args.lotteryId.toNumber(), args.holder, args.amount.toNumber(), args.refund.toString(),
+					args.amountChocoChip.toString(), args.prizeClaimed ? 1 : 0, event.blockNumber, event.transactionHash,
+					event.logIndex);
+				break;
+			case 'LotteryTrashed':
+				closeLottery.run('TRASHED', event.blockNumber, args.lotteryId.toNumber());
+				break;
+			case 'TransferSingle':
+				moveWonkaBars(args.id.toNumber(), args.from, args.to, args.value.toNumber());
+				break;
+			case 'TransferBatch':
+				/// args[4] are the values, args.values is shadowed by Array.prototype.values
+				args.ids.forEach((id, i) => moveWonkaBars(id.toNumber(), args.from, args.to, args[4][i].toNumber()));
+				break;
+			default:
+				break;
+		}
+	};
+}
+
+/**
+ * Indexes the MeltyFiNFT events of a range of blocks, with the names of the new prize collections,
+ * in a single database transaction, and records the last indexed block.
+ *
+ * @param {import('better-sqlite3').Database} db - The indexer database.
+ * @param {ethers.Contract} contractMeltyFiNFT - The MeltyFiNFT contract, connected to a provider.
+ * @param {number} fromBlock - The first block of the range.
+ * @param {number} toBlock - The last block of the range.
+ * @return {Promise<number>} The number of indexed events.
+ */
+async function indexRange(db, contractMeltyFiNFT, fromBlock, toBlock) {
+	const events = (await contractMeltyFiNFT.queryFilter('*', fromBlock, toBlock))
+		.filter((event) => event.event !== undefined)
+		.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+	const collections = await readNewCollections(db, contractMeltyFiNFT.provider, events);
+	const insertCollection = db.prepare('INSERT OR IGNORE INTO collections (address, name) VALUES (@address, @name)');
+	const writeEvent = eventWriter(db);
+	db.transaction(() => {
+		collections.forEach((collection) => insertCollection.run(collection));
+		events.forEach(writeEvent);
+		setMeta(db, 'lastIndexedBlock', toBlock);
+	})();
+	return events.length;
+}
+
+/**
+ * Creates an indexer that follows a MeltyFiNFT deployment and writes its events to the database.
+ *
+ * @param {Object} options
+ * @param {import('better-sqlite3').Database} options.db - The indexer database.
+ * @param {ethers.Contract} options.contractMeltyFiNFT - The MeltyFiNFT contract, connected to a provider.
+ * @param {number} [options.startBlock=0] - The block from which to index when the database is empty.
+ * @param {number} [options.confirmations=0] - The number of blocks to wait before indexing a block.
+ * @param {number} [options.batchSize=2000] - The maximum number of blocks read by a single `eth_getLogs` call.
+ * @param {number} [options.pollInterval=4000] - The time between two synchronizations, in milliseconds.
+ * @return {{sync: function(): Promise<number>, start: function(): void, stop: function(): void, lastIndexedBlock: function(): number}}
+ */
+function createIndexer({ db, contractMeltyFiNFT, startBlock = 0, confirmations = 0, batchSize = 2000, pollInterval = 4000 }) {
+	let timer;
+	let running = false;
+
+	const lastIndexedBlock = () => Number(getMeta(db, 'lastIndexedBlock', startBlock - 1));
+
+	/// indexes every confirmed block not indexed yet, and returns the number of indexed events
+	const sync = async () => {
+		/// the latest block is read with getBlock, since getBlockNumber may answer from the provider cache
+		const head = (await contractMeltyFiNFT.provider.getBlock('latest')).number - confirmations;
+		let indexed = 0;
+		for (let from = lastIndexedBlock() + 1; from <= head; from += batchSize) {
+			indexed += await indexRange(db, contractMeltyFiNFT, from, Math.min(from + batchSize - 1, head));
+		}
+		return indexed;
+	};
+
+	const poll = async () => {
+		try {
+			const indexed = await sync();
+			if (indexed > 0) {
+				console.log(`indexed ${indexed} event(s) up to block ${lastIndexedBlock()}`);
+			}
+		} catch (error) {
+			console.error(error);
+		}
+		if (running) {
+			timer = setTimeout(poll, pollInterval);
+		}
+	};
+
+	return {
+		sync,
+		lastIndexedBlock,
+		start: () => {
+			running = true;
+			poll();
+		},
+		stop: () => {
+			running = false;
+			clearTimeout(timer);
+		}
+	};
+}
+
+module.exports = { LOTTERY_STATES, indexRange, createIndexer };
@@ -0,0 +1,21 @@
+const express = require('express');
+
+/**
+ * Creates the HTTP API exposing the health of a keeper, for a monitoring system or a container probe.
+ *
+ * @param {{metrics: function(): Object}} keeper - The keeper created by `createKeeper`.
+ * @return {import('express').Express} The express application, to be started with `listen`.
+ */
+function createHealthApi(keeper) {
+	const app = express();
+
+	/// answers 503 when the keeper cannot reach the node or its last upkeep failed
+	app.get('/health', (req, res) => {
+		const metrics = keeper.metrics();
+		res.status(metrics.healthy ? 200 : 503).json(metrics);
+	});
+
+	return app;
+}
+
+module.exports = { createHealthApi };
@@ -0,0 +1,67 @@
+require('dotenv').config();
+const path = require('path');
+const { ethers } = require('ethers');
+const { createKeeper } = require('./keeper.js');
+const { createHealthApi } = require('./api.js');
+const { readDeployedAddress } = require('../scripts/results.js');
+const { fulfillPendingRequests } = require('../scripts/fulfill.js');
+
+/// Configuration of the keeper, read from the environment. Defaults follow the local network of `hardhat.config.js`
+const RPC_URL = process.env.KEEPER_RPC_URL || 'http://127.0.0.1:7545';
+const RESULT_FILE = process.env.KEEPER_RESULT_FILE || 'result.localhost.txt';
+const PORT = Number(process.env.KEEPER_PORT || 4001);
+const POLL_INTERVAL = Number(process.env.KEEPER_POLL_INTERVAL || 15000);
+const MAX_RETRIES = Number(process.env.KEEPER_MAX_RETRIES || 3);
+const BACKOFF = Number(process.env.KEEPER_BACKOFF || 2000);
+const CONFIRMATIONS = Number(process.env.KEEPER_CONFIRMATIONS || 1);
+
+function readArtifact(contractName) {
+	return require(path.join(__dirname, `../artifacts/contracts/${contractName}.sol/${contractName}.json`));
+}
+
+/**
+ * Performs the upkeeps of the MeltyFiNFT deployment at MELTYFI_NFT_ADDRESS, or of the one recorded in the result file,
+ * and serves its health over HTTP. The upkeeps are paid by KEEPER_PRIVATE_KEY, or by the first account of the node.
+ * On local deployments, the randomness requests of the VRFV2WrapperMock recorded in the result file are fulfilled too.
+ */
+async function main() {
+	const address = process.env.MELTYFI_NFT_ADDRESS || readDeployedAddress(RESULT_FILE, 'MeltyFiNFT');
+	if (address === undefined) {
+		throw new Error(`MeltyFiNFT address not found in ${RESULT_FILE}, set MELTYFI_NFT_ADDRESS`);
+	}
+	const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+	const signer = process.env.KEEPER_PRIVATE_KEY ? new ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, provider) : provider.getSigner(0);
+	const contractMeltyFiNFT = new ethers.Contract(address, readArtifact('MeltyFiNFT').abi, signer);
+
+	let fulfillRandomness;
+	const addressVRFV2WrapperMock = process.env.VRF_WRAPPER_ADDRESS || readDeployedAddress(RESULT_FILE, 'VRFV2WrapperMock');
+	if (addressVRFV2WrapperMock !== undefined) {
+		const contractVRFV2WrapperMock = new ethers.Contract(addressVRFV2WrapperMock, readArtifact('VRFV2WrapperMock').abi, signer);
+		fulfillRandomness = () => fulfillPendingRequests(contractVRFV2WrapperMock);
+	}
+
+	const keeper = createKeeper({
+		contractMeltyFiNFT,
+		pollInterval: POLL_INTERVAL,
+		maxRetries: MAX_RETRIES,
+		backoff: BACKOFF,
+		confirmations: CONFIRMATIONS,
+		fulfillRandomness
+	});
+	console.log(`keeping MeltyFiNFT ${address} on ${RPC_URL} as ${await signer.getAddress()}`);
+	if (fulfillRandomness !== undefined) {
+		console.log(`fulfilling the randomness requests of VRFV2WrapperMock ${addressVRFV2WrapperMock}`);
+	}
+	keeper.start();
+
+	createHealthApi(keeper).listen(PORT, () => {
+		console.log(`health on http://localhost:${PORT}/health`);
+	});
+}
+
+if (require.main === module) {
+	main().catch((error) => {
+		console.error(error);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,169 @@
+const { ethers } = require('ethers');
+
+const sleep = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+/// The lottery concluded by an upkeep, for the logs
+function lotteryIdOf(performData) {
+	return ethers.utils.defaultAbiCoder.decode(['uint256'], performData)[0].toString();
+}
+
+/**
+ * Creates a keeper that does the job of Chainlink Automation for a MeltyFiNFT deployment: it polls `checkUpkeep`
+ * and submits `performUpkeep` until no lottery needs to be drawn or settled.
+ *
+ * Upkeeps are performed one at a time, so the same upkeep is never submitted twice in parallel. A failed submission
+ * is retried with an exponential backoff, after checking again that the upkeep is still needed, since another keeper
+ * or any user may have drawn the lottery in the meantime. A transaction sent but not confirmed is waited for again,
+ * instead of being sent twice.
+ *
+ * @param {Object} options
+ * @param {ethers.Contract} options.contractMeltyFiNFT - The MeltyFiNFT contract, connected to the signer paying the upkeeps.
+ * @param {number} [options.pollInterval=15000] - The time between two checks, in milliseconds.
+ * @param {number} [options.maxRetries=3] - The number of times a failed upkeep is retried before the next check.
+ * @param {number} [options.backoff=2000] - The delay before the first retry, doubled at every retry, in milliseconds.
+ * @param {number} [options.confirmations=1] - The number of blocks to wait for an upkeep to be confirmed.
+ * @param {number} [options.maxUpkeepsPerCheck=10] - The maximum number of upkeeps performed by a single check.
+ * @param {function(): Promise<void>} [options.fulfillRandomness] - Called before every check to fulfil the pending
+ *        randomness requests, on local deployments where no Chainlink oracle answers them.
+ * @param {Object} [options.logger=console] - The object used to log the outcomes, with `log` and `error` methods.
+ * @return {{check: function(): Promise<number>, start: function(): void, stop: function(): void, metrics: function(): Object}}
+ */
+function createKeeper({
+	contractMeltyFiNFT,
+	pollInterval = 15000,
+	maxRetries = 3,
+	backoff = 2000,
+	confirmations = 1,
+	maxUpkeepsPerCheck = 10,
+	fulfillRandomness,
+	logger = console
+}) {
+	/// checkUpkeep is only callable in a simulation whose tx.origin is the zero address, which a signer cannot send
+	const contractChecker = contractMeltyFiNFT.connect(contractMeltyFiNFT.provider);
+	const startedAt = Date.now();
+	const counters = {
+		checks: 0,
+		upkeepsNeeded: 0,
+		submissions: 0,
+		upkeepsPerformed: 0,
+		upkeepsFailed: 0,
+		retries: 0,
+		consecutiveFailures: 0
+	};
+	let lastCheckAt;
+	let lastPerformedAt;
+	let lastTransactionHash;
+	let lastError;
+	let timer;
+	let running = false;
+
+	const checkUpkeep = async () => {
+		const [upkeepNeeded, performData] = await contractChecker.callStatic.checkUpkeep('0x', { from: ethers.constants.AddressZero });
+		return upkeepNeeded ? performData : undefined;
+	};
+
+	/// sends performUpkeep and waits for it, retrying the failures; returns the receipt, or undefined if no longer needed
+	const perform = async (performData) => {
+		const lotteryId = lotteryIdOf(performData);
+		let transaction;
+		for (let attempt = 0; ; attempt++) {
+			try {
+				if (transaction === undefined) {
+					transaction = await contractMeltyFiNFT.performUpkeep(performData);
+					counters.submissions++;
+					lastTransactionHash = transaction.hash;
+					logger.log(`lottery ${lotteryId}: performUpkeep sent in ${transaction.hash}`);
+				}
+				return await transaction.wait(confirmations);
+			} catch (error) {
+				/// a reverted transaction is sent again only if the upkeep is still needed, the others are waited for again
+				if (error.code === ethers.errors.CALL_EXCEPTION) {
+					transaction = undefined;
+				}
+				if (attempt >= maxRetries) {
+					throw error;
+				}
+				const delay = backoff * 2 ** attempt;
+				counters.retries++;
+				logger.error(`lottery ${lotteryId}: performUpkeep failed (${error.reason || error.message}), retrying in ${delay} ms`);
+				await sleep(delay);
+				if (transaction === undefined && await checkUpkeep() !== performData) {
+					logger.log(`lottery ${lotteryId}: upkeep no longer needed`);
+					return undefined;
+				}
+			}
+		}
+	};
+
+	/// performs the upkeeps needed one after the other, and returns the number of upkeeps performed
+	const check = async () => {
+		if (fulfillRandomness !== undefined) {
+			await fulfillRandomness();
+		}
+		let performed = 0;
+		for (let i = 0; i < maxUpkeepsPerCheck; i++) {
+			const performData = await checkUpkeep();
+			counters.checks++;
+			lastCheckAt = Date.now();
+			if (performData === undefined) {
+				counters.consecutiveFailures = 0;
+				break;
+			}
+			counters.upkeepsNeeded++;
+			try {
+				const receipt = await perform(performData);
+				if (receipt !== undefined) {
+					performed++;
+					counters.upkeepsPerformed++;
+					counters.consecutiveFailures = 0;
+					lastPerformedAt = Date.now();
+					logger.log(`lottery ${lotteryIdOf(performData)}: upkeep performed in block ${receipt.blockNumber}`);
+				}
+			} catch (error) {
+				counters.upkeepsFailed++;
+				counters.consecutiveFailures++;
+				lastError = error.reason || error.message;
+				logger.error(`lottery ${lotteryIdOf(performData)}: upkeep failed: ${lastError}`);
+				/// checkUpkeep would return the same lottery again, it is retried at the next check
+				break;
+			}
+		}
+		return performed;
+	};
+
+	const poll = async () => {
+		try {
+			await check();
+		} catch (error) {
+			lastError = error.message;
+			logger.error(error);
+		}
+		if (running) {
+			timer = setTimeout(poll, pollInterval);
+		}
+	};
+
+	return {
+		check,
+		/// the keeper is healthy if it reached the node recently and its last upkeep did not fail
+		metrics: () => ({
+			...counters,
+			startedAt,
+			lastCheckAt,
+			lastPerformedAt,
+			lastTransactionHash,
+			lastError,
+			healthy: lastCheckAt !== undefined && Date.now() - lastCheckAt <= 3 * pollInterval && counters.consecutiveFailures === 0
+		}),
+		start: () => {
+			running = true;
+			poll();
+		},
+		stop: () => {
+			running = false;
+			clearTimeout(timer);
+		}
+	};
+}
+
+module.exports = { createKeeper };
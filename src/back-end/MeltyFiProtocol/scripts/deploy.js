@@ -1,6 +1,29 @@
 
 const hre = require("hardhat");
 const fs = require('fs');
+const path = require('path');
+
+/// Networks on which LINK and the VRF V2 wrapper are replaced by LinkTokenMock and VRFV2WrapperMock
+const LOCAL_NETWORKS = ['hardhat', 'localhost'];
+
+/// Chainlink LINK token and VRF V2 wrapper addresses on Goerli
+const GOERLI_LINK_ADDRESS = '0x326C977E6efc84E512bB9C30f76E30c160eD06FB';
+const GOERLI_WRAPPER_ADDRESS = '0x708701a1DfF4f478de54383E49a627eD4852C816';
+
+/// Amount of LINK sent to the VRFv2DirectFundingConsumer contract on local networks
+const LOCAL_LINK_FUNDING = hre.ethers.utils.parseEther('100');
+
+/// ChocoChips per unit of TestToken, both in their smallest units: 1 CHOC per MTD, since MTD has 6 decimals
+const TEST_TOKEN_AMOUNT_CHOCOCHIP = hre.ethers.BigNumber.from(10).pow(12);
+
+/// Yearly interest percentage on the loans of the lotteries, until MeltyFiDAO proposals change it
+const INTEREST_PERCENTAGE = 5;
+
+/// File in which deployed addresses are recorded, one per network so local runs do not overwrite the Goerli deployment
+const RESULT_FILE = hre.network.name === 'goerli' ? 'result.txt' : `result.${hre.network.name}.txt`;
+
+/// Environment file of the front end, in which the deployment is written on the localhost network
+const FRONT_END_ENV_FILE = path.join(__dirname, '../../../front-end/meltyfi.nft/.env.local');
 
 /**
  * Deploys a contract with the given name and arguments, using the provided deployer as the signer.
@@ -8,14 +31,15 @@ const fs = require('fs');
  * @param {string} contractName - The name of the contract to deploy.
  * @param {any[]} args - The arguments to pass to the contract constructor.
  * @param {import('hardhat/types').Signer} deployer - The signer to use for deploying the contract.
+ * @param {Object<string, string>} [libraries] - The addresses of the libraries to link, keyed by library name.
  * @return {Promise<import('hardhat/types').Contract>} The deployed contract instance.
  */
-async function deployContract(contractName, args, deployer) {
+async function deployContract(contractName, args, deployer, libraries = {}) {
 
 	console.log(`${contractName} is deploying...`);
 	console.log(`Deployer address: ${deployer.address}`);
 
-	const Contract = await hre.ethers.getContractFactory(contractName);
+	const Contract = await hre.ethers.getContractFactory(contractName, { libraries });
 	const contract = await Contract.deploy(...args);
 	await contract.deployed();
 
@@ -28,29 +52,74 @@ async function deployContract(contractName, args, deployer) {
 	for (let i = 0; i < args.length; i++) {
 		row += ` "${args[i]}"`;
 	}
-	fs.appendFileSync('result.txt', row+'\n');
+	fs.appendFileSync(RESULT_FILE, row+'\n');
 	
 	return contract;
 }
 
+/**
+ * Writes the network, the addresses and the deployment blocks the front end reads to its `.env.local` file,
+ * keeping the other variables of the file.
+ *
+ * @param {import('hardhat/types').Contract} contractMeltyFiNFT - The deployed MeltyFiNFT contract.
+ * @param {import('hardhat/types').Contract} contractTestCollection - The deployed TestCollection contract.
+ */
+async function writeFrontEndEnv(contractMeltyFiNFT, contractTestCollection) {
+	const deploymentBlock = async (contract) => (await contract.deployTransaction.wait()).blockNumber;
+	const variables = {
+		REACT_APP_CHAIN_ID: (await hre.ethers.provider.getNetwork()).chainId,
+		REACT_APP_NETWORK_NAME: hre.network.name,
+		REACT_APP_RPC_URL: hre.network.config.url,
+		/// a local node has no block explorer
+		REACT_APP_EXPLORER_URL: '',
+		REACT_APP_MELTYFI_NFT_ADDRESS: contractMeltyFiNFT.address,
+		REACT_APP_MELTYFI_NFT_DEPLOYMENT_BLOCK: await deploymentBlock(contractMeltyFiNFT),
+		REACT_APP_TEST_COLLECTION_ADDRESS: contractTestCollection.address,
+		REACT_APP_TEST_COLLECTION_DEPLOYMENT_BLOCK: await deploymentBlock(contractTestCollection)
+	};
+	const kept = fs.existsSync(FRONT_END_ENV_FILE)
+		? fs.readFileSync(FRONT_END_ENV_FILE, 'utf8').split('\n').filter((line) => line !== '' && !(line.split('=')[0] in variables))
+		: [];
+	const rows = kept.concat(Object.entries(variables).map(([name, value]) => `${name}=${value}`));
+	fs.writeFileSync(FRONT_END_ENV_FILE, rows.join('\n') + '\n');
+	console.log(`front end configured in ${FRONT_END_ENV_FILE}`);
+	console.log();
+}
+
 /**
  * Deploys the following contracts in the following order:
  * 1. ChocoChip: a contract representing the ERC20 governance token of the ecosystem.
- * 2. WonkaBar: a contract representing the ERC1155 utility token of the ecosystem.
+ * 2. LogoCollection: a contract representing the ERC1155 collection of the logo and of the achievement badges of the ecosystem.
  * 3. TimelockController: a contract that controls the timelock of the MeltyFiDAO contract.
  * 4. MeltyFiDAO: a contract representing the MeltyFi DAO, a decentralized autonomous organization (DAO).
  *                It is initialized with the ChocoChip and TimelockController contracts.
- * 5. MeltyFiNFT: a contract representing the MeltyFiNFT protocol.
- *                It is initialized with the ChocoChip, WonkaBar, and MeltyFiDAO contracts.
- * After all the contracts are deployed, transfers the ownership of the ChocoChip and WonkaBar contracts
- * to the MeltyFiNFT contract.
+ * 5. VRFv2DirectFundingConsumer: a contract that requests random numbers to the Chainlink VRF V2 wrapper.
+ *                On local networks it is preceded by LinkTokenMock and VRFV2WrapperMock, and funded with LINK.
+ * 6. LotteryPrizes: the library that transfers the ERC721 and ERC1155 prizes of the lotteries.
+ * 7. LotteryPayments: the library that transfers the Ether and the ERC20 tokens paid in the lotteries.
+ * 8. WonkaBarMetadata: a contract that renders the metadata of the WonkaBars of each lottery.
+ * 9. MeltyFiNFT: a contract representing the MeltyFiNFT protocol, linked to LotteryPrizes and LotteryPayments.
+ *                It is initialized with the ChocoChip, WonkaBar, MeltyFiDAO and WonkaBarMetadata contracts.
+ * The MeltyFiDAO contract is made proposer and canceller of the TimelockController contract, whose proposals
+ * anyone can execute once their delay is over.
+ * TestCollection, TestItems and TestToken are an ERC721 collection, an ERC1155 collection and an ERC20 token with permit
+ * to try lotteries on test networks.
+ * After all the contracts are deployed, transfers the ownership of the ChocoChip, LogoCollection and
+ * VRFv2DirectFundingConsumer contracts to the MeltyFiNFT contract, which accepts the latter.
+ * TestToken is accepted as payment token of the lotteries, and the interest on the loans is set to `INTEREST_PERCENTAGE`.
+ * Finally, hands the ownership of the MeltyFiNFT contract to the TimelockController and renounces the admin role
+ * of the latter, so that the protocol parameters can only be changed by MeltyFiDAO proposals.
+ * On the localhost network, the front end is configured to use the deployment, see `writeFrontEndEnv`.
+ *
+ * @return {Promise<Object<string, import('hardhat/types').Contract>>} The deployed contract instances, keyed by variable name.
  */
 async function main() {
 	
-	fs.writeFileSync('result.txt', '');
+	fs.writeFileSync(RESULT_FILE, '');
 	console.log();
 	
 	const [deployer, ...otherAccounts] = await hre.ethers.getSigners();
+	const isLocalNetwork = LOCAL_NETWORKS.includes(hre.network.name);
 
 	const contractChocoChip = await deployContract('ChocoChip', [], deployer);
 
@@ -58,13 +127,58 @@ async function main() {
 
 	const contractTestCollection = await deployContract('TestCollection', [], deployer);
 
+	const contractTestItems = await deployContract('TestItems', [], deployer);
+
+	const contractTestToken = await deployContract('TestToken', [], deployer);
+
 	const contractTimelockController = await deployContract('TimelockController', [3600, [], [], deployer.address], deployer);
 
 	const contractMeltyFiDAO = await deployContract('MeltyFiDAO', [contractChocoChip.address, contractTimelockController.address], deployer);
+
+	console.log(`granting proposer and canceller roles of TimelockController contract to MeltyFiDAO contract, and executor role to everyone...`);
+	const roles = [
+		[await contractTimelockController.PROPOSER_ROLE(), contractMeltyFiDAO.address],
+		[await contractTimelockController.CANCELLER_ROLE(), contractMeltyFiDAO.address],
+		[await contractTimelockController.EXECUTOR_ROLE(), hre.ethers.constants.AddressZero]
+	];
+	for (const [role, account] of roles) {
+		const result = await contractTimelockController.grantRole(role, account);
+		console.log(`Transaction hash: ${result.hash}`);
+	}
+	console.log(`Transaction successed`);
+	console.log();
 	
-	const contractVRFv2DirectFundingConsumer = await deployContract('VRFv2DirectFundingConsumer', [], deployer);
+	let linkAddress = GOERLI_LINK_ADDRESS;
+	let wrapperAddress = GOERLI_WRAPPER_ADDRESS;
+	let contractLinkTokenMock;
+	let contractVRFV2WrapperMock;
+	if (isLocalNetwork) {
+		contractLinkTokenMock = await deployContract('LinkTokenMock', [], deployer);
+		contractVRFV2WrapperMock = await deployContract('VRFV2WrapperMock', [contractLinkTokenMock.address], deployer);
+		linkAddress = contractLinkTokenMock.address;
+		wrapperAddress = contractVRFV2WrapperMock.address;
+	}
+
+	const contractVRFv2DirectFundingConsumer = await deployContract('VRFv2DirectFundingConsumer', [linkAddress, wrapperAddress], deployer);
+
+	if (isLocalNetwork) {
+		console.log(`funding VRFv2DirectFundingConsumer contract with ${hre.ethers.utils.formatEther(LOCAL_LINK_FUNDING)} LINK...`);
+		const result0 = await contractLinkTokenMock.transfer(contractVRFv2DirectFundingConsumer.address, LOCAL_LINK_FUNDING);
+		console.log(`Transaction hash: ${result0.hash}`);
+		console.log(`Transaction successed`);
+		console.log();
+	}
 	
-	const contractMeltyFiNFT = await deployContract('MeltyFiNFT', [contractChocoChip.address, contractLogoCollection.address, contractMeltyFiDAO.address, contractVRFv2DirectFundingConsumer.address], deployer);
+	const contractLotteryPrizes = await deployContract('LotteryPrizes', [], deployer);
+
+	const contractLotteryPayments = await deployContract('LotteryPayments', [], deployer);
+
+	const contractWonkaBarMetadata = await deployContract('WonkaBarMetadata', [], deployer);
+
+	const contractMeltyFiNFT = await deployContract('MeltyFiNFT', [contractChocoChip.address, contractLogoCollection.address, contractMeltyFiDAO.address, contractVRFv2DirectFundingConsumer.address, contractWonkaBarMetadata.address], deployer, {
+		LotteryPrizes: contractLotteryPrizes.address,
+		LotteryPayments: contractLotteryPayments.address
+	});
 
 	console.log(`transferOwnership of ChocoChip contract from deployer to MeltyFiNFT contract...`);
 	const result1 = await contractChocoChip.transferOwnership(contractMeltyFiNFT.address);
@@ -84,12 +198,67 @@ async function main() {
 	console.log(`Transaction successed`);
 	console.log();
 
+	console.log(`acceptOwnership of VRFv2DirectFundingConsumer contract by MeltyFiNFT contract...`);
+	const result4 = await contractMeltyFiNFT.acceptOwnershipVRFv2DirectFundingConsumer();
+	console.log(`Transaction hash: ${result4.hash}`);
+	console.log(`Transaction successed`);
+	console.log();
+
+	console.log(`accepting TestToken contract as payment token of MeltyFiNFT contract...`);
+	const result5 = await contractMeltyFiNFT.setAmountChocoChipPerToken(contractTestToken.address, TEST_TOKEN_AMOUNT_CHOCOCHIP);
+	console.log(`Transaction hash: ${result5.hash}`);
+	console.log(`Transaction successed`);
+	console.log();
+
+	console.log(`setting the yearly interest percentage of MeltyFiNFT contract to ${INTEREST_PERCENTAGE}%...`);
+	const result6 = await contractMeltyFiNFT.setInterestPercentage(INTEREST_PERCENTAGE);
+	console.log(`Transaction hash: ${result6.hash}`);
+	console.log(`Transaction successed`);
+	console.log();
+
+	console.log(`transferOwnership of MeltyFiNFT contract from deployer to TimelockController contract...`);
+	const result7 = await contractMeltyFiNFT.transferOwnership(contractTimelockController.address);
+	console.log(`Transaction hash: ${result7.hash}`);
+	console.log(`Transaction successed`);
+	console.log();
+
+	console.log(`renouncing admin role of TimelockController contract by deployer...`);
+	const result8 = await contractTimelockController.renounceRole(await contractTimelockController.TIMELOCK_ADMIN_ROLE(), deployer.address);
+	console.log(`Transaction hash: ${result8.hash}`);
+	console.log(`Transaction successed`);
+	console.log();
+
+	/// the in-process hardhat network is gone once the script ends, so only a localhost node can serve the front end
+	if (hre.network.name === 'localhost') {
+		await writeFrontEndEnv(contractMeltyFiNFT, contractTestCollection);
+	}
+
+	return {
+		contractChocoChip,
+		contractLogoCollection,
+		contractTestCollection,
+		contractTestItems,
+		contractTestToken,
+		contractTimelockController,
+		contractMeltyFiDAO,
+		contractLinkTokenMock,
+		contractVRFV2WrapperMock,
+		contractVRFv2DirectFundingConsumer,
+		contractLotteryPrizes,
+		contractLotteryPayments,
+		contractWonkaBarMetadata,
+		contractMeltyFiNFT
+	};
 }
 
-main()
-	.then(() => process.exit(0))
-	.catch((error) => {
-		console.error(error);
-		process.exit(1);
-	});
+if (require.main === module) {
+	main()
+		.then(() => process.exit(0))
+		.catch((error) => {
+			console.error(error);
+			process.exit(1);
+		});
+}
+
+module.exports = { main, RESULT_FILE };
 
@@ -0,0 +1,51 @@
+const { readDeployedAddress } = require('./results.js');
+
+/**
+ * Fulfils every pending randomness request of a VRFV2WrapperMock contract, acting as the Chainlink oracle.
+ *
+ * @param {import('hardhat/types').Contract} contractVRFV2WrapperMock - The mock wrapper holding the pending requests.
+ * @return {Promise<string[]>} The IDs of the fulfilled requests.
+ */
+async function fulfillPendingRequests(contractVRFV2WrapperMock) {
+	const requestIds = await contractVRFV2WrapperMock.pendingRequestIds();
+	const fulfilled = [];
+	for (const requestId of requestIds) {
+		console.log(`fulfilling randomness request ${requestId}...`);
+		const tx = await contractVRFV2WrapperMock.fulfillRandomWords(requestId);
+		const receipt = await tx.wait();
+		const event = receipt.events.find((e) => e.event === 'RandomWordsFulfilled');
+		console.log(`Transaction hash: ${tx.hash}`);
+		console.log(event.args.success ? `Callback successed` : `Callback failed`);
+		console.log();
+		fulfilled.push(requestId.toString());
+	}
+	return fulfilled;
+}
+
+/**
+ * Fulfils the pending randomness requests of the VRFV2WrapperMock deployed by `scripts/deploy.js` on the current
+ * network. The address can be overridden with the VRF_WRAPPER_ADDRESS environment variable.
+ */
+async function main() {
+	/// the Hardhat runtime is only loaded when run as a script, so that the keeper can reuse fulfillPendingRequests
+	const hre = require("hardhat");
+	const { RESULT_FILE } = require('./deploy.js');
+	const address = process.env.VRF_WRAPPER_ADDRESS || readDeployedAddress(RESULT_FILE, 'VRFV2WrapperMock');
+	if (address === undefined) {
+		throw new Error(`VRFV2WrapperMock address not found in ${RESULT_FILE}, deploy on a local network first`);
+	}
+	const contractVRFV2WrapperMock = await hre.ethers.getContractAt('VRFV2WrapperMock', address);
+	const fulfilled = await fulfillPendingRequests(contractVRFV2WrapperMock);
+	console.log(`${fulfilled.length} randomness request(s) fulfilled`);
+}
+
+if (require.main === module) {
+	main()
+		.then(() => process.exit(0))
+		.catch((error) => {
+			console.error(error);
+			process.exit(1);
+		});
+}
+
+module.exports = { fulfillPendingRequests, readDeployedAddress };
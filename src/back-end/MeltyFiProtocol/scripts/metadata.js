@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const hre = require("hardhat");
+const { readDeployedAddress } = require('./results.js');
+
+const JSON_PREFIX = 'data:application/json;base64,';
+const SVG_PREFIX = 'data:image/svg+xml;base64,';
+const OUTPUT_DIR = process.env.METADATA_DIR || 'rendered-metadata';
+
+/// Names of the states of the lotteries shown in the metadata, in the order of the `lotteryState` enum of MeltyFiNFT
+const STATE_NAMES = ['Active', 'Cancelled', 'Concluded', 'Trashed', 'Drawing the winner'];
+
+const ERC20_METADATA_ABI = [
+	"function symbol() view returns (string)",
+	"function decimals() view returns (uint8)"
+];
+
+/**
+ * Decodes the base64 JSON data URI returned by `uri` of MeltyFiNFT, and the SVG image it contains.
+ *
+ * @param {string} uri - The data URI.
+ * @return {{metadata: Object, svg: string}} The parsed JSON metadata and the SVG image.
+ */
+function decodeMetadata(uri) {
+	if (!uri.startsWith(JSON_PREFIX)) {
+		throw new Error(`not a base64 JSON data URI: ${uri.slice(0, 40)}...`);
+	}
+	const metadata = JSON.parse(Buffer.from(uri.slice(JSON_PREFIX.length), 'base64').toString('utf8'));
+	if (typeof metadata.image !== 'string' || !metadata.image.startsWith(SVG_PREFIX)) {
+		throw new Error('the image is not a base64 SVG data URI');
+	}
+	const svg = Buffer.from(metadata.image.slice(SVG_PREFIX.length), 'base64').toString('utf8');
+	return { metadata, svg };
+}
+
+/**
+ * Formats an amount the way WonkaBarMetadata does, as a decimal number without trailing zeros.
+ */
+function formatUnits(amount, decimals) {
+	return hre.ethers.utils.formatUnits(amount, decimals).replace(/\.0$/, '');
+}
+
+/**
+ * Returns the attributes that the metadata of a lottery must have, computed from its struct.
+ *
+ * @param {import('hardhat/types').Contract} contractMeltyFiNFT - The MeltyFiNFT contract.
+ * @param {number} lotteryId - The ID of the lottery.
+ * @return {Promise<Object>} The expected values, by trait type.
+ */
+async function expectedAttributes(contractMeltyFiNFT, lotteryId) {
+	const lottery = await contractMeltyFiNFT.getLottery(lotteryId);
+	const prizes = await contractMeltyFiNFT.getLotteryPrizes(lotteryId);
+	let price = `${formatUnits(lottery.wonkaBarPrice, 18)} ETH`;
+	if (lottery.paymentToken !== hre.ethers.constants.AddressZero) {
+		const token = new hre.ethers.Contract(lottery.paymentToken, ERC20_METADATA_ABI, contractMeltyFiNFT.provider);
+		price = `${formatUnits(lottery.wonkaBarPrice, await token.decimals())} ${await token.symbol()}`;
+	}
+	const now = (await contractMeltyFiNFT.provider.getBlock('latest')).timestamp;
+	let state = STATE_NAMES[lottery.state];
+	if (state === 'Active' && lottery.expirationDate.lte(now)) {
+		state = 'Expired';
+	}
+	return {
+		'Prize collection': prizes[0].prizeContract.toLowerCase(),
+		'Prize token ID': prizes[0].prizeTokenId.toString(),
+		'Prize tokens': prizes.length,
+		'Expiration date': lottery.expirationDate.toNumber(),
+		'Price': price,
+		'State': state,
+		'Winner': lottery.winner === hre.ethers.constants.AddressZero ? 'None' : lottery.winner.toLowerCase(),
+		'WonkaBars sold': lottery.wonkaBarsSold.toNumber(),
+		'WonkaBars max supply': lottery.wonkaBarsMaxSupply.toNumber()
+	};
+}
+
+/**
+ * Reads the metadata of the WonkaBars of a lottery and checks it against the lottery stored by MeltyFiNFT.
+ *
+ * @param {import('hardhat/types').Contract} contractMeltyFiNFT - The MeltyFiNFT contract.
+ * @param {number} lotteryId - The ID of the lottery.
+ * @return {Promise<{metadata: Object, svg: string}>} The metadata and its SVG image.
+ * @throws {Error} If the metadata does not match the lottery.
+ */
+async function checkMetadata(contractMeltyFiNFT, lotteryId) {
+	const { metadata, svg } = decodeMetadata(await contractMeltyFiNFT.uri(lotteryId));
+	const errors = [];
+	if (metadata.name !== `WonkaBar of MeltyFi lottery #${lotteryId}`) {
+		errors.push(`name is "${metadata.name}"`);
+	}
+	const attributes = Object.fromEntries(metadata.attributes.map((attribute) => [attribute.trait_type, attribute.value]));
+	const expected = await expectedAttributes(contractMeltyFiNFT, lotteryId);
+	for (const [traitType, value] of Object.entries(expected)) {
+		if (attributes[traitType] !== value) {
+			errors.push(`${traitType} is ${JSON.stringify(attributes[traitType])} instead of ${JSON.stringify(value)}`);
+		}
+	}
+	const expirationDate = new Date(expected['Expiration date'] * 1000).toISOString();
+	const texts = [
+		`WonkaBar #${lotteryId}`,
+		`Price: ${expected['Price']}`,
+		`Expires: ${expirationDate.slice(0, 10)} ${expirationDate.slice(11, 16)} UTC`,
+		`State: ${expected['State']}`
+	];
+	if (!svg.startsWith('<svg') || !svg.endsWith('</svg>')) {
+		errors.push('the image is not an SVG document');
+	}
+	for (const text of texts) {
+		if (!svg.includes(text)) {
+			errors.push(`the image does not show "${text}"`);
+		}
+	}
+	if (errors.length > 0) {
+		throw new Error(`metadata of lottery #${lotteryId}: ${errors.join(', ')}`);
+	}
+	return { metadata, svg };
+}
+
+/**
+ * Creates a sample lottery with a TestCollection token as prize and buys some of its WonkaBars,
+ * so that a fresh deployment has metadata to render.
+ */
+async function createSampleLottery(contractMeltyFiNFT, contractTestCollection) {
+	const [owner, buyer] = await hre.ethers.getSigners();
+	console.log(`creating a sample lottery...`);
+	const receipt = await (await contractTestCollection.safeMint(owner.address)).wait();
+	const tokenId = receipt.events.find((e) => e.event === 'Transfer').args.tokenId;
+	await (await contractTestCollection.approve(contractMeltyFiNFT.address, tokenId)).wait();
+	const wonkaBarPrice = hre.ethers.utils.parseEther('0.01');
+	await (await contractMeltyFiNFT.createLottery(7 * 24 * 60 * 60, [contractTestCollection.address], [tokenId], [1], hre.ethers.constants.AddressZero, wonkaBarPrice, 100)).wait();
+	const lotteryId = (await contractMeltyFiNFT.getTotalLotteriesCreated()).toNumber() - 1;
+	await (await contractMeltyFiNFT.connect(buyer).buyWonkaBars(lotteryId, 5, { value: wonkaBarPrice.mul(5) })).wait();
+	console.log(`Sample lottery #${lotteryId} created`);
+	console.log();
+}
+
+/**
+ * Renders the metadata of every lottery of the MeltyFiNFT deployed by `scripts/deploy.js` on the current local network,
+ * checks it against the lotteries and writes the SVG images to the METADATA_DIR folder, `rendered-metadata` by default.
+ * On the in-process Hardhat network the protocol is deployed first, and a sample lottery is created if there is none.
+ * The address of MeltyFiNFT can be overridden with the MELTYFI_NFT_ADDRESS environment variable.
+ */
+async function main() {
+	const deploy = require('./deploy.js');
+	let address = process.env.MELTYFI_NFT_ADDRESS || readDeployedAddress(deploy.RESULT_FILE, 'MeltyFiNFT');
+	if (hre.network.name === 'hardhat' && (address === undefined || await hre.ethers.provider.getCode(address) === '0x')) {
+		address = (await deploy.main()).contractMeltyFiNFT.address;
+	}
+	if (address === undefined) {
+		throw new Error(`MeltyFiNFT address not found in ${deploy.RESULT_FILE}, deploy on a local network first`);
+	}
+	const contractMeltyFiNFT = await hre.ethers.getContractAt('MeltyFiNFT', address);
+	if ((await contractMeltyFiNFT.getTotalLotteriesCreated()).isZero()) {
+		const testCollectionAddress = readDeployedAddress(deploy.RESULT_FILE, 'TestCollection');
+		await createSampleLottery(contractMeltyFiNFT, await hre.ethers.getContractAt('TestCollection', testCollectionAddress));
+	}
+
+	fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+	const total = (await contractMeltyFiNFT.getTotalLotteriesCreated()).toNumber();
+	for (let lotteryId = 0; lotteryId < total; lotteryId++) {
+		const { metadata, svg } = await checkMetadata(contractMeltyFiNFT, lotteryId);
+		const file = path.join(OUTPUT_DIR, `lottery-${lotteryId}.svg`);
+		fs.writeFileSync(file, svg);
+		console.log(`${metadata.name}: ${metadata.attributes.find((a) => a.trait_type === 'State').value}, image written to ${file}`);
+	}
+	console.log(`${total} lottery metadata checked`);
+}
+
+if (require.main === module) {
+	main()
+		.then(() => process.exit(0))
+		.catch((error) => {
+			console.error(error);
+			process.exit(1);
+		});
+}
+
+module.exports = { decodeMetadata, checkMetadata };
@@ -0,0 +1,20 @@
+const fs = require('fs');
+
+/**
+ * Reads the address of a contract from the result file written by `scripts/deploy.js`.
+ *
+ * @param {string} resultFile - The path of the result file of the current network.
+ * @param {string} contractName - The name of the contract to look for.
+ * @return {string|undefined} The address of the contract, or undefined if it was not deployed.
+ */
+function readDeployedAddress(resultFile, contractName) {
+	if (!fs.existsSync(resultFile)) {
+		return undefined;
+	}
+	const row = fs.readFileSync(resultFile, 'utf8')
+		.split('\n')
+		.find((line) => line.split(' ')[0] === contractName);
+	return row === undefined ? undefined : row.split(' ')[1];
+}
+
+module.exports = { readDeployedAddress };
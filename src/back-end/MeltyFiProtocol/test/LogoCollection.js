@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time, impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol, createLottery, buyWonkaBars, DURATION } = require("./fixtures");
+
+/// Actions counted by LogoCollection, in the order of its `Action` enum
+const action = {
+	LOTTERY_CREATED: 0,
+	LOAN_REPAID: 1,
+	LOTTERY_WON: 2,
+	WONKABARS_BOUGHT: 3
+};
+
+/// IDs of the badges of LogoCollection
+const badgeId = {
+	FIRST_LOTTERY_CREATED: 1,
+	FIRST_LOAN_REPAID: 2,
+	FIRST_LOTTERY_WON: 3,
+	WONKABARS_BOUGHT_10: 4,
+	WONKABARS_BOUGHT_100: 5,
+	WONKABARS_BOUGHT_1000: 6
+};
+
+/// Decodes a base64 JSON data URI
+function decodeDataURI(uri, prefix) {
+	expect(uri.startsWith(prefix)).to.equal(true);
+	return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+}
+
+describe("LogoCollection", function () {
+
+	describe("Badges", function () {
+		it("Awards the first lottery created only once", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, logoCollection, testCollection, lotteryOwner } = fixture;
+			await testCollection.safeMint(lotteryOwner.address);
+			await testCollection.connect(lotteryOwner).approve(meltyFiNFT.address, 0);
+
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).createLottery(DURATION, [testCollection.address], [0], [1], ethers.constants.AddressZero, 1, 100)
+			).to.emit(logoCollection, "BadgeAwarded").withArgs(lotteryOwner.address, badgeId.FIRST_LOTTERY_CREATED);
+			await createLottery(fixture, lotteryOwner);
+			expect(await logoCollection.balanceOf(lotteryOwner.address, badgeId.FIRST_LOTTERY_CREATED)).to.equal(1);
+			expect(await logoCollection.totalSupply(badgeId.FIRST_LOTTERY_CREATED)).to.equal(1);
+			expect(await logoCollection.actionCount(lotteryOwner.address, action.LOTTERY_CREATED)).to.equal(2);
+		});
+
+		it("Awards the first loan repaid and the first lottery won", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, logoCollection, vrfWrapper, lotteryOwner, alice, bob } = fixture;
+			const { lotteryId: repaidLotteryId } = await createLottery(fixture, lotteryOwner);
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(repaidLotteryId);
+			expect(await logoCollection.balanceOf(lotteryOwner.address, badgeId.FIRST_LOAN_REPAID)).to.equal(1);
+
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await buyWonkaBars(fixture, bob, lotteryId, 5);
+			await time.increase(DURATION);
+			await meltyFiNFT.drawWinner(lotteryId);
+			await vrfWrapper.fulfillRandomWordsWithOverride(await meltyFiNFT.getLotteryRequestId(lotteryId), [0]);
+			/// the badge is awarded when the winner claims the prize, not when the winner is drawn
+			expect(await logoCollection.balanceOf(alice.address, badgeId.FIRST_LOTTERY_WON)).to.equal(0);
+
+			await meltyFiNFT.connect(bob).meltWonkaBars(lotteryId, 5);
+			await expect(
+				meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 10)
+			).to.emit(logoCollection, "BadgeAwarded").withArgs(alice.address, badgeId.FIRST_LOTTERY_WON);
+			expect(await logoCollection.balanceOf(bob.address, badgeId.FIRST_LOTTERY_WON)).to.equal(0);
+			expect(await logoCollection.actionCount(alice.address, action.LOTTERY_WON)).to.equal(1);
+		});
+
+		it("Counts the WonkaBars bought across lotteries", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { logoCollection, lotteryOwner, alice } = fixture;
+			const { lotteryId: firstLotteryId } = await createLottery(fixture, lotteryOwner);
+			const { lotteryId: secondLotteryId } = await createLottery(fixture, lotteryOwner);
+
+			await buyWonkaBars(fixture, alice, firstLotteryId, 6);
+			await buyWonkaBars(fixture, alice, secondLotteryId, 3);
+			expect(await logoCollection.balanceOf(alice.address, badgeId.WONKABARS_BOUGHT_10)).to.equal(0);
+			await buyWonkaBars(fixture, alice, secondLotteryId, 2);
+			expect(await logoCollection.balanceOf(alice.address, badgeId.WONKABARS_BOUGHT_10)).to.equal(1);
+			await buyWonkaBars(fixture, alice, firstLotteryId, 10);
+			expect(await logoCollection.balanceOf(alice.address, badgeId.WONKABARS_BOUGHT_10)).to.equal(1);
+			expect(await logoCollection.balanceOf(alice.address, badgeId.WONKABARS_BOUGHT_100)).to.equal(0);
+			expect(await logoCollection.actionCount(alice.address, action.WONKABARS_BOUGHT)).to.equal(21);
+		});
+
+		it("Counts the actions of contracts that do not receive ERC1155 tokens without awarding them", async function () {
+			const { meltyFiNFT, logoCollection, chocoChip } = await loadFixture(deployProtocol);
+			await impersonateAccount(meltyFiNFT.address);
+			await setBalance(meltyFiNFT.address, ethers.utils.parseEther("1"));
+			const owner = await ethers.getSigner(meltyFiNFT.address);
+
+			await logoCollection.connect(owner).recordAction(chocoChip.address, action.WONKABARS_BOUGHT, 1000);
+			expect(await logoCollection.actionCount(chocoChip.address, action.WONKABARS_BOUGHT)).to.equal(1000);
+			expect(await logoCollection.balanceOf(chocoChip.address, badgeId.WONKABARS_BOUGHT_1000)).to.equal(0);
+		});
+
+		it("Cannot be minted other than by recording actions of MeltyFiNFT", async function () {
+			const { meltyFiNFT, logoCollection, alice } = await loadFixture(deployProtocol);
+
+			expect(logoCollection.mint).to.equal(undefined);
+			expect(logoCollection.mintBatch).to.equal(undefined);
+			expect(meltyFiNFT.mintLogo).to.equal(undefined);
+			await expect(
+				logoCollection.connect(alice).recordAction(alice.address, action.LOTTERY_WON, 1)
+			).to.be.revertedWith("Ownable: caller is not the owner");
+		});
+	});
+
+	describe("uri", function () {
+		it("Renders the metadata of every badge", async function () {
+			const { logoCollection } = await loadFixture(deployProtocol);
+
+			for (let id = 1; id <= (await logoCollection.TOTAL_BADGES()).toNumber(); id++) {
+				const badge = await logoCollection.badge(id);
+				const metadata = JSON.parse(decodeDataURI(await logoCollection.uri(id), "data:application/json;base64,"));
+				expect(metadata.name).to.equal(`MeltyFi badge: ${badge.name}`);
+				expect(metadata.description).to.equal(badge.description);
+				expect(metadata.attributes[1]).to.deep.equal({ trait_type: "Milestone", value: badge.milestone.toNumber() });
+				const svg = decodeDataURI(metadata.image, "data:image/svg+xml;base64,");
+				expect(svg.startsWith("<svg")).to.equal(true);
+				expect(svg).to.include(badge.name);
+			}
+			expect((await logoCollection.badge(badgeId.WONKABARS_BOUGHT_1000)).milestone).to.equal(1000);
+		});
+
+		it("Keeps the metadata of the logo and rejects unknown badges", async function () {
+			const { logoCollection } = await loadFixture(deployProtocol);
+
+			expect(await logoCollection.uri(0)).to.equal("https://ipfs.io/ipfs/QmW7sq2pgiNMry7Syp3DEHSScSFKsfwVsGbQk394iuUQzF");
+			await expect(logoCollection.uri(7)).to.be.revertedWith("MeltyFi: The badge does not exist");
+		});
+	});
+});
@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol, createLottery, buyWonkaBars } = require("./fixtures");
+
+/// Values of the VoteType enum of GovernorCompatibilityBravo
+const VOTE_FOR = 1;
+/// Values of the ProposalState enum of the OpenZeppelin Governor
+const proposalState = {
+	ACTIVE: 1,
+	SUCCEEDED: 4,
+	QUEUED: 5,
+	EXECUTED: 7
+};
+
+describe("MeltyFiDAO", function () {
+
+	describe("Deploying", function () {
+		it("Uses ChocoChip votes with a 4% quorum and a one week voting period", async function () {
+			const { meltyFiDAO, chocoChip, timelockController } = await loadFixture(deployProtocol);
+
+			expect(await meltyFiDAO.name()).to.equal("MeltyFi DAO");
+			expect(await meltyFiDAO.token()).to.equal(chocoChip.address);
+			expect(await meltyFiDAO.timelock()).to.equal(timelockController.address);
+			expect(await meltyFiDAO["quorumNumerator()"]()).to.equal(4);
+			expect(await meltyFiDAO.votingDelay()).to.equal(1);
+			expect(await meltyFiDAO.votingPeriod()).to.equal(50400);
+			expect(await meltyFiDAO.proposalThreshold()).to.equal(0);
+		});
+
+		it("Proposes and cancels on the TimelockController, where anyone can execute", async function () {
+			const { meltyFiDAO, timelockController, deployer } = await loadFixture(deployProtocol);
+
+			expect(await timelockController.hasRole(await timelockController.PROPOSER_ROLE(), meltyFiDAO.address)).to.equal(true);
+			expect(await timelockController.hasRole(await timelockController.CANCELLER_ROLE(), meltyFiDAO.address)).to.equal(true);
+			expect(await timelockController.hasRole(await timelockController.EXECUTOR_ROLE(), ethers.constants.AddressZero)).to.equal(true);
+			expect(await timelockController.hasRole(await timelockController.PROPOSER_ROLE(), deployer.address)).to.equal(false);
+		});
+	});
+
+	describe("Governing the protocol", function () {
+		it("Changes the royalty rate through a propose, vote, queue and execute cycle", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiDAO, meltyFiNFT, lotteryOwner, alice } = fixture;
+			/// the lottery owner earns ChocoChips by repaying a loan, and delegates them to themselves to vote
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: await meltyFiNFT.amountToRepay(lotteryId) });
+			await fixture.chocoChip.connect(lotteryOwner).delegate(lotteryOwner.address);
+
+			const dao = meltyFiDAO.connect(lotteryOwner);
+			const calldata = meltyFiNFT.interface.encodeFunctionData("setRoyaltyDAOPercentage", [10]);
+			const description = "Raise the royalties of the MeltyFiDAO to 10%";
+			const proposeTx = await dao["propose(address[],uint256[],bytes[],string)"]([meltyFiNFT.address], [0], [calldata], description);
+			const proposalId = (await proposeTx.wait()).events.find((e) => e.event === "ProposalCreated").args.proposalId;
+
+			await mine((await dao.votingDelay()).toNumber() + 1);
+			expect(await dao.state(proposalId)).to.equal(proposalState.ACTIVE);
+			await dao.castVote(proposalId, VOTE_FOR);
+			await mine((await dao.votingPeriod()).toNumber());
+			expect(await dao.state(proposalId)).to.equal(proposalState.SUCCEEDED);
+
+			await dao["queue(uint256)"](proposalId);
+			expect(await dao.state(proposalId)).to.equal(proposalState.QUEUED);
+			await expect(dao["execute(uint256)"](proposalId)).to.be.revertedWith("TimelockController: operation is not ready");
+			await time.increase(3600);
+			await expect(dao["execute(uint256)"](proposalId))
+				.to.emit(meltyFiNFT, "RoyaltyDAOPercentageChanged").withArgs(5, 10);
+
+			expect(await dao.state(proposalId)).to.equal(proposalState.EXECUTED);
+			expect(await meltyFiNFT.getRoyaltyDAOPercentage()).to.equal(10);
+		});
+	});
+});
@@ -0,0 +1,1581 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const helpers = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = helpers;
+const {
+	deployProtocol, meltyFiNFTFactory, timelockSigner, lotteryState, prizeStandard, createLottery, createItemsLottery, buyWonkaBars,
+	DURATION, WONKABAR_PRICE, WONKABARS_MAX_SUPPLY, AMOUNT_CHOCOCHIP_PER_TEST_TOKEN
+} = require("./fixtures");
+const { checkMetadata } = require("../scripts/metadata");
+
+/// Balance of an account credited by MeltyFiNFT in a payment token, Ether by default, and not withdrawn yet
+function withdrawable(fixture, account, paymentToken = ethers.constants.AddressZero) {
+	return fixture.meltyFiNFT.withdrawableBalance(paymentToken, account.address);
+}
+
+/// Sum of the balances of some accounts credited by MeltyFiNFT in a payment token, Ether by default
+async function totalWithdrawable(fixture, accounts, paymentToken = ethers.constants.AddressZero) {
+	const balances = await Promise.all(accounts.map((account) => withdrawable(fixture, account, paymentToken)));
+	return balances.reduce((total, balance) => total.add(balance), ethers.constants.Zero);
+}
+
+/// Price of the WonkaBars of the lotteries paid in TestToken, 2 MTD
+const TOKEN_WONKABAR_PRICE = ethers.utils.parseUnits("2", 6);
+
+/// Creates a lottery paid in TestToken, and mints 1000 MTD to alice and to the lottery owner
+async function createTokenLottery(fixture) {
+	const { testToken, lotteryOwner, alice } = fixture;
+	for (const account of [lotteryOwner, alice]) {
+		await testToken.mint(account.address, ethers.utils.parseUnits("1000", 6));
+	}
+	return createLottery(fixture, lotteryOwner, { paymentToken: testToken.address, wonkaBarPrice: TOKEN_WONKABAR_PRICE });
+}
+
+/// Mints two TestCollection tokens and 4 TestItems tokens with ID 7 to the lottery owner, and uses all of them as the prize bundle of a lottery
+async function createBundleLottery(fixture) {
+	const { meltyFiNFT, testCollection, testItems, lotteryOwner } = fixture;
+	await testCollection.safeMint(lotteryOwner.address);
+	await testCollection.safeMint(lotteryOwner.address);
+	await testItems.mint(lotteryOwner.address, 7, 4);
+	await testCollection.connect(lotteryOwner).setApprovalForAll(meltyFiNFT.address, true);
+	await testItems.connect(lotteryOwner).setApprovalForAll(meltyFiNFT.address, true);
+	const lotteryId = (await meltyFiNFT.getTotalLotteriesCreated()).toNumber();
+	const createTx = meltyFiNFT.connect(lotteryOwner).createLottery(
+		DURATION, [testCollection.address, testItems.address, testCollection.address], [0, 7, 1], [1, 4, 1],
+		ethers.constants.AddressZero, WONKABAR_PRICE, WONKABARS_MAX_SUPPLY
+	);
+	await (await createTx).wait();
+	return { lotteryId, createTx };
+}
+
+/// Checks who holds the tokens of the bundle of `createBundleLottery`
+async function expectBundleHeldBy(fixture, holder) {
+	const { testCollection, testItems } = fixture;
+	expect(await testCollection.ownerOf(0)).to.equal(holder);
+	expect(await testCollection.ownerOf(1)).to.equal(holder);
+	expect(await testItems.balanceOf(holder, 7)).to.equal(4);
+}
+
+/// Signs an EIP-2612 permit of TestToken
+async function signPermit(fixture, owner, spender, value, deadline) {
+	const { testToken } = fixture;
+	const domain = {
+		name: await testToken.name(),
+		version: "1",
+		chainId: (await ethers.provider.getNetwork()).chainId,
+		verifyingContract: testToken.address
+	};
+	const types = {
+		Permit: [
+			{ name: "owner", type: "address" },
+			{ name: "spender", type: "address" },
+			{ name: "value", type: "uint256" },
+			{ name: "nonce", type: "uint256" },
+			{ name: "deadline", type: "uint256" }
+		]
+	};
+	const message = { owner: owner.address, spender, value, nonce: await testToken.nonces(owner.address), deadline };
+	return ethers.utils.splitSignature(await owner._signTypedData(domain, types, message));
+}
+
+describe("MeltyFiNFT", function () {
+
+	describe("Deploying", function () {
+		it("Exposes the protocol contracts and parameters", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, chocoChip, logoCollection, meltyFiDAO, vrfConsumer, wonkaBarMetadata } = fixture;
+
+			expect(await meltyFiNFT.addressChocoChip()).to.equal(chocoChip.address);
+			expect(await meltyFiNFT.addressLogoCollection()).to.equal(logoCollection.address);
+			expect(await meltyFiNFT.addressMeltyFiDAO()).to.equal(meltyFiDAO.address);
+			expect(await meltyFiNFT.addressVRFv2DirectFundingConsumer()).to.equal(vrfConsumer.address);
+			expect(await meltyFiNFT.addressWonkaBarMetadata()).to.equal(wonkaBarMetadata.address);
+			expect(await meltyFiNFT.getAmountChocoChipPerEther()).to.equal(1000);
+			expect(await meltyFiNFT.getRoyaltyDAOPercentage()).to.equal(5);
+			expect(await meltyFiNFT.getInterestPercentage()).to.equal(0);
+			expect(await meltyFiNFT.getUpperLimitBalanceOfPercentage()).to.equal(25);
+			expect(await meltyFiNFT.getUpperLimitMaxSupply()).to.equal(100);
+			expect(await meltyFiNFT.getTotalLotteriesCreated()).to.equal(0);
+		});
+
+		it("Reverts if ChocoChip is not the MeltyFiDAO token", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { logoCollection, meltyFiDAO, vrfConsumer, wonkaBarMetadata } = fixture;
+			const ChocoChip = await ethers.getContractFactory("ChocoChip");
+			const otherChocoChip = await ChocoChip.deploy();
+			const MeltyFiNFT = await meltyFiNFTFactory(fixture);
+
+			await expect(
+				MeltyFiNFT.deploy(otherChocoChip.address, logoCollection.address, meltyFiDAO.address, vrfConsumer.address, wonkaBarMetadata.address)
+			).to.be.revertedWith("MeltyFiNFT: address of contractChocoChip is not equal to the token address of the contractMeltyFiDAO");
+		});
+
+		it("Reverts if the deployer does not own the protocol contracts", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { chocoChip, logoCollection, meltyFiDAO, vrfConsumer, wonkaBarMetadata } = fixture;
+			const MeltyFiNFT = await meltyFiNFTFactory(fixture);
+
+			/// ownership of ChocoChip was already transferred to the deployed MeltyFiNFT
+			await expect(
+				MeltyFiNFT.deploy(chocoChip.address, logoCollection.address, meltyFiDAO.address, vrfConsumer.address, wonkaBarMetadata.address)
+			).to.be.revertedWith("MeltyFiNFT: the owner of contractChocoChip is not the current message sender");
+		});
+	});
+
+	describe("createLottery", function () {
+		it("Escrows the prize and registers an active lottery", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testCollection, lotteryOwner } = fixture;
+
+			const { lotteryId, prizeTokenId } = await createLottery(fixture, lotteryOwner);
+			const lottery = await meltyFiNFT.getLottery(lotteryId);
+
+			expect(await testCollection.ownerOf(prizeTokenId)).to.equal(meltyFiNFT.address);
+			expect(lottery.id).to.equal(lotteryId);
+			expect(lottery.owner).to.equal(lotteryOwner.address);
+			expect(await meltyFiNFT.getLotteryPrizes(lotteryId)).to.deep.equal([
+				[testCollection.address, ethers.BigNumber.from(prizeTokenId), ethers.BigNumber.from(1), prizeStandard.ERC721]
+			]);
+			expect(lottery.state).to.equal(lotteryState.ACTIVE);
+			expect(lottery.winner).to.equal(ethers.constants.AddressZero);
+			expect(lottery.wonkaBarsSold).to.equal(0);
+			expect(lottery.wonkaBarsMaxSupply).to.equal(WONKABARS_MAX_SUPPLY);
+			expect(lottery.wonkaBarPrice).to.equal(WONKABAR_PRICE);
+			expect(lottery.expirationDate).to.equal((await time.latest()) + DURATION);
+			expect(await meltyFiNFT.getTotalLotteriesCreated()).to.equal(1);
+			expect((await meltyFiNFT.activeLotteryIdsPaginated(0, ethers.constants.MaxUint256)).ids).to.deep.equal([ethers.BigNumber.from(lotteryId)]);
+			expect((await meltyFiNFT.ownedLotteryIdsPaginated(lotteryOwner.address, 0, ethers.constants.MaxUint256)).ids).to.deep.equal([ethers.BigNumber.from(lotteryId)]);
+		});
+
+		it("Reverts if the maximum supply is greater than the upper bound", async function () {
+			const fixture = await loadFixture(deployProtocol);
+
+			await expect(
+				createLottery(fixture, fixture.lotteryOwner, { wonkaBarsMaxSupply: 101 })
+			).to.be.revertedWith("MeltyFi: The maximum number of Wonka Bars for sale is greater that the upper bound");
+		});
+
+		it("Reverts if the maximum supply is lower than the lower bound", async function () {
+			const fixture = await loadFixture(deployProtocol);
+
+			/// 3 * 25% rounds down to 0 WonkaBars per holder
+			await expect(
+				createLottery(fixture, fixture.lotteryOwner, { wonkaBarsMaxSupply: 3 })
+			).to.be.revertedWith("MeltyFi: The maximum number of Wonka Bars for sale is lower than the lower bound");
+			await createLottery(fixture, fixture.lotteryOwner, { wonkaBarsMaxSupply: 4 });
+		});
+
+		it("Reverts if the caller does not own the prize", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testCollection, lotteryOwner, alice } = fixture;
+			await testCollection.safeMint(lotteryOwner.address);
+			await testCollection.connect(lotteryOwner).approve(meltyFiNFT.address, 0);
+
+			await expect(
+				meltyFiNFT.connect(alice).createLottery(DURATION, [testCollection.address], [0], [1], ethers.constants.AddressZero, WONKABAR_PRICE, WONKABARS_MAX_SUPPLY)
+			).to.be.revertedWith("ERC721: transfer from incorrect owner");
+		});
+	});
+
+	describe("buyWonkaBars", function () {
+		it("Credits the payment to the MeltyFiDAO and to the lottery owner", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, meltyFiDAO, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+
+			const totalSpending = WONKABAR_PRICE.mul(10);
+			const valueToDAO = totalSpending.div(100).mul(5);
+			await expect(
+				buyWonkaBars(fixture, alice, lotteryId, 10)
+			).to.changeEtherBalances(
+				[alice, meltyFiDAO, lotteryOwner, meltyFiNFT],
+				[totalSpending.mul(-1), 0, 0, totalSpending]
+			);
+			expect(await withdrawable(fixture, meltyFiDAO)).to.equal(valueToDAO);
+			expect(await withdrawable(fixture, lotteryOwner)).to.equal(totalSpending.sub(valueToDAO));
+
+			expect(await meltyFiNFT.balanceOf(alice.address, lotteryId)).to.equal(10);
+			expect(await meltyFiNFT.totalSupply(lotteryId)).to.equal(10);
+			expect((await meltyFiNFT.getLottery(lotteryId)).wonkaBarsSold).to.equal(10);
+			expect(await meltyFiNFT.amountToRepay(lotteryId)).to.equal(totalSpending);
+		});
+
+		it("Reverts if the lottery is expired", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { lotteryId } = await createLottery(fixture, fixture.lotteryOwner);
+			await time.increase(DURATION);
+
+			await expect(
+				buyWonkaBars(fixture, fixture.alice, lotteryId, 1)
+			).to.be.revertedWith("MeltyFiNFT: The lottery is not really active");
+		});
+
+		it("Reverts if the maximum supply would be exceeded", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { alice, bob, carol, deployer } = fixture;
+			const { lotteryId } = await createLottery(fixture, fixture.lotteryOwner, { wonkaBarsMaxSupply: 40 });
+			await buyWonkaBars(fixture, alice, lotteryId, 8);
+			await buyWonkaBars(fixture, bob, lotteryId, 8);
+			await buyWonkaBars(fixture, carol, lotteryId, 8);
+			await buyWonkaBars(fixture, deployer, lotteryId, 8);
+
+			await expect(
+				buyWonkaBars(fixture, fixture.lotteryOwner, lotteryId, 9)
+			).to.be.revertedWith("MeltyFi: After this purchease the total supply of WonkaBars will exceed the maximum supply allowed");
+		});
+
+		it("Caps the balance of a single address at _upperLimitBalanceOfPercentage", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, fixture.lotteryOwner);
+
+			/// the check counts one WonkaBar more than the resulting balance, so the cap is 24 out of 100
+			await buyWonkaBars(fixture, alice, lotteryId, 20);
+			await buyWonkaBars(fixture, alice, lotteryId, 4);
+			await expect(
+				buyWonkaBars(fixture, alice, lotteryId, 1)
+			).to.be.revertedWith("MeltyFi: The caller's balance of Wonka Bars for this lottery, after the purchase, will exceed the _upperLimitBalanceOfPercentage");
+			expect(await meltyFiNFT.balanceOf(alice.address, lotteryId)).to.equal(24);
+		});
+
+		it("Reverts if the value sent does not cover the cost", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, fixture.lotteryOwner);
+
+			await expect(
+				meltyFiNFT.connect(alice).buyWonkaBars(lotteryId, 2, { value: WONKABAR_PRICE })
+			).to.be.revertedWith("MeltyFiNFT: The value sent is not enough to cover the cost of the Wonka Bars");
+		});
+	});
+
+	describe("repayLoan", function () {
+		it("Returns the prize, mints ChocoChips and cancels the lottery", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, chocoChip, testCollection, lotteryOwner, alice } = fixture;
+			const { lotteryId, prizeTokenId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			const totalPaying = await meltyFiNFT.amountToRepay(lotteryId);
+
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: totalPaying })
+			).to.changeEtherBalances([lotteryOwner, meltyFiNFT], [totalPaying.mul(-1), totalPaying]);
+
+			const lottery = await meltyFiNFT.getLottery(lotteryId);
+			expect(lottery.state).to.equal(lotteryState.CANCELLED);
+			expect(lottery.expirationDate).to.equal(await time.latest());
+			expect(await testCollection.ownerOf(prizeTokenId)).to.equal(lotteryOwner.address);
+			expect(await chocoChip.balanceOf(lotteryOwner.address)).to.equal(totalPaying.mul(await meltyFiNFT.getAmountChocoChipPerEther()));
+			expect((await meltyFiNFT.activeLotteryIdsPaginated(0, ethers.constants.MaxUint256)).ids).to.deep.equal([]);
+			expect(await meltyFiNFT.amountToRepay(lotteryId)).to.equal(0);
+			expect(await meltyFiNFT.amountToRefund(lotteryId, alice.address)).to.equal(WONKABAR_PRICE.mul(10));
+		});
+
+		it("Trashes the lottery if no WonkaBar was sold", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testCollection, lotteryOwner } = fixture;
+			const { lotteryId, prizeTokenId } = await createLottery(fixture, lotteryOwner);
+
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId);
+
+			expect((await meltyFiNFT.getLottery(lotteryId)).state).to.equal(lotteryState.TRASHED);
+			expect(await testCollection.ownerOf(prizeTokenId)).to.equal(lotteryOwner.address);
+		});
+
+		it("Reverts if the caller is not the lottery owner", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, fixture.lotteryOwner);
+
+			await expect(
+				meltyFiNFT.connect(alice).repayLoan(lotteryId)
+			).to.be.revertedWith("MeltyFi: The caller is not the owner of the lottery");
+		});
+
+		it("Reverts if the value sent does not cover the loan", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: WONKABAR_PRICE.mul(9) })
+			).to.be.revertedWith("MeltyFi: The value sent is not enough to repay the loan");
+		});
+
+		it("Reverts if the lottery is expired", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await time.increase(DURATION);
+
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId)
+			).to.be.revertedWith("MeltyFiNFT: The lottery is not more active");
+		});
+	});
+
+	describe("Partial repayments and extensions", function () {
+		it("Credits every WonkaBar sold and refunds its whole price once the loan is repaid", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, chocoChip, lotteryOwner, alice, bob } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await buyWonkaBars(fixture, bob, lotteryId, 5);
+			const refundPerWonkaBar = WONKABAR_PRICE.div(4);
+			/// the amount is rounded down to a multiple of the 15 WonkaBars sold
+			const totalPaying = refundPerWonkaBar.mul(15);
+
+			const repayTx = meltyFiNFT.connect(lotteryOwner).repayLoanPartially(lotteryId, totalPaying.add(14), { value: totalPaying });
+			await expect(repayTx).to.changeEtherBalances([lotteryOwner, meltyFiNFT], [totalPaying.mul(-1), totalPaying]);
+			await expect(repayTx).to.emit(meltyFiNFT, "LoanPartiallyRepaid").withArgs(lotteryId, lotteryOwner.address, totalPaying, refundPerWonkaBar);
+			expect((await meltyFiNFT.getLottery(lotteryId)).state).to.equal(lotteryState.ACTIVE);
+			expect(await meltyFiNFT.amountToRepay(lotteryId)).to.equal(WONKABAR_PRICE.sub(refundPerWonkaBar).mul(15));
+			expect(await meltyFiNFT.amountToRefund(lotteryId, alice.address)).to.equal(refundPerWonkaBar.mul(10));
+			expect(await chocoChip.balanceOf(lotteryOwner.address)).to.equal(totalPaying.mul(await meltyFiNFT.getAmountChocoChipPerEther()));
+
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: WONKABAR_PRICE.sub(refundPerWonkaBar).mul(15) })
+			).to.emit(meltyFiNFT, "LoanRepaid").withArgs(lotteryId, lotteryOwner.address, WONKABAR_PRICE.sub(refundPerWonkaBar).mul(15));
+			expect(await chocoChip.balanceOf(lotteryOwner.address)).to.equal(WONKABAR_PRICE.mul(15).mul(await meltyFiNFT.getAmountChocoChipPerEther()));
+			await meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 10);
+			expect(await withdrawable(fixture, alice)).to.equal(WONKABAR_PRICE.mul(10));
+		});
+
+		it("Refunds the partial repayments to the holders of a concluded lottery", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, meltyFiDAO, testCollection, vrfWrapper, lotteryOwner, alice, bob } = fixture;
+			const { lotteryId, prizeTokenId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await buyWonkaBars(fixture, bob, lotteryId, 5);
+			const refundPerWonkaBar = WONKABAR_PRICE.div(2);
+			await meltyFiNFT.connect(lotteryOwner).repayLoanPartially(lotteryId, refundPerWonkaBar.mul(15), { value: refundPerWonkaBar.mul(15) });
+			await time.increase(DURATION);
+			await meltyFiNFT.drawWinner(lotteryId);
+			await vrfWrapper.fulfillRandomWordsWithOverride(await meltyFiNFT.getLotteryRequestId(lotteryId), [0]);
+			expect(await meltyFiNFT.amountToRefund(lotteryId, bob.address)).to.equal(refundPerWonkaBar.mul(5));
+
+			await meltyFiNFT.connect(bob).meltWonkaBars(lotteryId, 5);
+			expect(await withdrawable(fixture, bob)).to.equal(refundPerWonkaBar.mul(5));
+			await expect(
+				meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 10)
+			).to.emit(meltyFiNFT, "WonkaBarsMelted").withArgs(
+				lotteryId, alice.address, 10, refundPerWonkaBar.mul(10), WONKABAR_PRICE.mul(10).mul(await meltyFiNFT.getAmountChocoChipPerEther()), true
+			);
+			expect(await testCollection.ownerOf(prizeTokenId)).to.equal(alice.address);
+			/// everything the contract holds is owed to someone
+			expect(await ethers.provider.getBalance(meltyFiNFT.address)).to.equal(
+				await totalWithdrawable(fixture, [alice, bob, lotteryOwner, meltyFiDAO])
+			);
+		});
+
+		it("Stops selling WonkaBars once the loan is being repaid, and only accepts partial repayments", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			const repayPartially = (amount, value = amount) => meltyFiNFT.connect(lotteryOwner).repayLoanPartially(lotteryId, amount, { value });
+
+			await expect(repayPartially(WONKABAR_PRICE)).to.be.revertedWith("MeltyFi: The amount is not a partial repayment");
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await expect(repayPartially(9)).to.be.revertedWith("MeltyFi: The amount is not a partial repayment");
+			await expect(repayPartially(WONKABAR_PRICE.mul(10))).to.be.revertedWith("MeltyFi: The amount is not a partial repayment");
+			await expect(repayPartially(10, 9)).to.be.revertedWith("MeltyFi: The value sent is not enough to cover the payment");
+			await expect(
+				meltyFiNFT.connect(alice).repayLoanPartially(lotteryId, 10, { value: 10 })
+			).to.be.revertedWith("MeltyFi: The caller is not the owner of the lottery");
+
+			await repayPartially(10);
+			await expect(buyWonkaBars(fixture, alice, lotteryId, 1)).to.be.revertedWith("MeltyFi: The loan of the lottery is being repaid");
+		});
+
+		it("Extends the lottery for a fee paid to the MeltyFiDAO, within the maximum extension", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, meltyFiDAO, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			const maxExtension = (await meltyFiNFT.getMaxExtension()).toNumber();
+			const expirationDate = (await meltyFiNFT.getLottery(lotteryId)).expirationDate;
+			/// half of the longest extension costs half of its 5% of the outstanding balance
+			const fee = WONKABAR_PRICE.mul(10).mul(5).div(200);
+			expect(await meltyFiNFT.extensionFee(lotteryId, maxExtension / 2)).to.equal(fee);
+
+			const extendTx = meltyFiNFT.connect(lotteryOwner).extendLottery(lotteryId, maxExtension / 2, { value: fee });
+			await expect(extendTx).to.changeEtherBalances([lotteryOwner, meltyFiNFT], [fee.mul(-1), fee]);
+			expect(await withdrawable(fixture, meltyFiDAO)).to.equal(WONKABAR_PRICE.mul(10).div(20).add(fee));
+			await expect(extendTx).to.emit(meltyFiNFT, "LotteryExtended").withArgs(lotteryId, expirationDate.add(maxExtension / 2), fee);
+			const lottery = await meltyFiNFT.getLottery(lotteryId);
+			expect(lottery.expirationDate).to.equal(expirationDate.add(maxExtension / 2));
+			expect(lottery.extension).to.equal(maxExtension / 2);
+
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).extendLottery(lotteryId, maxExtension / 2 + 1, { value: fee.mul(2) })
+			).to.be.revertedWith("MeltyFi: The total extension of the lottery exceeds the maximum extension");
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).extendLottery(lotteryId, maxExtension / 2, { value: fee.sub(1) })
+			).to.be.revertedWith("MeltyFi: The value sent is not enough to cover the payment");
+			await expect(
+				meltyFiNFT.connect(alice).extendLottery(lotteryId, 1)
+			).to.be.revertedWith("MeltyFi: The caller is not the owner of the lottery");
+
+			/// the lottery can still be bought and repaid until the new expiration date
+			await time.increaseTo(expirationDate);
+			await buyWonkaBars(fixture, alice, lotteryId, 1);
+			await time.increaseTo(expirationDate.add(maxExtension / 2));
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).extendLottery(lotteryId, 1)
+			).to.be.revertedWith("MeltyFiNFT: The lottery is not more active");
+		});
+
+		it("Charges the extension fee in the payment token of the lottery", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, meltyFiDAO, testToken, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createTokenLottery(fixture);
+			await testToken.connect(alice).approve(meltyFiNFT.address, TOKEN_WONKABAR_PRICE.mul(10));
+			await meltyFiNFT.connect(alice).buyWonkaBars(lotteryId, 10);
+			const maxExtension = await meltyFiNFT.getMaxExtension();
+			const fee = TOKEN_WONKABAR_PRICE.mul(10).mul(5).div(100);
+			await testToken.connect(lotteryOwner).approve(meltyFiNFT.address, fee);
+
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).extendLottery(lotteryId, maxExtension)
+			).to.changeTokenBalances(testToken, [lotteryOwner, meltyFiNFT], [fee.mul(-1), fee]);
+			expect(await withdrawable(fixture, meltyFiDAO, testToken.address)).to.equal(TOKEN_WONKABAR_PRICE.mul(10).div(20).add(fee));
+		});
+	});
+
+	describe("Interest", function () {
+		/// Interest of each WonkaBar repaid at `repaidAt`, for WonkaBars bought at the given timestamps, see `_interestPerWonkaBar`
+		function interestPerWonkaBar(interestPercentage, repaidAt, purchases) {
+			const sold = purchases.reduce((total, [amount]) => total + amount, 0);
+			const lendingTime = purchases.reduce((total, [amount, boughtAt]) => total + amount * (repaidAt - boughtAt), 0);
+			return WONKABAR_PRICE.mul(interestPercentage).mul(lendingTime).div(100 * 365 * 24 * 60 * 60 * sold);
+		}
+
+		it("Charges the interest accrued by each WonkaBar since its purchase, and refunds it to the holders", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiDAO, lotteryOwner, alice, bob } = fixture;
+			const meltyFiNFT = fixture.meltyFiNFT.connect(await timelockSigner(fixture));
+			await meltyFiNFT.setInterestPercentage(10);
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			const aliceBoughtAt = await time.latest();
+			await time.increase(DURATION / 2);
+			await buyWonkaBars(fixture, bob, lotteryId, 5);
+			const bobBoughtAt = await time.latest();
+			const repaidAt = bobBoughtAt + DURATION / 4;
+			const interest = interestPerWonkaBar(10, repaidAt, [[10, aliceBoughtAt], [5, bobBoughtAt]]);
+			const totalPaying = WONKABAR_PRICE.add(interest).mul(15);
+			expect(interest).to.be.gt(0);
+
+			await time.increaseTo(repaidAt - 1);
+			expect(await meltyFiNFT.amountToRepay(lotteryId)).to.equal(
+				WONKABAR_PRICE.add(interestPerWonkaBar(10, repaidAt - 1, [[10, aliceBoughtAt], [5, bobBoughtAt]])).mul(15)
+			);
+			await time.setNextBlockTimestamp(repaidAt);
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: totalPaying })
+			).to.emit(meltyFiNFT, "LoanRepaid").withArgs(lotteryId, lotteryOwner.address, totalPaying);
+			expect(await meltyFiNFT.amountToRefund(lotteryId, alice.address)).to.equal(WONKABAR_PRICE.add(interest).mul(10));
+
+			await meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 10);
+			await meltyFiNFT.connect(bob).meltWonkaBars(lotteryId, 5);
+			expect(await withdrawable(fixture, alice)).to.equal(WONKABAR_PRICE.add(interest).mul(10));
+			expect(await withdrawable(fixture, bob)).to.equal(WONKABAR_PRICE.add(interest).mul(5));
+			expect(await ethers.provider.getBalance(meltyFiNFT.address)).to.equal(
+				await totalWithdrawable(fixture, [alice, bob, lotteryOwner, meltyFiDAO])
+			);
+		});
+
+		it("Accrues the interest on the part of the price not repaid yet", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { testToken, lotteryOwner, alice } = fixture;
+			const meltyFiNFT = fixture.meltyFiNFT.connect(await timelockSigner(fixture));
+			await meltyFiNFT.setInterestPercentage(20);
+			const { lotteryId } = await createTokenLottery(fixture);
+			await testToken.connect(alice).approve(meltyFiNFT.address, TOKEN_WONKABAR_PRICE.mul(10));
+			await meltyFiNFT.connect(alice).buyWonkaBars(lotteryId, 10);
+			const boughtAt = await time.latest();
+			const refundPerWonkaBar = TOKEN_WONKABAR_PRICE.div(2);
+			await testToken.connect(lotteryOwner).approve(meltyFiNFT.address, ethers.constants.MaxUint256);
+			await time.setNextBlockTimestamp(boughtAt + DURATION / 4);
+			await meltyFiNFT.connect(lotteryOwner).repayLoanPartially(lotteryId, refundPerWonkaBar.mul(10));
+			const repaidAt = boughtAt + DURATION / 2;
+			await time.increaseTo(repaidAt - 1);
+			await time.setNextBlockTimestamp(repaidAt);
+			/// the whole price accrues interest until the partial repayment, the rest of it afterwards
+			const interest = TOKEN_WONKABAR_PRICE.mul(20).mul(DURATION / 4).mul(10)
+				.add(TOKEN_WONKABAR_PRICE.sub(refundPerWonkaBar).mul(20).mul(DURATION / 4).mul(10))
+				.div(100 * 365 * 24 * 60 * 60)
+				.div(10);
+			const totalPaying = TOKEN_WONKABAR_PRICE.sub(refundPerWonkaBar).add(interest).mul(10);
+
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId)
+			).to.changeTokenBalances(testToken, [lotteryOwner, meltyFiNFT], [totalPaying.mul(-1), totalPaying]);
+			await meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 10);
+			expect(await withdrawable(fixture, alice, testToken.address)).to.equal(TOKEN_WONKABAR_PRICE.add(interest).mul(10));
+		});
+
+		it("Does not reduce the interest accrued before a partial repayment", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { lotteryOwner, alice } = fixture;
+			const meltyFiNFT = fixture.meltyFiNFT.connect(await timelockSigner(fixture));
+			await meltyFiNFT.setInterestPercentage(10);
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			const boughtAt = await time.latest();
+			const partiallyRepaidAt = boughtAt + DURATION / 2;
+			const interest = interestPerWonkaBar(10, partiallyRepaidAt, [[10, boughtAt]]);
+			expect(interest).to.be.gt(0);
+
+			/// the owner repays all but one wei of every WonkaBar right before repaying the whole loan
+			await time.setNextBlockTimestamp(partiallyRepaidAt);
+			const partialPayment = WONKABAR_PRICE.sub(1).mul(10);
+			await meltyFiNFT.connect(lotteryOwner).repayLoanPartially(lotteryId, partialPayment, { value: partialPayment });
+			const totalPaying = await meltyFiNFT.amountToRepay(lotteryId);
+			await time.setNextBlockTimestamp(partiallyRepaidAt + 1);
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: totalPaying });
+
+			expect(totalPaying).to.equal(ethers.BigNumber.from(1).add(interest).mul(10));
+			expect(await meltyFiNFT.amountToRefund(lotteryId, alice.address)).to.equal(WONKABAR_PRICE.add(interest).mul(10));
+		});
+
+		it("Charges the extension fee on the outstanding balance with the interest, and credits back the Ether sent in excess", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiDAO, lotteryOwner, alice } = fixture;
+			const meltyFiNFT = fixture.meltyFiNFT.connect(await timelockSigner(fixture));
+			await meltyFiNFT.setInterestPercentage(10);
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			const boughtAt = await time.latest();
+			const maxExtension = (await meltyFiNFT.getMaxExtension()).toNumber();
+			const expirationDate = (await meltyFiNFT.getLottery(lotteryId)).expirationDate;
+			const ownerBalance = await withdrawable(fixture, lotteryOwner);
+			const extendedAt = boughtAt + DURATION / 2;
+			const interest = interestPerWonkaBar(10, extendedAt, [[10, boughtAt]]);
+			const fee = WONKABAR_PRICE.add(interest).mul(10).mul(5).div(100);
+			expect(interest).to.be.gt(0);
+
+			/// the fee quoted before the extension is mined is too low, since the interest keeps accruing
+			await time.increaseTo(extendedAt - 2);
+			const quotedFee = await meltyFiNFT.extensionFee(lotteryId, maxExtension);
+			expect(quotedFee).to.be.lt(fee);
+			await time.setNextBlockTimestamp(extendedAt - 1);
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).extendLottery(lotteryId, maxExtension, { value: quotedFee })
+			).to.be.revertedWith("MeltyFi: The value sent is not enough to cover the payment");
+
+			await time.setNextBlockTimestamp(extendedAt);
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).extendLottery(lotteryId, maxExtension, { value: fee.mul(2) })
+			).to.emit(meltyFiNFT, "LotteryExtended").withArgs(lotteryId, expirationDate.add(maxExtension), fee);
+			expect(await withdrawable(fixture, lotteryOwner)).to.equal(ownerBalance.add(fee));
+			expect(await withdrawable(fixture, meltyFiDAO)).to.equal(WONKABAR_PRICE.mul(10).div(20).add(fee));
+		});
+
+		it("Keeps the interest percentage of a lottery when the protocol one changes", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { lotteryOwner, alice } = fixture;
+			const meltyFiNFT = fixture.meltyFiNFT.connect(await timelockSigner(fixture));
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await meltyFiNFT.setInterestPercentage(50);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await time.increase(DURATION / 2);
+
+			expect((await meltyFiNFT.getLottery(lotteryId)).interestPercentage).to.equal(0);
+			expect(await meltyFiNFT.amountToRepay(lotteryId)).to.equal(WONKABAR_PRICE.mul(10));
+			const { lotteryId: newLotteryId } = await createLottery(fixture, lotteryOwner);
+			expect((await meltyFiNFT.getLottery(newLotteryId)).interestPercentage).to.equal(50);
+		});
+	});
+
+	describe("withdraw", function () {
+		/// Deploys a TestWallet that owns a lottery paid in Ether
+		async function createWalletLottery(fixture) {
+			const { meltyFiNFT, testCollection } = fixture;
+			const wallet = await (await ethers.getContractFactory("TestWallet")).deploy();
+			const mintReceipt = await (await testCollection.safeMint(wallet.address)).wait();
+			const prizeTokenId = mintReceipt.events.find((e) => e.event === "Transfer").args.tokenId;
+			await wallet.execute(testCollection.address, testCollection.interface.encodeFunctionData("approve", [meltyFiNFT.address, prizeTokenId]));
+			const lotteryId = (await meltyFiNFT.getTotalLotteriesCreated()).toNumber();
+			await wallet.execute(meltyFiNFT.address, meltyFiNFT.interface.encodeFunctionData("createLottery", [
+				DURATION, [testCollection.address], [prizeTokenId], [1], ethers.constants.AddressZero, WONKABAR_PRICE, WONKABARS_MAX_SUPPLY
+			]));
+			return { wallet, lotteryId };
+		}
+
+		it("Sends the whole balance to its account, whoever withdraws it", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, meltyFiDAO, lotteryOwner, alice, carol } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			const valueToDAO = WONKABAR_PRICE.mul(10).div(20);
+
+			const withdrawTx = meltyFiNFT.connect(carol).withdraw(ethers.constants.AddressZero, meltyFiDAO.address);
+			await expect(withdrawTx).to.changeEtherBalances([meltyFiDAO, meltyFiNFT, carol], [valueToDAO, valueToDAO.mul(-1), 0]);
+			await expect(withdrawTx).to.emit(meltyFiNFT, "Withdrawn").withArgs(ethers.constants.AddressZero, meltyFiDAO.address, valueToDAO);
+			expect(await withdrawable(fixture, meltyFiDAO)).to.equal(0);
+			expect(await withdrawable(fixture, lotteryOwner)).to.equal(WONKABAR_PRICE.mul(10).sub(valueToDAO));
+			await expect(
+				meltyFiNFT.withdraw(ethers.constants.AddressZero, meltyFiDAO.address)
+			).to.be.revertedWith("MeltyFi: There is nothing to withdraw");
+		});
+
+		it("Credits the Ether sent in excess back to the caller", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+
+			await expect(
+				meltyFiNFT.connect(alice).buyWonkaBars(lotteryId, 2, { value: WONKABAR_PRICE.mul(3) })
+			).to.changeEtherBalance(meltyFiNFT, WONKABAR_PRICE.mul(3));
+			expect(await meltyFiNFT.balanceOf(alice.address, lotteryId)).to.equal(2);
+			expect(await withdrawable(fixture, alice)).to.equal(WONKABAR_PRICE);
+
+			const credited = await withdrawable(fixture, lotteryOwner);
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: WONKABAR_PRICE.mul(5) });
+			expect(await withdrawable(fixture, lotteryOwner)).to.equal(credited.add(WONKABAR_PRICE.mul(3)));
+		});
+
+		it("Keeps selling the WonkaBars of a lottery owner that rejects Ether", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, alice } = fixture;
+			const { wallet, lotteryId } = await createWalletLottery(fixture);
+
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			expect(await withdrawable(fixture, wallet)).to.equal(WONKABAR_PRICE.mul(10).mul(19).div(20));
+			await expect(
+				meltyFiNFT.withdraw(ethers.constants.AddressZero, wallet.address)
+			).to.be.revertedWith("Address: unable to send value, recipient may have reverted");
+		});
+
+		it("Rejects reentrant calls", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			const wallet = await (await ethers.getContractFactory("TestWallet")).deploy();
+			const buyData = meltyFiNFT.interface.encodeFunctionData("buyWonkaBars", [lotteryId, 1]);
+			/// the wallet buys a WonkaBar again when it receives the first one
+			await wallet.setCallback(meltyFiNFT.address, buyData);
+
+			await expect(
+				wallet.execute(meltyFiNFT.address, buyData, { value: WONKABAR_PRICE })
+			).to.be.revertedWith("ReentrancyGuard: reentrant call");
+			await wallet.setCallback(ethers.constants.AddressZero, "0x");
+			await wallet.execute(meltyFiNFT.address, buyData, { value: WONKABAR_PRICE });
+			expect(await meltyFiNFT.balanceOf(wallet.address, lotteryId)).to.equal(1);
+		});
+	});
+
+	describe("drawWinner", function () {
+		it("Trashes an expired lottery without WonkaBars and returns the prize", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testCollection, lotteryOwner } = fixture;
+			const { lotteryId, prizeTokenId } = await createLottery(fixture, lotteryOwner);
+			await time.increase(DURATION);
+
+			await meltyFiNFT.drawWinner(lotteryId);
+
+			expect((await meltyFiNFT.getLottery(lotteryId)).state).to.equal(lotteryState.TRASHED);
+			expect(await testCollection.ownerOf(prizeTokenId)).to.equal(lotteryOwner.address);
+			expect((await meltyFiNFT.activeLotteryIdsPaginated(0, ethers.constants.MaxUint256)).ids).to.deep.equal([]);
+		});
+
+		it("Reverts if the lottery is not expired", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { lotteryId } = await createLottery(fixture, fixture.lotteryOwner);
+
+			await expect(
+				fixture.meltyFiNFT.drawWinner(lotteryId)
+			).to.be.revertedWith("MeltyFi: The lottery expiration date is not passed");
+		});
+
+		it("Reverts if the lottery is not active", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId);
+
+			await expect(
+				meltyFiNFT.drawWinner(lotteryId)
+			).to.be.revertedWith("MeltyFi: The lottery state is not active");
+		});
+
+		it("Requests randomness for an expired lottery with WonkaBars", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, vrfWrapper, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await time.increase(DURATION);
+
+			await meltyFiNFT.drawWinner(lotteryId);
+
+			const lottery = await meltyFiNFT.getLottery(lotteryId);
+			const requestId = await meltyFiNFT.getLotteryRequestId(lotteryId);
+			expect(lottery.state).to.equal(lotteryState.AWAITING_RANDOMNESS);
+			expect(lottery.winner).to.equal(ethers.constants.AddressZero);
+			expect(requestId).to.equal(await vrfWrapper.lastRequestId());
+			expect(await vrfWrapper.pendingRequestIds()).to.deep.equal([requestId]);
+			expect((await meltyFiNFT.activeLotteryIdsPaginated(0, ethers.constants.MaxUint256)).ids).to.deep.equal([]);
+			expect(await meltyFiNFT.awaitingRandomnessLotteryIds()).to.deep.equal([ethers.BigNumber.from(lotteryId)]);
+			await expect(meltyFiNFT.drawWinner(lotteryId)).to.be.revertedWith("MeltyFi: The lottery state is not active");
+		});
+
+		it("Concludes the lottery when the VRF callback is fulfilled", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, vrfWrapper, lotteryOwner, alice, bob } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await buyWonkaBars(fixture, bob, lotteryId, 10);
+			await time.increase(DURATION);
+			await meltyFiNFT.drawWinner(lotteryId);
+			const requestId = await meltyFiNFT.getLotteryRequestId(lotteryId);
+
+			/// the 11th WonkaBar, counting alice's first, belongs to bob
+			await expect(
+				vrfWrapper.fulfillRandomWordsWithOverride(requestId, [30])
+			).to.emit(vrfWrapper, "RandomWordsFulfilled").withArgs(requestId, fixture.vrfConsumer.address, true);
+
+			const lottery = await meltyFiNFT.getLottery(lotteryId);
+			expect(lottery.state).to.equal(lotteryState.CONCLUDED);
+			expect(lottery.winner).to.equal(bob.address);
+			expect(await meltyFiNFT.awaitingRandomnessLotteryIds()).to.deep.equal([]);
+			await expect(meltyFiNFT.settleWinner(lotteryId)).to.be.revertedWith("MeltyFi: The lottery state is not awaiting randomness");
+		});
+
+		it("Lets anyone settle the winner if the VRF callback could not", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, vrfWrapper, vrfConsumer, lotteryOwner, alice, bob } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await buyWonkaBars(fixture, bob, lotteryId, 10);
+			await time.increase(DURATION);
+			await meltyFiNFT.drawWinner(lotteryId);
+			const requestId = await meltyFiNFT.getLotteryRequestId(lotteryId);
+
+			await expect(
+				meltyFiNFT.settleWinner(lotteryId)
+			).to.be.revertedWith("MeltyFi: The VRF request for random words is not fulfilled");
+
+			/// fulfil the request as the wrapper, with enough gas to store the random words but not to draw the winner
+			await helpers.impersonateAccount(vrfWrapper.address);
+			await helpers.setBalance(vrfWrapper.address, ethers.utils.parseEther("1"));
+			const wrapperSigner = await ethers.getSigner(vrfWrapper.address);
+			await vrfConsumer.connect(wrapperSigner).rawFulfillRandomWords(requestId, [0], { gasLimit: 110000 });
+			expect((await vrfConsumer.getRequestStatus(requestId)).fulfilled).to.equal(true);
+			expect((await meltyFiNFT.getLottery(lotteryId)).state).to.equal(lotteryState.AWAITING_RANDOMNESS);
+
+			await meltyFiNFT.settleWinner(lotteryId);
+			const lottery = await meltyFiNFT.getLottery(lotteryId);
+			expect(lottery.state).to.equal(lotteryState.CONCLUDED);
+			expect(lottery.winner).to.equal(alice.address);
+		});
+
+		it("Only accepts randomness notifications from the VRFv2DirectFundingConsumer", async function () {
+			const fixture = await loadFixture(deployProtocol);
+
+			await expect(
+				fixture.meltyFiNFT.onRandomWordsFulfilled(0)
+			).to.be.revertedWith("MeltyFi: The caller is not the VRFv2DirectFundingConsumer contract");
+		});
+
+		it("Freezes WonkaBar transfers while the lottery is awaiting randomness", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice, bob } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await time.increase(DURATION);
+			await meltyFiNFT.drawWinner(lotteryId);
+
+			await expect(
+				meltyFiNFT.connect(alice).safeTransferFrom(alice.address, bob.address, lotteryId, 1, "0x")
+			).to.be.revertedWith("MeltyFi: WonkaBars cannot be transferred while the lottery is awaiting randomness");
+			await expect(
+				meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 10)
+			).to.be.revertedWith("MeltyFi: The lottery is awaiting randomness");
+		});
+	});
+
+	describe("meltWonkaBars", function () {
+		it("Refunds the melted WonkaBars of a cancelled lottery and mints ChocoChips", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, chocoChip, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: await meltyFiNFT.amountToRepay(lotteryId) });
+			const amountChocoChipPerEther = await meltyFiNFT.getAmountChocoChipPerEther();
+
+			await meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 4);
+			expect(await withdrawable(fixture, alice)).to.equal(WONKABAR_PRICE.mul(4));
+			expect(await chocoChip.balanceOf(alice.address)).to.equal(WONKABAR_PRICE.mul(4).mul(amountChocoChipPerEther));
+			expect(await meltyFiNFT.amountToRefund(lotteryId, alice.address)).to.equal(WONKABAR_PRICE.mul(6));
+			expect((await meltyFiNFT.getLottery(lotteryId)).state).to.equal(lotteryState.CANCELLED);
+
+			await meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 6);
+			expect(await withdrawable(fixture, alice)).to.equal(WONKABAR_PRICE.mul(10));
+			expect(await chocoChip.balanceOf(alice.address)).to.equal(WONKABAR_PRICE.mul(10).mul(amountChocoChipPerEther));
+			expect((await meltyFiNFT.getLottery(lotteryId)).state).to.equal(lotteryState.TRASHED);
+			expect((await meltyFiNFT.holderInLotteryIdsPaginated(alice.address, 0, ethers.constants.MaxUint256)).ids).to.deep.equal([]);
+		});
+
+		it("Gives the prize to the winner of a concluded lottery and ChocoChips to every holder", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, chocoChip, testCollection, vrfWrapper, lotteryOwner, alice, bob } = fixture;
+			const { lotteryId, prizeTokenId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await buyWonkaBars(fixture, bob, lotteryId, 5);
+			await time.increase(DURATION);
+			await meltyFiNFT.drawWinner(lotteryId);
+			await vrfWrapper.fulfillRandomWordsWithOverride(await meltyFiNFT.getLotteryRequestId(lotteryId), [0]);
+			const amountChocoChipPerEther = await meltyFiNFT.getAmountChocoChipPerEther();
+			expect((await meltyFiNFT.getLottery(lotteryId)).winner).to.equal(alice.address);
+			expect(await meltyFiNFT.amountToRefund(lotteryId, alice.address)).to.equal(0);
+
+			await meltyFiNFT.connect(bob).meltWonkaBars(lotteryId, 5);
+			expect(await withdrawable(fixture, bob)).to.equal(0);
+			expect(await chocoChip.balanceOf(bob.address)).to.equal(WONKABAR_PRICE.mul(5).mul(amountChocoChipPerEther));
+			expect(await testCollection.ownerOf(prizeTokenId)).to.equal(meltyFiNFT.address);
+
+			await meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 10);
+			expect(await chocoChip.balanceOf(alice.address)).to.equal(WONKABAR_PRICE.mul(10).mul(amountChocoChipPerEther));
+			expect(await testCollection.ownerOf(prizeTokenId)).to.equal(alice.address);
+			expect((await meltyFiNFT.getLottery(lotteryId)).state).to.equal(lotteryState.TRASHED);
+		});
+
+		it("Removes the holders from wonkaBarHolders once their WonkaBars are melted", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, vrfWrapper, lotteryOwner, alice, bob } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await buyWonkaBars(fixture, bob, lotteryId, 5);
+			await buyWonkaBars(fixture, alice, lotteryId, 2);
+			expect(await meltyFiNFT.wonkaBarHolders(lotteryId)).to.deep.equal([[alice.address, bob.address], [12, 5]]);
+
+			await time.increase(DURATION);
+			await meltyFiNFT.drawWinner(lotteryId);
+			await vrfWrapper.fulfillRandomWordsWithOverride(await meltyFiNFT.getLotteryRequestId(lotteryId), [0]);
+			await meltyFiNFT.connect(bob).meltWonkaBars(lotteryId, 5);
+			expect(await meltyFiNFT.wonkaBarHolders(lotteryId)).to.deep.equal([[alice.address], [12]]);
+		});
+
+		it("Reverts if the caller does not have enough WonkaBars", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 2);
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: await meltyFiNFT.amountToRepay(lotteryId) });
+
+			await expect(
+				meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 3)
+			).to.be.revertedWith("MeltyFi: The user does not have enough WonkaBar balance to melt the given amount");
+		});
+
+		it("Reverts if the lottery is trashed", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId);
+
+			await expect(
+				meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 0)
+			).to.be.revertedWith("MeltyFi: The lottery is trashed");
+		});
+
+		it("Reverts if the lottery is still active", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 2);
+
+			await expect(
+				meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 2)
+			).to.be.revertedWith("MeltyFi: The lottery is still active");
+		});
+
+		it("Reverts if the lottery is waiting to be concluded", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 2);
+			await time.increase(DURATION);
+
+			await expect(
+				meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 2)
+			).to.be.revertedWith("MeltyFi: The lottery is waiting to be concluded by the oracle");
+		});
+	});
+
+	describe("meltWonkaBarsBatch", function () {
+		it("Melts every balance that can be melted and skips the other lotteries", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, chocoChip, testCollection, vrfWrapper, lotteryOwner, alice, bob } = fixture;
+			const cancelled = await createLottery(fixture, lotteryOwner);
+			const concluded = await createLottery(fixture, lotteryOwner);
+			const active = await createLottery(fixture, lotteryOwner, { duration: 2 * DURATION });
+			const notHeld = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, cancelled.lotteryId, 4);
+			await buyWonkaBars(fixture, alice, concluded.lotteryId, 10);
+			await buyWonkaBars(fixture, bob, concluded.lotteryId, 5);
+			await buyWonkaBars(fixture, alice, active.lotteryId, 3);
+			await buyWonkaBars(fixture, bob, notHeld.lotteryId, 3);
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(cancelled.lotteryId, { value: await meltyFiNFT.amountToRepay(cancelled.lotteryId) });
+			await time.increase(DURATION);
+			await meltyFiNFT.drawWinner(concluded.lotteryId);
+			await vrfWrapper.fulfillRandomWordsWithOverride(await meltyFiNFT.getLotteryRequestId(concluded.lotteryId), [0]);
+			const amountChocoChipPerEther = await meltyFiNFT.getAmountChocoChipPerEther();
+			const lotteryIds = [cancelled.lotteryId, concluded.lotteryId, active.lotteryId, notHeld.lotteryId, cancelled.lotteryId];
+
+			const summary = await meltyFiNFT.connect(alice).callStatic.meltWonkaBarsBatch(lotteryIds);
+			expect(summary.lotteriesMelted).to.equal(2);
+			expect(summary.wonkaBarsMelted).to.equal(14);
+			expect(summary.amountChocoChip).to.equal(WONKABAR_PRICE.mul(14).mul(amountChocoChipPerEther));
+			expect(summary.prizesClaimed).to.equal(1);
+
+			await expect(meltyFiNFT.connect(alice).meltWonkaBarsBatch(lotteryIds))
+				.to.emit(meltyFiNFT, "WonkaBarsMelted").withArgs(cancelled.lotteryId, alice.address, 4, WONKABAR_PRICE.mul(4), WONKABAR_PRICE.mul(4).mul(amountChocoChipPerEther), false)
+				.and.to.emit(meltyFiNFT, "WonkaBarsMelted").withArgs(concluded.lotteryId, alice.address, 10, 0, WONKABAR_PRICE.mul(10).mul(amountChocoChipPerEther), true);
+			expect(await withdrawable(fixture, alice)).to.equal(WONKABAR_PRICE.mul(4));
+			expect(await chocoChip.balanceOf(alice.address)).to.equal(summary.amountChocoChip);
+			expect(await testCollection.ownerOf(concluded.prizeTokenId)).to.equal(alice.address);
+			expect((await meltyFiNFT.getLottery(cancelled.lotteryId)).state).to.equal(lotteryState.TRASHED);
+			expect(await meltyFiNFT.balanceOf(alice.address, active.lotteryId)).to.equal(3);
+			expect((await meltyFiNFT.holderInLotteryIdsPaginated(alice.address, 0, ethers.constants.MaxUint256)).ids).to.deep.equal([active.lotteryId]);
+		});
+
+		it("Returns an empty summary if nothing can be melted", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 2);
+
+			const summary = await meltyFiNFT.connect(alice).callStatic.meltWonkaBarsBatch([lotteryId, lotteryId + 1]);
+			expect(summary.lotteriesMelted).to.equal(0);
+			expect(summary.wonkaBarsMelted).to.equal(0);
+			await expect(meltyFiNFT.connect(alice).meltWonkaBarsBatch([lotteryId])).not.to.emit(meltyFiNFT, "WonkaBarsMelted");
+		});
+	});
+
+	describe("checkUpkeep and performUpkeep", function () {
+		it("Reports the first expired active lottery", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner } = fixture;
+			await createLottery(fixture, lotteryOwner, { duration: 2 * DURATION });
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			/// checkUpkeep is only callable in a simulation whose tx.origin is the zero address
+			const checkUpkeep = () => meltyFiNFT.connect(ethers.provider).callStatic.checkUpkeep("0x", { from: ethers.constants.AddressZero });
+
+			let [upkeepNeeded, performData] = await checkUpkeep();
+			expect(upkeepNeeded).to.equal(false);
+			expect(performData).to.equal("0x");
+
+			await time.increase(DURATION);
+			[upkeepNeeded, performData] = await checkUpkeep();
+			expect(upkeepNeeded).to.equal(true);
+			expect(ethers.utils.defaultAbiCoder.decode(["uint256"], performData)[0]).to.equal(lotteryId);
+
+			await meltyFiNFT.performUpkeep(performData);
+			expect((await meltyFiNFT.getLottery(lotteryId)).state).to.equal(lotteryState.TRASHED);
+			[upkeepNeeded] = await checkUpkeep();
+			expect(upkeepNeeded).to.equal(false);
+		});
+
+		it("Draws and settles lotteries with WonkaBars in two upkeeps", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, vrfWrapper, vrfConsumer, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await time.increase(DURATION);
+			const checkUpkeep = () => meltyFiNFT.connect(ethers.provider).callStatic.checkUpkeep("0x", { from: ethers.constants.AddressZero });
+
+			let [upkeepNeeded, performData] = await checkUpkeep();
+			expect(upkeepNeeded).to.equal(true);
+			await meltyFiNFT.performUpkeep(performData);
+			expect((await meltyFiNFT.getLottery(lotteryId)).state).to.equal(lotteryState.AWAITING_RANDOMNESS);
+
+			/// nothing to do until the request is fulfilled
+			[upkeepNeeded] = await checkUpkeep();
+			expect(upkeepNeeded).to.equal(false);
+
+			/// the callback runs out of gas before drawing the winner, so the next upkeep settles it
+			const requestId = await meltyFiNFT.getLotteryRequestId(lotteryId);
+			await helpers.impersonateAccount(vrfWrapper.address);
+			await helpers.setBalance(vrfWrapper.address, ethers.utils.parseEther("1"));
+			await vrfConsumer.connect(await ethers.getSigner(vrfWrapper.address)).rawFulfillRandomWords(requestId, [0], { gasLimit: 110000 });
+			[upkeepNeeded, performData] = await checkUpkeep();
+			expect(upkeepNeeded).to.equal(true);
+			expect(ethers.utils.defaultAbiCoder.decode(["uint256"], performData)[0]).to.equal(lotteryId);
+			await meltyFiNFT.performUpkeep(performData);
+			expect((await meltyFiNFT.getLottery(lotteryId)).state).to.equal(lotteryState.CONCLUDED);
+			[upkeepNeeded] = await checkUpkeep();
+			expect(upkeepNeeded).to.equal(false);
+		});
+
+		it("Cannot be executed on-chain", async function () {
+			const fixture = await loadFixture(deployProtocol);
+
+			await expect(
+				fixture.meltyFiNFT.checkUpkeep("0x")
+			).to.be.revertedWithCustomError(fixture.meltyFiNFT, "OnlySimulatedBackend");
+		});
+	});
+
+	describe("ERC20 payment tokens", function () {
+		it("Creates lotteries paid in the tokens accepted by the owner", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testToken, lotteryOwner } = fixture;
+			const { lotteryId } = await createTokenLottery(fixture);
+
+			const lottery = await meltyFiNFT.getLottery(lotteryId);
+			expect(lottery.paymentToken).to.equal(testToken.address);
+			expect(lottery.wonkaBarPrice).to.equal(TOKEN_WONKABAR_PRICE);
+			expect(await meltyFiNFT.getAmountChocoChipPerToken(testToken.address)).to.equal(AMOUNT_CHOCOCHIP_PER_TEST_TOKEN);
+
+			await expect(
+				createLottery(fixture, lotteryOwner, { paymentToken: meltyFiNFT.address })
+			).to.be.revertedWith("MeltyFi: The payment token is not accepted");
+		});
+
+		it("Credits the tokens paid to the MeltyFiDAO and to the lottery owner", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, meltyFiDAO, testToken, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createTokenLottery(fixture);
+			const totalSpending = TOKEN_WONKABAR_PRICE.mul(10);
+			await testToken.connect(alice).approve(meltyFiNFT.address, totalSpending);
+
+			await expect(
+				meltyFiNFT.connect(alice).buyWonkaBars(lotteryId, 10)
+			).to.changeTokenBalances(testToken, [alice, meltyFiNFT], [totalSpending.mul(-1), totalSpending]);
+			expect(await withdrawable(fixture, meltyFiDAO, testToken.address)).to.equal(totalSpending.div(20));
+			expect(await withdrawable(fixture, lotteryOwner, testToken.address)).to.equal(totalSpending.mul(19).div(20));
+			expect(await meltyFiNFT.balanceOf(alice.address, lotteryId)).to.equal(10);
+		});
+
+		it("Reverts if Ether is sent or the tokens are not approved", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testToken, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createTokenLottery(fixture);
+
+			await expect(
+				meltyFiNFT.connect(alice).buyWonkaBars(lotteryId, 1, { value: WONKABAR_PRICE })
+			).to.be.revertedWith("MeltyFi: Ether sent to a lottery paid in an ERC20 token");
+			await expect(
+				meltyFiNFT.connect(alice).buyWonkaBars(lotteryId, 1)
+			).to.be.revertedWith("ERC20: insufficient allowance");
+			await testToken.connect(alice).approve(meltyFiNFT.address, TOKEN_WONKABAR_PRICE);
+			await meltyFiNFT.connect(alice).buyWonkaBars(lotteryId, 1);
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: WONKABAR_PRICE })
+			).to.be.revertedWith("MeltyFi: Ether sent to a lottery paid in an ERC20 token");
+		});
+
+		it("Buys with a permit in a single transaction", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testToken, alice } = fixture;
+			const { lotteryId } = await createTokenLottery(fixture);
+			const totalSpending = TOKEN_WONKABAR_PRICE.mul(3);
+			const deadline = (await time.latest()) + 3600;
+			const { v, r, s } = await signPermit(fixture, alice, meltyFiNFT.address, totalSpending, deadline);
+
+			await expect(
+				meltyFiNFT.connect(alice).buyWonkaBarsWithPermit(lotteryId, 3, deadline, v, r, s)
+			).to.changeTokenBalance(testToken, alice, totalSpending.mul(-1));
+			expect(await meltyFiNFT.balanceOf(alice.address, lotteryId)).to.equal(3);
+			expect(await testToken.allowance(alice.address, meltyFiNFT.address)).to.equal(0);
+		});
+
+		it("Reverts buying with a permit from a lottery paid in Ether", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, fixture.lotteryOwner);
+			const deadline = (await time.latest()) + 3600;
+			const { v, r, s } = await signPermit(fixture, alice, meltyFiNFT.address, WONKABAR_PRICE, deadline);
+
+			await expect(
+				meltyFiNFT.connect(alice).buyWonkaBarsWithPermit(lotteryId, 1, deadline, v, r, s)
+			).to.be.revertedWith("MeltyFi: The lottery is paid in Ether");
+		});
+
+		it("Repays, refunds and rewards ChocoChips in the token", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, chocoChip, testToken, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createTokenLottery(fixture);
+			const totalSpending = TOKEN_WONKABAR_PRICE.mul(10);
+			await testToken.connect(alice).approve(meltyFiNFT.address, totalSpending);
+			await meltyFiNFT.connect(alice).buyWonkaBars(lotteryId, 10);
+			await testToken.connect(lotteryOwner).approve(meltyFiNFT.address, totalSpending);
+
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId)
+			).to.changeTokenBalances(testToken, [lotteryOwner, meltyFiNFT], [totalSpending.mul(-1), totalSpending]);
+			/// 20 MTD are worth 20 CHOC
+			expect(await chocoChip.balanceOf(lotteryOwner.address)).to.equal(ethers.utils.parseEther("20"));
+
+			await meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 10);
+			await expect(
+				meltyFiNFT.withdraw(testToken.address, alice.address)
+			).to.changeTokenBalances(testToken, [alice, meltyFiNFT], [totalSpending, totalSpending.mul(-1)]);
+			expect(await chocoChip.balanceOf(alice.address)).to.equal(ethers.utils.parseEther("20"));
+		});
+
+		it("Only the owner can accept payment tokens, within the bounds", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { testToken, deployer, lotteryOwner } = fixture;
+			const meltyFiNFT = fixture.meltyFiNFT.connect(await timelockSigner(fixture));
+
+			await expect(
+				meltyFiNFT.connect(deployer).setAmountChocoChipPerToken(testToken.address, 1)
+			).to.be.revertedWith("Ownable: caller is not the owner");
+			await expect(
+				meltyFiNFT.setAmountChocoChipPerToken(testToken.address, ethers.utils.parseEther("1000001"))
+			).to.be.revertedWith("MeltyFi: amountChocoChipPerToken out of bounds");
+			await expect(meltyFiNFT.setAmountChocoChipPerToken(testToken.address, 0))
+				.to.emit(meltyFiNFT, "AmountChocoChipPerTokenChanged").withArgs(testToken.address, AMOUNT_CHOCOCHIP_PER_TEST_TOKEN, 0);
+			await expect(
+				createLottery(fixture, lotteryOwner, { paymentToken: testToken.address })
+			).to.be.revertedWith("MeltyFi: The payment token is not accepted");
+		});
+	});
+
+	describe("ERC1155 prizes", function () {
+		it("Escrows an amount of ERC1155 tokens as the prize of a lottery", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testItems, lotteryOwner } = fixture;
+			const { lotteryId } = await createItemsLottery(fixture, lotteryOwner, 7, 3);
+
+			const [prize] = await meltyFiNFT.getLotteryPrizes(lotteryId);
+			expect(prize.prizeContract).to.equal(testItems.address);
+			expect(prize.prizeTokenId).to.equal(7);
+			expect(prize.prizeAmount).to.equal(3);
+			expect(prize.prizeStandard).to.equal(prizeStandard.ERC1155);
+			expect(await testItems.balanceOf(meltyFiNFT.address, 7)).to.equal(3);
+			expect(await testItems.balanceOf(lotteryOwner.address, 7)).to.equal(0);
+			expect((await meltyFiNFT.getLotteryPrizes((await createLottery(fixture, lotteryOwner)).lotteryId))[0].prizeStandard).to.equal(prizeStandard.ERC721);
+		});
+
+		it("Reverts if the amount of the prize does not fit its standard", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testCollection, lotteryOwner } = fixture;
+			await testCollection.safeMint(lotteryOwner.address);
+			await testCollection.connect(lotteryOwner).approve(meltyFiNFT.address, 0);
+
+			await expect(
+				createItemsLottery(fixture, lotteryOwner, 7, 0)
+			).to.be.revertedWith("MeltyFi: The amount of an ERC1155 prize is 0");
+			await expect(
+				meltyFiNFT.connect(lotteryOwner).createLottery(DURATION, [testCollection.address], [0], [2], ethers.constants.AddressZero, WONKABAR_PRICE, WONKABARS_MAX_SUPPLY)
+			).to.be.revertedWith("MeltyFi: The amount of an ERC721 prize is not 1");
+		});
+
+		it("Returns the tokens to the owner when the loan is repaid or the lottery is trashed", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testItems, lotteryOwner, alice } = fixture;
+			const { lotteryId: repaidLotteryId } = await createItemsLottery(fixture, lotteryOwner, 7, 3);
+			const { lotteryId: trashedLotteryId } = await createItemsLottery(fixture, lotteryOwner, 8, 5);
+			await buyWonkaBars(fixture, alice, repaidLotteryId, 2);
+
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(repaidLotteryId, { value: await meltyFiNFT.amountToRepay(repaidLotteryId) });
+			expect(await testItems.balanceOf(lotteryOwner.address, 7)).to.equal(3);
+
+			await time.increase(DURATION);
+			await meltyFiNFT.drawWinner(trashedLotteryId);
+			expect(await testItems.balanceOf(lotteryOwner.address, 8)).to.equal(5);
+			expect(await testItems.balanceOf(meltyFiNFT.address, 8)).to.equal(0);
+		});
+
+		it("Gives the tokens to the winner only once, even if other lotteries hold the same token", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testItems, vrfWrapper, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createItemsLottery(fixture, lotteryOwner, 7, 3);
+			await createItemsLottery(fixture, lotteryOwner, 7, 2);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await time.increase(DURATION);
+			await meltyFiNFT.drawWinner(lotteryId);
+			await vrfWrapper.fulfillRandomWordsWithOverride(await meltyFiNFT.getLotteryRequestId(lotteryId), [0]);
+
+			await expect(
+				meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 4)
+			).to.emit(meltyFiNFT, "WonkaBarsMelted").withArgs(lotteryId, alice.address, 4, 0, WONKABAR_PRICE.mul(4).mul(1000), true);
+			expect(await testItems.balanceOf(alice.address, 7)).to.equal(3);
+			expect((await meltyFiNFT.getLottery(lotteryId)).prizeClaimed).to.equal(true);
+
+			await meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 6);
+			expect(await testItems.balanceOf(alice.address, 7)).to.equal(3);
+			expect(await testItems.balanceOf(meltyFiNFT.address, 7)).to.equal(2);
+		});
+
+		it("Supports the ERC721 and ERC1155 receiver interfaces", async function () {
+			const { meltyFiNFT } = await loadFixture(deployProtocol);
+
+			/// ERC165 identifiers of IERC721Receiver, IERC1155Receiver and IERC1155
+			for (const interfaceId of ["0x150b7a02", "0x4e2312e0", "0xd9b67a26"]) {
+				expect(await meltyFiNFT.supportsInterface(interfaceId)).to.equal(true);
+			}
+		});
+	});
+
+	describe("Prize bundles", function () {
+		it("Escrows a bundle of tokens from different collections", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testCollection, testItems } = fixture;
+			const { lotteryId, createTx } = await createBundleLottery(fixture);
+
+			await expectBundleHeldBy(fixture, meltyFiNFT.address);
+			const prizes = await meltyFiNFT.getLotteryPrizes(lotteryId);
+			expect(prizes.map((prize) => [prize.prizeContract, prize.prizeTokenId.toNumber(), prize.prizeAmount.toNumber(), prize.prizeStandard])).to.deep.equal([
+				[testCollection.address, 0, 1, prizeStandard.ERC721],
+				[testItems.address, 7, 4, prizeStandard.ERC1155],
+				[testCollection.address, 1, 1, prizeStandard.ERC721]
+			]);
+			await expect(createTx).to.emit(meltyFiNFT, "PrizeEscrowed").withArgs(lotteryId, testItems.address, 7, 4);
+			await expect(createTx).to.emit(meltyFiNFT, "PrizeEscrowed").withArgs(lotteryId, testCollection.address, 1, 1);
+		});
+
+		it("Returns the whole bundle when the loan is repaid", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createBundleLottery(fixture);
+			await buyWonkaBars(fixture, alice, lotteryId, 5);
+
+			await meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: await meltyFiNFT.amountToRepay(lotteryId) });
+			await expectBundleHeldBy(fixture, lotteryOwner.address);
+		});
+
+		it("Returns the whole bundle when the lottery is trashed", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner } = fixture;
+			const { lotteryId } = await createBundleLottery(fixture);
+			await time.increase(DURATION);
+
+			await meltyFiNFT.drawWinner(lotteryId);
+			await expectBundleHeldBy(fixture, lotteryOwner.address);
+		});
+
+		it("Gives the whole bundle to the winner", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, vrfWrapper, alice, bob } = fixture;
+			const { lotteryId } = await createBundleLottery(fixture);
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await buyWonkaBars(fixture, bob, lotteryId, 5);
+			await time.increase(DURATION);
+			await meltyFiNFT.drawWinner(lotteryId);
+			await vrfWrapper.fulfillRandomWordsWithOverride(await meltyFiNFT.getLotteryRequestId(lotteryId), [12]);
+			expect((await meltyFiNFT.getLottery(lotteryId)).winner).to.equal(bob.address);
+
+			await meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 10);
+			await expectBundleHeldBy(fixture, meltyFiNFT.address);
+			await meltyFiNFT.connect(bob).meltWonkaBars(lotteryId, 5);
+			await expectBundleHeldBy(fixture, bob.address);
+		});
+
+		it("Reverts if the bundle is empty, too large or described by arrays of different lengths", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testItems, lotteryOwner } = fixture;
+			await testItems.mint(lotteryOwner.address, 7, 21);
+			await testItems.connect(lotteryOwner).setApprovalForAll(meltyFiNFT.address, true);
+			const create = (prizeContracts, prizeTokenIds, prizeAmounts) => meltyFiNFT.connect(lotteryOwner).createLottery(
+				DURATION, prizeContracts, prizeTokenIds, prizeAmounts, ethers.constants.AddressZero, WONKABAR_PRICE, WONKABARS_MAX_SUPPLY
+			);
+
+			await expect(create([], [], [])).to.be.revertedWith("MeltyFi: The prize bundle is empty");
+			await expect(create([testItems.address], [7, 7], [1])).to.be.revertedWith("MeltyFi: The prize arrays have different lengths");
+			await expect(
+				create(Array(21).fill(testItems.address), Array(21).fill(7), Array(21).fill(1))
+			).to.be.revertedWith("MeltyFi: The prize bundle has too many tokens");
+			await create(Array(20).fill(testItems.address), Array(20).fill(7), Array(20).fill(1));
+			expect(await testItems.balanceOf(meltyFiNFT.address, 7)).to.equal(20);
+		});
+	});
+
+	describe("Events", function () {
+		it("Emits an event for every step of a concluded lottery", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testCollection, vrfWrapper, lotteryOwner, alice } = fixture;
+			const prizeTokenId = 0;
+			await testCollection.safeMint(lotteryOwner.address);
+			await testCollection.connect(lotteryOwner).approve(meltyFiNFT.address, prizeTokenId);
+
+			const createTx = meltyFiNFT.connect(lotteryOwner).createLottery(DURATION, [testCollection.address], [prizeTokenId], [1], ethers.constants.AddressZero, WONKABAR_PRICE, WONKABARS_MAX_SUPPLY);
+			await expect(createTx).to.emit(meltyFiNFT, "LotteryCreated").withArgs(
+				0, lotteryOwner.address, (await time.latest()) + 1 + DURATION, WONKABAR_PRICE, WONKABARS_MAX_SUPPLY, ethers.constants.AddressZero
+			);
+			await expect(createTx).to.emit(meltyFiNFT, "PrizeEscrowed").withArgs(0, testCollection.address, prizeTokenId, 1);
+			await expect(
+				buyWonkaBars(fixture, alice, 0, 3)
+			).to.emit(meltyFiNFT, "WonkaBarsBought").withArgs(0, alice.address, 3, WONKABAR_PRICE.mul(3));
+
+			await time.increase(DURATION);
+			const drawTx = await meltyFiNFT.drawWinner(0);
+			const requestId = await meltyFiNFT.getLotteryRequestId(0);
+			await expect(drawTx).to.emit(meltyFiNFT, "DrawRequested").withArgs(0, requestId);
+			await expect(
+				vrfWrapper.fulfillRandomWords(requestId)
+			).to.emit(meltyFiNFT, "WinnerChosen").withArgs(0, alice.address);
+
+			const amountChocoChip = WONKABAR_PRICE.mul(3).mul(await meltyFiNFT.getAmountChocoChipPerEther());
+			const meltTx = meltyFiNFT.connect(alice).meltWonkaBars(0, 3);
+			await expect(meltTx).to.emit(meltyFiNFT, "WonkaBarsMelted").withArgs(0, alice.address, 3, 0, amountChocoChip, true);
+			await expect(meltTx).to.emit(meltyFiNFT, "LotteryTrashed").withArgs(0);
+		});
+
+		it("Emits an event for every step of a cancelled lottery", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 2);
+			const totalPaying = WONKABAR_PRICE.mul(2);
+
+			const repayTx = meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId, { value: totalPaying });
+			await expect(repayTx).to.emit(meltyFiNFT, "LoanRepaid").withArgs(lotteryId, lotteryOwner.address, totalPaying);
+			await expect(repayTx).not.to.emit(meltyFiNFT, "LotteryTrashed");
+
+			const amountChocoChip = WONKABAR_PRICE.mul(await meltyFiNFT.getAmountChocoChipPerEther());
+			await expect(
+				meltyFiNFT.connect(alice).meltWonkaBars(lotteryId, 1)
+			).to.emit(meltyFiNFT, "WonkaBarsMelted").withArgs(lotteryId, alice.address, 1, WONKABAR_PRICE, amountChocoChip, false);
+		});
+
+		it("Emits LotteryTrashed when a lottery without WonkaBars ends", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			const { lotteryId: otherLotteryId } = await createLottery(fixture, lotteryOwner);
+
+			await expect(meltyFiNFT.connect(lotteryOwner).repayLoan(lotteryId)).to.emit(meltyFiNFT, "LotteryTrashed").withArgs(lotteryId);
+			await time.increase(DURATION);
+			await expect(meltyFiNFT.drawWinner(otherLotteryId)).to.emit(meltyFiNFT, "LotteryTrashed").withArgs(otherLotteryId);
+		});
+	});
+
+	describe("WonkaBar holders bookkeeping", function () {
+		it("Tracks holders through purchases and transfers", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice, bob } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			const { lotteryId: otherLotteryId } = await createLottery(fixture, lotteryOwner);
+			const id = ethers.BigNumber.from(lotteryId);
+			const otherId = ethers.BigNumber.from(otherLotteryId);
+
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			await buyWonkaBars(fixture, alice, otherLotteryId, 1);
+			expect((await meltyFiNFT.holderInLotteryIdsPaginated(alice.address, 0, ethers.constants.MaxUint256)).ids).to.deep.equal([id, otherId]);
+			expect((await meltyFiNFT.holderInLotteryIdsPaginated(bob.address, 0, ethers.constants.MaxUint256)).ids).to.deep.equal([]);
+
+			/// a partial transfer keeps the sender among the holders
+			await meltyFiNFT.connect(alice).safeTransferFrom(alice.address, bob.address, lotteryId, 4, "0x");
+			expect((await meltyFiNFT.holderInLotteryIdsPaginated(alice.address, 0, ethers.constants.MaxUint256)).ids).to.deep.equal([id, otherId]);
+			expect((await meltyFiNFT.holderInLotteryIdsPaginated(bob.address, 0, ethers.constants.MaxUint256)).ids).to.deep.equal([id]);
+
+			/// transferring the whole balance removes the sender from the holders
+			await meltyFiNFT.connect(alice).safeTransferFrom(alice.address, bob.address, lotteryId, 6, "0x");
+			expect((await meltyFiNFT.holderInLotteryIdsPaginated(alice.address, 0, ethers.constants.MaxUint256)).ids).to.deep.equal([otherId]);
+			expect(await meltyFiNFT.balanceOf(bob.address, lotteryId)).to.equal(10);
+
+			/// zero-amount transfers do not add the recipient to the holders
+			await meltyFiNFT.connect(alice).safeTransferFrom(alice.address, lotteryOwner.address, otherLotteryId, 0, "0x");
+			expect((await meltyFiNFT.holderInLotteryIdsPaginated(lotteryOwner.address, 0, ethers.constants.MaxUint256)).ids).to.deep.equal([]);
+		});
+	});
+
+	describe("Paginated and batched reads", function () {
+		it("Pages through the active lotteries", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner } = fixture;
+			const ids = [];
+			for (let i = 0; i < 5; i++) {
+				ids.push((await createLottery(fixture, lotteryOwner)).lotteryId);
+			}
+
+			let [page, total] = await meltyFiNFT.activeLotteryIdsPaginated(0, 2);
+			expect(page.map((id) => id.toNumber())).to.deep.equal(ids.slice(0, 2));
+			expect(total).to.equal(5);
+			[page, total] = await meltyFiNFT.activeLotteryIdsPaginated(4, 2);
+			expect(page.map((id) => id.toNumber())).to.deep.equal(ids.slice(4));
+			[page, total] = await meltyFiNFT.activeLotteryIdsPaginated(5, 2);
+			expect(page).to.deep.equal([]);
+			expect(total).to.equal(5);
+
+			/// the limit does not overflow when it is the maximum uint256
+			[page] = await meltyFiNFT.activeLotteryIdsPaginated(1, ethers.constants.MaxUint256);
+			expect(page.map((id) => id.toNumber())).to.deep.equal(ids.slice(1));
+		});
+
+		it("Pages through the lotteries of an owner and of a holder", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice, bob } = fixture;
+			for (let i = 0; i < 3; i++) {
+				const { lotteryId } = await createLottery(fixture, lotteryOwner);
+				await buyWonkaBars(fixture, alice, lotteryId, 1);
+			}
+
+			let [page, total] = await meltyFiNFT.ownedLotteryIdsPaginated(lotteryOwner.address, 1, 5);
+			expect(page.map((id) => id.toNumber())).to.deep.equal([1, 2]);
+			expect(total).to.equal(3);
+			[page, total] = await meltyFiNFT.holderInLotteryIdsPaginated(alice.address, 0, 1);
+			expect(page.map((id) => id.toNumber())).to.deep.equal([0]);
+			expect(total).to.equal(3);
+			[page, total] = await meltyFiNFT.holderInLotteryIdsPaginated(bob.address, 0, 10);
+			expect(page).to.deep.equal([]);
+			expect(total).to.equal(0);
+		});
+
+		it("Returns many lotteries at once, with their prize bundles", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, lotteryOwner, alice } = fixture;
+			await createLottery(fixture, lotteryOwner);
+			await createItemsLottery(fixture, lotteryOwner, 7, 3, { wonkaBarsMaxSupply: 50 });
+			await buyWonkaBars(fixture, alice, 1, 2);
+
+			const [lotteries, prizes] = await meltyFiNFT.getLotteries([1, 0]);
+			expect(lotteries.length).to.equal(2);
+			expect(lotteries[0]).to.deep.equal(await meltyFiNFT.getLottery(1));
+			expect(lotteries[1]).to.deep.equal(await meltyFiNFT.getLottery(0));
+			expect(lotteries[0].wonkaBarsSold).to.equal(2);
+			expect(lotteries[0].wonkaBarsMaxSupply).to.equal(50);
+			expect(prizes).to.deep.equal([await meltyFiNFT.getLotteryPrizes(1), await meltyFiNFT.getLotteryPrizes(0)]);
+			expect(prizes[0].map((prize) => [prize.prizeTokenId.toNumber(), prize.prizeAmount.toNumber()])).to.deep.equal([[7, 3]]);
+			expect(await meltyFiNFT.getLotteries([])).to.deep.equal([[], []]);
+		});
+	});
+
+	describe("uri", function () {
+		/// Value of an attribute of the metadata of a lottery
+		function attribute(metadata, traitType) {
+			return metadata.attributes.find((a) => a.trait_type === traitType).value;
+		}
+
+		it("Renders the metadata of each lottery with an SVG image", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, testCollection, lotteryOwner, alice } = fixture;
+			await createLottery(fixture, lotteryOwner);
+			const { lotteryId, prizeTokenId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 3);
+
+			const { metadata, svg } = await checkMetadata(meltyFiNFT, lotteryId);
+			expect(metadata.name).to.equal(`WonkaBar of MeltyFi lottery #${lotteryId}`);
+			expect(attribute(metadata, "Prize collection")).to.equal(testCollection.address.toLowerCase());
+			expect(attribute(metadata, "Prize token ID")).to.equal(prizeTokenId.toString());
+			expect(attribute(metadata, "Price")).to.equal("0.01 ETH");
+			expect(attribute(metadata, "State")).to.equal("Active");
+			expect(attribute(metadata, "Winner")).to.equal("None");
+			expect(attribute(metadata, "WonkaBars sold")).to.equal(3);
+			expect(svg).to.include(`WonkaBar #${lotteryId}`);
+			expect(await meltyFiNFT.uri(lotteryId)).not.to.equal(await meltyFiNFT.uri(lotteryId - 1));
+		});
+
+		it("Follows the state of the lottery until its winner is chosen", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, vrfWrapper, lotteryOwner, alice } = fixture;
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await buyWonkaBars(fixture, alice, lotteryId, 3);
+
+			await time.increase(DURATION);
+			expect(attribute((await checkMetadata(meltyFiNFT, lotteryId)).metadata, "State")).to.equal("Expired");
+			await meltyFiNFT.drawWinner(lotteryId);
+			expect(attribute((await checkMetadata(meltyFiNFT, lotteryId)).metadata, "State")).to.equal("Drawing the winner");
+			await vrfWrapper.fulfillRandomWordsWithOverride(await meltyFiNFT.getLotteryRequestId(lotteryId), [0]);
+			const { metadata, svg } = await checkMetadata(meltyFiNFT, lotteryId);
+			expect(attribute(metadata, "State")).to.equal("Concluded");
+			expect(attribute(metadata, "Winner")).to.equal(alice.address.toLowerCase());
+			expect(svg).to.include(`Winner: ${alice.address.slice(0, 6).toLowerCase()}...${alice.address.slice(-4).toLowerCase()}`);
+		});
+
+		it("Shows the price in the payment token and the size of the prize bundle", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT } = fixture;
+			/// the bundle is made of the first tokens of the collections
+			const bundleLottery = await createBundleLottery(fixture);
+			const tokenLottery = await createTokenLottery(fixture);
+
+			expect(attribute((await checkMetadata(meltyFiNFT, tokenLottery.lotteryId)).metadata, "Price")).to.equal("2 MTD");
+			const { metadata, svg } = await checkMetadata(meltyFiNFT, bundleLottery.lotteryId);
+			expect(attribute(metadata, "Prize tokens")).to.equal(3);
+			expect(svg).to.include("#0 +2");
+		});
+
+		it("Reverts if the lottery does not exist", async function () {
+			const { meltyFiNFT } = await loadFixture(deployProtocol);
+
+			await expect(meltyFiNFT.uri(0)).to.be.revertedWith("MeltyFi: The lottery does not exist");
+		});
+	});
+
+	describe("Owner functions", function () {
+		it("Is owned by the TimelockController", async function () {
+			const { meltyFiNFT, timelockController, deployer } = await loadFixture(deployProtocol);
+
+			expect(await meltyFiNFT.owner()).to.equal(timelockController.address);
+			expect(await timelockController.hasRole(await timelockController.TIMELOCK_ADMIN_ROLE(), deployer.address)).to.equal(false);
+		});
+
+		it("Only the owner can take a ChocoChip snapshot", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, chocoChip, deployer } = fixture;
+			const timelock = await timelockSigner(fixture);
+
+			await expect(
+				meltyFiNFT.connect(deployer).snapshotChocoChip()
+			).to.be.revertedWith("Ownable: caller is not the owner");
+			await expect(meltyFiNFT.connect(timelock).snapshotChocoChip()).to.emit(chocoChip, "Snapshot").withArgs(1);
+		});
+
+		it("Only the owner can change the protocol parameters", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiNFT, deployer } = fixture;
+
+			for (const setter of ["setAmountChocoChipPerEther", "setRoyaltyDAOPercentage", "setInterestPercentage", "setUpperLimitBalanceOfPercentage", "setUpperLimitMaxSupply"]) {
+				await expect(
+					meltyFiNFT.connect(deployer)[setter](10)
+				).to.be.revertedWith("Ownable: caller is not the owner");
+			}
+		});
+
+		it("Changes the protocol parameters within their bounds, emitting the old and new values", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const meltyFiNFT = fixture.meltyFiNFT.connect(await timelockSigner(fixture));
+
+			await expect(meltyFiNFT.setAmountChocoChipPerEther(2000))
+				.to.emit(meltyFiNFT, "AmountChocoChipPerEtherChanged").withArgs(1000, 2000);
+			await expect(meltyFiNFT.setRoyaltyDAOPercentage(0))
+				.to.emit(meltyFiNFT, "RoyaltyDAOPercentageChanged").withArgs(5, 0);
+			await expect(meltyFiNFT.setInterestPercentage(10))
+				.to.emit(meltyFiNFT, "InterestPercentageChanged").withArgs(0, 10);
+			await expect(meltyFiNFT.setUpperLimitBalanceOfPercentage(100))
+				.to.emit(meltyFiNFT, "UpperLimitBalanceOfPercentageChanged").withArgs(25, 100);
+			await expect(meltyFiNFT.setUpperLimitMaxSupply(10000))
+				.to.emit(meltyFiNFT, "UpperLimitMaxSupplyChanged").withArgs(100, 10000);
+
+			expect(await meltyFiNFT.getAmountChocoChipPerEther()).to.equal(2000);
+			expect(await meltyFiNFT.getRoyaltyDAOPercentage()).to.equal(0);
+			expect(await meltyFiNFT.getInterestPercentage()).to.equal(10);
+			expect(await meltyFiNFT.getUpperLimitBalanceOfPercentage()).to.equal(100);
+			expect(await meltyFiNFT.getUpperLimitMaxSupply()).to.equal(10000);
+		});
+
+		it("Reverts if a protocol parameter is out of bounds", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const meltyFiNFT = fixture.meltyFiNFT.connect(await timelockSigner(fixture));
+
+			await expect(meltyFiNFT.setAmountChocoChipPerEther(0)).to.be.revertedWith("MeltyFi: amountChocoChipPerEther out of bounds");
+			await expect(meltyFiNFT.setAmountChocoChipPerEther(1000001)).to.be.revertedWith("MeltyFi: amountChocoChipPerEther out of bounds");
+			await expect(meltyFiNFT.setRoyaltyDAOPercentage(21)).to.be.revertedWith("MeltyFi: royaltyDAOPercentage out of bounds");
+			await expect(meltyFiNFT.setInterestPercentage(101)).to.be.revertedWith("MeltyFi: interestPercentage out of bounds");
+			await expect(meltyFiNFT.setUpperLimitBalanceOfPercentage(0)).to.be.revertedWith("MeltyFi: upperLimitBalanceOfPercentage out of bounds");
+			await expect(meltyFiNFT.setUpperLimitBalanceOfPercentage(101)).to.be.revertedWith("MeltyFi: upperLimitBalanceOfPercentage out of bounds");
+			await expect(meltyFiNFT.setUpperLimitMaxSupply(0)).to.be.revertedWith("MeltyFi: upperLimitMaxSupply out of bounds");
+			await expect(meltyFiNFT.setUpperLimitMaxSupply(10001)).to.be.revertedWith("MeltyFi: upperLimitMaxSupply out of bounds");
+		});
+
+		it("Applies the new parameters to the next purchases and lotteries", async function () {
+			const fixture = await loadFixture(deployProtocol);
+			const { meltyFiDAO, lotteryOwner, alice } = fixture;
+			const meltyFiNFT = fixture.meltyFiNFT.connect(await timelockSigner(fixture));
+			const { lotteryId } = await createLottery(fixture, lotteryOwner);
+			await meltyFiNFT.setRoyaltyDAOPercentage(10);
+			await meltyFiNFT.setUpperLimitMaxSupply(200);
+
+			await buyWonkaBars(fixture, alice, lotteryId, 10);
+			expect(await withdrawable(fixture, meltyFiDAO)).to.equal(WONKABAR_PRICE.mul(10).div(10));
+			await createLottery(fixture, lotteryOwner, { wonkaBarsMaxSupply: 200 });
+		});
+	});
+});
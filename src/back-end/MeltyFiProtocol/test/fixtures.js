@@ -0,0 +1,180 @@
+const { ethers } = require("hardhat");
+const { impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+/// Amount of mock LINK sent to the VRFv2DirectFundingConsumer contract
+const LINK_FUNDING = ethers.utils.parseEther("100");
+
+/// Default parameters of the lotteries created by the tests
+const DURATION = 7 * 24 * 60 * 60;
+const WONKABAR_PRICE = ethers.utils.parseEther("0.01");
+const WONKABARS_MAX_SUPPLY = 100;
+
+/// ChocoChips per unit of TestToken, both in their smallest units: 1 CHOC per MTD, since MTD has 6 decimals
+const AMOUNT_CHOCOCHIP_PER_TEST_TOKEN = ethers.BigNumber.from(10).pow(12);
+
+/// Lottery states, in the order of the `lotteryState` enum of MeltyFiNFT
+const lotteryState = {
+	ACTIVE: 0,
+	CANCELLED: 1,
+	CONCLUDED: 2,
+	TRASHED: 3,
+	AWAITING_RANDOMNESS: 4
+};
+
+/// Prize token standards, in the order of the `Standard` enum of LotteryPrizes
+const prizeStandard = {
+	ERC721: 0,
+	ERC1155: 1
+};
+
+/**
+ * Returns the factory of MeltyFiNFT, linked to the LotteryPrizes and LotteryPayments libraries of a fixture.
+ */
+function meltyFiNFTFactory({ lotteryPrizes, lotteryPayments }) {
+	return ethers.getContractFactory("MeltyFiNFT", {
+		libraries: { LotteryPrizes: lotteryPrizes.address, LotteryPayments: lotteryPayments.address }
+	});
+}
+
+/**
+ * Deploys the whole protocol on the Hardhat network the same way `scripts/deploy.js` does on local networks,
+ * plus a TestCollection and a TestItems whose tokens are used as lottery prizes and a TestToken accepted as payment token.
+ * The interest percentage is left at 0, so that the amounts repaid do not depend on time; the interest tests set it.
+ *
+ * @return {Promise<Object>} The deployed contracts and the signers used by the tests.
+ */
+async function deployProtocol() {
+	const [deployer, lotteryOwner, alice, bob, carol] = await ethers.getSigners();
+
+	const deploy = async (contractName, ...args) => {
+		const Contract = await ethers.getContractFactory(contractName);
+		const contract = await Contract.deploy(...args);
+		await contract.deployed();
+		return contract;
+	};
+
+	const chocoChip = await deploy("ChocoChip");
+	const logoCollection = await deploy("LogoCollection");
+	const testCollection = await deploy("TestCollection");
+	const testItems = await deploy("TestItems");
+	const testToken = await deploy("TestToken");
+	const timelockController = await deploy("TimelockController", 3600, [], [], deployer.address);
+	const meltyFiDAO = await deploy("MeltyFiDAO", chocoChip.address, timelockController.address);
+	await timelockController.grantRole(await timelockController.PROPOSER_ROLE(), meltyFiDAO.address);
+	await timelockController.grantRole(await timelockController.CANCELLER_ROLE(), meltyFiDAO.address);
+	await timelockController.grantRole(await timelockController.EXECUTOR_ROLE(), ethers.constants.AddressZero);
+	const linkToken = await deploy("LinkTokenMock");
+	const vrfWrapper = await deploy("VRFV2WrapperMock", linkToken.address);
+	const vrfConsumer = await deploy("VRFv2DirectFundingConsumer", linkToken.address, vrfWrapper.address);
+	await linkToken.transfer(vrfConsumer.address, LINK_FUNDING);
+	const lotteryPrizes = await deploy("LotteryPrizes");
+	const lotteryPayments = await deploy("LotteryPayments");
+	const wonkaBarMetadata = await deploy("WonkaBarMetadata");
+	const MeltyFiNFT = await meltyFiNFTFactory({ lotteryPrizes, lotteryPayments });
+	const meltyFiNFT = await MeltyFiNFT.deploy(chocoChip.address, logoCollection.address, meltyFiDAO.address, vrfConsumer.address, wonkaBarMetadata.address);
+	await meltyFiNFT.deployed();
+
+	await chocoChip.transferOwnership(meltyFiNFT.address);
+	await logoCollection.transferOwnership(meltyFiNFT.address);
+	await vrfConsumer.transferOwnership(meltyFiNFT.address);
+	await meltyFiNFT.acceptOwnershipVRFv2DirectFundingConsumer();
+	await meltyFiNFT.setAmountChocoChipPerToken(testToken.address, AMOUNT_CHOCOCHIP_PER_TEST_TOKEN);
+	await meltyFiNFT.transferOwnership(timelockController.address);
+	await timelockController.renounceRole(await timelockController.TIMELOCK_ADMIN_ROLE(), deployer.address);
+
+	return {
+		chocoChip,
+		logoCollection,
+		testCollection,
+		testItems,
+		testToken,
+		timelockController,
+		meltyFiDAO,
+		linkToken,
+		vrfWrapper,
+		vrfConsumer,
+		lotteryPrizes,
+		lotteryPayments,
+		wonkaBarMetadata,
+		meltyFiNFT,
+		deployer,
+		lotteryOwner,
+		alice,
+		bob,
+		carol
+	};
+}
+
+/**
+ * Impersonates the TimelockController, which owns MeltyFiNFT, to call the owner functions without a MeltyFiDAO proposal.
+ *
+ * @return {Promise<import('ethers').Signer>} A funded signer whose address is the TimelockController.
+ */
+async function timelockSigner(fixture) {
+	const address = fixture.timelockController.address;
+	await impersonateAccount(address);
+	await setBalance(address, ethers.utils.parseEther("1"));
+	return ethers.getSigner(address);
+}
+
+/**
+ * Mints a TestCollection token to `owner` and uses it as the prize of a new lottery.
+ *
+ * @return {Promise<{lotteryId: number, prizeTokenId: number}>} The IDs of the new lottery and of its prize.
+ */
+async function createLottery(fixture, owner, {
+	duration = DURATION,
+	paymentToken = ethers.constants.AddressZero,
+	wonkaBarPrice = WONKABAR_PRICE,
+	wonkaBarsMaxSupply = WONKABARS_MAX_SUPPLY
+} = {}) {
+	const { meltyFiNFT, testCollection } = fixture;
+	const mintTx = await testCollection.safeMint(owner.address);
+	const mintReceipt = await mintTx.wait();
+	const prizeTokenId = mintReceipt.events.find((e) => e.event === "Transfer").args.tokenId.toNumber();
+	await testCollection.connect(owner).approve(meltyFiNFT.address, prizeTokenId);
+	const lotteryId = (await meltyFiNFT.getTotalLotteriesCreated()).toNumber();
+	await meltyFiNFT.connect(owner).createLottery(duration, [testCollection.address], [prizeTokenId], [1], paymentToken, wonkaBarPrice, wonkaBarsMaxSupply);
+	return { lotteryId, prizeTokenId };
+}
+
+/**
+ * Mints `prizeAmount` TestItems tokens with ID `prizeTokenId` to `owner` and uses them as the prize of a new lottery.
+ *
+ * @return {Promise<{lotteryId: number}>} The ID of the new lottery.
+ */
+async function createItemsLottery(fixture, owner, prizeTokenId, prizeAmount, {
+	duration = DURATION,
+	wonkaBarPrice = WONKABAR_PRICE,
+	wonkaBarsMaxSupply = WONKABARS_MAX_SUPPLY
+} = {}) {
+	const { meltyFiNFT, testItems } = fixture;
+	await testItems.mint(owner.address, prizeTokenId, prizeAmount);
+	await testItems.connect(owner).setApprovalForAll(meltyFiNFT.address, true);
+	const lotteryId = (await meltyFiNFT.getTotalLotteriesCreated()).toNumber();
+	await meltyFiNFT.connect(owner).createLottery(duration, [testItems.address], [prizeTokenId], [prizeAmount], ethers.constants.AddressZero, wonkaBarPrice, wonkaBarsMaxSupply);
+	return { lotteryId };
+}
+
+/**
+ * Buys `amount` WonkaBars of `lotteryId` for `buyer`, paying the exact price.
+ */
+async function buyWonkaBars(fixture, buyer, lotteryId, amount, wonkaBarPrice = WONKABAR_PRICE) {
+	return fixture.meltyFiNFT.connect(buyer).buyWonkaBars(lotteryId, amount, { value: wonkaBarPrice.mul(amount) });
+}
+
+module.exports = {
+	deployProtocol,
+	meltyFiNFTFactory,
+	timelockSigner,
+	createLottery,
+	createItemsLottery,
+	buyWonkaBars,
+	lotteryState,
+	prizeStandard,
+	LINK_FUNDING,
+	DURATION,
+	WONKABAR_PRICE,
+	WONKABARS_MAX_SUPPLY,
+	AMOUNT_CHOCOCHIP_PER_TEST_TOKEN
+};
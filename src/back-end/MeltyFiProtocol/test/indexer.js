@@ -0,0 +1,259 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol, createLottery, createItemsLottery, buyWonkaBars, DURATION, WONKABAR_PRICE } = require("./fixtures");
+const { openDatabase } = require("../indexer/db.js");
+const { createIndexer } = require("../indexer/indexer.js");
+const { createApi } = require("../indexer/api.js");
+
+/**
+ * Plays a cancelled lottery and a concluded lottery:
+ * alice and bob buy WonkaBars of both, the first is repaid, the second is drawn and won by bob.
+ */
+async function playLotteries(fixture) {
+	const { meltyFiNFT, vrfWrapper, lotteryOwner, alice, bob } = fixture;
+	const { lotteryId: repaidId } = await createLottery(fixture, lotteryOwner);
+	const { lotteryId: drawnId } = await createLottery(fixture, lotteryOwner);
+	await buyWonkaBars(fixture, alice, repaidId, 2);
+	await buyWonkaBars(fixture, bob, repaidId, 1);
+	await buyWonkaBars(fixture, alice, drawnId, 10);
+	await buyWonkaBars(fixture, bob, drawnId, 10);
+	await meltyFiNFT.connect(lotteryOwner).repayLoan(repaidId, { value: WONKABAR_PRICE.mul(3) });
+	await meltyFiNFT.connect(alice).meltWonkaBars(repaidId, 2);
+	await time.increase(DURATION);
+	await meltyFiNFT.drawWinner(drawnId);
+	/// the 11th WonkaBar, counting alice's first, belongs to bob
+	await vrfWrapper.fulfillRandomWordsWithOverride(await meltyFiNFT.getLotteryRequestId(drawnId), [30]);
+	return { repaidId, drawnId };
+}
+
+async function deployAndPlay() {
+	const fixture = await deployProtocol();
+	return { ...fixture, ...await playLotteries(fixture) };
+}
+
+/**
+ * Loads a fixture and indexes it into a new in-memory database.
+ * The database is not part of the fixture, since reverting the chain to the fixture snapshot would not revert it.
+ */
+async function loadIndexedFixture(fixtureFunction) {
+	const fixture = await loadFixture(fixtureFunction);
+	const db = openDatabase(":memory:");
+	const indexer = createIndexer({ db, contractMeltyFiNFT: fixture.meltyFiNFT, batchSize: 5 });
+	return { ...fixture, db, indexer };
+}
+
+describe("Indexer", function () {
+
+	it("Indexes lotteries, purchases, repayments, draws and melts", async function () {
+		const { db, indexer, lotteryOwner, alice, bob, repaidId, drawnId } = await loadIndexedFixture(deployAndPlay);
+
+		expect(await indexer.sync()).to.be.greaterThan(0);
+		expect(indexer.lastIndexedBlock()).to.equal((await ethers.provider.getBlock("latest")).number);
+
+		const lotteries = db.prepare("SELECT * FROM lotteries ORDER BY id").all();
+		expect(lotteries.map((lottery) => [lottery.id, lottery.state, lottery.wonkabars_sold, lottery.winner])).to.deep.equal([
+			[repaidId, "CANCELLED", 3, null],
+			[drawnId, "CONCLUDED", 20, bob.address]
+		]);
+		expect(lotteries[0].owner).to.equal(lotteryOwner.address);
+		expect(db.prepare("SELECT lottery_id, prize_token_id, prize_amount FROM prizes ORDER BY lottery_id").all()).to.deep.equal([
+			{ lottery_id: repaidId, prize_token_id: "0", prize_amount: "1" },
+			{ lottery_id: drawnId, prize_token_id: "1", prize_amount: "1" }
+		]);
+		expect(lotteries[0].wonkabar_price).to.equal(WONKABAR_PRICE.toString());
+		expect(lotteries.map((lottery) => lottery.refund_per_wonkabar)).to.deep.equal([WONKABAR_PRICE.toString(), "0"]);
+		expect(db.prepare("SELECT COUNT(*) AS count FROM purchases").get().count).to.equal(4);
+		expect(db.prepare("SELECT amount FROM repayments WHERE lottery_id = ?").get(repaidId).amount).to.equal(WONKABAR_PRICE.mul(3).toString());
+		expect(db.prepare("SELECT winner FROM draws WHERE lottery_id = ?").get(drawnId).winner).to.equal(bob.address);
+		const melt = db.prepare("SELECT * FROM melts").get();
+		expect([melt.lottery_id, melt.holder, melt.amount, melt.refund]).to.deep.equal([repaidId, alice.address, 2, WONKABAR_PRICE.mul(2).toString()]);
+		expect(db.prepare("SELECT holder, balance FROM holders WHERE lottery_id = ? ORDER BY holder").all(repaidId)).to.deep.equal([
+			{ holder: bob.address, balance: 1 }
+		]);
+
+		/// nothing is indexed twice
+		expect(await indexer.sync()).to.equal(0);
+		expect(db.prepare("SELECT COUNT(*) AS count FROM purchases").get().count).to.equal(4);
+	});
+
+	it("Resumes from the last indexed block", async function () {
+		const fixture = await loadIndexedFixture(deployProtocol);
+		const { db, indexer, alice } = fixture;
+		const { lotteryId } = await createLottery(fixture, fixture.lotteryOwner);
+		await indexer.sync();
+		await buyWonkaBars(fixture, alice, lotteryId, 5);
+
+		/// a new indexer on the same database only reads the new blocks
+		const resumed = createIndexer({ db, contractMeltyFiNFT: fixture.meltyFiNFT });
+		expect(resumed.lastIndexedBlock()).to.equal(indexer.lastIndexedBlock());
+		expect(await resumed.sync()).to.equal(2);
+		expect(db.prepare("SELECT wonkabars_sold FROM lotteries WHERE id = ?").get(lotteryId).wonkabars_sold).to.equal(5);
+	});
+
+	it("Indexes partial repayments and extensions", async function () {
+		const fixture = await loadIndexedFixture(deployProtocol);
+		const { db, indexer, meltyFiNFT, lotteryOwner, alice } = fixture;
+		const { lotteryId } = await createLottery(fixture, lotteryOwner);
+		await buyWonkaBars(fixture, alice, lotteryId, 4);
+		await meltyFiNFT.connect(lotteryOwner).repayLoanPartially(lotteryId, WONKABAR_PRICE, { value: WONKABAR_PRICE });
+		const fee = await meltyFiNFT.extensionFee(lotteryId, DURATION);
+		await meltyFiNFT.connect(lotteryOwner).extendLottery(lotteryId, DURATION, { value: fee });
+
+		await indexer.sync();
+		const lottery = await meltyFiNFT.getLottery(lotteryId);
+		const row = db.prepare("SELECT * FROM lotteries WHERE id = ?").get(lotteryId);
+		expect([row.refund_per_wonkabar, row.expiration_date]).to.deep.equal([WONKABAR_PRICE.div(4).toString(), lottery.expirationDate.toNumber()]);
+		expect(db.prepare("SELECT amount FROM partial_repayments WHERE lottery_id = ?").get(lotteryId).amount).to.equal(WONKABAR_PRICE.toString());
+		expect(db.prepare("SELECT fee FROM extensions WHERE lottery_id = ?").get(lotteryId).fee).to.equal(fee.toString());
+	});
+
+	it("Waits for the configured confirmations", async function () {
+		const fixture = await loadIndexedFixture(deployProtocol);
+		const { db } = fixture;
+		const indexer = createIndexer({ db, contractMeltyFiNFT: fixture.meltyFiNFT, confirmations: 2 });
+		await createLottery(fixture, fixture.lotteryOwner);
+
+		await indexer.sync();
+		expect(db.prepare("SELECT COUNT(*) AS count FROM lotteries").get().count).to.equal(0);
+		await ethers.provider.send("hardhat_mine", ["0x2"]);
+		await indexer.sync();
+		expect(db.prepare("SELECT COUNT(*) AS count FROM lotteries").get().count).to.equal(1);
+	});
+
+	describe("API", function () {
+		let server;
+		let baseUrl;
+
+		async function get(path) {
+			const response = await fetch(baseUrl + path);
+			return { status: response.status, body: await response.json() };
+		}
+
+		beforeEach(async function () {
+			const fixture = await loadIndexedFixture(deployAndPlay);
+			await fixture.indexer.sync();
+			Object.assign(this, fixture);
+			server = createApi(fixture.db).listen(0);
+			baseUrl = `http://127.0.0.1:${server.address().port}`;
+		});
+
+		afterEach(function () {
+			server.close();
+		});
+
+		it("Serves the indexing status", async function () {
+			const { body } = await get("/status");
+			expect(body.lastIndexedBlock).to.equal(this.indexer.lastIndexedBlock());
+		});
+
+		it("Lists and filters lotteries", async function () {
+			let { body } = await get("/lotteries");
+			expect(body.total).to.equal(2);
+			expect(body.lotteries.map((lottery) => lottery.id)).to.deep.equal([this.drawnId, this.repaidId]);
+
+			({ body } = await get(`/lotteries?state=CONCLUDED&owner=${this.lotteryOwner.address.toLowerCase()}`));
+			expect(body.lotteries.map((lottery) => lottery.id)).to.deep.equal([this.drawnId]);
+
+			({ body } = await get("/lotteries?offset=1&limit=1"));
+			expect(body.total).to.equal(2);
+			expect(body.lotteries.map((lottery) => lottery.id)).to.deep.equal([this.repaidId]);
+
+			({ body } = await get(`/lotteries?prizeContract=${this.testCollection.address}`));
+			expect(body.total).to.equal(2);
+			({ body } = await get(`/lotteries?prizeContract=${this.testItems.address}`));
+			expect(body.total).to.equal(0);
+
+			expect((await get("/lotteries?state=EXPIRED")).status).to.equal(400);
+			expect((await get("/lotteries?owner=0x1234")).status).to.equal(400);
+		});
+
+		it("Searches, filters and sorts lotteries", async function () {
+			const { alice, lotteryOwner, repaidId, drawnId } = this;
+			const itemsPrice = WONKABAR_PRICE.sub(1);
+			const { lotteryId: pricierId } = await createLottery(this, lotteryOwner, { wonkaBarPrice: WONKABAR_PRICE.mul(2) });
+			const { lotteryId: itemsId } = await createItemsLottery(this, lotteryOwner, 1, 5, { wonkaBarPrice: itemsPrice });
+			await buyWonkaBars(this, alice, itemsId, 4, itemsPrice);
+			await this.indexer.sync();
+			const ids = async (query) => (await get(`/lotteries?${query}`)).body.lotteries.map((lottery) => lottery.id);
+
+			expect(await ids("state=ACTIVE,CONCLUDED")).to.deep.equal([itemsId, pricierId, drawnId]);
+			/// TestCollection is named "MeltyFi Test", TestItems has no name
+			expect(await ids("search=TEST")).to.deep.equal([pricierId, drawnId, repaidId]);
+			expect(await ids(`search=${encodeURIComponent(`melty #${pricierId}`)}`)).to.deep.equal([pricierId]);
+			expect(await ids(`search=${encodeURIComponent(`#${itemsId}`)}`)).to.deep.equal([itemsId]);
+			expect(await ids("search=%25")).to.deep.equal([]);
+
+			expect(await ids("sort=priceAsc")).to.deep.equal([itemsId, drawnId, repaidId, pricierId]);
+			expect(await ids("sort=priceDesc")).to.deep.equal([pricierId, drawnId, repaidId, itemsId]);
+			expect(await ids(`minPrice=${WONKABAR_PRICE}&maxPrice=${WONKABAR_PRICE}`)).to.deep.equal([drawnId, repaidId]);
+			expect(await ids(`maxPrice=${itemsPrice}`)).to.deep.equal([itemsId]);
+
+			expect(await ids("sort=popularity")).to.deep.equal([drawnId, itemsId, repaidId, pricierId]);
+			expect(await ids("minFill=4&maxFill=10")).to.deep.equal([itemsId]);
+			expect(await ids("sort=expiry&state=ACTIVE")).to.deep.equal([pricierId, itemsId]);
+			expect(await ids(`expiresBefore=${await time.latest()}`)).to.deep.equal([drawnId, repaidId]);
+
+			expect((await get("/lotteries?sort=random")).status).to.equal(400);
+			expect((await get("/lotteries?minPrice=0.5")).status).to.equal(400);
+			expect((await get("/lotteries?state=ACTIVE,EXPIRED")).status).to.equal(400);
+		});
+
+		it("Serves the history of a lottery", async function () {
+			const { body } = await get(`/lotteries/${this.repaidId}`);
+			expect(body.state).to.equal("CANCELLED");
+			expect(body.prizes).to.deep.equal([{ prizeContract: this.testCollection.address, prizeTokenId: "0", prizeAmount: "1" }]);
+			expect(body.purchases.map((purchase) => [purchase.buyer, purchase.amount])).to.deep.equal([
+				[this.alice.address, 2],
+				[this.bob.address, 1]
+			]);
+			expect(body.repayment.amount).to.equal(WONKABAR_PRICE.mul(3).toString());
+			expect(body.draw).to.equal(null);
+			expect(body.melts.map((melt) => [melt.holder, melt.amount, melt.prizeClaimed])).to.deep.equal([[this.alice.address, 2, false]]);
+			expect(body.holders).to.deep.equal([{ holder: this.bob.address, balance: 1 }]);
+
+			expect((await get(`/lotteries/${this.drawnId}`)).body.draw.winner).to.equal(this.bob.address);
+			expect((await get("/lotteries/42")).status).to.equal(404);
+		});
+
+		it("Serves the history of a user, most recent first", async function () {
+			const { body } = await get(`/users/${this.bob.address}/history`);
+			expect(body.history.map((entry) => [entry.type, entry.lotteryId])).to.deep.equal([
+				["WinnerChosen", this.drawnId],
+				["WonkaBarsBought", this.drawnId],
+				["WonkaBarsBought", this.repaidId]
+			]);
+		});
+
+		it("Serves protocol statistics", async function () {
+			const { body } = await get("/stats");
+			expect(body.lotteries).to.equal(2);
+			expect(body.lotteriesByState).to.deep.equal({ ACTIVE: 0, CANCELLED: 1, CONCLUDED: 1, TRASHED: 0, AWAITING_RANDOMNESS: 0 });
+			expect(body.loansRepaid).to.equal(1);
+			expect(body.loansDefaulted).to.equal(1);
+			expect(body.wonkaBarsSold).to.equal(23);
+			expect(body.volume).to.equal(WONKABAR_PRICE.mul(23).toString());
+			expect(body.tokenVolumes).to.deep.equal({});
+			expect(body.buyers).to.equal(2);
+			expect(body.paymentTokens).to.deep.equal([ethers.constants.AddressZero]);
+		});
+
+		it("Keeps the lotteries paid in ERC20 tokens apart", async function () {
+			const { meltyFiNFT, testToken, alice } = this;
+			const { lotteryId } = await createLottery(this, this.lotteryOwner, { paymentToken: testToken.address, wonkaBarPrice: 1000000 });
+			await testToken.mint(alice.address, 4000000);
+			await testToken.connect(alice).approve(meltyFiNFT.address, 4000000);
+			await meltyFiNFT.connect(alice).buyWonkaBars(lotteryId, 4);
+			await this.indexer.sync();
+
+			let { body } = await get(`/lotteries?paymentToken=${testToken.address}`);
+			expect(body.lotteries.map((lottery) => [lottery.id, lottery.paymentToken, lottery.wonkaBarPrice])).to.deep.equal([
+				[lotteryId, testToken.address, "1000000"]
+			]);
+			({ body } = await get("/stats"));
+			expect(body.volume).to.equal(WONKABAR_PRICE.mul(23).toString());
+			expect(body.tokenVolumes).to.deep.equal({ [testToken.address]: "4000000" });
+			expect(body.paymentTokens).to.have.members([ethers.constants.AddressZero, testToken.address]);
+		});
+	});
+});
@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol, createLottery, buyWonkaBars, lotteryState, DURATION } = require("./fixtures");
+const { createKeeper } = require("../keeper/keeper.js");
+const { createHealthApi } = require("../keeper/api.js");
+
+/// the outcomes are not logged by the tests
+const silentLogger = { log() {}, error() {} };
+
+/**
+ * Creates an expired lottery without WonkaBars, to be trashed, and an expired lottery with WonkaBars, to be drawn.
+ */
+async function deployWithExpiredLotteries() {
+	const fixture = await deployProtocol();
+	const { lotteryOwner, alice } = fixture;
+	const { lotteryId: emptyId } = await createLottery(fixture, lotteryOwner);
+	const { lotteryId: soldId } = await createLottery(fixture, lotteryOwner);
+	await buyWonkaBars(fixture, alice, soldId, 10);
+	await time.increase(DURATION);
+	return { ...fixture, emptyId, soldId };
+}
+
+/**
+ * Returns a MeltyFiNFT contract whose `performUpkeep` is replaced, to simulate failures of the node.
+ */
+function withPerformUpkeep(contractMeltyFiNFT, performUpkeep) {
+	/// the functions of an ethers contract are read-only, so the replacement is defined on an object inheriting from it
+	return Object.create(contractMeltyFiNFT, { performUpkeep: { value: performUpkeep } });
+}
+
+describe("Keeper", function () {
+
+	it("Draws the expired lotteries until no upkeep is needed", async function () {
+		const { meltyFiNFT, vrfWrapper, emptyId, soldId } = await loadFixture(deployWithExpiredLotteries);
+		const keeper = createKeeper({ contractMeltyFiNFT: meltyFiNFT, logger: silentLogger });
+
+		expect(await keeper.check()).to.equal(2);
+		expect((await meltyFiNFT.getLottery(emptyId)).state).to.equal(lotteryState.TRASHED);
+		expect((await meltyFiNFT.getLottery(soldId)).state).to.equal(lotteryState.AWAITING_RANDOMNESS);
+		/// nothing to do until the randomness request is fulfilled
+		expect(await keeper.check()).to.equal(0);
+
+		await vrfWrapper.fulfillRandomWordsWithOverride(await meltyFiNFT.getLotteryRequestId(soldId), [0]);
+		expect((await meltyFiNFT.getLottery(soldId)).state).to.equal(lotteryState.CONCLUDED);
+		expect(await keeper.check()).to.equal(0);
+		expect(keeper.metrics()).to.include({ upkeepsNeeded: 2, submissions: 2, upkeepsPerformed: 2, upkeepsFailed: 0, healthy: true });
+	});
+
+	it("Fulfils the randomness requests before checking, on local deployments", async function () {
+		const { meltyFiNFT, vrfWrapper, soldId } = await loadFixture(deployWithExpiredLotteries);
+		const fulfillRandomness = async () => {
+			for (const requestId of await vrfWrapper.pendingRequestIds()) {
+				await vrfWrapper.fulfillRandomWords(requestId);
+			}
+		};
+		const keeper = createKeeper({ contractMeltyFiNFT: meltyFiNFT, fulfillRandomness, logger: silentLogger });
+
+		await keeper.check();
+		await keeper.check();
+		expect((await meltyFiNFT.getLottery(soldId)).state).to.equal(lotteryState.CONCLUDED);
+	});
+
+	it("Does not send an upkeep again once someone else performed it", async function () {
+		const { meltyFiNFT, alice, emptyId, soldId } = await loadFixture(deployWithExpiredLotteries);
+		/// alice draws the lotteries while the node fails to send the upkeep
+		const contractMeltyFiNFT = withPerformUpkeep(meltyFiNFT, async () => {
+			await meltyFiNFT.connect(alice).drawWinner(emptyId);
+			await meltyFiNFT.connect(alice).drawWinner(soldId);
+			throw new Error("connection reset");
+		});
+		const keeper = createKeeper({ contractMeltyFiNFT, backoff: 1, logger: silentLogger });
+
+		expect(await keeper.check()).to.equal(0);
+		expect((await meltyFiNFT.getLottery(soldId)).state).to.equal(lotteryState.AWAITING_RANDOMNESS);
+		expect(keeper.metrics()).to.include({ submissions: 0, retries: 1, upkeepsPerformed: 0, upkeepsFailed: 0, healthy: true });
+	});
+
+	it("Retries a failing upkeep with a backoff and reports the keeper as unhealthy", async function () {
+		const { meltyFiNFT } = await loadFixture(deployWithExpiredLotteries);
+		const contractMeltyFiNFT = withPerformUpkeep(meltyFiNFT, async () => {
+			throw new Error("insufficient funds for gas");
+		});
+		const keeper = createKeeper({ contractMeltyFiNFT, maxRetries: 2, backoff: 1, logger: silentLogger });
+		const server = createHealthApi(keeper).listen(0);
+
+		try {
+			expect(await keeper.check()).to.equal(0);
+			expect(keeper.metrics()).to.include({ retries: 2, upkeepsFailed: 1, consecutiveFailures: 1, lastError: "insufficient funds for gas" });
+			const response = await fetch(`http://127.0.0.1:${server.address().port}/health`);
+			expect(response.status).to.equal(503);
+			expect((await response.json()).healthy).to.equal(false);
+		} finally {
+			server.close();
+		}
+	});
+});
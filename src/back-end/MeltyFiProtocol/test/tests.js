@@ -1,5 +1,16 @@
 const { expect } = require("chai");
 
+/// Signs an EIP-712 message of ChocoChip, with the domain of ERC20Permit
+async function signTypedData(signer, contract, types, message) {
+	const domain = {
+		name: await contract.name(),
+		version: "1",
+		chainId: (await ethers.provider.getNetwork()).chainId,
+		verifyingContract: contract.address
+	};
+	return ethers.utils.splitSignature(await signer._signTypedData(domain, types, message));
+}
+
 describe("Chocochip", function () {
 	it("Deploying", async function () {
 		const [owner] = await ethers.getSigners();
@@ -11,4 +22,63 @@ describe("Chocochip", function () {
 		const ownerBalance = await contract.balanceOf(owner.address);
 		expect(await contract.totalSupply()).to.equal(ownerBalance);
 	});
+
+	it("Counts votes only after delegation", async function () {
+		const [owner, holder, delegatee] = await ethers.getSigners();
+		const contract = await (await ethers.getContractFactory("ChocoChip")).deploy();
+		await contract.mint(holder.address, 1000);
+
+		expect(await contract.getVotes(holder.address)).to.equal(0);
+		await contract.connect(holder).delegate(holder.address);
+		expect(await contract.getVotes(holder.address)).to.equal(1000);
+		await contract.connect(holder).delegate(delegatee.address);
+		expect(await contract.delegates(holder.address)).to.equal(delegatee.address);
+		expect(await contract.getVotes(holder.address)).to.equal(0);
+		expect(await contract.getVotes(delegatee.address)).to.equal(1000);
+	});
+
+	it("Delegates with a signature submitted by someone else", async function () {
+		const [owner, holder, delegatee, relayer] = await ethers.getSigners();
+		const contract = await (await ethers.getContractFactory("ChocoChip")).deploy();
+		await contract.mint(holder.address, 1000);
+		const expiry = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+
+		const { v, r, s } = await signTypedData(holder, contract, {
+			Delegation: [
+				{ name: "delegatee", type: "address" },
+				{ name: "nonce", type: "uint256" },
+				{ name: "expiry", type: "uint256" }
+			]
+		}, { delegatee: delegatee.address, nonce: 0, expiry });
+		await contract.connect(relayer).delegateBySig(delegatee.address, 0, expiry, v, r, s);
+
+		expect(await contract.delegates(holder.address)).to.equal(delegatee.address);
+		expect(await contract.getVotes(delegatee.address)).to.equal(1000);
+		expect(await contract.nonces(holder.address)).to.equal(1);
+		await expect(
+			contract.connect(relayer).delegateBySig(delegatee.address, 0, expiry, v, r, s)
+		).to.be.revertedWith("ERC20Votes: invalid nonce");
+	});
+
+	it("Approves with a permit submitted by someone else", async function () {
+		const [owner, holder, spender] = await ethers.getSigners();
+		const contract = await (await ethers.getContractFactory("ChocoChip")).deploy();
+		await contract.mint(holder.address, 1000);
+		const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+
+		const { v, r, s } = await signTypedData(holder, contract, {
+			Permit: [
+				{ name: "owner", type: "address" },
+				{ name: "spender", type: "address" },
+				{ name: "value", type: "uint256" },
+				{ name: "nonce", type: "uint256" },
+				{ name: "deadline", type: "uint256" }
+			]
+		}, { owner: holder.address, spender: spender.address, value: 400, nonce: 0, deadline });
+		await contract.connect(spender).permit(holder.address, spender.address, 400, deadline, v, r, s);
+
+		expect(await contract.allowance(holder.address, spender.address)).to.equal(400);
+		await contract.connect(spender).transferFrom(holder.address, spender.address, 400);
+		expect(await contract.balanceOf(spender.address)).to.equal(400);
+	});
 });
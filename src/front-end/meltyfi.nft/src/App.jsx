@@ -5,7 +5,10 @@ import MyNavbar from './components/MyNavbar';
 import Home from './pages/Home';
 import Lotteries from './pages/Lotteries';
 import Profile from './pages/Profile'
+import Lottery from './pages/Lottery';
+import Dao from './pages/Dao';
 import MyFooter from './components/MyFooter';
+import TransactionToasts from './components/transactionToasts';
 import { Container } from 'react-bootstrap';
 import { ThirdwebSDK } from "@thirdweb-dev/sdk";
 
@@ -27,8 +30,54 @@ padding/margin medium: 2.8rem;
 padding/margin large: 5.6rem;
 */
 
-export const addressMeltyFiNFT = "0x6c1030B8BbE523671Bcfd774Ae59ef620f9f31b4";
-export const sdk = new ThirdwebSDK("goerli");
+// the deployment is read from the REACT_APP_* variables, which `scripts/deploy.js` writes to .env.local on local networks,
+// and defaults to the Goerli one
+const env = process.env;
+
+// network of the deployment, the wallet is asked to switch to it before sending transactions.
+// `rpcUrl` is a network name known to thirdweb or the URL of a JSON-RPC endpoint
+export const network = {
+    chainId: Number(env.REACT_APP_CHAIN_ID || 5),
+    name: env.REACT_APP_NETWORK_NAME || "Goerli",
+    rpcUrl: env.REACT_APP_RPC_URL || "goerli",
+    explorer: env.REACT_APP_EXPLORER_URL ?? "https://goerli.etherscan.io",
+};
+// deployment blocks have no default, since reading the events from the genesis block takes thousands of queries:
+// the events of a contract whose block is not set are not read, see `queryFilterInRanges`
+function deploymentBlock(variable) {
+    return variable ? Number(variable) : undefined;
+}
+
+export const addressMeltyFiNFT = env.REACT_APP_MELTYFI_NFT_ADDRESS || "0x6c1030B8BbE523671Bcfd774Ae59ef620f9f31b4";
+// block in which MeltyFiNFT was deployed, its events are read starting from here
+export const deploymentBlockMeltyFiNFT = deploymentBlock(env.REACT_APP_MELTYFI_NFT_DEPLOYMENT_BLOCK);
+export const sdk = new ThirdwebSDK(network.rpcUrl);
+// URL of the MeltyFi indexer API, history is read from the chain when it is not set
+export const indexerUrl = env.REACT_APP_INDEXER_URL;
+// ERC721 and ERC1155 collections scanned for the NFTs of the user, with the block they were deployed in
+export const nftCollections = [
+    {
+        address: env.REACT_APP_TEST_COLLECTION_ADDRESS || "0x8aA85489D392E70Ec62E38A4a4555e9378bAF83c",
+        startBlock: deploymentBlock(env.REACT_APP_TEST_COLLECTION_DEPLOYMENT_BLOCK),
+    }, // TestCollection
+];
+// optional HTTP indexer listing the NFTs of an address, see utils/nftDiscovery.js
+export const nftIndexerUrl = env.REACT_APP_NFT_INDEXER_URL;
+
+// same order of the lotteryState enum of MeltyFiNFT
+export const lotteryState = {
+    ACTIVE: 0,
+    CANCELLED: 1,
+    CONCLUDED: 2,
+    TRASHED: 3,
+    AWAITING_RANDOMNESS: 4
+};
+
+// same order of the Standard enum of LotteryPrizes
+export const prizeStandard = {
+    ERC721: 0,
+    ERC1155: 1
+};
 
 function App() {
     return (
@@ -41,12 +90,15 @@ function App() {
                         <Route path="" element={<Home />} />
                         <Route path="home" element={<Home />} />
                         <Route path="lotteries" element={<Lotteries />} />
+                        <Route path="lottery/:id" element={<Lottery />} />
                         <Route path="profile" element={<Profile />} />
+                        <Route path="dao" element={<Dao />} />
                         <Route path="*" element={<Home />} />
                     </Routes>
                 </BrowserRouter>
             </Container>
             <MyFooter />
+            <TransactionToasts />
         </div>
     );
 }
@@ -21,6 +21,9 @@ function MyNavbar() {
                         <Nav.Item >
                             <Nav.Link className='NavLink' href="/profile" >Profile</Nav.Link>
                         </Nav.Item>
+                        <Nav.Item >
+                            <Nav.Link className='NavLink' href="/dao" >DAO</Nav.Link>
+                        </Nav.Item>
                         <Nav.Item >
                             <Nav.Link className='NavLink' href="https://github.com/VincenzoImp/MeltyFi" >GitHub</Nav.Link>
                         </Nav.Item>
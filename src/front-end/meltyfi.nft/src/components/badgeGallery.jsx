@@ -0,0 +1,32 @@
+import Card from 'react-bootstrap/Card';
+import { Row, Col } from 'react-bootstrap';
+
+/**
+ * Shows every achievement badge of LogoCollection, the ones not earned yet greyed out with the progress
+ * of the user towards their milestone.
+ *
+ * @param props.badges `{ id, name, description, image, milestone, count, owned }` of every badge.
+ */
+function BadgeGallery(props) {
+	if (props.badges.length === 0) {
+		return <Card body className='BgColor1 TextColor2'>Loading...</Card>;
+	}
+	const cards = props.badges.map((badge) =>
+		<Col key={badge.id} className='pb-3'>
+			<Card className={`BgColor1 TextColor2 BadgeCard ${badge.owned ? "" : "BadgeLocked"}`}>
+				<Card.Img variant="top" src={badge.image} alt={badge.name} />
+				<Card.Body>
+					<Card.Title>{badge.name}</Card.Title>
+					<Card.Text>
+						{badge.description}
+						<br />
+						{badge.owned ? <b>Earned</b> : `${Math.min(badge.count, badge.milestone)}/${badge.milestone}`}
+					</Card.Text>
+				</Card.Body>
+			</Card>
+		</Col>
+	);
+	return <Row align='center' xs={1} md={3}>{cards}</Row>;
+}
+
+export default BadgeGallery;
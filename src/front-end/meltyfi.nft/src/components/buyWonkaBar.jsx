@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import Button from 'react-bootstrap/Button';
 import Form from 'react-bootstrap/Form';
 import Modal from 'react-bootstrap/Modal';
@@ -8,66 +8,172 @@ import MeltyFiNFT from "../ABIs/MeltyFiNFT.json";
 import { addressMeltyFiNFT, sdk } from "../App";
 import { Alert, Row, Col, Container } from 'react-bootstrap';
 import { useAddress } from "@thirdweb-dev/react";
+import { ERC20_ABI, approveMeltyFi, formatAmount, isEther, supportsPermit } from '../utils/paymentTokens';
+import { signPermit } from '../utils/chocoChipSignatures';
+import { formatPrizes, loadProtocolLimits, maxWonkaBarsPerUser } from '../utils/lotteryLoader';
+import { decodeRevertReason } from '../utils/revertReason';
+import { connectWallet, sendTransaction, transactionFailure } from '../utils/transactions';
+import PrizeGallery from './prizeGallery';
 
+// permits are signed just before the purchase, so they can expire soon
+const PERMIT_VALIDITY = 60 * 60;
 
-async function buyWonkaBars(wonkaBarPrice, lotteryId) {
-
+// buys with a permit in a single transaction, or approves and then buys if the token does not implement EIP-2612
+async function buyWonkaBarsWithToken(signer, meltyfi, currency, totalCost, lotteryId, amount) {
+	const token = new ethers.Contract(currency.address, ERC20_ABI, signer);
+	const description = `Buy ${amount} WonkaBars of lottery #${lotteryId}`;
+	if (!(await supportsPermit(token, await signer.getAddress()))) {
+		await approveMeltyFi(token, totalCost);
+		await sendTransaction(description, meltyfi, "buyWonkaBars", [lotteryId, amount]);
+		return;
+	}
+	let permit;
 	try {
-		const provider = new ethers.providers.Web3Provider(window.ethereum)
-		await provider.send("eth_requestAccounts", []);
-		const signer = provider.getSigner();
-		let meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, provider);
-		meltyfi = meltyfi.connect(signer);
-		await meltyfi.buyWonkaBars(lotteryId, wonkaBarPrice);
+		const deadline = Math.floor(Date.now() / 1000) + PERMIT_VALIDITY;
+		permit = await signPermit(signer, token, addressMeltyFiNFT, totalCost, deadline);
 	}
 	catch (err) {
-		return err.name;
+		// a permit refused in the wallet cancels the purchase, instead of asking for an approval
+		throw transactionFailure(`Sign a permit for ${formatAmount(totalCost, currency)}`, err);
+	}
+	await sendTransaction(description, meltyfi, "buyWonkaBarsWithPermit", [lotteryId, amount, permit.deadline, permit.v, permit.r, permit.s]);
+}
+
+async function buyWonkaBars(lottery, amount) {
+	const signer = await connectWallet();
+	const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, signer);
+	const totalCost = lottery.wonkaBarPrice.mul(amount);
+	if (isEther(lottery.currency.address)) {
+		await sendTransaction(`Buy ${amount} WonkaBars of lottery #${lottery.lotteryId}`, meltyfi, "buyWonkaBars",
+			[lottery.lotteryId, amount], { value: totalCost });
+	} else {
+		await buyWonkaBarsWithToken(signer, meltyfi, lottery.currency, totalCost, lottery.lotteryId, amount);
 	}
-	return 0;
 }
 
+/**
+ * Reads the current sales of a lottery and the WonkaBars of the user, which bound how many more they can buy.
+ *
+ * @returns `{ wonkaBarsSold, wonkaBarsMaxSupply, balance, available, royaltyDAOPercentage, closed }`, where `available`
+ *          is the most WonkaBars the user can buy and `closed` tells why the lottery does not sell WonkaBars, if it does not.
+ */
+async function loadQuote(lotteryId, address) {
+	const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, sdk.getProvider());
+	const [lottery, balance, limits] = await Promise.all([
+		meltyfi.getLottery(lotteryId),
+		address === undefined ? ethers.constants.Zero : meltyfi.balanceOf(address, lotteryId),
+		loadProtocolLimits(),
+	]);
+	const wonkaBarsSold = lottery.wonkaBarsSold.toNumber();
+	const wonkaBarsMaxSupply = lottery.wonkaBarsMaxSupply.toNumber();
+	// the same checks as `_buyWonkaBars` of MeltyFiNFT
+	let closed;
+	if (lottery.expirationDate.toNumber() * 1000 <= Date.now()) {
+		closed = "The lottery is expired";
+	} else if (!lottery.refundPerWonkaBar.isZero()) {
+		closed = "The owner started repaying the loan";
+	}
+	const maxBalance = maxWonkaBarsPerUser(wonkaBarsMaxSupply, limits.upperLimitBalanceOfPercentage);
+	const available = closed !== undefined ? 0 :
+		Math.max(0, Math.min(maxBalance - balance.toNumber(), wonkaBarsMaxSupply - wonkaBarsSold));
+	return {
+		wonkaBarsSold,
+		wonkaBarsMaxSupply,
+		balance: balance.toNumber(),
+		maxBalance,
+		available,
+		royaltyDAOPercentage: limits.royaltyDAOPercentage,
+		closed,
+	};
+}
+
+function formatPercentage(part, total) {
+	return `${(total === 0 ? 0 : part / total * 100).toFixed(2)}%`;
+}
+
+/**
+ * Buys WonkaBars of a lottery, at most as many as the user can still hold and as are left on sale.
+ * Before buying, it shows the exact total cost, the part of it that goes to the MeltyFi DAO and the chances to win.
+ *
+ * @param props.lottery the lottery, with `lotteryId`, `prizes`, `wonkaBarPrice` in the smallest unit of its `currency`.
+ */
 function BuyWonkaBar(props) {
+	const { lottery } = props;
+	const address = useAddress();
 	const [show, setShow] = useState(false);
-	const [showAlert, setShowAlert] = useState(false);
+	const [quote, setQuote] = useState(undefined);
 	const [wonkaBarQuantity, setWonkaBarQuantity] = useState(1);
+	const [pending, setPending] = useState(false);
+	const [error, setError] = useState(undefined);
 
-	/** 
-	const meltyfi = async () => { await sdk.getContract(addressMeltyFiNFT, MeltyFiNFT) };
-	const [, , , , , , , wonkaBarsSold, wonkaBarsMaxSupply,] = async () => {
-		await meltyfi.call(
-			"getLottery", props.lotteryId)
-	};
-	const address = useAddress();
-	const maxPercentage = async () => { await meltyfi.call("getUpperLimitBalanceOfPercentage") };
-	const balance = async () => { await meltyfi.call("balanceOf", address) };
-	const maxForMe = wonkaBarsMaxSupply * maxPercentage / 100 - balance;
-	const maxAmountToBuy = Math.min(maxForMe, wonkaBarsMaxSupply - wonkaBarsSold);
-	*/
+	useEffect(() => {
+		if (!show) {
+			return;
+		}
+		// the sales go on while the modal is closed, so they are read again every time it is opened
+		let current = true;
+		setQuote(undefined);
+		loadQuote(lottery.lotteryId, address)
+			.then((loaded) => {
+				if (!current) {
+					return;
+				}
+				setQuote(loaded);
+				setWonkaBarQuantity((previous) => Math.max(1, Math.min(previous, loaded.available)));
+			})
+			.catch((err) => current && setError(decodeRevertReason(err)));
+		return () => { current = false; };
+	}, [show, lottery.lotteryId, address]);
 
 	const handleQuantityChange = (event) => {
 		const input = parseInt(event.target.value);
 		if (isNaN(input) || input <= 0) {
 			setWonkaBarQuantity(1);
-		} else /**if (input > maxAmountToBuy) {
-			setWonkaBarQuantity(maxAmountToBuy);
-		} else */ {
+		} else if (quote !== undefined && input > quote.available) {
+			setWonkaBarQuantity(Math.max(1, quote.available));
+		} else {
 			setWonkaBarQuantity(input);
 		}
 	};
 
 	const handleShow = () => setShow(true);
-	const handleClose = () => setShow(false);
+	const handleClose = () => {
+		setShow(false);
+		setError(undefined);
+	};
 	const handleBuy = async () => {
-		const result = await buyWonkaBars(props.wonkaBarPrice * wonkaBarQuantity, props.lotteryId);
-		if (result === 0) {
-			setShow(false);
+		setError(undefined);
+		setPending(true);
+		try {
+			await buyWonkaBars(lottery, wonkaBarQuantity);
+			handleClose();
+		}
+		catch (err) {
+			setError(decodeRevertReason(err));
 		}
-		else {
-			setShowAlert(true);
-			console.log(result);
+		finally {
+			setPending(false);
 		}
 	};
 
+	const totalCost = lottery.wonkaBarPrice.mul(wonkaBarQuantity);
+	const feeDAO = quote === undefined ? undefined : totalCost.div(100).mul(quote.royaltyDAOPercentage);
+	const canBuy = quote !== undefined && quote.available > 0 && address !== undefined;
+
+	let limit;
+	if (quote === undefined) {
+		limit = "Loading...";
+	} else if (quote.closed !== undefined) {
+		limit = `${quote.closed}, its WonkaBars are no longer sold`;
+	} else if (quote.wonkaBarsSold === quote.wonkaBarsMaxSupply) {
+		limit = "All the WonkaBars are sold";
+	} else if (quote.available === 0) {
+		limit = `You hold ${quote.balance} WonkaBars, the most a single user can hold`;
+	} else {
+		limit = `You hold ${quote.balance} WonkaBars and can buy up to ${quote.available} more ` +
+			`(${quote.wonkaBarsMaxSupply - quote.wonkaBarsSold} left, at most ${quote.maxBalance} per user)`;
+	}
+
 	return (
 		<>
 			<Button className="CardButton" onClick={handleShow}>
@@ -75,12 +181,12 @@ function BuyWonkaBar(props) {
 			</Button>
 			<Modal show={show} onHide={handleClose}>
 				<Modal.Header closeButton className='BgColor2 TextColor1'>
-					<Modal.Title>Buy WonkaBars for {props.collection} #{props.tokenId}</Modal.Title>
+					<Modal.Title>Buy WonkaBars for {formatPrizes(lottery.prizes)}</Modal.Title>
 				</Modal.Header>
 				<Modal.Body className='BgColor1 TextColor2'>
 					<Container align='center' className='pb-3'>
 						<Card className='Card'>
-							<Card.Img className='CardImg' src={props.nftImg} />
+							<PrizeGallery prizes={lottery.prizes} />
 						</Card>
 					</Container>
 					<Form>
@@ -93,18 +199,32 @@ function BuyWonkaBar(props) {
 									<Form.Control
 										type="number"
 										value={wonkaBarQuantity}
+										min='1'
+										max={quote === undefined ? undefined : quote.available}
 										autoFocus
 										onChange={handleQuantityChange}
+										disabled={!canBuy}
 										className='BgColor2 TextColor1'
 									/>
 								</Col>
 							</Row>
+							<Form.Text className='TextColor2'>{limit}</Form.Text>
 						</Form.Group>
 					</Form>
-					<div className='pt-2'>Total cost: {props.wonkaBarPrice * wonkaBarQuantity} ETH</div>
-					<Alert variant="danger" show={showAlert} onClose={() => setShowAlert(false)} dismissible>
+					{address === undefined && <Alert variant="warning">Connect your wallet to buy WonkaBars.</Alert>}
+					<li className="NoDot"><b>Total cost:</b> {formatAmount(totalCost, lottery.currency)}</li>
+					{quote !== undefined && <>
+						<li className="NoDot"><b>MeltyFi DAO fee ({quote.royaltyDAOPercentage}%):</b> {formatAmount(feeDAO, lottery.currency)}</li>
+						<li className="NoDot"><b>Win probability:</b> {formatPercentage(quote.balance + wonkaBarQuantity, quote.wonkaBarsSold + wonkaBarQuantity)} now,
+							at least {formatPercentage(quote.balance + wonkaBarQuantity, quote.wonkaBarsMaxSupply)} if every WonkaBar is sold</li>
+					</>}
+					{!isEther(lottery.currency.address) && <div className='pt-2'>
+						Paid in {lottery.currency.symbol} ({lottery.currency.decimals} decimals), with a permit signature when the token supports it
+					</div>}
+					{pending && <p className='pt-2'>Buying the WonkaBars...</p>}
+					<Alert variant="danger" className='mt-3' show={error !== undefined} onClose={() => setError(undefined)} dismissible>
 						<Alert.Heading>Oh snap! You got an error!</Alert.Heading>
-						<p>Please try again.</p>
+						<p>{error}</p>
 					</Alert>
 
 				</Modal.Body>
@@ -112,7 +232,7 @@ function BuyWonkaBar(props) {
 					<Button variant="secondary" className="TextColor2" onClick={handleClose}>
 						Cancel
 					</Button>
-					<Button className="CardButton" onClick={handleBuy}>
+					<Button className="CardButton" disabled={!canBuy || pending} onClick={handleBuy}>
 						Buy WonkaBars
 					</Button>
 				</Modal.Footer>
@@ -122,4 +242,4 @@ function BuyWonkaBar(props) {
 	);
 }
 
-export default BuyWonkaBar;
\ No newline at end of file
+export default BuyWonkaBar;
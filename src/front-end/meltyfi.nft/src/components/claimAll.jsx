@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import Button from 'react-bootstrap/Button';
+import Modal from 'react-bootstrap/Modal';
+import { ethers } from "ethers";
+import MeltyFiNFT from "../ABIs/MeltyFiNFT.json";
+import { addressMeltyFiNFT, sdk, lotteryState } from "../App";
+import { Alert } from 'react-bootstrap';
+import { formatAmount } from '../utils/paymentTokens';
+import { formatPrizes } from '../utils/lotteryLoader';
+import { decodeRevertReason } from '../utils/revertReason';
+import { connectWallet, sendTransaction } from '../utils/transactions';
+
+// the WonkaBars of active lotteries, or of lotteries whose winner is being drawn, cannot be melted yet
+function isMeltable(lottery) {
+	return lottery.wonkaBarsOwned > 0 &&
+		lottery.state !== lotteryState.ACTIVE && lottery.state !== lotteryState.AWAITING_RANDOMNESS;
+}
+
+// refunds are in the payment token of their lottery, so they are added up by token
+function totalRefunds(lotteries) {
+	const totals = {};
+	for (const lottery of lotteries) {
+		const refund = lottery.refundPerWonkaBar.mul(lottery.wonkaBarsOwned);
+		if (refund.isZero()) {
+			continue;
+		}
+		const total = totals[lottery.currency.address];
+		totals[lottery.currency.address] = { currency: lottery.currency, amount: total === undefined ? refund : total.amount.add(refund) };
+	}
+	return Object.values(totals);
+}
+
+/**
+ * Melts all the WonkaBars of the user that can be melted, across all their lotteries, in a single transaction.
+ * The refunds, ChocoChips and prizes are previewed before signing it.
+ *
+ * @param props.address address of the user.
+ * @param props.lotteries lotteries in which the user holds WonkaBars, with their `wonkaBarsOwned` and `currency`.
+ * @param props.onChange called once the transaction is mined.
+ */
+function ClaimAll(props) {
+	const [show, setShow] = useState(false);
+	const [summary, setSummary] = useState(undefined);
+	const [error, setError] = useState(undefined);
+
+	const meltable = props.lotteries.filter(isMeltable);
+	const lotteryIds = meltable.map((lottery) => lottery.lottery);
+	const prizes = meltable.filter((lottery) => lottery.state === lotteryState.CONCLUDED && lottery.winner === props.address && !lottery.prizeClaimed);
+	// the lotteries are reloaded as new objects, the preview is loaded again only if their IDs change
+	const lotteryIdsKey = lotteryIds.join(",");
+
+	useEffect(() => {
+		if (!show) {
+			return;
+		}
+		// the ChocoChips and the prizes are the ones the transaction would give right now
+		let current = true;
+		setSummary(undefined);
+		const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, sdk.getProvider());
+		meltyfi.callStatic.meltWonkaBarsBatch(lotteryIdsKey === "" ? [] : lotteryIdsKey.split(","), { from: props.address })
+			.then((loaded) => current && setSummary(loaded))
+			.catch((err) => current && setError(decodeRevertReason(err, meltyfi.interface)));
+		return () => { current = false; };
+	}, [show, props.address, lotteryIdsKey]);
+
+	const claim = async () => {
+		setError(undefined);
+		try {
+			const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, await connectWallet());
+			await sendTransaction(`Melt the WonkaBars of ${lotteryIds.length} lotteries`, meltyfi, "meltWonkaBarsBatch", [lotteryIds]);
+			setShow(false);
+			props.onChange();
+		}
+		catch (err) {
+			setError(decodeRevertReason(err));
+		}
+	};
+
+	const refunds = totalRefunds(meltable);
+
+	return (
+		<>
+			<Button className="CardButton" disabled={meltable.length === 0} onClick={() => setShow(true)}>
+				Claim everything
+			</Button>
+			<Modal show={show} onHide={() => setShow(false)}>
+				<Modal.Header closeButton className='BgColor2 TextColor1'>
+					<Modal.Title>Claim everything</Modal.Title>
+				</Modal.Header>
+				<Modal.Body className='BgColor1 TextColor2'>
+					<p>
+						Melts {meltable.reduce((total, lottery) => total + lottery.wonkaBarsOwned, 0)} WonkaBars of {meltable.length} lotteries.
+					</p>
+					<li className="NoDot"><b>Refund:</b> {refunds.length > 0 ? refunds.map(({ currency, amount }) => formatAmount(amount, currency)).join(", ") : "None"}</li>
+					<li className="NoDot"><b>ChocoChips:</b> {summary === undefined ? "Loading..." : `${ethers.utils.formatEther(summary.amountChocoChip)} CHOC`}</li>
+					<li className="NoDot"><b>Prizes:</b> {prizes.length > 0 ? prizes.map((lottery) => formatPrizes(lottery.prizes)).join(", ") : "None"}</li>
+					<p className='pt-3'>The refunds are credited to your claimable balance, to be withdrawn afterwards.</p>
+					<Alert variant="danger" className='mt-3' show={error !== undefined} onClose={() => setError(undefined)} dismissible>
+						{error}
+					</Alert>
+				</Modal.Body>
+				<Modal.Footer className='BgColor2 TextColor1'>
+					<Button variant="secondary" className="TextColor2" onClick={() => setShow(false)}>
+						Cancel
+					</Button>
+					<Button className="CardButton" disabled={summary === undefined} onClick={claim}>
+						Claim
+					</Button>
+				</Modal.Footer>
+			</Modal>
+		</>
+	);
+}
+
+export default ClaimAll;
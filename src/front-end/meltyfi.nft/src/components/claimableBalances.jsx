@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import Button from 'react-bootstrap/Button';
+import Card from 'react-bootstrap/Card';
+import { ethers } from "ethers";
+import MeltyFiNFT from "../ABIs/MeltyFiNFT.json";
+import { addressMeltyFiNFT } from "../App";
+import { Alert, Row, Col } from 'react-bootstrap';
+import { formatAmount } from '../utils/paymentTokens';
+import { decodeRevertReason } from '../utils/revertReason';
+import { connectWallet, sendTransaction } from '../utils/transactions';
+
+/**
+ * Shows the payments credited to the user by MeltyFiNFT, i.e. the WonkaBars sold, the refunds of the melted ones
+ * and the Ether sent in excess, and lets them withdraw each balance.
+ *
+ * @param props.address address of the user, or of any account since withdrawals are sent to it whoever asks them.
+ * @param props.balances `{ currency, amount }` of every payment token with something to withdraw.
+ * @param props.onChange called once a withdrawal is mined.
+ */
+function ClaimableBalances(props) {
+	const [error, setError] = useState(undefined);
+
+	const withdraw = async (currency) => {
+		setError(undefined);
+		try {
+			const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, await connectWallet());
+			await sendTransaction(`Withdraw ${currency.symbol}`, meltyfi, "withdraw", [currency.address, props.address]);
+			props.onChange();
+		}
+		catch (err) {
+			setError(decodeRevertReason(err));
+		}
+	};
+
+	const rows = props.balances.map(({ currency, amount }) =>
+		<Row className='pb-2' key={currency.address}>
+			<Col className='pt-2'>{formatAmount(amount, currency)}</Col>
+			<Col xs="auto">
+				<Button className='CardButton' onClick={() => withdraw(currency)}>
+					Withdraw
+				</Button>
+			</Col>
+		</Row>
+	);
+
+	return (
+		<Card body className='BgColor1 TextColor2 text-start'>
+			{rows.length > 0 ? rows : "Nothing to withdraw"}
+			<Alert variant="danger" className='mt-3' show={error !== undefined} onClose={() => setError(undefined)} dismissible>
+				<Alert.Heading>Oh snap! You got an error!</Alert.Heading>
+				<p>{error}</p>
+			</Alert>
+		</Card>
+	);
+}
+
+export default ClaimableBalances;
@@ -1,98 +1,404 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import Button from 'react-bootstrap/Button';
 import Form from 'react-bootstrap/Form';
 import Modal from 'react-bootstrap/Modal';
 import Card from 'react-bootstrap/Card';
 import { ethers } from "ethers";
+import { useAddress } from "@thirdweb-dev/react";
 import MeltyFiNFT from "../ABIs/MeltyFiNFT.json";
-import { addressMeltyFiNFT } from "../App";
+import { addressMeltyFiNFT, sdk, prizeStandard } from "../App";
 import { Alert, Container, Row, Col } from 'react-bootstrap';
 import DatePicker from "react-datepicker";
 import "react-datepicker/dist/react-datepicker.css";
+import { ETHER, loadPaymentToken, formatAmount } from '../utils/paymentTokens';
+import { loadProtocolLimits, maxWonkaBarsPerUser, minWonkaBarsMaxSupply, previewLoan } from '../utils/lotteryLoader';
+import { decodeRevertReason } from '../utils/revertReason';
+import { connectWallet, sendTransaction } from '../utils/transactions';
 
-async function callCreateLottery(duration, prizeContract, prizeTokenId, wonkaBarPrice, wonkaBarsMaxSupply) {
-	const provider = new ethers.providers.Web3Provider(window.ethereum)
-	await provider.send("eth_requestAccounts", []);
-	const signer = provider.getSigner();
-
-	const contractApprove = new ethers.Contract(prizeContract, [{
-		"inputs": [{
-			"internalType": "address", "name": "to", "type": "address"
-		}, { "internalType": "uint256", "name": "tokenId", "type": "uint256" }],
-		"name": "approve",
-		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
-	}], provider);
-	const contractWithSigner = contractApprove.connect(signer);
-
-
-	/*contract.on("approvedNFT", (event) => {
-	//actually create the lottery ;
-  });*/
-
-	let meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, provider);
-	meltyfi = meltyfi.connect(signer);
+// the wizard asks for the prize and the payment token, then for the WonkaBars, and previews the lottery before creating it
+const STEPS = ["Prize and payment", "WonkaBars", "Review"];
+const REVIEW = STEPS.length - 1;
+
+// an empty address stands for Ether, other tokens must be accepted by the MeltyFi DAO
+async function loadCurrency(paymentToken) {
+	if (paymentToken === "") {
+		return { ...ETHER, accepted: true };
+	}
+	if (!ethers.utils.isAddress(paymentToken)) {
+		return undefined;
+	}
+	const address = ethers.utils.getAddress(paymentToken);
+	const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, sdk.getProvider());
+	const [currency, amountChocoChipPerToken] = await Promise.all([
+		loadPaymentToken(address),
+		meltyfi.getAmountChocoChipPerToken(address),
+	]);
+	return { ...currency, accepted: !amountChocoChipPerToken.isZero() };
+}
+
+// MeltyFiNFT transfers the prize itself, ERC721 tokens are approved one by one and ERC1155 collections as a whole
+const PRIZE_APPROVAL_ABI = [
+	"function approve(address to, uint256 tokenId)",
+	"function getApproved(uint256 tokenId) view returns (address)",
+	"function isApprovedForAll(address owner, address operator) view returns (bool)",
+	"function setApprovalForAll(address operator, bool approved)",
+];
+
+async function isPrizeApproved(owner, prizeContract, standard, prizeTokenId) {
+	const contract = new ethers.Contract(prizeContract, PRIZE_APPROVAL_ABI, sdk.getProvider());
+	if (await contract.isApprovedForAll(owner, addressMeltyFiNFT)) {
+		return true;
+	}
+	return standard !== prizeStandard.ERC1155 &&
+		(await contract.getApproved(prizeTokenId)).toLowerCase() === addressMeltyFiNFT.toLowerCase();
+}
+
+async function approvePrize(signer, prizeContract, standard, prizeTokenId) {
+	const contract = new ethers.Contract(prizeContract, PRIZE_APPROVAL_ABI, signer);
+	if (standard === prizeStandard.ERC1155) {
+		await sendTransaction("Allow MeltyFi to transfer the prize collection", contract, "setApprovalForAll", [addressMeltyFiNFT, true]);
+	} else {
+		await sendTransaction(`Allow MeltyFi to transfer token #${prizeTokenId}`, contract, "approve", [addressMeltyFiNFT, prizeTokenId]);
+	}
+}
+
+// the price is typed in ETH or in whole tokens, and must be positive
+function parsePrice(text, currency) {
 	try {
-		const approveResponse = await contractWithSigner.approve(addressMeltyFiNFT, prizeTokenId);
-		const receipt = await provider.waitForTransaction(approveResponse.hash);
-		if (receipt.status) {
-			await meltyfi.createLottery(duration, prizeContract, prizeTokenId, wonkaBarPrice, wonkaBarsMaxSupply);
-		} else {
-			console.log("Call failed!");
-		}
+		const price = ethers.utils.parseUnits(text, currency.decimals);
+		return price.gt(0) ? price : undefined;
 	}
-	catch (err) {
-		return err;
+	catch {
+		return undefined;
 	}
-	return 0;
 }
 
+// the duration of the lottery is counted from the moment the transaction is sent
+function durationUntil(expiration) {
+	return Math.floor((expiration.getTime() - Date.now()) / 1000);
+}
+
+// the arguments of `createLottery`, the prize being a bundle of a single token
+function createLotteryArgs(prize, form, currency) {
+	return [
+		durationUntil(form.expiration),
+		[prize.contract],
+		[prize.tokenId],
+		[prize.standard === prizeStandard.ERC1155 ? form.prizeAmount : 1],
+		currency.address,
+		parsePrice(form.wonkaBarPrice, currency),
+		parseInt(form.wonkaBarsMaxSupply),
+	];
+}
+
+const INITIAL_FORM = { prizeAmount: 1, paymentToken: "", wonkaBarPrice: "0.01", wonkaBarsMaxSupply: "", expiration: null };
 
+/**
+ * Guides the user through the creation of a lottery for one of their NFTs, within the limits read from MeltyFiNFT.
+ * The last step previews the loan, detects whether the prize is already approved, and simulates the creation
+ * to show why it would fail before the user signs anything.
+ *
+ * @param props.contract address of the collection of the NFT.
+ * @param props.standard `prizeStandard` of the collection.
+ * @param props.tokenId ID of the NFT.
+ * @param props.amount balance of the user, for ERC1155 tokens.
+ * @param props.collection name of the collection.
+ * @param props.nftImg image of the NFT.
+ */
 function CreateLottery(props) {
+	const { contract, standard, tokenId } = props;
+	const address = useAddress();
 	const [show, setShow] = useState(false);
-	const [showAlert, setShowAlert] = useState(false);
-	const [wonkaBarPrice, setWonkaBarPrice] = useState(1);
-	const [wonkaBarMaxSupply, setWonkaBarMaxSupply] = useState(5);
-	const [expiration, setExpirationDate] = useState(null);
+	const [step, setStep] = useState(0);
+	const [form, setForm] = useState(INITIAL_FORM);
+	const [limits, setLimits] = useState(undefined);
+	const [currency, setCurrency] = useState({ ...ETHER, accepted: true });
+	// whether the prize is approved, undefined while it is checked
+	const [approved, setApproved] = useState(undefined);
+	// `{ lotteryId }` if the simulated creation succeeds, `{ error }` otherwise
+	const [dryRun, setDryRun] = useState(undefined);
+	// bumped after the approval to check it and simulate the creation again
+	const [checks, setChecks] = useState(0);
+	const [pending, setPending] = useState(undefined);
+	const [error, setError] = useState(undefined);
+	// ERC721 prizes are a single token, ERC1155 ones any amount up to the one owned
+	const isItem = standard === prizeStandard.ERC1155;
 
-	const handleWonkaBarMaxSupply = (event) => {
-		const input = parseInt(event.target.value);
-		if (isNaN(input) || input <= 4) {
-			setWonkaBarMaxSupply(5);
+	useEffect(() => {
+		if (!show) {
+			return;
 		}
-		else if (input > 100) {
-			//pensa io che stronzo che ho programmato le call nel contract e nessuno le usa, giustamente e' piu' comodo spiaccicare in chiaro la costante, ma va bene lo stessoooooo
-			setWonkaBarMaxSupply(100);
-		}
-		else {
-			setWonkaBarMaxSupply(input);
+		// the limits are protocol parameters changed by the DAO, so they are read every time the wizard is opened
+		let current = true;
+		loadProtocolLimits()
+			.then((loaded) => {
+				if (!current) {
+					return;
+				}
+				setLimits(loaded);
+				setForm((previous) => previous.wonkaBarsMaxSupply === "" ?
+					{ ...previous, wonkaBarsMaxSupply: String(loaded.upperLimitMaxSupply) } : previous);
+			})
+			.catch((err) => current && setError(decodeRevertReason(err)));
+		return () => { current = false; };
+	}, [show]);
+
+	useEffect(() => {
+		// the answer for an address typed before the current one is ignored
+		let current = true;
+		setCurrency(undefined);
+		loadCurrency(form.paymentToken)
+			.catch(() => undefined)
+			.then((loaded) => current && setCurrency(loaded));
+		return () => { current = false; };
+	}, [form.paymentToken]);
+
+	useEffect(() => {
+		if (!show || step !== REVIEW || address === undefined) {
+			return;
 		}
-	};
+		let current = true;
+		setApproved(undefined);
+		setDryRun(undefined);
+		const simulate = async () => {
+			const isApproved = await isPrizeApproved(address, contract, standard, tokenId);
+			if (!current) {
+				return;
+			}
+			setApproved(isApproved);
+			// without the approval the simulation would only fail on the transfer of the prize
+			if (!isApproved) {
+				return;
+			}
+			const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, sdk.getProvider());
+			try {
+				const lotteryId = await meltyfi.callStatic.createLottery(...createLotteryArgs({ contract, standard, tokenId }, form, currency), { from: address });
+				current && setDryRun({ lotteryId: lotteryId.toNumber() });
+			}
+			catch (err) {
+				current && setDryRun({ error: decodeRevertReason(err) });
+			}
+		};
+		simulate().catch((err) => current && setError(decodeRevertReason(err)));
+		return () => { current = false; };
+	}, [show, step, address, checks, contract, standard, tokenId, form, currency]);
+
+	const setField = (field, value) => setForm((previous) => ({ ...previous, [field]: value }));
 
-	const handleWonkaBarPrice = (event) => {
+	const handlePrizeAmount = (event) => {
 		const input = parseInt(event.target.value);
 		if (isNaN(input) || input <= 0) {
-			setWonkaBarPrice(1);
+			setField("prizeAmount", 1);
 		} else {
-			setWonkaBarPrice(input);
+			setField("prizeAmount", Math.min(input, Number(props.amount)));
 		}
 	};
 
 	const handleShow = () => setShow(true);
-	const handleClose = () => setShow(false);
-	const handleBuy = async () => {
-		const duration = (expiration.getMilliseconds() - Date.now().getMilliseconds()) / 1000;
-		const result = await callCreateLottery(duration, props.contract, props.tokenId, wonkaBarPrice, wonkaBarMaxSupply);
-		if (result === 0) {
-			setShow(false);
+	const handleClose = () => {
+		setShow(false);
+		setStep(0);
+		setDryRun(undefined);
+		setError(undefined);
+	};
+
+	// sends a transaction, showing its description while it is mined and why it failed if it does
+	const send = async (description, transaction) => {
+		setError(undefined);
+		setPending(description);
+		try {
+			await transaction(await connectWallet());
+			return true;
 		}
-		else {
-			setShowAlert(true);
-			console.log(result);
+		catch (err) {
+			setError(decodeRevertReason(err));
+			return false;
+		}
+		finally {
+			setPending(undefined);
+		}
+	};
+
+	const handleApprove = async () => {
+		await send("Approving the prize...", (signer) => approvePrize(signer, contract, standard, tokenId));
+		setChecks((previous) => previous + 1);
+	};
+
+	const handleCreate = async () => {
+		const created = await send("Creating the lottery...", async (signer) => {
+			const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, signer);
+			await sendTransaction(`Create a lottery for ${props.collection} #${tokenId}`, meltyfi, "createLottery",
+				createLotteryArgs({ contract, standard, tokenId }, form, currency));
+		});
+		if (created) {
+			setForm(INITIAL_FORM);
+			handleClose();
 		}
 	};
 
+	const price = currency === undefined ? undefined : parsePrice(form.wonkaBarPrice, currency);
+	const wonkaBarsMaxSupply = parseInt(form.wonkaBarsMaxSupply);
+	const minSupply = limits === undefined ? undefined : minWonkaBarsMaxSupply(limits.upperLimitBalanceOfPercentage);
+	const supplyValid = limits !== undefined && String(wonkaBarsMaxSupply) === form.wonkaBarsMaxSupply.trim() &&
+		wonkaBarsMaxSupply >= minSupply && wonkaBarsMaxSupply <= limits.upperLimitMaxSupply;
+	const expirationValid = form.expiration !== null && form.expiration.getTime() > Date.now();
+	const stepValid = [
+		currency !== undefined && currency.accepted,
+		price !== undefined && supplyValid && expirationValid,
+		dryRun !== undefined && dryRun.lotteryId !== undefined,
+	];
+	const preview = stepValid[0] && stepValid[1] ?
+		previewLoan(price, wonkaBarsMaxSupply, limits.royaltyDAOPercentage, limits.interestPercentage, durationUntil(form.expiration)) : undefined;
+
+	const prizeStep =
+		<>
+			<Container align='center' className='pb-3'>
+				<Card className='Card'>
+					<Card.Img className='CardImg' src={props.nftImg} />
+				</Card>
+			</Container>
+			<Form>
+				{isItem && <Form.Group className="mb-3" controlId="createLotteryForm.PrizeAmount">
+					<Row>
+						<Col>
+							<Form.Label className='pt-2'>Tokens in the prize, out of {props.amount}</Form.Label>
+						</Col>
+						<Col>
+							<Form.Control
+								type="number"
+								value={form.prizeAmount}
+								min='1'
+								max={props.amount}
+								onChange={handlePrizeAmount}
+								className='BgColor2 TextColor1'
+							/>
+						</Col>
+					</Row>
+				</Form.Group>}
+				<Form.Group className="mb-3" controlId="createLotteryForm.PaymentToken">
+					<Row>
+						<Col>
+							<Form.Label className='pt-2'>Payment token</Form.Label>
+						</Col>
+						<Col>
+							<Form.Control
+								value={form.paymentToken}
+								placeholder="ERC20 address, empty for ETH"
+								onChange={(event) => setField("paymentToken", event.target.value.trim())}
+								className='BgColor2 TextColor1'
+							/>
+						</Col>
+					</Row>
+					<Form.Text className='TextColor2'>
+						{currency === undefined ? "Not an ERC20 token" :
+							currency.accepted ? `Paid in ${currency.symbol}, with ${currency.decimals} decimals` :
+								`${currency.symbol} is not accepted by the MeltyFi DAO`}
+					</Form.Text>
+				</Form.Group>
+			</Form>
+		</>;
+
+	const wonkaBarsStep = limits === undefined ? <p>Loading the limits of the protocol...</p> :
+		<Form>
+			<Form.Group className="mb-3" controlId="createLotteryForm.WonkaBarPrice">
+				<Row>
+					<Col>
+						<Form.Label className='pt-2'>Price of a WonkaBar, in {currency.symbol}</Form.Label>
+					</Col>
+					<Col>
+						<Form.Control
+							type="number"
+							autoFocus
+							value={form.wonkaBarPrice}
+							min='0'
+							step='any'
+							onChange={(event) => setField("wonkaBarPrice", event.target.value)}
+							isInvalid={price === undefined}
+							className='BgColor2 TextColor1'
+						/>
+					</Col>
+				</Row>
+				{price === undefined && <Form.Text className='TextColor2'>
+					A positive amount with at most {currency.decimals} decimals
+				</Form.Text>}
+			</Form.Group>
+			<Form.Group className="mb-3" controlId="createLotteryForm.WonkaBarsMaxSupply">
+				<Row>
+					<Col>
+						<Form.Label className='pt-2'>WonkaBar max supply</Form.Label>
+					</Col>
+					<Col>
+						<Form.Control
+							type="number"
+							value={form.wonkaBarsMaxSupply}
+							min={minSupply}
+							max={limits.upperLimitMaxSupply}
+							onChange={(event) => setField("wonkaBarsMaxSupply", event.target.value)}
+							isInvalid={!supplyValid}
+							className='BgColor2 TextColor1'
+						/>
+					</Col>
+				</Row>
+				<Form.Text className='TextColor2'>
+					Between {minSupply} and {limits.upperLimitMaxSupply}
+					{supplyValid && `, each buyer can hold up to ${maxWonkaBarsPerUser(wonkaBarsMaxSupply, limits.upperLimitBalanceOfPercentage)}`}
+				</Form.Text>
+			</Form.Group>
+			<Form.Group className="mb-3" controlId="createLotteryForm.Expiration">
+				<Row>
+					<Col>
+						<Form.Label className='pt-2'>Expiration</Form.Label>
+					</Col>
+					<Col>
+						<DatePicker
+							selected={form.expiration}
+							onChange={(date) => setField("expiration", date)}
+							minDate={new Date()}
+							showTimeSelect
+							dateFormat="Pp"
+							className='BgColor2 TextColor1'
+						/>
+					</Col>
+				</Row>
+				{form.expiration !== null && !expirationValid && <Form.Text className='TextColor2'>
+					The expiration must be in the future
+				</Form.Text>}
+			</Form.Group>
+		</Form>;
+
+	let simulation;
+	if (address === undefined) {
+		simulation = <Alert variant="warning">Connect your wallet to check the lottery before creating it.</Alert>;
+	} else if (approved === undefined) {
+		simulation = <p>Checking the approval of the prize...</p>;
+	} else if (!approved) {
+		simulation = <Alert variant="warning">MeltyFi must be approved to transfer the prize before the lottery is created.</Alert>;
+	} else if (dryRun === undefined) {
+		simulation = <p>Simulating the creation of the lottery...</p>;
+	} else if (dryRun.error !== undefined) {
+		simulation = <Alert variant="danger">The creation would fail: {dryRun.error}</Alert>;
+	} else {
+		simulation = <Alert variant="success">The prize is approved, the transaction creates lottery #{dryRun.lotteryId}.</Alert>;
+	}
+
+	const reviewStep = preview !== undefined &&
+		<>
+			<li className="NoDot"><b>Prize:</b> {props.collection} #{props.tokenId}{isItem && ` × ${form.prizeAmount}`}</li>
+			<li className="NoDot"><b>WonkaBars:</b> {wonkaBarsMaxSupply} at {formatAmount(price, currency)} each</li>
+			<li className="NoDot"><b>Expiration:</b> {form.expiration.toLocaleString()}</li>
+			<li className="NoDot pt-3"><b>Total loan:</b> {formatAmount(preview.totalLoan, currency)}</li>
+			<li className="NoDot"><b>DAO royalty ({limits.royaltyDAOPercentage}%):</b> {formatAmount(preview.royaltyDAO, currency)}</li>
+			<li className="NoDot"><b>You receive:</b> {formatAmount(preview.received, currency)}</li>
+			<li className="NoDot"><b>To repay:</b> {formatAmount(preview.totalLoan, currency)}
+				{limits.interestPercentage > 0 && ` plus up to ${formatAmount(preview.maxInterest, currency)} of interest (${limits.interestPercentage}% yearly)`}
+			</li>
+			<p className='pt-3'>
+				These amounts are for a lottery whose WonkaBars are all sold. Repay the loan before the expiration to get the prize back,
+				otherwise it goes to the winner.
+			</p>
+			{simulation}
+		</>;
+
 	return (
 		<>
 			<Button className="CardButton" onClick={handleShow}>
@@ -103,79 +409,40 @@ function CreateLottery(props) {
 					<Modal.Title>Create Lottery for {props.collection} #{props.tokenId} </Modal.Title>
 				</Modal.Header>
 				<Modal.Body className='BgColor1 TextColor2'>
-					<Container align='center' className='pb-3'>
-						<Card className='Card'>
-							<Card.Img className='CardImg' src={props.nftImg} />
-						</Card>
-					</Container>
-					<Form>
-						<Form.Group className="mb-3" controlId="createLotteryForm.ControlInput1">
-							<Row>
-								<Col>
-									<Form.Label className='pt-2'>Wei for single WonkaBar</Form.Label>
-								</Col>
-								<Col>
-									<Form.Control
-										type="number"
-										autoFocus
-										value={wonkaBarPrice}
-										step='1'
-										onChange={handleWonkaBarPrice}
-										className='BgColor2 TextColor1'
-									/>
-								</Col>
-							</Row>
-						</Form.Group>
-						<Form.Group className="mb-3" controlId="createLotteryForm.ControlInput2">
-							<Row>
-								<Col>
-									<Form.Label className='pt-2'>WonkaBar max supply</Form.Label>
-								</Col>
-								<Col>
-									<Form.Control
-										type="number"
-										value={wonkaBarMaxSupply}
-										autoFocus
-										onChange={handleWonkaBarMaxSupply}
-										className='BgColor2 TextColor1'
-									/>
-								</Col>
-							</Row>
-						</Form.Group>
-						<Form.Group className="mb-3" controlId="createLotteryForm.ControlInput3">
-							<Row>
-								<Col>
-									<Form.Label className='pt-2'>Select expiration day</Form.Label>
-								</Col>
-								<Col>
-									<DatePicker
-										selected={expiration}
-										onChange={(date) => setExpirationDate(date)}
-										minDate={new Date()}
-										className='BgColor2 TextColor1'
-									/>
-								</Col>
-							</Row>
-						</Form.Group>
-					</Form>
-					<div className='pt-2'>Total revenue: {wonkaBarMaxSupply * wonkaBarPrice * Math.pow(10, -18)} ETH</div>
-					<Alert variant="danger" show={showAlert} onClose={() => setShowAlert(false)} dismissible>
+					<p><b>Step {step + 1} of {STEPS.length}:</b> {STEPS[step]}</p>
+					{step === 0 && prizeStep}
+					{step === 1 && wonkaBarsStep}
+					{step === REVIEW && reviewStep}
+					{pending !== undefined && <p className='pt-2'>{pending}</p>}
+					<Alert variant="danger" className='mt-3' show={error !== undefined} onClose={() => setError(undefined)} dismissible>
 						<Alert.Heading>Oh snap! You got an error!</Alert.Heading>
-						<p>Please try again.</p>
+						<p>{error}</p>
 					</Alert>
-
 				</Modal.Body>
 				<Modal.Footer className='BgColor2 TextColor1'>
-					<Button variant="secondary" className="TextColor2" onClick={handleClose}>
-						Cancel
-					</Button>
-					<Button className="CardButton" onClick={handleBuy}>
-						Create Lottery
-					</Button>
+					{step === 0 ?
+						<Button variant="secondary" className="TextColor2" onClick={handleClose}>
+							Cancel
+						</Button> :
+						<Button variant="secondary" className="TextColor2" disabled={pending !== undefined} onClick={() => setStep(step - 1)}>
+							Back
+						</Button>}
+					{step < REVIEW &&
+						<Button className="CardButton" disabled={!stepValid[step]} onClick={() => setStep(step + 1)}>
+							Next
+						</Button>}
+					{step === REVIEW && approved === false &&
+						<Button className="CardButton" disabled={pending !== undefined} onClick={handleApprove}>
+							Approve prize
+						</Button>}
+					{step === REVIEW &&
+						<Button className="CardButton" disabled={!stepValid[REVIEW] || pending !== undefined} onClick={handleCreate}>
+							Create Lottery
+						</Button>}
 				</Modal.Footer>
 			</Modal>
 		</>
 	);
 }
 
-export default CreateLottery;
\ No newline at end of file
+export default CreateLottery;
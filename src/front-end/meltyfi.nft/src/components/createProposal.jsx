@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import Modal from 'react-bootstrap/Modal';
+import { ethers } from "ethers";
+import MeltyFiDAO from "../ABIs/MeltyFiDAO.json";
+import { Alert, Row, Col } from 'react-bootstrap';
+import { decodeRevertReason } from '../utils/revertReason';
+import { connectWallet, sendTransaction } from '../utils/transactions';
+
+// array and tuple arguments are written as JSON, booleans as true/false, everything else as is
+function parseArgument(input, value) {
+	if (input.baseType === "array" || input.baseType === "tuple") {
+		return JSON.parse(value);
+	}
+	if (input.type === "bool") {
+		return value === "true";
+	}
+	return value;
+}
+
+// functions are identified by their signature, since some of them are overloaded
+function writeFunctions(abi) {
+	return Object.values(new ethers.utils.Interface(abi).functions)
+		.filter((fragment) => !["view", "pure"].includes(fragment.stateMutability));
+}
+
+/**
+ * Encodes the actions of the form into the targets, values and calldatas of a proposal.
+ */
+export function encodeActions(actions, targets) {
+	return actions.map((action) => {
+		const target = targets.find((t) => t.name === action.target);
+		const fragment = writeFunctions(target.abi).find((f) => f.format() === action.functionName);
+		const args = fragment.inputs.map((input, i) => parseArgument(input, action.args[i] || ""));
+		return {
+			target: target.address,
+			value: ethers.utils.parseEther(action.value || "0"),
+			calldata: new ethers.utils.Interface(target.abi).encodeFunctionData(fragment, args),
+		};
+	});
+}
+
+async function propose(daoAddress, encodedActions, description) {
+	const dao = new ethers.Contract(daoAddress, MeltyFiDAO, await connectWallet());
+	// propose is overloaded by the Bravo compatibility layer, which also takes function signatures
+	await sendTransaction(`Propose "${description.split("\n")[0]}"`, dao, "propose(address[],uint256[],bytes[],string)", [
+		encodedActions.map((action) => action.target),
+		encodedActions.map((action) => action.value),
+		encodedActions.map((action) => action.calldata),
+		description,
+	]);
+}
+
+const emptyAction = (targets) => ({ target: targets[0].name, functionName: writeFunctions(targets[0].abi)[0].format(), args: [], value: "0" });
+
+/**
+ * Modal to create a proposal made of calls to protocol contracts.
+ *
+ * @param props.daoAddress address of MeltyFiDAO.
+ * @param props.targets array of `{ name, address, abi }` of the contracts the proposal can call.
+ * @param props.onCreated called once the proposal is created.
+ */
+function CreateProposal(props) {
+	const [show, setShow] = useState(false);
+	const [error, setError] = useState(undefined);
+	const [description, setDescription] = useState("");
+	const [actions, setActions] = useState([emptyAction(props.targets)]);
+
+	const updateAction = (index, changes) => {
+		setActions(actions.map((action, i) => i === index ? { ...action, ...changes } : action));
+	};
+
+	const handleShow = () => setShow(true);
+	const handleClose = () => setShow(false);
+	const handlePropose = async () => {
+		let encodedActions;
+		try {
+			encodedActions = encodeActions(actions, props.targets);
+		}
+		catch (err) {
+			setError(`Invalid arguments: ${err.message}`);
+			return;
+		}
+		try {
+			await propose(props.daoAddress, encodedActions, description);
+		}
+		catch (err) {
+			setError(decodeRevertReason(err));
+			return;
+		}
+		setShow(false);
+		setActions([emptyAction(props.targets)]);
+		setDescription("");
+		props.onCreated();
+	};
+
+	const actionForms = actions.map((action, index) => {
+		const target = props.targets.find((t) => t.name === action.target);
+		const functions = writeFunctions(target.abi);
+		const fragment = functions.find((f) => f.format() === action.functionName);
+		return <div key={index} className='pb-3'>
+			<h6>Action {index + 1}</h6>
+			<Row className='pb-2'>
+				<Col>
+					<Form.Select className='BgColor2 TextColor1' value={action.target}
+						onChange={(event) => updateAction(index, emptyAction([props.targets.find((t) => t.name === event.target.value)]))}>
+						{props.targets.map((t) => <option key={t.name} value={t.name}>{t.name}</option>)}
+					</Form.Select>
+				</Col>
+				<Col>
+					<Form.Select className='BgColor2 TextColor1' value={action.functionName}
+						onChange={(event) => updateAction(index, { functionName: event.target.value, args: [] })}>
+						{functions.map((f) => <option key={f.format()} value={f.format()}>{f.format()}</option>)}
+					</Form.Select>
+				</Col>
+			</Row>
+			{fragment.inputs.map((input, i) =>
+				<Form.Control key={`${action.functionName}-${i}`} className='BgColor2 TextColor1 mb-2'
+					placeholder={`${input.name || `argument ${i}`} (${input.type})`}
+					value={action.args[i] || ""}
+					onChange={(event) => {
+						const args = [...action.args];
+						args[i] = event.target.value;
+						updateAction(index, { args });
+					}}
+				/>
+			)}
+			<Form.Control className='BgColor2 TextColor1' type="number" min="0" step="any" placeholder="ETH sent with the call"
+				value={action.value} onChange={(event) => updateAction(index, { value: event.target.value })} />
+		</div>;
+	});
+
+	return (
+		<>
+			<Button className="CardButton" onClick={handleShow}>
+				New proposal
+			</Button>
+			<Modal show={show} onHide={handleClose} size="lg">
+				<Modal.Header closeButton className='BgColor2 TextColor1'>
+					<Modal.Title>New proposal</Modal.Title>
+				</Modal.Header>
+				<Modal.Body className='BgColor1 TextColor2'>
+					<Form>
+						<Form.Group className="mb-3" controlId="createProposalForm.Description">
+							<Form.Label>Description, the first line is the title</Form.Label>
+							<Form.Control as="textarea" rows={3} value={description} className='BgColor2 TextColor1'
+								onChange={(event) => setDescription(event.target.value)} />
+						</Form.Group>
+						{actionForms}
+					</Form>
+					<Button variant="secondary" className="TextColor2" onClick={() => setActions([...actions, emptyAction(props.targets)])}>
+						Add action
+					</Button>
+					{actions.length > 1 &&
+						<Button variant="secondary" className="TextColor2 ms-2" onClick={() => setActions(actions.slice(0, -1))}>
+							Remove last action
+						</Button>}
+					<Alert variant="danger" className='mt-3' show={error !== undefined} onClose={() => setError(undefined)} dismissible>
+						<Alert.Heading>Oh snap! You got an error!</Alert.Heading>
+						<p>{error}</p>
+					</Alert>
+				</Modal.Body>
+				<Modal.Footer className='BgColor2 TextColor1'>
+					<Button variant="secondary" className="TextColor2" onClick={handleClose}>
+						Cancel
+					</Button>
+					<Button className="CardButton" disabled={description.trim() === ""} onClick={handlePropose}>
+						Propose
+					</Button>
+				</Modal.Footer>
+			</Modal>
+		</>
+	);
+}
+
+export default CreateProposal;
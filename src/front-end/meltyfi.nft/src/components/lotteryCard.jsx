@@ -1,16 +1,19 @@
 import Card from 'react-bootstrap/Card';
 import { Container } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import PrizeGallery from './prizeGallery';
+import { formatPrizes } from '../utils/lotteryLoader';
 
-function LotteryCard({ src, tokenId, collection, text, lotteryId, action }) {
+function LotteryCard({ prizes, text, lotteryId, action }) {
     return (
         <Card className='Card'>
-            <Card.Img className='CardImg' src={src} />
+            <PrizeGallery prizes={prizes} />
             <Card.Body className='CardBody'>
                 <Card.Title className='CardTitle'>
-                    {collection} #{tokenId}
+                    {formatPrizes(prizes)}
                 </Card.Title>
                 <Card.Text>
-                    Lottery #{lotteryId}
+                    <Link to={`/lottery/${lotteryId}`} className='TextColor1'>Lottery #{lotteryId}, see the details</Link>
                 </Card.Text>
                 {text}
                 <Container align='center'>
@@ -0,0 +1,77 @@
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import { Row, Col } from 'react-bootstrap';
+import { defaultLotteryQuery, lotterySorts } from '../utils/lotteryQuery';
+
+const expirations = [
+	["", "Any expiration"],
+	["1", "Expiring within a day"],
+	["7", "Expiring within a week"],
+	["30", "Expiring within a month"],
+];
+
+/**
+ * Search, filters and order of the Browse Lotteries tab.
+ *
+ * @param props.query the current query, see `parseLotteryQuery`.
+ * @param props.currencies `{ address, symbol }` of the payment tokens of the lotteries, to filter by.
+ * @param props.onChange called with the changed fields of the query.
+ */
+function LotteryToolbar(props) {
+	const { query, onChange } = props;
+	// prices are only comparable within a payment token, so they are filtered once a currency is chosen
+	const noCurrency = query.currency === "";
+	// every change goes back to the first page, the current one may no longer exist
+	const field = (key) => ({
+		value: query[key],
+		onChange: (event) => onChange({ [key]: event.target.value, page: 1 }),
+		className: 'BgColor2 TextColor1',
+	});
+
+	return (
+		<Form className='pb-3' onSubmit={(event) => event.preventDefault()}>
+			<Row className='pb-2'>
+				<Col md={6}>
+					<Form.Control placeholder="Search by collection or #ID" {...field("search")} />
+				</Col>
+				<Col>
+					<Form.Select {...field("sort")}>
+						{Object.entries(lotterySorts).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+					</Form.Select>
+				</Col>
+				<Col>
+					<Form.Select {...field("expiresWithin")}>
+						{expirations.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+					</Form.Select>
+				</Col>
+			</Row>
+			<Row>
+				<Col>
+					<Form.Select {...field("currency")}>
+						<option value="">Any currency</option>
+						{props.currencies.map((symbol) => <option key={symbol} value={symbol}>{symbol}</option>)}
+					</Form.Select>
+				</Col>
+				<Col>
+					<Form.Control type="number" min="0" step="any" placeholder="Min WonkaBar price" disabled={noCurrency} {...field("minPrice")} />
+				</Col>
+				<Col>
+					<Form.Control type="number" min="0" step="any" placeholder="Max WonkaBar price" disabled={noCurrency} {...field("maxPrice")} />
+				</Col>
+				<Col>
+					<Form.Control type="number" min="0" max="100" placeholder="Min % sold" {...field("minFill")} />
+				</Col>
+				<Col>
+					<Form.Control type="number" min="0" max="100" placeholder="Max % sold" {...field("maxFill")} />
+				</Col>
+				<Col xs="auto">
+					<Button className='CardButton' onClick={() => onChange(defaultLotteryQuery)}>
+						Reset
+					</Button>
+				</Col>
+			</Row>
+		</Form>
+	);
+}
+
+export default LotteryToolbar;
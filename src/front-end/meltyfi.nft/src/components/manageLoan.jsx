@@ -0,0 +1,192 @@
+import React, { useEffect, useState } from 'react';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import Modal from 'react-bootstrap/Modal';
+import { ethers } from "ethers";
+import MeltyFiNFT from "../ABIs/MeltyFiNFT.json";
+import { addressMeltyFiNFT, sdk } from "../App";
+import { Alert, Row, Col } from 'react-bootstrap';
+import { ERC20_ABI, approveMeltyFi, formatAmount, isEther } from '../utils/paymentTokens';
+import { amountToRepayAt, formatPrizes } from '../utils/lotteryLoader';
+import { decodeRevertReason } from '../utils/revertReason';
+import { connectWallet, sendTransaction } from '../utils/transactions';
+
+const DAY = 24 * 60 * 60;
+// the interest keeps accruing until the repayment is mined, so it is paid as if it was mined this much later
+const REPAYMENT_DELAY = 10 * 60 * 1000;
+
+// sends Ether along with the call, or approves MeltyFiNFT to pull the tokens from the lottery owner first
+async function payAndSend(lottery, amount, description, method, args) {
+	const signer = await connectWallet();
+	const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, signer);
+	if (isEther(lottery.paymentToken)) {
+		return await sendTransaction(description, meltyfi, method, args, { value: amount });
+	}
+	await approveMeltyFi(new ethers.Contract(lottery.paymentToken, ERC20_ABI, signer), amount);
+	return await sendTransaction(description, meltyfi, method, args);
+}
+
+/**
+ * Lets the owner of a lottery repay the outstanding balance of the loan, all at once or in part,
+ * and postpone the expiration date for a fee paid to the MeltyFiDAO.
+ *
+ * @param props.lottery lottery loaded by `loadLotteries`, with its `amountToRepay` including the interest accrued so far.
+ * @param props.disabled whether the loan cannot be managed, e.g. while the winner is drawn.
+ */
+function ManageLoan(props) {
+	const lottery = props.lottery;
+	const [show, setShow] = useState(false);
+	const [partialAmount, setPartialAmount] = useState("");
+	const [days, setDays] = useState(1);
+	const [maxExtension, setMaxExtension] = useState(0);
+	const [fee, setFee] = useState(undefined);
+	const [error, setError] = useState(undefined);
+
+	// the days still available for extensions, out of the maximum total extension
+	const availableDays = Math.floor((maxExtension - lottery.extension) / DAY);
+
+	useEffect(() => {
+		if (!show) {
+			return;
+		}
+		const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, sdk.getProvider());
+		meltyfi.getMaxExtension().then((max) => setMaxExtension(max.toNumber()));
+	}, [show]);
+
+	useEffect(() => {
+		// the answer for a number of days typed before the current one is ignored
+		let current = true;
+		setFee(undefined);
+		if (show && days > 0) {
+			const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, sdk.getProvider());
+			const readAt = new Date();
+			meltyfi.extensionFee(lottery.lottery, days * DAY).then((amount) => current && setFee({ amount, readAt }));
+		}
+		return () => { current = false; };
+	}, [show, days, lottery.lottery]);
+
+	// partial repayments are rounded down to a multiple of the WonkaBars sold, every WonkaBar is credited the same
+	let partial;
+	try {
+		const amount = ethers.utils.parseUnits(partialAmount || "0", lottery.currency.decimals);
+		const perWonkaBar = lottery.wonkaBarsSold === 0 ? ethers.constants.Zero : amount.div(lottery.wonkaBarsSold);
+		partial = { perWonkaBar, total: perWonkaBar.mul(lottery.wonkaBarsSold) };
+	}
+	catch (err) {
+		partial = undefined;
+	}
+	const partialValid = partial !== undefined && partial.perWonkaBar.gt(0) && partial.total.lt(lottery.amountToRepay);
+
+	const run = async (action) => {
+		setError(undefined);
+		try {
+			await action();
+			setShow(false);
+		}
+		catch (err) {
+			setError(decodeRevertReason(err));
+		}
+	};
+
+	const repayAll = () => run(() =>
+		payAndSend(lottery, amountToRepayAt(lottery, new Date(Date.now() + REPAYMENT_DELAY)),
+			`Repay the loan of lottery #${lottery.lottery}`, "repayLoan", [lottery.lottery]));
+	const repayPartially = () => run(() =>
+		payAndSend(lottery, partial.total, `Repay part of the loan of lottery #${lottery.lottery}`,
+			"repayLoanPartially", [lottery.lottery, partial.total]));
+	// the fee is a share of the outstanding balance, so it grows with the interest the same way until the extension is mined
+	const extend = () => run(() => {
+		const outstandingAtRead = amountToRepayAt(lottery, fee.readAt);
+		const quotedFee = outstandingAtRead.isZero() ? fee.amount
+			: fee.amount.mul(amountToRepayAt(lottery, new Date(Date.now() + REPAYMENT_DELAY))).div(outstandingAtRead);
+		return payAndSend(lottery, quotedFee, `Extend lottery #${lottery.lottery} by ${days} days`, "extendLottery", [lottery.lottery, days * DAY]);
+	});
+
+	const handleDays = (event) => {
+		const input = parseInt(event.target.value);
+		setDays(isNaN(input) || input <= 0 ? 1 : Math.min(input, Math.max(availableDays, 1)));
+	};
+
+	return (
+		<>
+			<Button className="CardButton" disabled={props.disabled} onClick={() => setShow(true)}>
+				Manage Loan
+			</Button>
+			<Modal show={show} onHide={() => setShow(false)}>
+				<Modal.Header closeButton className='BgColor2 TextColor1'>
+					<Modal.Title>Loan of lottery #{lottery.lottery}</Modal.Title>
+				</Modal.Header>
+				<Modal.Body className='BgColor1 TextColor2'>
+					<p>
+						Prize: {formatPrizes(lottery.prizes)}<br />
+						Outstanding balance: {formatAmount(lottery.amountToRepay, lottery.currency)}<br />
+						Already credited to every WonkaBar: {formatAmount(lottery.refundPerWonkaBar, lottery.currency)}<br />
+						Yearly interest: {lottery.interestPercentage}%<br />
+						Expiration date: {lottery.expirationDate.toLocaleString()}
+					</p>
+					<Button className="CardButton mb-3" onClick={repayAll}>
+						Repay {formatAmount(lottery.amountToRepay, lottery.currency)} and get the prize back
+					</Button>
+					<Form>
+						<Form.Group className="mb-3" controlId="manageLoanForm.PartialAmount">
+							<Row>
+								<Col>
+									<Form.Label className='pt-2'>Repay part of the loan, in {lottery.currency.symbol}</Form.Label>
+								</Col>
+								<Col>
+									<Form.Control
+										value={partialAmount}
+										placeholder="0.0"
+										onChange={(event) => setPartialAmount(event.target.value.trim())}
+										className='BgColor2 TextColor1'
+									/>
+								</Col>
+							</Row>
+							<Form.Text className='TextColor2'>
+								{partialValid
+									? `${formatAmount(partial.total, lottery.currency)} credited as ${formatAmount(partial.perWonkaBar, lottery.currency)} to each WonkaBar. No more WonkaBars are sold afterwards.`
+									: "The amount must credit something to every WonkaBar sold, and be lower than the outstanding balance."}
+							</Form.Text>
+						</Form.Group>
+						<Button className="CardButton mb-3" disabled={!partialValid} onClick={repayPartially}>
+							Repay partially
+						</Button>
+						<Form.Group className="mb-3" controlId="manageLoanForm.ExtensionDays">
+							<Row>
+								<Col>
+									<Form.Label className='pt-2'>Extend by days, up to {availableDays}</Form.Label>
+								</Col>
+								<Col>
+									<Form.Control
+										type="number"
+										value={days}
+										min='1'
+										max={availableDays}
+										onChange={handleDays}
+										className='BgColor2 TextColor1'
+									/>
+								</Col>
+							</Row>
+							<Form.Text className='TextColor2'>
+								{fee === undefined ? "Loading the fee..." : `Fee paid to the MeltyFi DAO: ${formatAmount(fee.amount, lottery.currency)}`}
+							</Form.Text>
+						</Form.Group>
+						<Button className="CardButton" disabled={fee === undefined || availableDays <= 0} onClick={extend}>
+							Extend the lottery
+						</Button>
+					</Form>
+					<Alert variant="danger" className='mt-3' show={error !== undefined} onClose={() => setError(undefined)} dismissible>
+						{error}
+					</Alert>
+				</Modal.Body>
+				<Modal.Footer className='BgColor2 TextColor1'>
+					<Button variant="secondary" className="TextColor2" onClick={() => setShow(false)}>
+						Close
+					</Button>
+				</Modal.Footer>
+			</Modal>
+		</>
+	);
+}
+
+export default ManageLoan;
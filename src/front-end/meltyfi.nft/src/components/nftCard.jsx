@@ -1,14 +1,15 @@
 import Card from 'react-bootstrap/Card';
 import { Container } from 'react-bootstrap';
 
-function NftCard({ src, tokenId, collection, action }) {
+// amount is only given for ERC1155 tokens, ERC721 ones are unique
+function NftCard({ src, tokenId, amount, collection, action }) {
     return (
         <Card className='Card'>
             <Card.Img className='CardImg' src={src} />
             <Card.Body className='CardBody'>
                 <Container align='center'>
                     <Card.Title className='CardTitle'>
-                        {collection} #{tokenId}
+                        {collection} #{tokenId}{amount !== undefined && ` × ${amount}`}
                     </Card.Title>
                 </Container>
                 <Container align='center' className='pt-2'>
@@ -0,0 +1,24 @@
+import Card from 'react-bootstrap/Card';
+import Carousel from 'react-bootstrap/Carousel';
+import { formatPrize } from '../utils/lotteryLoader';
+
+// a single token is shown as a plain image, a bundle as a gallery browsed with the arrows
+function PrizeGallery({ prizes }) {
+    if (prizes.length === 1) {
+        return <Card.Img className='CardImg' src={prizes[0].image} />;
+    }
+    return (
+        <Carousel className='CardImg' interval={null} indicators={false}>
+            {prizes.map((prize, i) =>
+                <Carousel.Item key={i}>
+                    <img className='CardImg' src={prize.image} alt={prize.name} />
+                    <Carousel.Caption className='PrizeCaption'>
+                        {i + 1}/{prizes.length}: {formatPrize(prize)}
+                    </Carousel.Caption>
+                </Carousel.Item>
+            )}
+        </Carousel>
+    );
+}
+
+export default PrizeGallery;
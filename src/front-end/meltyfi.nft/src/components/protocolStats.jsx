@@ -0,0 +1,50 @@
+import React, { useEffect, useState } from 'react';
+import { Card, Row, Col } from 'react-bootstrap';
+import { fetchIndexedStats } from '../utils/indexerApi';
+import { ETHER, formatAmount, loadPaymentToken } from '../utils/paymentTokens';
+
+// the volume in Ether first, then the volume of each ERC20 payment token
+async function loadStats() {
+	const stats = await fetchIndexedStats();
+	const tokenVolumes = await Promise.all(Object.entries(stats.tokenVolumes).map(async ([address, amount]) =>
+		formatAmount(amount, await loadPaymentToken(address))));
+	return { ...stats, volumes: [formatAmount(stats.volume, ETHER), ...tokenVolumes] };
+}
+
+/**
+ * Shows the statistics of the protocol served by the MeltyFi indexer: lotteries, loans, WonkaBars sold and volume.
+ * Nothing is shown if the indexer cannot be reached.
+ */
+function ProtocolStats() {
+	const [stats, setStats] = useState(undefined);
+	useEffect(() => {
+		loadStats().then(setStats).catch((error) => console.error("MeltyFi indexer unreachable", error));
+	}, []);
+
+	if (stats === undefined) {
+		return null;
+	}
+	const figures = [
+		["Lotteries", stats.lotteries],
+		["Active lotteries", stats.lotteriesByState.ACTIVE],
+		["Loans repaid", stats.loansRepaid],
+		["Loans defaulted", stats.loansDefaulted],
+		["WonkaBars sold", stats.wonkaBarsSold],
+		["Lenders", stats.buyers],
+	];
+	return (
+		<Card body className='BgColor1 TextColor2'>
+			<Row xs={2} md={3} xl={6}>
+				{figures.map(([label, value]) =>
+					<Col key={label} className='pb-2'>
+						<h2>{value}</h2>
+						{label}
+					</Col>
+				)}
+			</Row>
+			<p className='pt-2 mb-0'><b>Volume:</b> {stats.volumes.join(", ")}</p>
+		</Card>
+	);
+}
+
+export default ProtocolStats;
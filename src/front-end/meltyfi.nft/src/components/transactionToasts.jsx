@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from 'react';
+import Toast from 'react-bootstrap/Toast';
+import ToastContainer from 'react-bootstrap/ToastContainer';
+import { explorerTransactionUrl, subscribeToTransactions } from '../utils/transactions';
+
+// the confirmed and failed transactions are hidden after a while, the pending ones only when closed
+const HIDE_DELAY = 10000;
+
+const titles = {
+	pending: "Transaction pending",
+	confirmed: "Transaction confirmed",
+	failed: "Transaction failed",
+};
+
+const backgrounds = {
+	pending: "BgColor2 TextColor1",
+	confirmed: "bg-success text-white",
+	failed: "bg-danger text-white",
+};
+
+// transactions rejected before being signed have no hash, and local nodes no explorer
+function getExplorerLink(hash) {
+	const url = hash === undefined ? undefined : explorerTransactionUrl(hash);
+	return url !== undefined && <div><a href={url} target="_blank" rel="noreferrer">View on the explorer</a></div>;
+}
+
+/**
+ * Shows a toast for every transaction sent through `sendTransaction`, with a link to the block explorer
+ * and the reason of the failure, if any.
+ */
+function TransactionToasts() {
+	const [transactions, setTransactions] = useState([]);
+
+	// every notification replaces the previous status of its transaction
+	useEffect(() => subscribeToTransactions((transaction) =>
+		setTransactions((previous) => [...previous.filter(({ id }) => id !== transaction.id), transaction])
+	), []);
+
+	const hide = (id) => setTransactions((previous) => previous.filter((transaction) => transaction.id !== id));
+
+	return (
+		<ToastContainer position="bottom-end" className="p-3 position-fixed">
+			{transactions.map((transaction) =>
+				<Toast key={transaction.id} onClose={() => hide(transaction.id)}
+					autohide={transaction.status !== "pending"} delay={HIDE_DELAY}>
+					<Toast.Header className={backgrounds[transaction.status]}>
+						<strong className="me-auto">{titles[transaction.status]}</strong>
+					</Toast.Header>
+					<Toast.Body className='BgColor1 TextColor2'>
+						{transaction.description}
+						{transaction.message !== undefined && <div>{transaction.message}</div>}
+						{getExplorerLink(transaction.hash)}
+					</Toast.Body>
+				</Toast>
+			)}
+		</ToastContainer>
+	);
+}
+
+export default TransactionToasts;
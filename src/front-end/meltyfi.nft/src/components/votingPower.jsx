@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import Button from 'react-bootstrap/Button';
+import Form from 'react-bootstrap/Form';
+import Card from 'react-bootstrap/Card';
+import { ethers } from "ethers";
+import ChocoChip from "../ABIs/ChocoChip.json";
+import { Alert, Row, Col } from 'react-bootstrap';
+import { signDelegation, signPermit, submitSignedMessage } from '../utils/chocoChipSignatures';
+import { decodeRevertReason } from '../utils/revertReason';
+import { connectWallet, explorerAddressUrl, sendTransaction } from '../utils/transactions';
+
+// signatures are valid for one day
+const SIGNATURE_VALIDITY = 24 * 60 * 60;
+
+async function getChocoChip(address) {
+	const signer = await connectWallet();
+	return [new ethers.Contract(address, ChocoChip, signer), signer];
+}
+
+function formatChoc(amount) {
+	return Number(ethers.utils.formatEther(amount)).toLocaleString();
+}
+
+function shortAddress(address) {
+	return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+/**
+ * Shows the ChocoChip balance, votes and delegatee of the user, and lets them delegate their votes,
+ * either with a transaction or gasless, by signing a message that anyone can submit.
+ *
+ * @param props.address address of the user.
+ * @param props.chocoChip `{ address, balance, votes, delegatee }` of the user.
+ * @param props.onChange called once a transaction is mined.
+ */
+function VotingPower(props) {
+	const { balance, votes, delegatee } = props.chocoChip;
+	const [target, setTarget] = useState("");
+	const [gasless, setGasless] = useState(false);
+	const [spender, setSpender] = useState("");
+	const [permitAmount, setPermitAmount] = useState("");
+	const [signed, setSigned] = useState("");
+	const [toSubmit, setToSubmit] = useState("");
+	const [error, setError] = useState(undefined);
+
+	const run = async (action) => {
+		setError(undefined);
+		try {
+			await action();
+		}
+		catch (err) {
+			// signing errors do not go through `sendTransaction`
+			setError(decodeRevertReason(err));
+		}
+	};
+
+	const delegate = (delegatee) => run(async () => {
+		const [chocoChip, signer] = await getChocoChip(props.chocoChip.address);
+		if (gasless) {
+			const expiry = Math.floor(Date.now() / 1000) + SIGNATURE_VALIDITY;
+			setSigned(JSON.stringify(await signDelegation(signer, chocoChip, delegatee, expiry)));
+		} else {
+			await sendTransaction(`Delegate the ChocoChip votes to ${shortAddress(delegatee)}`, chocoChip, "delegate", [delegatee]);
+			props.onChange();
+		}
+	});
+
+	const permit = () => run(async () => {
+		const [chocoChip, signer] = await getChocoChip(props.chocoChip.address);
+		const deadline = Math.floor(Date.now() / 1000) + SIGNATURE_VALIDITY;
+		setSigned(JSON.stringify(await signPermit(signer, chocoChip, spender, ethers.utils.parseEther(permitAmount), deadline)));
+	});
+
+	const submit = () => run(async () => {
+		const [chocoChip] = await getChocoChip(props.chocoChip.address);
+		await submitSignedMessage(chocoChip, JSON.parse(toSubmit));
+		setToSubmit("");
+		props.onChange();
+	});
+
+	let delegation;
+	if (delegatee === ethers.constants.AddressZero) {
+		delegation = "Not delegated, your ChocoChips do not count in the DAO";
+	} else if (delegatee === props.address) {
+		delegation = "Yourself";
+	} else {
+		const url = explorerAddressUrl(delegatee);
+		delegation = url === undefined ? shortAddress(delegatee) : <a href={url}>{shortAddress(delegatee)}</a>;
+	}
+
+	return (
+		<Card body className='BgColor1 TextColor2 text-start'>
+			<li className="NoDot"><b>Balance:</b> {formatChoc(balance)} CHOC</li>
+			<li className="NoDot"><b>Votes:</b> {formatChoc(votes)} CHOC, including the ChocoChips delegated to you</li>
+			<li className="NoDot pb-3"><b>Delegatee:</b> {delegation}</li>
+			<Form.Check type="switch" id="gaslessSwitch" className='pb-2' checked={gasless} onChange={() => setGasless(!gasless)}
+				label="Gasless: sign the delegation and let anyone submit it" />
+			<Row className='pb-3'>
+				<Col xs="auto">
+					<Button className='CardButton' disabled={delegatee === props.address && !gasless} onClick={() => delegate(props.address)}>
+						Delegate to myself
+					</Button>
+				</Col>
+				<Col>
+					<Form.Control className='BgColor2 TextColor1' placeholder="Address to delegate to" value={target}
+						onChange={(event) => setTarget(event.target.value)} />
+				</Col>
+				<Col xs="auto">
+					<Button className='CardButton' disabled={!ethers.utils.isAddress(target)} onClick={() => delegate(target)}>
+						Delegate
+					</Button>
+				</Col>
+			</Row>
+			<Row className='pb-3'>
+				<Col>
+					<Form.Control className='BgColor2 TextColor1' placeholder="Spender address" value={spender}
+						onChange={(event) => setSpender(event.target.value)} />
+				</Col>
+				<Col>
+					<Form.Control className='BgColor2 TextColor1' type="number" min="0" step="any" placeholder="CHOC" value={permitAmount}
+						onChange={(event) => setPermitAmount(event.target.value)} />
+				</Col>
+				<Col xs="auto">
+					<Button className='CardButton' disabled={!ethers.utils.isAddress(spender) || permitAmount === ""} onClick={permit}>
+						Sign permit
+					</Button>
+				</Col>
+			</Row>
+			{signed !== "" && <Form.Group className='pb-3'>
+				<Form.Label>Signed message, share it with whoever submits it</Form.Label>
+				<Form.Control as="textarea" rows={3} readOnly value={signed} className='BgColor2 TextColor1' />
+			</Form.Group>}
+			<Row>
+				<Col>
+					<Form.Control as="textarea" rows={1} className='BgColor2 TextColor1' placeholder="Paste a signed delegation or permit"
+						value={toSubmit} onChange={(event) => setToSubmit(event.target.value)} />
+				</Col>
+				<Col xs="auto">
+					<Button className='CardButton' disabled={toSubmit === ""} onClick={submit}>
+						Submit and pay the gas
+					</Button>
+				</Col>
+			</Row>
+			<Alert variant="danger" className='mt-3' show={error !== undefined} onClose={() => setError(undefined)} dismissible>
+				<Alert.Heading>Oh snap! You got an error!</Alert.Heading>
+				<p>{error}</p>
+			</Alert>
+		</Card>
+	);
+}
+
+export default VotingPower;
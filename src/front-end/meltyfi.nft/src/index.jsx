@@ -1,17 +1,19 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
-import App from "./App";
+import App, { network } from "./App";
 import reportWebVitals from "./reportWebVitals";
-import { ChainId, ThirdwebProvider } from "@thirdweb-dev/react";
+import { ThirdwebProvider } from "@thirdweb-dev/react";
 import "./styles/globals.css";
 
-// This is the chainId your dApp will work on.
-const activeChainId = ChainId.Goerli;
+// This is the chainId your dApp will work on, see `network` in App.jsx.
+const activeChainId = network.chainId;
+// a local node is reached at its own URL, the public networks through the default RPC of thirdweb
+const chainRpc = network.rpcUrl.startsWith("http") ? { [activeChainId]: network.rpcUrl } : undefined;
 const container = document.getElementById("root");
 const root = createRoot(container);
 root.render(
   <React.StrictMode>
-    <ThirdwebProvider desiredChainId={activeChainId} >
+    <ThirdwebProvider desiredChainId={activeChainId} chainRpc={chainRpc} >
       <App />
     </ThirdwebProvider>
   </React.StrictMode>
@@ -0,0 +1,268 @@
+import { Card, Col, Container, Row, Form, ProgressBar } from "react-bootstrap";
+import Button from "react-bootstrap/Button";
+import { useAddress } from "@thirdweb-dev/react";
+import { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import MeltyFiNFT from "../ABIs/MeltyFiNFT.json";
+import MeltyFiDAO from "../ABIs/MeltyFiDAO.json";
+import ChocoChip from "../ABIs/ChocoChip.json";
+import { addressMeltyFiNFT, deploymentBlockMeltyFiNFT, sdk } from "../App";
+import CreateProposal from "../components/createProposal";
+import ClaimableBalances from "../components/claimableBalances";
+import { queryFilterInRanges } from "../utils/eventLogs";
+import { connectWallet, sendTransaction } from "../utils/transactions";
+import { decodeRevertReason } from "../utils/revertReason";
+import { ERC20_ABI, ETHER, formatAmount, isEther, loadPaymentToken } from "../utils/paymentTokens";
+
+
+// same order of the ProposalState enum of the OpenZeppelin Governor
+const proposalStateNames = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+const proposalState = {
+    PENDING: 0,
+    ACTIVE: 1,
+    SUCCEEDED: 4,
+    QUEUED: 5,
+};
+// same order of the VoteType enum of GovernorCompatibilityBravo
+const voteTypes = [["Against", 0], ["For", 1], ["Abstain", 2]];
+
+
+async function loadProposal(dao, event, blockNumber, address) {
+    const proposalId = event.args.proposalId;
+    const [state, details, hasVoted] = await Promise.all([
+        dao.state(proposalId),
+        dao.proposals(proposalId),
+        address === undefined ? false : dao.hasVoted(proposalId, address),
+    ]);
+    const startBlock = details.startBlock.toNumber();
+    const endBlock = details.endBlock.toNumber();
+    // the quorum is measured at the snapshot, which can only be read once it is mined
+    const quorum = startBlock < blockNumber ? await dao.quorum(startBlock) : await dao.quorum(blockNumber - 1);
+    const elapsed = Math.min(Math.max(blockNumber - startBlock, 0), endBlock - startBlock);
+    const [title, ...body] = event.args.description.split("\n");
+    return {
+        proposalId,
+        proposer: event.args.proposer,
+        title,
+        body: body.join("\n").trim(),
+        actions: event.args.targets.map((target, i) => ({
+            target,
+            // args[3] are the values, args.values is shadowed by Array.prototype.values
+            value: event.args[3][i],
+            calldata: event.args.calldatas[i],
+        })),
+        state,
+        startBlock,
+        endBlock,
+        votingProgress: elapsed / (endBlock - startBlock) * 100,
+        eta: details.eta.toNumber(),
+        forVotes: details.forVotes,
+        againstVotes: details.againstVotes,
+        abstainVotes: details.abstainVotes,
+        quorum,
+        hasVoted,
+    };
+}
+
+// royalties and extension fees are credited to MeltyFiDAO inside MeltyFiNFT, in Ether or in any payment token ever accepted,
+// until someone withdraws them to the DAO
+async function loadTreasury(meltyfi, provider, daoAddress, timelockAddress) {
+    const events = await queryFilterInRanges(meltyfi, meltyfi.filters.AmountChocoChipPerTokenChanged(), deploymentBlockMeltyFiNFT);
+    const tokens = [ETHER.address, ...new Set(events.map((event) => event.args.token))];
+    return Promise.all(tokens.map(async (token) => {
+        const balanceOf = isEther(token)
+            ? (account) => provider.getBalance(account)
+            : (account) => new ethers.Contract(token, ERC20_ABI, provider).balanceOf(account);
+        const [currency, credited, daoBalance, timelockBalance] = await Promise.all([
+            loadPaymentToken(token),
+            meltyfi.withdrawableBalance(token, daoAddress),
+            balanceOf(daoAddress),
+            balanceOf(timelockAddress),
+        ]);
+        return { currency, credited, total: credited.add(daoBalance).add(timelockBalance) };
+    }));
+}
+
+async function loadDaoData(address) {
+    const provider = sdk.getProvider();
+    const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, provider);
+    const [daoAddress, chocoChipAddress] = await Promise.all([
+        meltyfi.addressMeltyFiDAO(),
+        meltyfi.addressChocoChip(),
+    ]);
+    const dao = new ethers.Contract(daoAddress, MeltyFiDAO, provider);
+    const chocoChip = new ethers.Contract(chocoChipAddress, ChocoChip, provider);
+    const [timelockAddress, blockNumber, quorumNumerator, votingPeriod] = await Promise.all([
+        dao.timelock(),
+        provider.getBlockNumber(),
+        dao["quorumNumerator()"](),
+        dao.votingPeriod(),
+    ]);
+    const [treasury, totalSupply, quorum, votes, delegatee, events] = await Promise.all([
+        loadTreasury(meltyfi, provider, daoAddress, timelockAddress),
+        chocoChip.totalSupply(),
+        dao.quorum(blockNumber - 1),
+        address === undefined ? ethers.constants.Zero : dao.getVotes(address, blockNumber - 1),
+        address === undefined ? ethers.constants.AddressZero : chocoChip.delegates(address),
+        // MeltyFiDAO is deployed before MeltyFiNFT, which has to exist before any proposal can touch the protocol
+        queryFilterInRanges(dao, dao.filters.ProposalCreated(), deploymentBlockMeltyFiNFT),
+    ]);
+    const proposals = await Promise.all(events.map((event) => loadProposal(dao, event, blockNumber, address)));
+    return {
+        daoAddress,
+        timelockAddress,
+        targets: [
+            { name: "MeltyFiNFT", address: addressMeltyFiNFT, abi: MeltyFiNFT },
+            { name: "ChocoChip", address: chocoChipAddress, abi: ChocoChip },
+            { name: "MeltyFiDAO", address: daoAddress, abi: MeltyFiDAO },
+        ],
+        treasury,
+        totalSupply,
+        quorum,
+        quorumNumerator: quorumNumerator.toNumber(),
+        votingPeriod: votingPeriod.toNumber(),
+        votes,
+        delegatee,
+        proposals: proposals.reverse(),
+    };
+}
+
+// `onDone` is called once the transaction is confirmed
+async function sendDaoTransaction(description, daoAddress, method, args, onDone) {
+    try {
+        const dao = new ethers.Contract(daoAddress, MeltyFiDAO, await connectWallet());
+        await sendTransaction(description, dao, method, args);
+        onDone();
+    }
+    catch (err) {
+        // connectWallet and sendTransaction already showed the decoded failure in a toast
+    }
+}
+
+function formatChoc(amount) {
+    return Number(ethers.utils.formatEther(amount)).toLocaleString();
+}
+
+function VoteForm(props) {
+    const [support, setSupport] = useState(1);
+    const [reason, setReason] = useState("");
+    return <Form>
+        <Row className="pb-2">
+            <Col>
+                <Form.Select className="BgColor2 TextColor1" value={support} onChange={(event) => setSupport(Number(event.target.value))}>
+                    {voteTypes.map(([name, value]) => <option key={value} value={value}>{name}</option>)}
+                </Form.Select>
+            </Col>
+            <Col>
+                <Form.Control className="BgColor2 TextColor1" placeholder="Reason (optional)" value={reason}
+                    onChange={(event) => setReason(event.target.value)} />
+            </Col>
+        </Row>
+        <Button className="CardButton" onClick={() =>
+            sendDaoTransaction(`Vote ${voteTypes[support][0]} "${props.title}"`, props.daoAddress, "castVoteWithReason",
+                [props.proposalId, support, reason], props.onDone)
+        }>
+            Vote
+        </Button>
+    </Form>
+}
+
+function getProposalCards(data, address, reload) {
+    const now = Date.now() / 1000;
+    const cards = data.proposals.map((proposal) => {
+        const quorumReached = proposal.forVotes.gte(proposal.quorum);
+        const quorumPercentage = proposal.quorum.isZero() ? 100 : Math.min(proposal.forVotes.mul(100).div(proposal.quorum).toNumber(), 100);
+        let action;
+        if (proposal.state === proposalState.ACTIVE && address !== undefined) {
+            action = proposal.hasVoted
+                ? <Button className="CardButton" disabled={true}>Already voted</Button>
+                : <VoteForm daoAddress={data.daoAddress} proposalId={proposal.proposalId} title={proposal.title} onDone={reload} />;
+        } else if (proposal.state === proposalState.SUCCEEDED) {
+            action = <Button className="CardButton" onClick={() =>
+                sendDaoTransaction(`Queue "${proposal.title}"`, data.daoAddress, "queue(uint256)", [proposal.proposalId], reload)
+            }>Queue in the timelock</Button>;
+        } else if (proposal.state === proposalState.QUEUED) {
+            action = <Button className="CardButton" disabled={now < proposal.eta} onClick={() =>
+                sendDaoTransaction(`Execute "${proposal.title}"`, data.daoAddress, "execute(uint256)", [proposal.proposalId], reload)
+            }>
+                {now < proposal.eta ? `Executable from ${new Date(proposal.eta * 1000).toLocaleString()}` : "Execute"}
+            </Button>;
+        }
+        return <Col xs={12} key={proposal.proposalId.toString()} className="pb-4">
+            <Card className="BgColor1 TextColor2 text-start">
+                <Card.Body>
+                    <Card.Title>{proposal.title}</Card.Title>
+                    <Card.Text>
+                        {proposal.body && <li className="NoDot">{proposal.body}</li>}
+                        <li className="NoDot"><b>State:</b> {proposalStateNames[proposal.state]}</li>
+                        <li className="NoDot"><b>Proposer:</b> {proposal.proposer.slice(0, 6)}...{proposal.proposer.slice(-4)}</li>
+                        <li className="NoDot"><b>Actions:</b> {proposal.actions.map((a) =>
+                            `${a.target.slice(0, 6)}...${a.target.slice(-4)} ${a.calldata.slice(0, 10)}${a.value.isZero() ? "" : ` (${ethers.utils.formatEther(a.value)} ETH)`}`
+                        ).join(", ")}</li>
+                        <li className="NoDot"><b>Votes:</b> {formatChoc(proposal.forVotes)} for, {formatChoc(proposal.againstVotes)} against, {formatChoc(proposal.abstainVotes)} abstain</li>
+                        <li className="NoDot"><b>Quorum:</b> {formatChoc(proposal.forVotes)}/{formatChoc(proposal.quorum)} CHOC {quorumReached ? "(reached)" : ""}</li>
+                    </Card.Text>
+                    <ProgressBar className="mb-2" variant={quorumReached ? "success" : "warning"} now={quorumPercentage} label="quorum" />
+                    <ProgressBar className="mb-3" now={proposal.votingProgress}
+                        label={proposal.state === proposalState.PENDING ? "voting not started" : `blocks ${proposal.startBlock}-${proposal.endBlock}`} />
+                    {action}
+                </Card.Body>
+            </Card>
+        </Col>
+    });
+    return <Row>{cards}</Row>;
+}
+
+function Dao() {
+    const address = useAddress();
+    const [data, setData] = useState(undefined);
+    // a failure of the node is shown instead of the DAO
+    const reload = () => loadDaoData(address).then(setData, (error) => setData({ error: decodeRevertReason(error) }));
+    useEffect(() => {
+        loadDaoData(address).then(setData, (error) => setData({ error: decodeRevertReason(error) }));
+    }, [address]);
+
+    if (data === undefined) {
+        return <Container className="PleaseLogin"><h1>Loading the MeltyFi DAO...</h1></Container>;
+    }
+    if (data.error !== undefined) {
+        return <Container className="PleaseLogin"><h1>The MeltyFi DAO could not be loaded</h1><p>{data.error}</p></Container>;
+    }
+    return <Container>
+        <Row className="pb-4">
+            <Col className="ChocoBalanceBox m-2" align="center">
+                <h3 className="ChocoBalanceText">{formatAmount(data.treasury[0].total, ETHER)}</h3>
+                <div>Treasury, from the WonkaBar royalties and the extension fees</div>
+                {data.treasury.slice(1).filter(({ total }) => !total.isZero()).map(({ currency, total }) =>
+                    <div key={currency.address}>and {formatAmount(total, currency)}</div>
+                )}
+            </Col>
+            <Col className="ChocoBalanceBox m-2" align="center">
+                <h3 className="ChocoBalanceText">{formatChoc(data.quorum)} CHOC</h3>
+                <div>Quorum, {data.quorumNumerator}% of {formatChoc(data.totalSupply)} CHOC</div>
+            </Col>
+            <Col className="ChocoBalanceBox m-2" align="center">
+                <h3 className="ChocoBalanceText">{formatChoc(data.votes)} CHOC</h3>
+                <div>{address === undefined ? "Connect your wallet to vote" :
+                    data.delegatee === ethers.constants.AddressZero ? "Your votes, delegate your ChocoChips to vote" : "Your votes"}</div>
+            </Col>
+        </Row>
+        <Row className="pb-4">
+            <Col>
+                <h4 align="center" className="pb-2">Credited to the DAO by MeltyFi, anyone can withdraw it to the DAO</h4>
+                <ClaimableBalances address={data.daoAddress} onChange={reload}
+                    balances={data.treasury.filter(({ credited }) => !credited.isZero()).map(({ currency, credited }) => ({ currency, amount: credited }))} />
+            </Col>
+        </Row>
+        <Row className="pb-4">
+            <Col align="center">
+                <div className="pb-2">Voting lasts {data.votingPeriod} blocks, approved proposals are executed through the timelock</div>
+                {address !== undefined && <CreateProposal daoAddress={data.daoAddress} targets={data.targets} onCreated={reload} />}
+            </Col>
+        </Row>
+        <h2 align="center" className="pb-3">Proposals</h2>
+        {data.proposals.length > 0 ? getProposalCards(data, address, reload) : <p align="center">No proposals yet</p>}
+    </Container>;
+}
+
+export default Dao;
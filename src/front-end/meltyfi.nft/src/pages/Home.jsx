@@ -1,5 +1,7 @@
 import { Container, Row, Col } from "react-bootstrap";
 import logo from "../images/circleLogo.png";
+import ProtocolStats from "../components/protocolStats";
+import { isIndexerEnabled } from "../utils/indexerApi";
 
 function Home() {
     return (
@@ -40,6 +42,10 @@ function Home() {
                     owners. Plus every wonkabar holder is rewarded with ChocoCips.
                 </h4>
             </Row>
+            {isIndexerEnabled() && <Row className='HomeParagraph'>
+                <h1>The protocol in numbers</h1>
+                <ProtocolStats />
+            </Row>}
 
         </Container>
     );
@@ -1,121 +1,169 @@
 import LotteryCard from '../components/lotteryCard.jsx';
-import { Row, Col, Tabs, Tab } from 'react-bootstrap';
-import MeltyFiNFT from "../ABIs/MeltyFiNFT.json";
+import { Row, Col, Tabs, Tab, Button, Pagination } from 'react-bootstrap';
 import { useEffect, useState } from "react";
-import { addressMeltyFiNFT, sdk } from "../App";
+import { useSearchParams } from 'react-router-dom';
+import { lotteryState, prizeStandard } from "../App";
+import { subscribeToLotteryEvents } from '../utils/lotteryEvents';
+import { loadActiveLotteries, loadAwaitingRandomnessLotteries, loadLotteries } from '../utils/lotteryLoader';
+import { lotteryQueryToIndexerParams, lotteryQueryToSearchParams, parseLotteryQuery } from '../utils/lotteryQuery';
+import { fetchIndexedLotteries, fetchIndexedStats, isIndexerEnabled } from '../utils/indexerApi';
+import { loadPaymentToken } from '../utils/paymentTokens';
 import BuyWonkaBar from '../components/buyWonkaBar.jsx';
+import LotteryToolbar from '../components/lotteryToolbar.jsx';
 import NftCard from '../components/nftCard.jsx';
 import CreateLottery from '../components/createLottery';
 import { ethers } from "ethers";
-import axios from 'axios';
+import { discoverNFTs } from '../utils/nftDiscovery';
 
 
 
-async function getLotteryInfo(meltyfi, lottery) {
+const PAGE_SIZE = 12;
+// pages linked around the current one in the pagination
+const PAGE_LINKS = 2;
 
-    let lotteryId = parseInt(lottery);
-    let [expirationDate, , , prizeContract, prizeTokenId, , , wonkaBarsSold, wonkaBarsMaxSupply, wonkaBarPrice] = await meltyfi.call(
-        "getLottery", lotteryId);
 
-    let contract = await sdk.getContract(prizeContract, "nft-collection");
+// the price is shown in the whole units of the payment token of the lottery, and kept in its smallest unit to buy WonkaBars
+function formatLottery(lottery) {
+    return { ...lottery, formattedPrice: ethers.utils.formatUnits(lottery.wonkaBarPrice, lottery.currency.decimals) };
+}
+
+
+// lotteries awaiting randomness are no longer active, but are shown until their winner is drawn
+const BROWSED_STATES = ["ACTIVE", "AWAITING_RANDOMNESS"];
 
-    let [nft, collection] = await Promise.all([
-        contract.get(prizeTokenId),
-        contract.call("name"),
-    ]);
 
-    expirationDate = new Date(Number(expirationDate) * 1000);
-    wonkaBarsMaxSupply = Number(wonkaBarsMaxSupply);
-    wonkaBarsSold = Number(wonkaBarsSold);
-    wonkaBarPrice = ethers.utils.formatEther(parseInt(wonkaBarPrice));
+// the indexer searches, filters, sorts and pages the lotteries, then only the lotteries of the page are read from the chain
+async function searchLotteries(query) {
+    const stats = await fetchIndexedStats();
+    const currencies = await Promise.all(stats.paymentTokens.map(loadPaymentToken));
+    const { total, lotteries } = await fetchIndexedLotteries({
+        ...lotteryQueryToIndexerParams(query, currencies.find(({ address }) => address === query.currency)),
+        state: BROWSED_STATES.join(","),
+        offset: (query.page - 1) * PAGE_SIZE,
+        limit: PAGE_SIZE,
+    });
     return {
-        lotteryId,
-        name: nft.metadata.name,
-        image: nft.metadata.image,
-        prizeTokenId: nft.metadata.id,
-        collection,
-        expirationDate,
-        wonkaBarsMaxSupply,
-        wonkaBarsSold,
-        wonkaBarPrice,
+        lotteries: await loadLotteries(lotteries.map(({ id }) => id)),
+        total,
+        browsable: BROWSED_STATES.reduce((sum, state) => sum + stats.lotteriesByState[state], 0),
+        currencies,
     };
 }
 
+// without the indexer MeltyFiNFT only lists the lotteries by ID, so they are shown a page at a time, unfiltered:
+// the ones awaiting randomness first, then the active ones
+async function pageLotteries(query) {
+    const offset = (query.page - 1) * PAGE_SIZE;
+    const awaiting = await loadAwaitingRandomnessLotteries(offset, PAGE_SIZE);
+    const active = await loadActiveLotteries(Math.max(offset - awaiting.total, 0), PAGE_SIZE - awaiting.lotteries.length);
+    const total = awaiting.total + active.total;
+    return { lotteries: [...awaiting.lotteries, ...active.lotteries], total, browsable: total, currencies: [] };
+}
+
+async function getLotteries(query) {
+    const result = await (isIndexerEnabled() ? searchLotteries(query) : pageLotteries(query));
+    return { ...result, lotteries: result.lotteries.map(formatLottery) };
+}
 
-async function getLotteries() {
-    const meltyfi = await sdk.getContract(addressMeltyFiNFT, MeltyFiNFT);
-    const lotteriesId = await meltyfi.call("activeLotteryIds");
-    const lotteries = [];
 
-    for (const lottery of lotteriesId) {
-        const lotteryInfo = await getLotteryInfo(meltyfi, lottery);
-        lotteries.push(lotteryInfo);
+function LotteryPagination({ page, pages, onChange }) {
+    if (pages <= 1) {
+        return null;
     }
-    return lotteries;
+    const first = Math.max(1, page - PAGE_LINKS);
+    const last = Math.min(pages, page + PAGE_LINKS);
+    const items = [];
+    for (let i = first; i <= last; i++) {
+        items.push(<Pagination.Item key={i} active={i === page} onClick={() => onChange(i)}>{i}</Pagination.Item>);
+    }
+    return <Pagination className='justify-content-center'>
+        <Pagination.First disabled={page === 1} onClick={() => onChange(1)} />
+        <Pagination.Prev disabled={page === 1} onClick={() => onChange(page - 1)} />
+        {items}
+        <Pagination.Next disabled={page === pages} onClick={() => onChange(page + 1)} />
+        <Pagination.Last disabled={page === pages} onClick={() => onChange(pages)} />
+    </Pagination>;
 }
 
 
 function RenderLotteries() {
-    const [lotteries, setLotteries] = useState([]);
+    const [result, setResult] = useState(undefined);
+    // the search, filters, order and page are kept in the query string, so that they can be shared and bookmarked
+    const [searchParams, setSearchParams] = useSearchParams();
+    const query = parseLotteryQuery(searchParams);
+    const queryString = searchParams.toString();
     useEffect(() => {
-        getLotteries().then(setLotteries)
-    }, []);
+        const currentQuery = parseLotteryQuery(new URLSearchParams(queryString));
+        // answers to a previous query, e.g. while typing a search, are dropped
+        let current = true;
+        const load = () => getLotteries(currentQuery).then((loaded) => current && setResult(loaded));
+        load();
+        const unsubscribe = subscribeToLotteryEvents(load);
+        return () => {
+            current = false;
+            unsubscribe();
+        };
+    }, [queryString]);
+
+    // typing in the toolbar replaces the current history entry, instead of adding one per key
+    const changeQuery = (changes) => setSearchParams(lotteryQueryToSearchParams({ ...query, ...changes }), { replace: true });
+    const changePage = (page) => {
+        setSearchParams(lotteryQueryToSearchParams({ ...query, page }));
+        window.scrollTo(0, 0);
+    };
+
+    if (result === undefined) {
+        return <h3 className='LotteriesTitle'>Loading the lotteries...</h3>;
+    }
+    const { lotteries, total, browsable, currencies } = result;
+    const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
 
     const cards = lotteries.map((lottery) => {
         const dateString = lottery.expirationDate.toLocaleString();
+        const awaitingRandomness = lottery.state === lotteryState.AWAITING_RANDOMNESS;
         const text = <p>
+            {awaitingRandomness && <li className='NoDot'> <b>State:</b> Drawing the winner </li>}
             <li className='NoDot'> <b>Expiry date:</b> {dateString} </li>
-            <li className='NoDot'> <b>WonkaBar price:</b> {lottery.wonkaBarPrice < 0.00001 ? "< 0.00001" : lottery.wonkaBarPrice} ETH</li>
+            <li className='NoDot'> <b>WonkaBar price:</b> {lottery.formattedPrice < 0.00001 ? "< 0.00001" : lottery.formattedPrice} {lottery.currency.symbol}</li>
             <li className='NoDot'> <b>Sold WonkaBars:</b> {lottery.wonkaBarsSold}/{lottery.wonkaBarsMaxSupply}</li>
+            {lottery.interestPercentage > 0 && <li className='NoDot'> <b>Interest if repaid:</b> {lottery.interestPercentage}% yearly </li>}
         </p>;
-        const buyWonkaBar = <BuyWonkaBar nftImg={lottery.image} tokenId={lottery.prizeTokenId} collection={lottery.collection}
-            lotteryId={lottery.lotteryId} expirationDate={dateString} wonkaBarPrice={lottery.wonkaBarPrice} />;
-        return <Col>
+        const buyWonkaBar = awaitingRandomness
+            ? <Button className="CardButton" disabled={true}>Waiting for randomness</Button>
+            : <BuyWonkaBar lottery={lottery} />;
+        return <Col key={lottery.lotteryId}>
             {LotteryCard({
-                src: lottery.image,
-                tokenId: lottery.prizeTokenId,
-                collection: lottery.collection,
+                prizes: lottery.prizes,
                 text: text,
                 lotteryId: lottery.lotteryId,
                 action: buyWonkaBar
             })}
         </Col>
     });
-    return <Row align='center'>{cards}</Row>
+    return <>
+        {isIndexerEnabled()
+            ? <LotteryToolbar query={query} currencies={currencies} onChange={changeQuery} />
+            : <p align='center'>Search, filters and sorting need the MeltyFi indexer, the active lotteries are listed by ID</p>}
+        <p align='center'>
+            {total === browsable ? `${total} lotteries` : `${total} of ${browsable} lotteries match`}
+        </p>
+        <Row align='center'>{cards}</Row>
+        <LotteryPagination page={Math.min(query.page, pages)} pages={pages} onChange={changePage} />
+    </>
 }
 
 
 async function getNFTs() {
-
-    async function getAssets() {
-        try {
-            const provider = new ethers.providers.Web3Provider(window.ethereum)
-            await provider.send("eth_requestAccounts", []);
-            const signer = provider.getSigner()
-            const address = await signer.getAddress()
-            const response = await axios.get('https://testnets-api.opensea.io/api/v1/assets?format=json&owner=' + address);
-            const assets = response.data.assets;
-            return assets;
-        } catch (error) {
-            console.error(error);
-        }
-    }
-
-    let nfts = await getAssets();
-    let nftsInfo = [];
-
-    for (const nft of nfts) {
-        if (nft.asset_contract.schema_name === "ERC721") {
-            const image = nft.image_url;
-            const collection = nft.asset_contract.name;
-            const tokenId = nft.token_id;
-            const contract = nft.asset_contract.address;
-            const nftInfo = { image, collection, tokenId, contract }
-            nftsInfo.push(nftInfo);
-        }
+    try {
+        const provider = new ethers.providers.Web3Provider(window.ethereum)
+        await provider.send("eth_requestAccounts", []);
+        const address = await provider.getSigner().getAddress()
+        const nfts = await discoverNFTs(address);
+        return nfts.map(({ image, collection, tokenId, contract, standard, amount }) => ({ image, collection, tokenId, contract, standard, amount }));
+    } catch (error) {
+        console.error(error);
+        return [];
     }
-
-    return nftsInfo;
 }
 
 function RenderNFTs() {
@@ -125,11 +173,13 @@ function RenderNFTs() {
     }, []);
 
     const cards = nfts.map((nft) => {
-        const createLottery = <CreateLottery nftImg={nft.image} tokenId={nft.tokenId} collection={nft.collection} contract={nft.contract} />;
+        const createLottery = <CreateLottery nftImg={nft.image} tokenId={nft.tokenId} collection={nft.collection} contract={nft.contract}
+            standard={nft.standard} amount={nft.amount} />;
         return <Col>
             {NftCard({
                 src: nft.image,
                 tokenId: nft.tokenId,
+                amount: nft.standard === prizeStandard.ERC1155 ? nft.amount : undefined,
                 collection: nft.collection,
                 action: createLottery
             })}
@@ -0,0 +1,267 @@
+import { Card, Col, Container, Row, ProgressBar } from "react-bootstrap";
+import { useAddress } from "@thirdweb-dev/react";
+import { useParams } from "react-router-dom";
+import { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import BuyWonkaBar from "../components/buyWonkaBar.jsx";
+import PrizeGallery from "../components/prizeGallery";
+import { lotteryState, sdk } from "../App";
+import { fetchLotteryEvents, getLotteryHistory, subscribeToLotteryEvents } from "../utils/lotteryEvents";
+import { fetchIndexedLottery, isIndexerEnabled } from "../utils/indexerApi";
+import { formatPrize, formatPrizes, loadLottery, loadWonkaBarHolders } from "../utils/lotteryLoader";
+import { formatAmount } from "../utils/paymentTokens";
+import { explorerAddressUrl, explorerTransactionUrl } from "../utils/transactions";
+import { decodeRevertReason } from "../utils/revertReason";
+
+
+const lotteryStateNames = {
+    [lotteryState.ACTIVE]: "Active",
+    [lotteryState.CANCELLED]: "Cancelled, the loan was repaid",
+    [lotteryState.CONCLUDED]: "Concluded",
+    [lotteryState.TRASHED]: "Closed",
+    [lotteryState.AWAITING_RANDOMNESS]: "Drawing the winner",
+};
+
+const historyLabels = {
+    LotteryCreated: "Created",
+    LoanPartiallyRepaid: "Part of the loan repaid",
+    LotteryExtended: "Extended",
+    LoanRepaid: "Loan repaid, lottery cancelled",
+    DrawRequested: "Winner requested to Chainlink VRF",
+    WinnerChosen: "Winner chosen",
+    LotteryTrashed: "Closed",
+};
+
+
+function shortAddress(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function formatPercentage(part, total) {
+    return `${(total === 0 ? 0 : part / total * 100).toFixed(2)}%`;
+}
+
+function formatCountdown(milliseconds) {
+    const seconds = Math.floor(milliseconds / 1000);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${Math.floor(seconds / 86400)}d ${pad(Math.floor(seconds / 3600) % 24)}h ${pad(Math.floor(seconds / 60) % 60)}m ${pad(seconds % 60)}s`;
+}
+
+function AddressLink({ address, viewer }) {
+    const url = explorerAddressUrl(address);
+    return <>
+        {url === undefined ? shortAddress(address) : <a href={url}>{shortAddress(address)}</a>}
+        {address === viewer && " (you)"}
+    </>;
+}
+
+// the holders and the history are served by the indexer when it is set, else read from the chain and the cached MeltyFiNFT events
+async function loadActivity(lotteryId) {
+    if (isIndexerEnabled()) {
+        try {
+            const { holders, history } = await fetchIndexedLottery(lotteryId);
+            return [holders, history];
+        } catch (error) {
+            // the indexer may not have reached the block of a new lottery yet
+            console.error(`Lottery ${lotteryId} not served by the MeltyFi indexer`, error);
+        }
+    }
+    const [holders, events] = await Promise.all([loadWonkaBarHolders(lotteryId), fetchLotteryEvents()]);
+    return [holders, getLotteryHistory(events, lotteryId)];
+}
+
+// the time of a change is the one of the block it was mined in
+async function withDates(history) {
+    const blocks = await Promise.all([...new Set(history.map((entry) => entry.blockNumber))]
+        .map((blockNumber) => sdk.getProvider().getBlock(blockNumber)));
+    const timestamps = Object.fromEntries(blocks.map((block) => [block.number, block.timestamp]));
+    return history.map((entry) => ({ ...entry, date: new Date(timestamps[entry.blockNumber] * 1000) }));
+}
+
+async function loadLotteryData(lotteryId) {
+    const lottery = await loadLottery(lotteryId);
+    if (lottery === undefined) {
+        return { lottery: undefined };
+    }
+    const [holders, history] = await loadActivity(lotteryId);
+    return { lottery, holders, history: await withDates(history) };
+}
+
+function Countdown({ date }) {
+    const [now, setNow] = useState(Date.now());
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, []);
+    if (date.getTime() <= now) {
+        return <>Expired on {date.toLocaleString()}</>;
+    }
+    return <>{formatCountdown(date.getTime() - now)} left, until {date.toLocaleString()}</>;
+}
+
+function getPrizeCards(prizes) {
+    const cards = prizes.map((prize, i) =>
+        <Col key={i} className="pb-3">
+            <Card className="BgColor1 TextColor2 text-start h-100">
+                <Card.Img variant="top" src={prize.image} alt={prize.name} />
+                <Card.Body>
+                    <Card.Title>{prize.name}</Card.Title>
+                    <Card.Text>
+                        <li className="NoDot"><b>Token:</b> {formatPrize(prize)}</li>
+                        <li className="NoDot"><b>Contract:</b> <AddressLink address={prize.prizeContract} /></li>
+                        {prize.description && <li className="NoDot pt-2">{prize.description}</li>}
+                    </Card.Text>
+                    {prize.attributes.length > 0 && <>
+                        <Card.Subtitle className="pb-2">Traits</Card.Subtitle>
+                        {prize.attributes.map((attribute, j) =>
+                            <li className="NoDot" key={j}>
+                                <b>{attribute.trait_type || "Trait"}:</b> {String(attribute.value)}
+                            </li>
+                        )}
+                    </>}
+                </Card.Body>
+            </Card>
+        </Col>
+    );
+    return <Row xs={1} md={prizes.length > 1 ? 2 : 1}>{cards}</Row>;
+}
+
+// what happened to the prize and to the WonkaBars, also once every WonkaBar is melted and the lottery is closed
+function getOutcome(lottery, history) {
+    const refunded = history.some((entry) => entry.event === "LoanRepaid");
+    if (lottery.winner !== ethers.constants.AddressZero) {
+        const partialRefund = lottery.refundPerWonkaBar.isZero() ? "" :
+            `, every WonkaBar is refunded ${formatAmount(lottery.refundPerWonkaBar, lottery.currency)} repaid before the draw`;
+        return <>
+            Won by <AddressLink address={lottery.winner} />, the prize {lottery.prizeClaimed ? "was claimed" : "is not claimed yet"}{partialRefund}
+        </>;
+    }
+    if (refunded) {
+        return lottery.wonkaBarsSold === 0
+            ? "The owner repaid the loan and got the prize back"
+            : `The owner repaid the loan and got the prize back, every WonkaBar is refunded ${formatAmount(lottery.refundPerWonkaBar, lottery.currency)}`;
+    }
+    if (lottery.state === lotteryState.TRASHED) {
+        return "No WonkaBar was sold, the prize went back to the owner";
+    }
+    if (lottery.state === lotteryState.AWAITING_RANDOMNESS) {
+        return "The winner is being drawn among the WonkaBars";
+    }
+    if (!lottery.refundPerWonkaBar.isZero()) {
+        return `The owner is repaying the loan, every WonkaBar is credited ${formatAmount(lottery.refundPerWonkaBar, lottery.currency)} so far`;
+    }
+    return "A WonkaBar is drawn as winner at the expiration date, unless the owner repays the loan";
+}
+
+function getWinChance(lottery, balance, address) {
+    if (address === undefined) {
+        return "Connect your wallet to see your chances";
+    }
+    if (lottery.winner !== ethers.constants.AddressZero) {
+        return lottery.winner === address ? "You won the prize" : "You did not win";
+    }
+    if (balance === 0) {
+        return "You hold no WonkaBars";
+    }
+    if (lottery.state === lotteryState.ACTIVE) {
+        return `${formatPercentage(balance, lottery.wonkaBarsSold)} with your ${balance} WonkaBars, ` +
+            `at least ${formatPercentage(balance, lottery.wonkaBarsMaxSupply)} if every WonkaBar is sold`;
+    }
+    if (lottery.state === lotteryState.AWAITING_RANDOMNESS) {
+        return `${formatPercentage(balance, lottery.wonkaBarsSold)} with your ${balance} WonkaBars`;
+    }
+    return `You hold ${balance} WonkaBars, to be melted for the refund and the ChocoChips`;
+}
+
+function getHolderRows(holders, address) {
+    // melted WonkaBars are burned, so the shares are of the WonkaBars still held
+    const total = holders.reduce((sum, { balance }) => sum + balance, 0);
+    if (holders.length === 0) {
+        return "Nobody holds WonkaBars of this lottery";
+    }
+    return holders.map(({ holder, balance }) =>
+        <Row key={holder} className="pb-2">
+            <Col xs={4}><AddressLink address={holder} viewer={address} /></Col>
+            <Col xs={3}>{balance} WonkaBars</Col>
+            <Col><ProgressBar now={balance / total * 100} label={formatPercentage(balance, total)} /></Col>
+        </Row>
+    );
+}
+
+function getHistoryRows(history, lottery) {
+    return history.map((entry) => {
+        let details;
+        if (entry.event === "LoanPartiallyRepaid") {
+            details = `${formatAmount(entry.args.refundPerWonkaBar, lottery.currency)} per WonkaBar`;
+        } else if (entry.event === "LotteryExtended") {
+            details = `until ${new Date(entry.args.expirationDate.toNumber() * 1000).toLocaleString()}`;
+        } else if (entry.event === "WinnerChosen") {
+            details = shortAddress(entry.args.winner);
+        }
+        // trashed lotteries served by the indexer have no transaction, and local nodes no explorer
+        const url = entry.transactionHash && explorerTransactionUrl(entry.transactionHash);
+        return <li className="NoDot" key={`${entry.transactionHash}-${entry.event}`}>
+            <b>{entry.date.toLocaleString()}:</b> {historyLabels[entry.event]}{details && ` (${details})`} {url && <a href={url}>tx</a>}
+        </li>
+    });
+}
+
+function Lottery() {
+    const { id } = useParams();
+    const lotteryId = Number(id);
+    const address = useAddress();
+    const [data, setData] = useState(undefined);
+    useEffect(() => {
+        if (!Number.isInteger(lotteryId) || lotteryId < 0) {
+            setData({ lottery: undefined });
+            return;
+        }
+        // a failure of the node or of the indexer is shown instead of the lottery
+        const load = () => loadLotteryData(lotteryId).then(setData, (error) => setData({ error: decodeRevertReason(error) }));
+        load();
+        return subscribeToLotteryEvents(load);
+    }, [lotteryId]);
+
+    if (data === undefined) {
+        return <Container className="PleaseLogin"><h1>Loading the lottery...</h1></Container>;
+    }
+    if (data.error !== undefined) {
+        return <Container className="PleaseLogin"><h1>Lottery #{id} could not be loaded</h1><p>{data.error}</p></Container>;
+    }
+    const { lottery, holders, history } = data;
+    if (lottery === undefined) {
+        return <Container className="PleaseLogin"><h1>Lottery #{id} does not exist</h1></Container>;
+    }
+    const holding = holders.find(({ holder }) => holder === address);
+    const balance = holding === undefined ? 0 : holding.balance;
+
+    return <Container>
+        <h1 className="LotteriesTitle">Lottery #{lottery.lotteryId}: {formatPrizes(lottery.prizes)}</h1>
+        <Row>
+            <Col md={5} align="center" className="pb-3">
+                <Card className="Card h-auto"><PrizeGallery prizes={lottery.prizes} /></Card>
+            </Col>
+            <Col md={7}>
+                <Card body className="BgColor1 TextColor2 text-start">
+                    <li className="NoDot"><b>State:</b> {lotteryStateNames[lottery.state]}</li>
+                    <li className="NoDot"><b>Owner:</b> <AddressLink address={lottery.owner} viewer={address} /></li>
+                    <li className="NoDot"><b>Expiration:</b> <Countdown date={lottery.expirationDate} /></li>
+                    <li className="NoDot"><b>WonkaBar price:</b> {formatAmount(lottery.wonkaBarPrice, lottery.currency)}</li>
+                    <li className="NoDot"><b>Sold WonkaBars:</b> {lottery.wonkaBarsSold}/{lottery.wonkaBarsMaxSupply}</li>
+                    {lottery.interestPercentage > 0 && <li className="NoDot"><b>Interest if repaid:</b> {lottery.interestPercentage}% yearly</li>}
+                    <li className="NoDot pt-2"><b>Outcome:</b> {getOutcome(lottery, history)}</li>
+                    <li className="NoDot pb-3"><b>Your chance to win:</b> {getWinChance(lottery, balance, address)}</li>
+                    {lottery.state === lotteryState.ACTIVE && <BuyWonkaBar lottery={lottery} />}
+                </Card>
+            </Col>
+        </Row>
+        <h2 align="center" className="pt-5">Prize</h2>
+        {getPrizeCards(lottery.prizes)}
+        <h2 align="center" className="pt-5">WonkaBar holders</h2>
+        <Card body className="BgColor1 TextColor2 text-start">{getHolderRows(holders, address)}</Card>
+        <h2 align="center" className="pt-5">History</h2>
+        <Card body className="BgColor1 TextColor2 text-start mb-5">{getHistoryRows(history, lottery)}</Card>
+    </Container>;
+}
+
+export default Lottery;
@@ -2,152 +2,154 @@ import { Card, Col, Container, Row } from "react-bootstrap";
 import { useAddress } from "@thirdweb-dev/react";
 import MeltyFiNFT from "../ABIs/MeltyFiNFT.json";
 import ChocoChip from "../ABIs/ChocoChip.json";
+import LogoCollection from "../ABIs/LogoCollection.json";
 import { useEffect, useState } from "react";
 import LotteryCard from "../components/lotteryCard";
-import { addressMeltyFiNFT, sdk } from "../App";
+import VotingPower from "../components/votingPower";
+import ManageLoan from "../components/manageLoan";
+import ClaimableBalances from "../components/claimableBalances";
+import ClaimAll from "../components/claimAll";
+import BadgeGallery from "../components/badgeGallery";
+import { addressMeltyFiNFT, sdk, lotteryState } from "../App";
+import { fetchLotteryEvents, reconstructLotteries, getUserHistory, subscribeToLotteryEvents } from "../utils/lotteryEvents";
+import { amountToRepayAt, interestPerWonkaBarAt, loadLotteries, loadWonkaBarBalances } from "../utils/lotteryLoader";
+import { isIndexerEnabled, fetchIndexedUserHistory } from "../utils/indexerApi";
+import { ETHER, formatAmount, loadPaymentToken } from "../utils/paymentTokens";
+import { connectWallet, explorerAddressUrl, explorerTransactionUrl, sendTransaction } from "../utils/transactions";
 import Button from "react-bootstrap/Button";
 import { ethers } from "ethers";
 
 
-async function asyncFilter(arr, predicate) {
-    const results = await Promise.all(arr.map(predicate));
-    return arr.filter((_v, index) => results[index]);
-}
-
-async function loadLotteries(meltyfi, address) {
-    let [owned, applied] = await Promise.all([
-        asyncFilter(
-            await meltyfi.call("ownedLotteryIds", address),
-            async lottery => (await meltyfi.call("getLottery", lottery))[5] === 0
-        ),
-        meltyfi.call("holderInLotteryIds", address)
+async function getChocoChips(meltyfi, address) {
+    const chocoChipAddress = await meltyfi.call("addressChocoChip");
+    const chocoChip = await sdk.getContract(chocoChipAddress, ChocoChip);
+    // ERC20Votes only counts delegated ChocoChips as votes
+    const [balance, votes, delegatee] = await Promise.all([
+        chocoChip.call("balanceOf", address),
+        chocoChip.call("getVotes", address),
+        chocoChip.call("delegates", address),
     ]);
-    return [owned, applied];
+    return { address: chocoChipAddress, balance, votes, delegatee };
 }
 
-async function loadMetadata(meltyfi, lottery, address) {
-    lottery = parseInt(lottery);
-    // eslint-disable-next-line no-unused-vars
-    let [expirationDate, _, owner, prizeContract, prizeTokenId, state, winner, wonkaBarsSold, wonkaBarsMaxSupply, wonkaBarPrice] = await meltyfi.call(
-        "getLottery", lottery);
-    let [contract, wonkaBarsOwned] = await Promise.all([
-        sdk.getContract(prizeContract, "nft-collection"),
-        meltyfi.call("balanceOf", address, lottery),
-    ]);
-    let [nft, collection, amountToRepay] = await Promise.all([
-        contract.get(prizeTokenId),
-        contract.call("name"),
-        meltyfi.call("amountToRepay", lottery)
-    ]);
-    expirationDate = new Date(Number(expirationDate) * 1000);
-    wonkaBarsMaxSupply = Number(wonkaBarsMaxSupply);
-    wonkaBarsSold = Number(wonkaBarsSold);
-    wonkaBarsOwned = Number(wonkaBarsOwned);
-    return {
-        lottery,
-        name: nft.metadata.name,
-        image: nft.metadata.image,
-        prizeTokenId: nft.metadata.id,
-        collection,
-        owner,
-        expirationDate,
-        wonkaBarsMaxSupply,
-        wonkaBarsSold,
-        wonkaBarsOwned,
-        wonkaBarPrice,
-        winner,
-        state,
-        amountToRepay
-    };
+// payments are credited by MeltyFiNFT and withdrawn separately, in Ether or in the payment token of any lottery
+async function getClaimableBalances(meltyfi, address, paymentTokens) {
+    const currencies = await Promise.all([...new Set([ETHER.address, ...paymentTokens])].map(loadPaymentToken));
+    const balances = await Promise.all(currencies.map(async (currency) =>
+        ({ currency, amount: await meltyfi.call("withdrawableBalance", currency.address, address) })));
+    return balances.filter(({ amount }) => !amount.isZero());
 }
 
-async function getChocoChips(meltyfi, address) {
-    const chocoChip = await sdk.getContract(await meltyfi.call("addressChocoChip"), ChocoChip);
-    return await chocoChip.call("balanceOf", address);
+// the metadata of the badges is a base64 JSON data URI rendered on chain, whose image is an SVG data URI
+async function getBadges(meltyfi, address) {
+    const logoCollection = await sdk.getContract(await meltyfi.call("addressLogoCollection"), LogoCollection);
+    const totalBadges = (await logoCollection.call("TOTAL_BADGES")).toNumber();
+    const ids = Array.from({ length: totalBadges }, (_, i) => i + 1);
+    return Promise.all(ids.map(async (id) => {
+        const [badge, uri, balance] = await Promise.all([
+            logoCollection.call("badge", id),
+            logoCollection.call("uri", id),
+            logoCollection.call("balanceOf", address, id),
+        ]);
+        const count = await logoCollection.call("actionCount", address, badge.action);
+        const metadata = JSON.parse(atob(uri.slice(uri.indexOf(",") + 1)));
+        return {
+            id,
+            name: badge.name,
+            description: badge.description,
+            image: metadata.image,
+            milestone: badge.milestone.toNumber(),
+            count: count.toNumber(),
+            owned: !balance.isZero(),
+        };
+    }));
 }
 
 async function loadProfileData(address) {
     if (address === undefined)
-        return [[], [], [], 0]
+        return [[], [], undefined, [], [], []]
     const meltyfi = await sdk.getContract(addressMeltyFiNFT, MeltyFiNFT);
-    let [owned, applied] = await loadLotteries(meltyfi, address);
-    let fetched = {};
-    const ownedMetadata = new Array(0);
-    // eslint-disable-next-line no-unused-vars
-    for (const [_, lottery] of Object.entries(owned)) {
-        if (fetched[lottery] === undefined) {
-            const metadata = await loadMetadata(meltyfi, lottery, address)
-            fetched[lottery] = metadata;
-            ownedMetadata.push(metadata);
-        } else {
-            ownedMetadata.push(fetched[lottery]);
-        }
-    }
-    const appliedMetadata = new Array(0);
-    // eslint-disable-next-line no-unused-vars
-    for (const [_, lottery] of Object.entries(applied)) {
-        if (fetched[lottery] === undefined) {
-            const metadata = await loadMetadata(meltyfi, lottery, address)
-            fetched[lottery] = metadata;
-            appliedMetadata.push(metadata);
-        } else {
-            appliedMetadata.push(fetched[lottery]);
-        }
+    const events = await fetchLotteryEvents();
+    // the events tell which lotteries concern the address, their current state is read in a single batch
+    const reconstructed = Object.values(reconstructLotteries(events));
+    const ownedIds = reconstructed
+        .filter((lottery) => lottery.owner === address &&
+            [lotteryState.ACTIVE, lotteryState.AWAITING_RANDOMNESS].includes(lottery.state))
+        .map((lottery) => lottery.lotteryId);
+    const appliedIds = reconstructed
+        .filter((lottery) => lottery.holders[address] > 0)
+        .map((lottery) => lottery.lotteryId);
+    const lotteryIds = [...new Set([...ownedIds, ...appliedIds])];
+    const [lotteries, balances, chocoChips, history, currencies, claimable, badges] = await Promise.all([
+        loadLotteries(lotteryIds),
+        loadWonkaBarBalances(address, lotteryIds),
+        getChocoChips(meltyfi, address),
+        isIndexerEnabled() ? fetchIndexedUserHistory(address) : getUserHistory(events, address),
+        // the amounts in the history are in the payment token of their lottery
+        Promise.all(reconstructed.map(async (lottery) => [lottery.lotteryId, await loadPaymentToken(lottery.paymentToken)])),
+        getClaimableBalances(meltyfi, address, reconstructed.map((lottery) => lottery.paymentToken)),
+        getBadges(meltyfi, address),
+    ]);
+    const currencyOf = Object.fromEntries(currencies);
+    const fetched = {};
+    for (const lottery of lotteries) {
+        fetched[lottery.lotteryId] = {
+            ...lottery,
+            lottery: lottery.lotteryId,
+            wonkaBarsOwned: balances[lottery.lotteryId],
+            // the outstanding balance, without the part of the price of the WonkaBars already repaid and with the interest
+            amountToRepay: amountToRepayAt(lottery, new Date()),
+            interestOwned: interestPerWonkaBarAt(lottery, new Date()).mul(balances[lottery.lotteryId]),
+        };
     }
-    const chocoChips = Number(await getChocoChips(meltyfi, address));
-    return [ownedMetadata, appliedMetadata, chocoChips];
+    return [
+        ownedIds.map((lotteryId) => fetched[lotteryId]),
+        appliedIds.map((lotteryId) => fetched[lotteryId]),
+        chocoChips,
+        history.map((entry) => ({ ...entry, currency: currencyOf[entry.lotteryId] })),
+        claimable,
+        badges,
+    ];
 }
 
 function getOwnedCards(lotteries) {
     const cards = lotteries.map((data) => {
-        const toRepayETH = ethers.utils.formatUnits(data.amountToRepay, "ether");
+        const awaitingRandomness = data.state === lotteryState.AWAITING_RANDOMNESS;
         let text =
             <Card.Text>
+                {awaitingRandomness && <li className="NoDot"><b>State:</b> Drawing the winner</li>}
                 <li className="NoDot"><b>Expire date:</b> {data.expirationDate.toLocaleString()}</li>
                 <li className="NoDot"><b>WonkaBars sold:</b> {data.wonkaBarsSold}/{data.wonkaBarsMaxSupply}</li>
-                <li className="NoDot"><b>To repay:</b> {toRepayETH.toString()} ETH</li>
+                {!awaitingRandomness && <li className="NoDot"><b>Outstanding:</b> {formatAmount(data.amountToRepay, data.currency)}</li>}
+                {data.interestPercentage > 0 && <li className="NoDot"><b>Interest:</b> {data.interestPercentage}% yearly</li>}
             </Card.Text>
         return <Col>
             {LotteryCard({
-                src: data.image,
-                tokenId: data.prizeTokenId,
-                collection: data.collection,
+                prizes: data.prizes,
                 text,
                 lotteryId: data.lottery,
-                action: <Button className='CardButton' onClick={
-                    async () => {
-                        const provider = new ethers.providers.Web3Provider(window.ethereum)
-                        await provider.send("eth_requestAccounts", []);
-                        const signer = provider.getSigner();
-                        let meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, provider);
-                        meltyfi = meltyfi.connect(signer);
-                        const response = await meltyfi.repayLoan(
-                            data.lottery,
-                            { value: ethers.utils.parseEther(toRepayETH.toString()) }
-                        );
-                        console.log("response", response);
-                    }
-                }>
-                    Repay Loan
-                </Button>
+                action: <ManageLoan lottery={data} disabled={awaitingRandomness} />
             })}
         </Col>
     });
     return <Row align='center'>{cards}</Row>;
 }
 
-function getAppliedCards(lotteries, address) {
+function getAppliedCards(lotteries, address, onChange) {
     const cards = lotteries.map((data) => {
         let first_line,
             second_line,
             third_line,
-            fourth_line;
+            fourth_line,
+            fifth_line;
 
         let state;
-        if (data.state === 0) {
+        if (data.state === lotteryState.ACTIVE) {
             state = "Active";
-        } else if (data.state === 1) {
+        } else if (data.state === lotteryState.CANCELLED) {
             state = "Cancelled";
+        } else if (data.state === lotteryState.AWAITING_RANDOMNESS) {
+            state = "Drawing the winner";
         } else {
             state = "Concluded";
         }
@@ -155,50 +157,62 @@ function getAppliedCards(lotteries, address) {
 
         second_line = <li className="NoDot"><b>Expire date:</b> {data.expirationDate.toLocaleString()}</li>
 
-        if (data.state === 0) {
+        if (data.state === lotteryState.ACTIVE || data.state === lotteryState.AWAITING_RANDOMNESS) {
             third_line = <li className="NoDot"><b>WonkaBars sold:</b> {data.wonkaBarsSold}/{data.wonkaBarsMaxSupply}</li>
         } else {
             let winner;
-            if (data.state === 1) {
+            if (data.state === lotteryState.CANCELLED) {
                 winner = "None";
             } else {
-                const url = `https://goerli.etherscan.io/address/${data.winner}`;
-                winner = <a href={url}>{data.winner.slice(0, 6)}...{data.winner.slice(-4)}</a>;
+                const url = explorerAddressUrl(data.winner);
+                const short = `${data.winner.slice(0, 6)}...${data.winner.slice(-4)}`;
+                winner = url === undefined ? short : <a href={url}>{short}</a>;
             }
             third_line = <li className="NoDot"><b>Winner:</b> {winner}</li>
         }
 
-        if (data.state === 0) {
+        if (data.state === lotteryState.ACTIVE || data.state === lotteryState.AWAITING_RANDOMNESS) {
             fourth_line = <li className="NoDot"><b>Win percentage:</b> {data.wonkaBarsOwned / data.wonkaBarsSold * 100}%</li>
+            // paid by the owner only if the loan is repaid
+            if (data.state === lotteryState.ACTIVE && data.interestPercentage > 0) {
+                fifth_line = <li className="NoDot"><b>Interest accrued:</b> {formatAmount(data.interestOwned, data.currency)}</li>
+            }
         } else {
             let receive;
-            if (data.state === 1) {
-                receive = "Refund and CHOC";
+            if (data.state === lotteryState.CANCELLED) {
+                // the whole price of the WonkaBars plus the interest paid by the owner
+                receive = `Refund of ${formatAmount(data.refundPerWonkaBar.mul(data.wonkaBarsOwned), data.currency)} and CHOC`;
             } else {
                 if (data.winner === address) {
                     receive = "Prize and CHOC";
                 } else {
                     receive = "CHOC";
                 }
+                // the owner repaid part of the loan before the lottery was drawn
+                if (!data.refundPerWonkaBar.isZero()) {
+                    receive += `, plus ${formatAmount(data.refundPerWonkaBar.mul(data.wonkaBarsOwned), data.currency)}`;
+                }
             }
             fourth_line = <li className="NoDot"><b>You will receive:</b> {receive}</li>
         }
 
         let action;
-        if (data.state === 0) {
+        if (data.state === lotteryState.ACTIVE || data.state === lotteryState.AWAITING_RANDOMNESS) {
             action = <Button className='CardButton' disabled={true} onClick={() => {
             }}>
                 Melt {data.wonkaBarsOwned} WonkaBars
             </Button>
         } else {
             action = <Button className='CardButton' onClick={async () => {
-                const provider = new ethers.providers.Web3Provider(window.ethereum)
-                await provider.send("eth_requestAccounts", []);
-                const signer = provider.getSigner();
-                let meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, provider);
-                meltyfi = meltyfi.connect(signer);
-                const response = await meltyfi.meltWonkaBars(data.lottery, data.wonkaBarsOwned);
-                console.log("response", response);
+                try {
+                    const meltyfi = new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, await connectWallet());
+                    await sendTransaction(`Melt ${data.wonkaBarsOwned} WonkaBars of lottery #${data.lottery}`, meltyfi, "meltWonkaBars",
+                        [data.lottery, data.wonkaBarsOwned]);
+                    onChange();
+                }
+                catch (err) {
+                    // connectWallet and sendTransaction already showed the decoded failure in a toast
+                }
             }}>
                 Melt {data.wonkaBarsOwned} WonkaBars
             </Button>;
@@ -208,12 +222,11 @@ function getAppliedCards(lotteries, address) {
             {second_line}
             {third_line}
             {fourth_line}
+            {fifth_line}
         </Card.Text>
         return <Col>
             {LotteryCard({
-                src: data.image,
-                tokenId: data.prizeTokenId,
-                collection: data.collection,
+                prizes: data.prizes,
                 text,
                 lotteryId: data.lottery,
                 action
@@ -223,28 +236,67 @@ function getAppliedCards(lotteries, address) {
     return <Row align='center'>{cards}</Row>
 }
 
+const historyLabels = {
+    LotteryCreated: "Created the lottery",
+    WonkaBarsBought: "Bought WonkaBars",
+    LoanPartiallyRepaid: "Repaid part of the loan",
+    LoanRepaid: "Repaid the loan",
+    WinnerChosen: "Won the lottery",
+    WonkaBarsMelted: "Melted WonkaBars",
+};
+
+function getHistoryRows(history) {
+    const rows = history.map((entry) => {
+        let details;
+        if (entry.event === "WonkaBarsBought") {
+            details = `${entry.args.amount} WonkaBars for ${formatAmount(entry.args.totalSpending, entry.currency)}`;
+        } else if (entry.event === "LoanRepaid" || entry.event === "LoanPartiallyRepaid") {
+            details = formatAmount(entry.args.amount, entry.currency);
+        } else if (entry.event === "WonkaBarsMelted") {
+            details = `${entry.args.amount} WonkaBars for ${formatAmount(entry.args.refund, entry.currency)} and ${ethers.utils.formatEther(entry.args.amountChocoChip)} CHOC`;
+        }
+        const url = explorerTransactionUrl(entry.transactionHash);
+        return <li className="NoDot" key={`${entry.transactionHash}-${entry.event}`}>
+            <b>Lottery #{entry.lotteryId}:</b> {historyLabels[entry.event]}{details && ` (${details})`} {url && <a href={url}>tx</a>}
+        </li>
+    });
+    return <Card body>{rows.length > 0 ? rows : "No activity yet"}</Card>;
+}
+
 function Profile() {
     const address = useAddress();
-    const [profileData, setProfileData] = useState([[], [], [], 0]);
+    const [profileData, setProfileData] = useState([[], [], undefined, [], [], []]);
+    const reload = () => loadProfileData(address).then(setProfileData);
     useEffect(() => {
-        loadProfileData(address).then(setProfileData)
+        loadProfileData(address).then(setProfileData);
+        if (address === undefined)
+            return;
+        return subscribeToLotteryEvents(() => loadProfileData(address).then(setProfileData));
     }, [address]);
-    // eslint-disable-next-line no-unused-vars
-    const [owned, applied, chocoChips] = profileData;
+    const [owned, applied, chocoChips, history, claimable, badges] = profileData;
     let profileSection;
     if (address !== undefined) {
         profileSection = <Container>
             <Row>
                 <Col></Col>
                 <Col className='ChocoBalanceBox' align='center'>
-                    <h3 className="ChocoBalanceText">{chocoChips * Math.pow(10, -18)} CHOC</h3>
+                    <h3 className="ChocoBalanceText">{chocoChips === undefined ? 0 : ethers.utils.formatEther(chocoChips.balance)} CHOC</h3>
                 </Col>
                 <Col></Col>
             </Row>
+            <h2 align='center' className="pt-5">Your badges</h2>
+            <Row><BadgeGallery badges={badges} /></Row>
+            <h2 align='center' className="pt-5">Your claimable balance</h2>
+            <Row><ClaimableBalances address={address} balances={claimable} onChange={reload} /></Row>
+            <h2 align='center' className="pt-5">Your voting power</h2>
+            <Row>{chocoChips !== undefined && <VotingPower address={address} chocoChip={chocoChips} onChange={reload} />}</Row>
             <h2 align='center' className="pt-5 ms-0">Your active lotteries</h2>
             <Row>{getOwnedCards(owned)}</Row>
             <h2 align='center' className="pt-5">Your WonkaBars</h2>
-            <Row>{getAppliedCards(applied, address)}</Row>
+            <Row className="pb-3"><Col align='center'><ClaimAll address={address} lotteries={applied} onChange={reload} /></Col></Row>
+            <Row>{getAppliedCards(applied, address, reload)}</Row>
+            <h2 align='center' className="pt-5">Your history</h2>
+            <Row>{getHistoryRows(history)}</Row>
         </Container >;
     } else {
         profileSection =
@@ -0,0 +1,90 @@
+import { ethers } from "ethers";
+import { sendTransaction } from "./transactions";
+
+// EIP-712 types of ERC20Votes and ERC20Permit
+const DELEGATION_TYPES = {
+    Delegation: [
+        { name: "delegatee", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+    ],
+};
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+async function getDomain(token) {
+    const [name, { chainId }] = await Promise.all([token.name(), token.provider.getNetwork()]);
+    // ChocoChip passes its name to ERC20Permit, which uses version "1"
+    return { name, version: "1", chainId, verifyingContract: token.address };
+}
+
+/**
+ * Signs a delegation of the ChocoChip votes of the signer, to be submitted with `delegateBySig` by anyone.
+ *
+ * @param signer wallet signer of the ChocoChip holder.
+ * @param chocoChip ChocoChip contract, connected to a provider.
+ * @param delegatee address receiving the votes.
+ * @param expiry UNIX time after which the signature is no longer valid.
+ * @returns JSON-serializable signed message, with `type: "delegation"`.
+ */
+export async function signDelegation(signer, chocoChip, delegatee, expiry) {
+    const nonce = await chocoChip.nonces(await signer.getAddress());
+    const message = { delegatee: ethers.utils.getAddress(delegatee), nonce: nonce.toString(), expiry: String(expiry) };
+    const signature = await signer._signTypedData(await getDomain(chocoChip), DELEGATION_TYPES, message);
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { type: "delegation", chocoChip: chocoChip.address, ...message, v, r, s };
+}
+
+/**
+ * Signs an allowance of ChocoChips of the signer, to be submitted with `permit` by anyone.
+ * Works with any other ERC20Permit token whose permits use version "1", like the lottery payment tokens.
+ *
+ * @param signer wallet signer of the token holder.
+ * @param token ChocoChip contract, or another ERC20Permit token, connected to a provider.
+ * @param spender address allowed to spend the tokens.
+ * @param value amount of tokens, in their smallest unit.
+ * @param deadline UNIX time after which the signature is no longer valid.
+ * @returns JSON-serializable signed message, with `type: "permit"`.
+ */
+export async function signPermit(signer, token, spender, value, deadline) {
+    const owner = await signer.getAddress();
+    const nonce = await token.nonces(owner);
+    const message = {
+        owner,
+        spender: ethers.utils.getAddress(spender),
+        value: value.toString(),
+        nonce: nonce.toString(),
+        deadline: String(deadline),
+    };
+    const signature = await signer._signTypedData(await getDomain(token), PERMIT_TYPES, message);
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { type: "permit", chocoChip: token.address, ...message, v, r, s };
+}
+
+/**
+ * Submits a message signed by `signDelegation` or `signPermit`. The sender pays the gas, not the signer.
+ *
+ * @param chocoChip ChocoChip contract, connected to the signer of the sender.
+ * @returns the receipt of the transaction.
+ */
+export async function submitSignedMessage(chocoChip, signed) {
+    if (ethers.utils.getAddress(signed.chocoChip) !== chocoChip.address) {
+        throw new Error("The message is not signed for this ChocoChip contract");
+    }
+    if (signed.type === "delegation") {
+        return await sendTransaction("Submit a signed ChocoChip delegation", chocoChip, "delegateBySig",
+            [signed.delegatee, signed.nonce, signed.expiry, signed.v, signed.r, signed.s]);
+    }
+    if (signed.type === "permit") {
+        return await sendTransaction("Submit a signed ChocoChip permit", chocoChip, "permit",
+            [signed.owner, signed.spender, signed.value, signed.deadline, signed.v, signed.r, signed.s]);
+    }
+    throw new Error(`Unknown signed message type: ${signed.type}`);
+}
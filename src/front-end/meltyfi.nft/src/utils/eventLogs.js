@@ -0,0 +1,25 @@
+// blocks read by a single log query: public RPCs reject or time out on larger ranges
+export const LOG_BLOCK_RANGE = 5000;
+
+/**
+ * Reads the events of a contract matching a filter, in ranges of `LOG_BLOCK_RANGE` blocks queried one after the other.
+ *
+ * @param contract ethers contract emitting the events.
+ * @param filter event filter, or "*" for every event of the contract.
+ * @param fromBlock first block to read, usually the deployment block of the contract.
+ * @param toBlock last block to read, the latest one when not given.
+ * @returns the events, in emission order.
+ * @throws Error if `fromBlock` is not given, rather than reading the whole chain.
+ */
+export async function queryFilterInRanges(contract, filter, fromBlock, toBlock) {
+    if (fromBlock === undefined) {
+        throw new Error(`The deployment block of ${contract.address} is not configured, set its REACT_APP_*_DEPLOYMENT_BLOCK variable`);
+    }
+    const lastBlock = toBlock === undefined ? await contract.provider.getBlockNumber() : toBlock;
+    const events = [];
+    for (let start = Math.max(fromBlock, 0); start <= lastBlock; start += LOG_BLOCK_RANGE) {
+        const end = Math.min(start + LOG_BLOCK_RANGE - 1, lastBlock);
+        events.push(...await contract.queryFilter(filter, start, end));
+    }
+    return events;
+}
@@ -0,0 +1,87 @@
+import { ethers } from "ethers";
+import { indexerUrl } from "../App";
+
+async function get(path, params = {}) {
+    const query = new URLSearchParams(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== "")
+    ).toString();
+    const response = await fetch(`${indexerUrl}${path}${query ? `?${query}` : ""}`);
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.error);
+    }
+    return body;
+}
+
+/**
+ * Whether the front end is configured to read from the indexer.
+ */
+export function isIndexerEnabled() {
+    return Boolean(indexerUrl);
+}
+
+/**
+ * Lists the indexed lotteries, most recent first.
+ *
+ * @param params optional `state`, `owner`, `prizeContract`, `offset` and `limit`.
+ * @returns `{ total, lotteries }`.
+ */
+export async function fetchIndexedLotteries(params) {
+    return await get("/lotteries", params);
+}
+
+// the indexer records the block in which a lottery was trashed, but not the transaction
+function getIndexedLotteryHistory(lottery) {
+    const entry = (event, blockNumber, transactionHash, args = {}) => ({ event, blockNumber, transactionHash, args });
+    const { repayment, draw } = lottery;
+    const history = [
+        entry("LotteryCreated", lottery.createdBlock, lottery.createdTx),
+        ...lottery.partialRepayments.map(({ blockNumber, txHash, refundPerWonkaBar }) =>
+            entry("LoanPartiallyRepaid", blockNumber, txHash, { refundPerWonkaBar })),
+        ...lottery.extensions.map(({ blockNumber, txHash, expirationDate }) =>
+            entry("LotteryExtended", blockNumber, txHash, { expirationDate: ethers.BigNumber.from(expirationDate) })),
+    ];
+    if (repayment !== null) {
+        history.push(entry("LoanRepaid", repayment.blockNumber, repayment.txHash));
+    }
+    if (draw !== null) {
+        history.push(entry("DrawRequested", draw.requestedBlock, draw.requestedTx));
+        if (draw.settledBlock !== null) {
+            history.push(entry("WinnerChosen", draw.settledBlock, draw.settledTx, { winner: draw.winner }));
+        }
+    }
+    if (lottery.state === "TRASHED") {
+        history.push(entry("LotteryTrashed", lottery.closedBlock, undefined));
+    }
+    return history.sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+/**
+ * Returns a lottery with its purchases, repayment, draw, melts and current holders,
+ * and its `history` in the same shape as `getLotteryHistory` of lotteryEvents.
+ */
+export async function fetchIndexedLottery(lotteryId) {
+    const lottery = await get(`/lotteries/${lotteryId}`);
+    return { ...lottery, history: getIndexedLotteryHistory(lottery) };
+}
+
+/**
+ * Returns the lottery actions taken by an address, in the same shape as `getUserHistory` of lotteryEvents.
+ */
+export async function fetchIndexedUserHistory(address) {
+    const { history } = await get(`/users/${address}/history`);
+    return history.map(({ type, lotteryId, blockNumber, txHash, ...args }) => ({
+        event: type,
+        lotteryId,
+        blockNumber,
+        transactionHash: txHash,
+        args,
+    }));
+}
+
+/**
+ * Returns the protocol statistics: lotteries by state, repaid and defaulted loans, WonkaBars sold, volume and buyers.
+ */
+export async function fetchIndexedStats() {
+    return await get("/stats");
+}
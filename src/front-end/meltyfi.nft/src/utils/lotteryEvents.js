@@ -0,0 +1,224 @@
+import { ethers } from "ethers";
+import MeltyFiNFT from "../ABIs/MeltyFiNFT.json";
+import { addressMeltyFiNFT, deploymentBlockMeltyFiNFT, sdk, lotteryState } from "../App";
+import { queryFilterInRanges } from "./eventLogs";
+
+// events a user takes part in, shown in the profile history
+const USER_EVENTS = {
+    LotteryCreated: "owner",
+    WonkaBarsBought: "buyer",
+    LoanPartiallyRepaid: "owner",
+    LoanRepaid: "owner",
+    WinnerChosen: "winner",
+    WonkaBarsMelted: "holder",
+};
+
+// events that change the state, the expiration or the loan of a lottery, shown in its history
+const LOTTERY_STATE_EVENTS = [
+    "LotteryCreated",
+    "LoanPartiallyRepaid",
+    "LotteryExtended",
+    "LoanRepaid",
+    "DrawRequested",
+    "WinnerChosen",
+    "LotteryTrashed",
+];
+
+// events already read from the chain, so that every reload only asks for the new blocks
+const cache = {
+    events: [],
+    lastBlock: undefined,
+    // the read in progress, shared by the callers that arrive meanwhile
+    pending: undefined,
+};
+
+function getMeltyFi() {
+    return new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, sdk.getProvider());
+}
+
+function compareEvents(a, b) {
+    return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+function setBalance(lottery, holder, delta) {
+    if (holder === ethers.constants.AddressZero) {
+        return;
+    }
+    const balance = (lottery.holders[holder] || 0) + delta;
+    if (balance === 0) {
+        delete lottery.holders[holder];
+    } else {
+        lottery.holders[holder] = balance;
+    }
+}
+
+/**
+ * Updates the lotteries reconstructed so far with a MeltyFiNFT event.
+ * Events must be applied in the order they were emitted.
+ *
+ * @param lotteries object mapping each lottery id to its reconstructed state, updated in place.
+ * @param event ethers event emitted by MeltyFiNFT.
+ * @returns the updated lotteries.
+ */
+export function applyLotteryEvent(lotteries, event) {
+    const args = event.args;
+    switch (event.event) {
+        case "LotteryCreated":
+            lotteries[args.lotteryId.toNumber()] = {
+                lotteryId: args.lotteryId.toNumber(),
+                owner: args.owner,
+                // filled by the PrizeEscrowed events that follow
+                prizes: [],
+                expirationDate: new Date(args.expirationDate.toNumber() * 1000),
+                wonkaBarPrice: args.wonkaBarPrice,
+                paymentToken: args.paymentToken,
+                wonkaBarsMaxSupply: args.wonkaBarsMaxSupply.toNumber(),
+                wonkaBarsSold: 0,
+                refundPerWonkaBar: ethers.constants.Zero,
+                extension: 0,
+                state: lotteryState.ACTIVE,
+                winner: ethers.constants.AddressZero,
+                holders: {},
+                createdAtBlock: event.blockNumber,
+            };
+            break;
+        case "PrizeEscrowed":
+            lotteries[args.lotteryId.toNumber()].prizes.push({
+                prizeContract: args.prizeContract,
+                prizeTokenId: args.prizeTokenId.toString(),
+                prizeAmount: args.prizeAmount.toString(),
+            });
+            break;
+        case "WonkaBarsBought":
+            lotteries[args.lotteryId.toNumber()].wonkaBarsSold += args.amount.toNumber();
+            break;
+        case "LoanRepaid":
+            lotteries[args.lotteryId.toNumber()].state = lotteryState.CANCELLED;
+            break;
+        case "LoanPartiallyRepaid":
+            lotteries[args.lotteryId.toNumber()].refundPerWonkaBar = args.refundPerWonkaBar;
+            break;
+        case "LotteryExtended": {
+            const lottery = lotteries[args.lotteryId.toNumber()];
+            const expirationDate = new Date(args.expirationDate.toNumber() * 1000);
+            lottery.extension += (expirationDate.getTime() - lottery.expirationDate.getTime()) / 1000;
+            lottery.expirationDate = expirationDate;
+            break;
+        }
+        case "DrawRequested":
+            lotteries[args.lotteryId.toNumber()].state = lotteryState.AWAITING_RANDOMNESS;
+            break;
+        case "WinnerChosen":
+            lotteries[args.lotteryId.toNumber()].state = lotteryState.CONCLUDED;
+            lotteries[args.lotteryId.toNumber()].winner = args.winner;
+            break;
+        case "LotteryTrashed":
+            lotteries[args.lotteryId.toNumber()].state = lotteryState.TRASHED;
+            break;
+        case "TransferSingle":
+            if (lotteries[args.id.toNumber()] !== undefined) {
+                setBalance(lotteries[args.id.toNumber()], args.from, -args.value.toNumber());
+                setBalance(lotteries[args.id.toNumber()], args.to, args.value.toNumber());
+            }
+            break;
+        case "TransferBatch":
+            args.ids.forEach((id, i) => {
+                if (lotteries[id.toNumber()] !== undefined) {
+                    // args[4] are the values, args.values is shadowed by Array.prototype.values
+                    setBalance(lotteries[id.toNumber()], args.from, -args[4][i].toNumber());
+                    setBalance(lotteries[id.toNumber()], args.to, args[4][i].toNumber());
+                }
+            });
+            break;
+        default:
+            break;
+    }
+    return lotteries;
+}
+
+async function readNewEvents() {
+    const meltyfi = getMeltyFi();
+    const latestBlock = await meltyfi.provider.getBlockNumber();
+    const fromBlock = cache.lastBlock === undefined ? deploymentBlockMeltyFiNFT : cache.lastBlock + 1;
+    if (latestBlock >= fromBlock) {
+        const events = await queryFilterInRanges(meltyfi, "*", fromBlock, latestBlock);
+        cache.events = cache.events
+            .concat(events.filter((event) => event.event !== undefined))
+            .sort(compareEvents);
+        cache.lastBlock = latestBlock;
+    }
+    return cache.events;
+}
+
+/**
+ * Reads every MeltyFiNFT event emitted since the deployment, in emission order.
+ * Events are cached, so later calls only read the blocks mined in the meantime,
+ * and calls made while a read is in progress wait for it instead of reading the same blocks again.
+ */
+export function fetchLotteryEvents() {
+    if (cache.pending === undefined) {
+        cache.pending = readNewEvents().finally(() => {
+            cache.pending = undefined;
+        });
+    }
+    return cache.pending;
+}
+
+/**
+ * Reconstructs the state of every lottery from MeltyFiNFT events.
+ *
+ * @returns object mapping each lottery id to its owner, prize bundle, price, supply, state, winner and WonkaBar holders.
+ */
+export function reconstructLotteries(events) {
+    return events.reduce(applyLotteryEvent, {});
+}
+
+/**
+ * Returns the lottery actions taken by a given address, most recent first.
+ *
+ * @returns array of { event, lotteryId, blockNumber, transactionHash, args } entries.
+ */
+export function getUserHistory(events, address) {
+    return events
+        .filter((event) => USER_EVENTS[event.event] !== undefined && event.args[USER_EVENTS[event.event]] === address)
+        .map((event) => ({
+            event: event.event,
+            lotteryId: event.args.lotteryId.toNumber(),
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            args: event.args,
+        }))
+        .reverse();
+}
+
+/**
+ * Returns the changes of state, expiration and loan of a given lottery, oldest first.
+ *
+ * @returns array of { event, blockNumber, transactionHash, args } entries.
+ */
+export function getLotteryHistory(events, lotteryId) {
+    return events
+        .filter((event) => LOTTERY_STATE_EVENTS.includes(event.event) && event.args.lotteryId.toNumber() === lotteryId)
+        .map((event) => ({
+            event: event.event,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            args: event.args,
+        }));
+}
+
+/**
+ * Calls `onEvent` with every new MeltyFiNFT event.
+ *
+ * @returns a function that stops the subscription, to be used as a useEffect cleanup.
+ */
+export function subscribeToLotteryEvents(onEvent) {
+    const meltyfi = getMeltyFi();
+    const listener = (event) => {
+        if (event.event !== undefined) {
+            onEvent(event);
+        }
+    };
+    meltyfi.on("*", listener);
+    return () => meltyfi.off("*", listener);
+}
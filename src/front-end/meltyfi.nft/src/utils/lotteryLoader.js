@@ -0,0 +1,261 @@
+import { ethers } from "ethers";
+import MeltyFiNFT from "../ABIs/MeltyFiNFT.json";
+import { addressMeltyFiNFT, sdk, prizeStandard } from "../App";
+import { loadPaymentToken } from "./paymentTokens";
+import { loadCollectionName, resolveTokenMetadata } from "./nftDiscovery";
+
+// prize metadata never changes, so every token is fetched only once
+const tokenCache = {};
+
+const YEAR = 365 * 24 * 60 * 60;
+
+function getMeltyFi() {
+    return new ethers.Contract(addressMeltyFiNFT, MeltyFiNFT, sdk.getProvider());
+}
+
+function parsePrize(prize) {
+    return {
+        prizeContract: prize.prizeContract,
+        prizeTokenId: prize.prizeTokenId.toString(),
+        prizeAmount: prize.prizeAmount.toString(),
+        prizeStandard: prize.prizeStandard,
+    };
+}
+
+function parseLottery(lottery, prizes) {
+    return {
+        lotteryId: lottery.id.toNumber(),
+        owner: lottery.owner,
+        prizes: prizes.map(parsePrize),
+        expirationDate: new Date(lottery.expirationDate.toNumber() * 1000),
+        wonkaBarPrice: lottery.wonkaBarPrice,
+        paymentToken: lottery.paymentToken,
+        wonkaBarsMaxSupply: lottery.wonkaBarsMaxSupply.toNumber(),
+        wonkaBarsSold: lottery.wonkaBarsSold.toNumber(),
+        refundPerWonkaBar: lottery.refundPerWonkaBar,
+        extension: lottery.extension.toNumber(),
+        interestPercentage: lottery.interestPercentage.toNumber(),
+        wonkaBarsPurchaseTimes: lottery.wonkaBarsPurchaseTimes,
+        accruedInterest: lottery.accruedInterest,
+        state: lottery.state,
+        winner: lottery.winner,
+        prizeClaimed: lottery.prizeClaimed,
+    };
+}
+
+/**
+ * Calculates the interest accrued by each WonkaBar of an active lottery until a given date,
+ * the same way `_interestPerWonkaBar` of MeltyFiNFT does.
+ */
+export function interestPerWonkaBarAt(lottery, date) {
+    if (lottery.wonkaBarsSold === 0) {
+        return ethers.constants.Zero;
+    }
+    // the interest accrues on each WonkaBar from its purchase, or from the last partial repayment on what is left to repay
+    const lendingTime = ethers.BigNumber.from(Math.floor(date.getTime() / 1000))
+        .mul(lottery.wonkaBarsSold)
+        .sub(lottery.wonkaBarsPurchaseTimes);
+    const pendingInterest = lottery.wonkaBarPrice.sub(lottery.refundPerWonkaBar)
+        .mul(lottery.interestPercentage)
+        .mul(lendingTime)
+        .div(100 * YEAR);
+    return lottery.accruedInterest.add(pendingInterest).div(lottery.wonkaBarsSold);
+}
+
+/**
+ * Calculates the outstanding balance of the loan of an active lottery at a given date, with the interest accrued until then.
+ */
+export function amountToRepayAt(lottery, date) {
+    return lottery.wonkaBarPrice
+        .sub(lottery.refundPerWonkaBar)
+        .add(interestPerWonkaBarAt(lottery, date))
+        .mul(lottery.wonkaBarsSold);
+}
+
+/**
+ * Reads the protocol parameters that bound the new lotteries and their WonkaBar sales.
+ *
+ * @returns `{ upperLimitMaxSupply, upperLimitBalanceOfPercentage, royaltyDAOPercentage, interestPercentage }`.
+ */
+export async function loadProtocolLimits() {
+    const meltyfi = getMeltyFi();
+    const [upperLimitMaxSupply, upperLimitBalanceOfPercentage, royaltyDAOPercentage, interestPercentage] = await Promise.all([
+        meltyfi.getUpperLimitMaxSupply(),
+        meltyfi.getUpperLimitBalanceOfPercentage(),
+        meltyfi.getRoyaltyDAOPercentage(),
+        meltyfi.getInterestPercentage(),
+    ]);
+    return {
+        upperLimitMaxSupply: upperLimitMaxSupply.toNumber(),
+        upperLimitBalanceOfPercentage: upperLimitBalanceOfPercentage.toNumber(),
+        royaltyDAOPercentage: royaltyDAOPercentage.toNumber(),
+        interestPercentage: interestPercentage.toNumber(),
+    };
+}
+
+/**
+ * Calculates the lowest WonkaBar max supply that lets every user buy at least one WonkaBar.
+ * It is higher than the lowest one accepted by `createLottery`, since `_buyWonkaBars` counts one WonkaBar more than the balance.
+ */
+export function minWonkaBarsMaxSupply(upperLimitBalanceOfPercentage) {
+    let supply = Math.ceil(100 / upperLimitBalanceOfPercentage);
+    while (maxWonkaBarsPerUser(supply, upperLimitBalanceOfPercentage) < 1) {
+        supply++;
+    }
+    return supply;
+}
+
+/**
+ * Calculates the most WonkaBars of a lottery a user can hold, the same way `_buyWonkaBars` of MeltyFiNFT
+ * checks that the balance plus one stays within `upperLimitBalanceOfPercentage` of the max supply.
+ */
+export function maxWonkaBarsPerUser(wonkaBarsMaxSupply, upperLimitBalanceOfPercentage) {
+    const max = Math.ceil((upperLimitBalanceOfPercentage + 1) * wonkaBarsMaxSupply / 100) - 2;
+    return Math.max(0, Math.min(max, wonkaBarsMaxSupply));
+}
+
+/**
+ * Previews the loan of a new lottery whose WonkaBars are all sold.
+ * The interest is the most the owner pays, if the WonkaBars are sold at once and the loan is repaid at the expiration date.
+ *
+ * @returns `{ totalLoan, royaltyDAO, received, maxInterest, maxAmountToRepay }`, in the smallest unit of the payment token.
+ */
+export function previewLoan(wonkaBarPrice, wonkaBarsMaxSupply, royaltyDAOPercentage, interestPercentage, duration) {
+    const totalLoan = wonkaBarPrice.mul(wonkaBarsMaxSupply);
+    // `_buyWonkaBars` takes the royalty from each purchase, rounding it down the same way
+    const royaltyDAO = totalLoan.div(100).mul(royaltyDAOPercentage);
+    const maxInterest = wonkaBarPrice.mul(interestPercentage).mul(duration).div(100 * YEAR).mul(wonkaBarsMaxSupply);
+    return {
+        totalLoan,
+        royaltyDAO,
+        received: totalLoan.sub(royaltyDAO),
+        maxInterest,
+        maxAmountToRepay: totalLoan.add(maxInterest),
+    };
+}
+
+function getToken(prizeContract, prizeTokenId, prizeStandard) {
+    const key = `${prizeContract}-${prizeTokenId}`;
+    if (tokenCache[key] === undefined) {
+        tokenCache[key] = resolveTokenMetadata(prizeContract, prizeTokenId, prizeStandard, sdk.getProvider());
+    }
+    return tokenCache[key];
+}
+
+/**
+ * Describes a token of a prize bundle, e.g. "MeltyFi Items #7 × 4".
+ * The amount is only shown for ERC1155 tokens, ERC721 ones are unique.
+ */
+export function formatPrize(prize) {
+    const amount = prize.prizeStandard === prizeStandard.ERC1155 ? ` × ${prize.prizeAmount}` : "";
+    return `${prize.collection} #${prize.prizeTokenId}${amount}`;
+}
+
+/**
+ * Describes the prize bundle of a lottery: its only token, or the number of tokens of a bundle.
+ */
+export function formatPrizes(prizes) {
+    return prizes.length === 1 ? formatPrize(prizes[0]) : `Bundle of ${prizes.length} tokens`;
+}
+
+/**
+ * Adds the name and image of every token of the prize bundles of lotteries, and the name of its collection.
+ * All the tokens are fetched in parallel, and each collection name is fetched once.
+ *
+ * @param lotteries array of lotteries with `prizes`, each one with `prizeContract`, `prizeTokenId` and `prizeStandard`.
+ * @returns the lotteries with `name`, `image`, `description`, `attributes` and `collection` on each prize, in the same order.
+ */
+export async function loadPrizeMetadata(lotteries) {
+    return await Promise.all(lotteries.map(async (lottery) => ({
+        ...lottery,
+        prizes: await Promise.all(lottery.prizes.map(async (prize) => {
+            const [collection, metadata] = await Promise.all([
+                loadCollectionName(prize.prizeContract, sdk.getProvider()),
+                getToken(prize.prizeContract, prize.prizeTokenId, prize.prizeStandard),
+            ]);
+            return {
+                ...prize,
+                name: metadata.name,
+                image: metadata.image,
+                description: metadata.description,
+                attributes: metadata.attributes,
+                collection,
+            };
+        })),
+    })));
+}
+
+/**
+ * Loads many lotteries with their prize bundles in a single `getLotteries` call,
+ * then the prize metadata and the `{ address, symbol, decimals }` of their payment token as `currency`.
+ *
+ * @returns array of lotteries, in the same order as the IDs.
+ */
+export async function loadLotteries(lotteryIds) {
+    if (lotteryIds.length === 0) {
+        return [];
+    }
+    const [loaded, prizes] = await getMeltyFi().getLotteries(lotteryIds);
+    const lotteries = await loadPrizeMetadata(loaded.map((lottery, i) => parseLottery(lottery, prizes[i])));
+    return await Promise.all(lotteries.map(async (lottery) => ({
+        ...lottery,
+        currency: await loadPaymentToken(lottery.paymentToken),
+    })));
+}
+
+/**
+ * Loads a single lottery, in the same shape as `loadLotteries`.
+ *
+ * @returns the lottery, or undefined if no lottery has the given ID.
+ */
+export async function loadLottery(lotteryId) {
+    const [lottery] = await loadLotteries([lotteryId]);
+    // the struct of a lottery never created is empty, with the zero address as owner
+    return lottery.owner === ethers.constants.AddressZero ? undefined : lottery;
+}
+
+/**
+ * Reads the holders of the WonkaBars of a lottery with `wonkaBarHolders`, the ones who melted them are no longer listed.
+ *
+ * @returns array of `{ holder, balance }`, the largest balances first.
+ */
+export async function loadWonkaBarHolders(lotteryId) {
+    const [holders, balances] = await getMeltyFi().wonkaBarHolders(lotteryId);
+    return holders
+        .map((holder, i) => ({ holder, balance: balances[i].toNumber() }))
+        .sort((a, b) => b.balance - a.balance);
+}
+
+/**
+ * Loads a page of the active lotteries.
+ *
+ * @returns `{ lotteries, total }`, where `total` is the number of active lotteries.
+ */
+export async function loadActiveLotteries(offset, limit) {
+    const [ids, total] = await getMeltyFi().activeLotteryIdsPaginated(offset, limit);
+    return { lotteries: await loadLotteries(ids), total: total.toNumber() };
+}
+
+/**
+ * Loads a page of the lotteries whose winner is being drawn.
+ * These are no longer active, but they are few since they are settled within a few blocks, so their IDs are read at once.
+ *
+ * @returns `{ lotteries, total }`, where `total` is the number of lotteries awaiting randomness.
+ */
+export async function loadAwaitingRandomnessLotteries(offset, limit) {
+    const ids = await getMeltyFi().awaitingRandomnessLotteryIds();
+    return { lotteries: await loadLotteries(ids.slice(offset, offset + limit)), total: ids.length };
+}
+
+/**
+ * Reads the WonkaBar balances of an address in many lotteries with a single `balanceOfBatch` call.
+ *
+ * @returns object mapping each lottery ID to the balance.
+ */
+export async function loadWonkaBarBalances(address, lotteryIds) {
+    if (lotteryIds.length === 0) {
+        return {};
+    }
+    const balances = await getMeltyFi().balanceOfBatch(lotteryIds.map(() => address), lotteryIds);
+    return Object.fromEntries(lotteryIds.map((lotteryId, i) => [lotteryId, balances[i].toNumber()]));
+}
@@ -0,0 +1,92 @@
+import { ethers } from "ethers";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// the orders of the Browse Lotteries tab, with the keys of the `sort` parameter of the indexer
+export const lotterySorts = {
+    expiry: { label: "Expiring soonest" },
+    priceAsc: { label: "Cheapest WonkaBar" },
+    priceDesc: { label: "Most expensive WonkaBar" },
+    popularity: { label: "Most WonkaBars sold" },
+    fill: { label: "Closest to sold out" },
+};
+
+// the query of the Browse Lotteries tab when the URL has no parameters
+export const defaultLotteryQuery = {
+    search: "",
+    currency: "",
+    minPrice: "",
+    maxPrice: "",
+    minFill: "",
+    maxFill: "",
+    expiresWithin: "",
+    sort: "expiry",
+    page: 1,
+};
+
+// an empty or invalid number does not filter anything, valid ones are kept as typed since the indexer takes decimal strings
+function parseBound(value) {
+    const bound = String(value).trim();
+    return /^\d+(\.\d+)?$/.test(bound) ? bound : undefined;
+}
+
+// prices are in whole units of the payment token, and sent to the indexer in its smallest unit
+function parsePrice(value, currency) {
+    try {
+        const price = parseBound(value);
+        return price === undefined ? undefined : ethers.utils.parseUnits(price, currency.decimals).toString();
+    } catch (error) {
+        // more decimals than the token has
+        return undefined;
+    }
+}
+
+/**
+ * Reads the query of the Browse Lotteries tab from the query string of the URL,
+ * using the defaults for the missing or invalid parameters.
+ *
+ * @param searchParams URLSearchParams of the current location.
+ */
+export function parseLotteryQuery(searchParams) {
+    const query = { ...defaultLotteryQuery };
+    for (const key of Object.keys(defaultLotteryQuery)) {
+        if (searchParams.has(key)) {
+            query[key] = searchParams.get(key);
+        }
+    }
+    query.sort = lotterySorts[query.sort] === undefined ? defaultLotteryQuery.sort : query.sort;
+    query.page = Math.max(1, parseInt(query.page) || 1);
+    return query;
+}
+
+/**
+ * Writes the query of the Browse Lotteries tab as URL parameters, leaving out the default values
+ * so that the shared links stay short.
+ */
+export function lotteryQueryToSearchParams(query) {
+    return Object.fromEntries(Object.entries(query)
+        .filter(([key, value]) => String(value) !== String(defaultLotteryQuery[key]))
+        .map(([key, value]) => [key, String(value)]));
+}
+
+/**
+ * Translates the query of the Browse Lotteries tab to the parameters of `fetchIndexedLotteries`, without the page.
+ * Prices are only comparable within a payment token, so they are left out until a currency is chosen.
+ *
+ * @param query the query, see `parseLotteryQuery`.
+ * @param currency `{ address, decimals }` of the chosen payment token, undefined if none is chosen.
+ * @param now the date the expirations are compared to.
+ */
+export function lotteryQueryToIndexerParams(query, currency, now = new Date()) {
+    const expiresWithin = parseBound(query.expiresWithin);
+    return {
+        search: query.search,
+        paymentToken: currency && currency.address,
+        minPrice: currency && parsePrice(query.minPrice, currency),
+        maxPrice: currency && parsePrice(query.maxPrice, currency),
+        minFill: parseBound(query.minFill),
+        maxFill: parseBound(query.maxFill),
+        expiresBefore: expiresWithin === undefined ? undefined : Math.floor((now.getTime() + parseFloat(expiresWithin) * DAY) / 1000),
+        sort: query.sort,
+    };
+}
@@ -0,0 +1,262 @@
+import { ethers } from "ethers";
+import { sdk, nftCollections, nftIndexerUrl, prizeStandard } from "../App";
+import { queryFilterInRanges } from "./eventLogs";
+
+const ERC721_ABI = [
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function name() view returns (string)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+];
+const ERC1155_ABI = [
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function balanceOf(address account, uint256 id) view returns (uint256)",
+    "function uri(uint256 id) view returns (string)",
+];
+const ERC721_ENUMERABLE_INTERFACE_ID = "0x780e9d63";
+const ERC1155_INTERFACE_ID = "0xd9b67a26";
+const IPFS_GATEWAY = "https://ipfs.io/ipfs/";
+
+// the standard and the name of a collection never change, so they are read only once
+const standardCache = {};
+const collectionNameCache = {};
+
+function getCollectionContract(address, provider, standard = prizeStandard.ERC721) {
+    return new ethers.Contract(address, standard === prizeStandard.ERC1155 ? ERC1155_ABI : ERC721_ABI, provider);
+}
+
+/**
+ * Detects whether a collection is ERC1155 or ERC721, like LotteryPrizes does:
+ * collections that do not declare the ERC1155 interface are treated as ERC721.
+ *
+ * @returns one of the values of `prizeStandard`.
+ */
+export function detectStandard(address, provider = sdk.getProvider()) {
+    if (standardCache[address] === undefined) {
+        standardCache[address] = getCollectionContract(address, provider, prizeStandard.ERC1155)
+            .supportsInterface(ERC1155_INTERFACE_ID)
+            .then((isERC1155) => isERC1155 ? prizeStandard.ERC1155 : prizeStandard.ERC721)
+            .catch(() => prizeStandard.ERC721);
+    }
+    return standardCache[address];
+}
+
+/**
+ * Reads the name of a collection. ERC1155 collections usually have none, their address is used instead.
+ */
+export function loadCollectionName(address, provider = sdk.getProvider()) {
+    if (collectionNameCache[address] === undefined) {
+        collectionNameCache[address] = getCollectionContract(address, provider).name().catch(() => address);
+    }
+    return collectionNameCache[address];
+}
+
+async function isEnumerable(contract) {
+    try {
+        return await contract.supportsInterface(ERC721_ENUMERABLE_INTERFACE_ID);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Provider that enumerates the tokens of the owner in the given collections implementing ERC721Enumerable.
+ *
+ * @param collections array of `{ address }`.
+ */
+export function enumerableProvider(collections) {
+    return {
+        name: "enumerable",
+        findTokens: async (owner, provider) => {
+            const tokens = await Promise.all(collections.map(async ({ address }) => {
+                const contract = getCollectionContract(address, provider);
+                if (!(await isEnumerable(contract))) {
+                    return [];
+                }
+                const balance = (await contract.balanceOf(owner)).toNumber();
+                const tokenIds = await Promise.all(
+                    [...Array(balance).keys()].map((index) => contract.tokenOfOwnerByIndex(owner, index))
+                );
+                return tokenIds.map((tokenId) => ({ contract: address, tokenId: tokenId.toString() }));
+            }));
+            return tokens.flat();
+        },
+    };
+}
+
+// ERC1155 tokens are received either one ID at a time or in batches
+async function findReceivedItems(contract, owner, startBlock, latestBlock) {
+    const [single, batch] = await Promise.all([
+        queryFilterInRanges(contract, contract.filters.TransferSingle(null, null, owner), startBlock, latestBlock),
+        queryFilterInRanges(contract, contract.filters.TransferBatch(null, null, owner), startBlock, latestBlock),
+    ]);
+    return [...single.map((event) => [event.args.id]), ...batch.map((event) => event.args.ids)]
+        .flat()
+        .map((id) => id.toString());
+}
+
+/**
+ * Provider that replays the transfer logs of the given collections to find the tokens received by the owner:
+ * `Transfer` for ERC721 collections, `TransferSingle` and `TransferBatch` for ERC1155 ones.
+ * Collections implementing ERC721Enumerable are left to `enumerableProvider`.
+ * Logs are read in block ranges from the deployment of each collection, see `queryFilterInRanges`.
+ *
+ * @param collections array of `{ address, startBlock }`, where `startBlock` is the block the collection was deployed in.
+ *                    Collections without it are skipped rather than read from the genesis block.
+ */
+export function transferLogsProvider(collections) {
+    return {
+        name: "transfer-logs",
+        findTokens: async (owner, provider) => {
+            const latestBlock = await provider.getBlockNumber();
+            const tokens = await Promise.all(collections.map(async ({ address, startBlock }) => {
+                if (startBlock === undefined) {
+                    return [];
+                }
+                const standard = await detectStandard(address, provider);
+                const contract = getCollectionContract(address, provider, standard);
+                let received;
+                if (standard === prizeStandard.ERC1155) {
+                    received = await findReceivedItems(contract, owner, startBlock, latestBlock);
+                } else if (await isEnumerable(contract)) {
+                    return [];
+                } else {
+                    received = (await queryFilterInRanges(contract, contract.filters.Transfer(null, owner), startBlock, latestBlock))
+                        .map((event) => event.args.tokenId.toString());
+                }
+                // tokens may have been sent away since, ownership is checked by discoverNFTs
+                return [...new Set(received)].map((tokenId) => ({ contract: address, tokenId }));
+            }));
+            return tokens.flat();
+        },
+    };
+}
+
+/**
+ * Provider that asks an HTTP indexer for the tokens of the owner.
+ * The indexer answers `GET <url>/<owner>` with an array of `{ contract, tokenId }`.
+ */
+export function httpIndexerProvider(url) {
+    return {
+        name: "http-indexer",
+        findTokens: async (owner) => {
+            const response = await fetch(`${url}/${owner}`);
+            if (!response.ok) {
+                throw new Error(`NFT indexer answered ${response.status}`);
+            }
+            return (await response.json()).map(({ contract, tokenId }) => ({ contract, tokenId: String(tokenId) }));
+        },
+    };
+}
+
+/**
+ * Returns the providers configured in App.jsx: the on-chain ones for `nftCollections`,
+ * and the HTTP indexer when `nftIndexerUrl` is set.
+ */
+export function defaultProviders() {
+    const providers = [enumerableProvider(nftCollections), transferLogsProvider(nftCollections)];
+    if (nftIndexerUrl) {
+        providers.push(httpIndexerProvider(nftIndexerUrl));
+    }
+    return providers;
+}
+
+function resolveUri(uri) {
+    if (uri.startsWith("ipfs://")) {
+        return IPFS_GATEWAY + uri.slice("ipfs://".length).replace(/^ipfs\//, "");
+    }
+    return uri;
+}
+
+async function fetchJson(uri) {
+    if (uri.startsWith("data:application/json;base64,")) {
+        return JSON.parse(atob(uri.slice("data:application/json;base64,".length)));
+    }
+    if (uri.startsWith("data:application/json,")) {
+        return JSON.parse(decodeURIComponent(uri.slice("data:application/json,".length)));
+    }
+    const response = await fetch(resolveUri(uri));
+    return await response.json();
+}
+
+// ERC1155 URIs may contain "{id}", to be replaced by the lowercase hex ID padded to 64 characters
+function expandItemUri(uri, tokenId) {
+    return uri.replace("{id}", ethers.utils.hexZeroPad(ethers.BigNumber.from(tokenId).toHexString(), 32).slice(2));
+}
+
+/**
+ * Reads the metadata of a token from its `tokenURI`, or from its `uri` for ERC1155 tokens,
+ * without relying on any third-party API.
+ *
+ * @param address address of the collection.
+ * @param standard one of the values of `prizeStandard`.
+ * @returns `{ name, image, description, attributes }`, where `attributes` are the traits of the token as
+ *          `{ trait_type, value }`, with a default name and no image when the metadata cannot be resolved.
+ */
+export async function resolveTokenMetadata(address, tokenId, standard = prizeStandard.ERC721, provider = sdk.getProvider()) {
+    const contract = getCollectionContract(address, provider, standard);
+    try {
+        const uri = standard === prizeStandard.ERC1155
+            ? expandItemUri(await contract.uri(tokenId), tokenId)
+            : await contract.tokenURI(tokenId);
+        const metadata = await fetchJson(uri);
+        return {
+            name: metadata.name || `#${tokenId}`,
+            image: metadata.image ? resolveUri(metadata.image) : undefined,
+            description: metadata.description,
+            attributes: Array.isArray(metadata.attributes) ? metadata.attributes : [],
+        };
+    } catch (error) {
+        return { name: `#${tokenId}`, image: undefined, description: undefined, attributes: [] };
+    }
+}
+
+// the amount of a token owned by an address: 0 or 1 for ERC721 tokens, the balance for ERC1155 ones
+async function ownedAmount(address, standard, owner, tokenId, provider) {
+    const contract = getCollectionContract(address, provider, standard);
+    if (standard === prizeStandard.ERC1155) {
+        return (await contract.balanceOf(owner, tokenId).catch(() => ethers.constants.Zero)).toString();
+    }
+    const currentOwner = await contract.ownerOf(tokenId).catch(() => ethers.constants.AddressZero);
+    return currentOwner === ethers.utils.getAddress(owner) ? "1" : "0";
+}
+
+/**
+ * Finds the ERC721 and ERC1155 tokens owned by an address, using every given provider.
+ * Tokens are deduplicated, the amount owned is checked on-chain, and their metadata is resolved from `tokenURI` or `uri`.
+ * A failing provider does not prevent the others from being used.
+ *
+ * @returns array of `{ contract, tokenId, standard, amount, collection, name, image }`, where `amount` is a decimal string.
+ */
+export async function discoverNFTs(owner, providers = defaultProviders(), provider = sdk.getProvider()) {
+    const results = await Promise.all(providers.map((nftProvider) =>
+        nftProvider.findTokens(owner, provider).catch((error) => {
+            console.error(`NFT provider ${nftProvider.name} failed`, error);
+            return [];
+        })
+    ));
+    const tokens = {};
+    for (const token of results.flat()) {
+        const contract = ethers.utils.getAddress(token.contract);
+        tokens[`${contract}-${token.tokenId}`] = { contract, tokenId: token.tokenId };
+    }
+
+    const nfts = await Promise.all(Object.values(tokens).map(async ({ contract: address, tokenId }) => {
+        const standard = await detectStandard(address, provider);
+        const amount = await ownedAmount(address, standard, owner, tokenId, provider);
+        if (amount === "0") {
+            return undefined;
+        }
+        const [collection, metadata] = await Promise.all([
+            loadCollectionName(address, provider),
+            resolveTokenMetadata(address, tokenId, standard, provider),
+        ]);
+        return { contract: address, tokenId, standard, amount, collection, ...metadata };
+    }));
+    return nfts.filter((nft) => nft !== undefined);
+}
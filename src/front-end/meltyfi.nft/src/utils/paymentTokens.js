@@ -0,0 +1,87 @@
+import { ethers } from "ethers";
+import { addressMeltyFiNFT, sdk } from "../App";
+import { sendTransaction } from "./transactions";
+
+// ERC20 functions used by the front end, including the EIP-2612 ones needed to sign permits
+export const ERC20_ABI = [
+    "function name() view returns (string)",
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+// lotteries whose payment token is the zero address are paid in Ether
+export const ETHER = { address: ethers.constants.AddressZero, symbol: "ETH", decimals: 18 };
+
+// symbols and decimals never change, so every token is read only once
+const tokenCache = {};
+
+export function isEther(paymentToken) {
+    return paymentToken === ethers.constants.AddressZero;
+}
+
+/**
+ * Reads the symbol and decimals of a payment token.
+ *
+ * @param paymentToken address of the ERC20 token, or the zero address for Ether.
+ * @returns `{ address, symbol, decimals }`.
+ */
+export async function loadPaymentToken(paymentToken) {
+    if (isEther(paymentToken)) {
+        return ETHER;
+    }
+    if (tokenCache[paymentToken] === undefined) {
+        const token = new ethers.Contract(paymentToken, ERC20_ABI, sdk.getProvider());
+        tokenCache[paymentToken] = Promise.all([token.symbol(), token.decimals()])
+            .then(([symbol, decimals]) => ({ address: paymentToken, symbol, decimals }));
+    }
+    return tokenCache[paymentToken];
+}
+
+/**
+ * Tells whether a token implements EIP-2612, i.e. has the `nonces` and `DOMAIN_SEPARATOR` functions needed to sign permits.
+ *
+ * @param token ERC20 contract, connected to a provider or a signer.
+ * @param owner address that would sign the permit.
+ * @throws the error of the provider if the token cannot be reached.
+ */
+export async function supportsPermit(token, owner) {
+    try {
+        await Promise.all([token.nonces(owner), token.DOMAIN_SEPARATOR()]);
+        return true;
+    } catch (error) {
+        // only a call reverted by the token tells that the functions are missing, other failures are not hidden
+        if (error.code === ethers.errors.CALL_EXCEPTION) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Formats an amount of a payment token with its decimals and symbol, e.g. "2.5 MTD".
+ *
+ * @param amount amount in the smallest unit of the token.
+ * @param paymentToken `{ symbol, decimals }` of the token, as returned by `loadPaymentToken`.
+ */
+export function formatAmount(amount, paymentToken) {
+    return `${ethers.utils.formatUnits(amount, paymentToken.decimals)} ${paymentToken.symbol}`;
+}
+
+/**
+ * Approves MeltyFiNFT to spend an amount of a payment token of the signer, unless it is already allowed to.
+ *
+ * @param token ERC20 contract, connected to the signer.
+ * @param amount amount in the smallest unit of the token.
+ */
+export async function approveMeltyFi(token, amount) {
+    const allowance = await token.allowance(await token.signer.getAddress(), addressMeltyFiNFT);
+    if (allowance.lt(amount)) {
+        const { symbol } = await loadPaymentToken(token.address);
+        await sendTransaction(`Allow MeltyFi to spend ${symbol}`, token, "approve", [addressMeltyFiNFT, amount]);
+    }
+}
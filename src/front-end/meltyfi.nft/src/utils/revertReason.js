@@ -0,0 +1,87 @@
+import { ethers } from "ethers";
+
+// selectors of the `Error(string)` and `Panic(uint256)` errors raised by `require`, `revert` and failed checks
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const PANIC_REASONS = {
+    0x01: "Assertion failed",
+    0x11: "Arithmetic overflow or underflow",
+    0x12: "Division by zero",
+    0x21: "Invalid enum value",
+    0x32: "Array index out of bounds",
+};
+
+// ethers, the JSON-RPC providers and the wallets nest the error of the node at different depths
+function findRevertData(err, depth = 0) {
+    if (err === null || typeof err !== "object" || depth > 4) {
+        return undefined;
+    }
+    // the revert data starts with the 4 bytes selector of the error
+    if (typeof err.data === "string" && ethers.utils.isHexString(err.data) && err.data.length >= 10) {
+        return err.data;
+    }
+    for (const key of ["error", "data", "originalError"]) {
+        const data = findRevertData(err[key], depth + 1);
+        if (data !== undefined) {
+            return data;
+        }
+    }
+    if (typeof err.body === "string") {
+        try {
+            return findRevertData(JSON.parse(err.body), depth + 1);
+        } catch {
+            return undefined;
+        }
+    }
+    return undefined;
+}
+
+// a custom error of the contract, e.g. "ERC2612ExpiredSignature(1700000000)", if its interface declares it
+function decodeCustomError(data, contractInterface) {
+    if (contractInterface === undefined) {
+        return undefined;
+    }
+    try {
+        const error = contractInterface.parseError(data);
+        return `${error.name}(${error.args.map((arg) => arg.toString()).join(", ")})`;
+    }
+    catch {
+        return undefined;
+    }
+}
+
+/**
+ * Decodes why a call or a transaction failed, e.g. "MeltyFi: The payment token is not accepted",
+ * from an error thrown by ethers or by the wallet.
+ *
+ * @param err the error thrown.
+ * @param contractInterface optional ethers interface of the contract called, to decode its custom errors.
+ * @returns a message for the user.
+ */
+export function decodeRevertReason(err, contractInterface = undefined) {
+    // anything can be thrown, not only errors
+    if (err === null || typeof err !== "object") {
+        return String(err);
+    }
+    if (err.code === 4001 || err.code === "ACTION_REJECTED") {
+        return "The transaction was rejected in the wallet";
+    }
+    const data = findRevertData(err);
+    if (data !== undefined && data.startsWith(ERROR_SELECTOR)) {
+        return ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(data, 4))[0];
+    }
+    if (data !== undefined && data.startsWith(PANIC_SELECTOR)) {
+        const code = ethers.utils.defaultAbiCoder.decode(["uint256"], ethers.utils.hexDataSlice(data, 4))[0].toNumber();
+        return PANIC_REASONS[code] || `Panic with code ${code}`;
+    }
+    const customError = data === undefined ? undefined : decodeCustomError(data, contractInterface);
+    if (customError !== undefined) {
+        return customError;
+    }
+    if (err.reason) {
+        return err.reason;
+    }
+    const message = (err.error && err.error.message) || err.message || "Unknown error";
+    return String(message).replace(/^(execution reverted: |VM Exception while processing transaction: reverted with reason string )/, "");
+}
@@ -0,0 +1,131 @@
+import { ethers } from "ethers";
+import { network } from "../App";
+import { decodeRevertReason } from "./revertReason";
+
+// gas added to the estimate, in percent, since the state can change before the transaction is mined
+const GAS_LIMIT_MARGIN = 20;
+
+// components showing the transactions, see `subscribeToTransactions`
+const listeners = new Set();
+let lastTransactionId = 0;
+
+function notify(transaction) {
+    for (const listener of listeners) {
+        listener(transaction);
+    }
+}
+
+/**
+ * Error thrown by the functions of this module, whose message is meant for the user,
+ * e.g. the decoded revert reason of the contract.
+ */
+export class TransactionError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = "TransactionError";
+        this.cause = cause;
+    }
+}
+
+/**
+ * Calls `listener` with `{ id, description, status, hash, message }` every time a transaction sent by `sendTransaction`
+ * changes status: "pending" once signed, then "confirmed" or "failed".
+ *
+ * @returns a function that stops the notifications.
+ */
+export function subscribeToTransactions(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Returns the link to a transaction on the block explorer of the network.
+ *
+ * @returns the URL, or undefined if the network has no explorer, e.g. a local node.
+ */
+export function explorerTransactionUrl(hash) {
+    return network.explorer ? `${network.explorer}/tx/${hash}` : undefined;
+}
+
+/**
+ * Returns the link to an address on the block explorer of the network.
+ *
+ * @returns the URL, or undefined if the network has no explorer, e.g. a local node.
+ */
+export function explorerAddressUrl(address) {
+    return network.explorer ? `${network.explorer}/address/${address}` : undefined;
+}
+
+/**
+ * Shows a failure of something else than a transaction sent by `sendTransaction`, e.g. a signature refused in the wallet,
+ * to the subscribers of `subscribeToTransactions`.
+ *
+ * @param description what failed, e.g. "Connect the wallet".
+ * @param err the error thrown.
+ * @returns TransactionError with the decoded reason, to be thrown.
+ */
+export function transactionFailure(description, err) {
+    const error = err instanceof TransactionError ? err : new TransactionError(decodeRevertReason(err), err);
+    notify({ id: ++lastTransactionId, description, status: "failed", message: error.message });
+    return error;
+}
+
+/**
+ * Connects the wallet of the user and asks it to switch to the network of the deployment if it is on another one.
+ * A failure is also shown to the subscribers of `subscribeToTransactions`.
+ *
+ * @returns the ethers signer of the connected account.
+ * @throws TransactionError if there is no wallet, the connection is refused or the wallet stays on another network.
+ */
+export async function connectWallet() {
+    try {
+        if (window.ethereum === undefined) {
+            throw new TransactionError("No wallet found, install MetaMask or another Ethereum wallet");
+        }
+        // "any" lets the provider follow the network switches of the wallet
+        const provider = new ethers.providers.Web3Provider(window.ethereum, "any");
+        await provider.send("eth_requestAccounts", []);
+        if ((await provider.getNetwork()).chainId !== network.chainId) {
+            await provider.send("wallet_switchEthereumChain", [{ chainId: ethers.utils.hexValue(network.chainId) }]);
+        }
+        if ((await provider.getNetwork()).chainId !== network.chainId) {
+            throw new TransactionError(`Switch your wallet to ${network.name}`);
+        }
+        return provider.getSigner();
+    }
+    catch (err) {
+        throw transactionFailure("Connect the wallet", err);
+    }
+}
+
+/**
+ * Sends a transaction calling a contract and waits for it to be mined.
+ * The gas is estimated first, so that a call bound to revert fails before the user signs it, with the reason of the contract.
+ * The transaction is shown to the subscribers of `subscribeToTransactions` while pending, and once confirmed or failed.
+ *
+ * @param description what the transaction does, e.g. "Buy 3 WonkaBars".
+ * @param contract ethers contract connected to the signer returned by `connectWallet`.
+ * @param method name of the function called.
+ * @param args arguments of the function.
+ * @param overrides ethers overrides of the transaction, e.g. its `value`.
+ * @returns the receipt of the transaction.
+ * @throws TransactionError with the decoded revert reason if the transaction is rejected or fails.
+ */
+export async function sendTransaction(description, contract, method, args = [], overrides = {}) {
+    const id = ++lastTransactionId;
+    let hash;
+    try {
+        const gasLimit = await contract.estimateGas[method](...args, overrides);
+        const transaction = await contract[method](...args, { ...overrides, gasLimit: gasLimit.mul(100 + GAS_LIMIT_MARGIN).div(100) });
+        hash = transaction.hash;
+        notify({ id, description, status: "pending", hash });
+        const receipt = await transaction.wait();
+        notify({ id, description, status: "confirmed", hash });
+        return receipt;
+    }
+    catch (err) {
+        const message = decodeRevertReason(err, contract.interface);
+        notify({ id, description, status: "failed", hash, message });
+        throw new TransactionError(message, err);
+    }
+}